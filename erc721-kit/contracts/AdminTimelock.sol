@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title AdminTimelock
+ * @dev Two-step ownership plus a timelock for configuration, shared by the marketplace, escrow
+ * and royalty engine. While adminDelay is zero the owner calls onlyAdmin functions directly.
+ * Once it is set, the owner queues each call's calldata, and after the delay executes it,
+ * which calls this contract with itself as the sender; or cancels it. Only calls to the
+ * configuration functions a contract registers with _allowChange can be queued, so the owner
+ * cannot run user-facing functions as the contract itself.
+ */
+abstract contract AdminTimelock is Ownable2Step {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    uint256 public constant MAX_ADMIN_DELAY = 30 days;
+    uint256 public adminDelay;
+
+    // Queued changes are identified by the keccak256 of their calldata
+    mapping(bytes32 => uint256) public pendingChanges; // change id => earliest execution time
+    mapping(bytes32 => bytes) private _pendingChangeData;
+    EnumerableSet.Bytes32Set private _pendingChangeIds;
+    mapping(bytes4 => bool) private _allowedChanges; // selectors queueChange accepts
+
+    event ChangeQueued(bytes32 indexed changeId, bytes data, uint256 executableAt);
+    event ChangeExecuted(bytes32 indexed changeId);
+    event ChangeCancelled(bytes32 indexed changeId);
+    event AdminDelayUpdated(uint256 newDelay);
+
+    error ChangeMustBeQueued();
+    error ChangeAlreadyQueued();
+    error ChangeNotQueued();
+    error ChangeNotReady(uint256 executableAt);
+    error AdminDelayTooLong();
+    error ChangeNotAllowed();
+
+    modifier onlyAdmin() {
+        _checkAdmin();
+        _;
+    }
+
+    constructor() {
+        _allowChange(this.setAdminDelay.selector);
+    }
+
+    /**
+     * @dev Queue a call to one of this contract's configuration functions, executable once the
+     * current delay has passed
+     */
+    function queueChange(bytes calldata data) public virtual onlyOwner returns (bytes32 changeId) {
+        if (!_allowedChanges[bytes4(data)]) revert ChangeNotAllowed();
+        changeId = keccak256(data);
+        if (!_pendingChangeIds.add(changeId)) revert ChangeAlreadyQueued();
+
+        uint256 executableAt = block.timestamp + adminDelay;
+        pendingChanges[changeId] = executableAt;
+        _pendingChangeData[changeId] = data;
+        emit ChangeQueued(changeId, data, executableAt);
+    }
+
+    /**
+     * @dev Execute a queued call whose delay has passed, bubbling up its revert
+     */
+    function executeChange(bytes calldata data) public virtual onlyOwner {
+        bytes32 changeId = keccak256(data);
+        uint256 executableAt = pendingChanges[changeId];
+        if (executableAt == 0) revert ChangeNotQueued();
+        if (block.timestamp < executableAt) revert ChangeNotReady(executableAt);
+
+        _removeChange(changeId);
+        (bool success, bytes memory result) = address(this).call(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ChangeExecuted(changeId);
+    }
+
+    /**
+     * @dev Drop a queued call
+     */
+    function cancelChange(bytes32 changeId) public virtual onlyOwner {
+        if (pendingChanges[changeId] == 0) revert ChangeNotQueued();
+        _removeChange(changeId);
+        emit ChangeCancelled(changeId);
+    }
+
+    /**
+     * @dev Set the timelock delay. Changing it from a nonzero delay goes through the timelock.
+     */
+    function setAdminDelay(uint256 newDelay) public virtual onlyAdmin {
+        if (newDelay > MAX_ADMIN_DELAY) revert AdminDelayTooLong();
+        adminDelay = newDelay;
+        emit AdminDelayUpdated(newDelay);
+    }
+
+    /**
+     * @dev Every queued change with its calldata and earliest execution time
+     */
+    function getPendingChanges()
+        external
+        view
+        returns (bytes32[] memory changeIds, bytes[] memory data, uint256[] memory executableAt)
+    {
+        changeIds = _pendingChangeIds.values();
+        data = new bytes[](changeIds.length);
+        executableAt = new uint256[](changeIds.length);
+        for (uint256 i = 0; i < changeIds.length; i++) {
+            data[i] = _pendingChangeData[changeIds[i]];
+            executableAt[i] = pendingChanges[changeIds[i]];
+        }
+    }
+
+    /**
+     * @dev Whether an account may make configuration changes right now: the timelock itself,
+     * or the owner while no delay is set
+     */
+    function _isAdmin(address account) internal view returns (bool) {
+        return account == address(this) || (adminDelay == 0 && account == owner());
+    }
+
+    /**
+     * @dev Let queueChange accept calls to a configuration function. Called from constructors
+     * for every function the timelock gates.
+     */
+    function _allowChange(bytes4 selector) internal {
+        _allowedChanges[selector] = true;
+    }
+
+    function _checkAdmin() internal view {
+        if (msg.sender == address(this)) return;
+        _checkOwner();
+        if (adminDelay != 0) revert ChangeMustBeQueued();
+    }
+
+    function _removeChange(bytes32 changeId) private {
+        _pendingChangeIds.remove(changeId);
+        delete pendingChanges[changeId];
+        delete _pendingChangeData[changeId];
+    }
+}
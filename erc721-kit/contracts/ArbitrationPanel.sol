@@ -0,0 +1,214 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./AdminTimelock.sol";
+import "./IArbitrator.sol";
+import "./IArbitrable.sol";
+
+/**
+ * @title ArbitrationPanel
+ * @dev Default ERC-792 arbitrator for ERC721Escrow: N arbiters vote and the first ruling to
+ * gather `quorum` (M) votes is reached. It can then be appealed until the appeal window
+ * closes, which starts a fresh round of voting, at most MAX_APPEALS times per dispute. After
+ * the window anyone can execute the ruling on the arbitrable contract. Arbitration is free.
+ */
+contract ArbitrationPanel is IArbitrator, AdminTimelock {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    struct ArbitrationDispute {
+        IArbitrable arbitrable;
+        uint256 choices;
+        uint256 ruling;
+        uint256 round;
+        uint256 appealStart; // When the current ruling was reached
+        uint256 appealEnd;
+        DisputeStatus status;
+    }
+
+    uint256 public constant MAX_APPEALS = 2;
+    uint256 public constant MAX_APPEAL_WINDOW = 30 days;
+
+    EnumerableSet.AddressSet private _arbiters;
+    uint256 public quorum;
+    uint256 public appealWindow;
+    uint256 public nextDisputeId = 1;
+
+    mapping(uint256 => ArbitrationDispute) public disputes;
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasVoted; // dispute => round => arbiter
+    mapping(uint256 => mapping(uint256 => mapping(uint256 => uint256))) public votes; // dispute => round => ruling
+
+    event VoteCast(uint256 indexed disputeId, address indexed arbiter, uint256 round, uint256 ruling);
+    event RulingExecuted(uint256 indexed disputeId, uint256 ruling);
+    event ArbiterUpdated(address indexed arbiter, bool enabled);
+    event QuorumUpdated(uint256 newQuorum);
+    event AppealWindowUpdated(uint256 newAppealWindow);
+
+    error NotArbiter();
+    error InvalidAddress();
+    error InvalidDisputeId();
+    error InvalidRuling();
+    error InvalidQuorum();
+    error AppealWindowTooLong();
+    error FeesNotAccepted();
+    error OnlyArbitrable();
+    error VotingClosed();
+    error AlreadyVoted();
+    error NotAppealable();
+    error AppealWindowClosed();
+    error AppealWindowOpen();
+    error TooManyAppeals();
+
+    constructor(address[] memory arbiters, uint256 _quorum, uint256 _appealWindow) {
+        for (uint256 i = 0; i < arbiters.length; i++) {
+            _setArbiter(arbiters[i], true);
+        }
+        setQuorum(_quorum);
+        setAppealWindow(_appealWindow);
+
+        _allowChange(this.setArbiter.selector);
+        _allowChange(this.setQuorum.selector);
+        _allowChange(this.setAppealWindow.selector);
+    }
+
+    modifier validDispute(uint256 disputeId) {
+        if (disputeId == 0 || disputeId >= nextDisputeId) revert InvalidDisputeId();
+        _;
+    }
+
+    /**
+     * @dev Open a dispute for the calling contract with rulings 0 to `choices`
+     */
+    function createDispute(uint256 choices, bytes calldata) external payable override returns (uint256 disputeId) {
+        if (msg.value != 0) revert FeesNotAccepted();
+        if (choices == 0) revert InvalidRuling();
+
+        disputeId = nextDisputeId++;
+        ArbitrationDispute storage dispute = disputes[disputeId];
+        dispute.arbitrable = IArbitrable(msg.sender);
+        dispute.choices = choices;
+
+        emit DisputeCreation(disputeId, IArbitrable(msg.sender));
+    }
+
+    /**
+     * @dev Vote for a ruling in the current round (arbiters only). The vote that brings a ruling
+     * to the quorum decides the round and opens the appeal window.
+     */
+    function vote(uint256 disputeId, uint256 ruling) external validDispute(disputeId) {
+        if (!_arbiters.contains(msg.sender)) revert NotArbiter();
+        ArbitrationDispute storage dispute = disputes[disputeId];
+        if (dispute.status != DisputeStatus.Waiting) revert VotingClosed();
+        if (ruling > dispute.choices) revert InvalidRuling();
+
+        uint256 round = dispute.round;
+        if (hasVoted[disputeId][round][msg.sender]) revert AlreadyVoted();
+        hasVoted[disputeId][round][msg.sender] = true;
+        emit VoteCast(disputeId, msg.sender, round, ruling);
+
+        if (++votes[disputeId][round][ruling] >= quorum) {
+            dispute.ruling = ruling;
+            dispute.status = DisputeStatus.Appealable;
+            dispute.appealStart = block.timestamp;
+            dispute.appealEnd = block.timestamp + appealWindow;
+            emit AppealPossible(disputeId, dispute.arbitrable);
+        }
+    }
+
+    /**
+     * @dev Reopen voting on a ruling before its appeal window closes. Only the arbitrable
+     * contract can appeal, so it decides who may; ERC721Escrow lets either party.
+     */
+    function appeal(uint256 disputeId, bytes calldata) external payable override validDispute(disputeId) {
+        if (msg.value != 0) revert FeesNotAccepted();
+        ArbitrationDispute storage dispute = disputes[disputeId];
+        if (msg.sender != address(dispute.arbitrable)) revert OnlyArbitrable();
+        if (dispute.status != DisputeStatus.Appealable) revert NotAppealable();
+        if (block.timestamp >= dispute.appealEnd) revert AppealWindowClosed();
+        if (dispute.round >= MAX_APPEALS) revert TooManyAppeals();
+
+        dispute.round++;
+        dispute.status = DisputeStatus.Waiting;
+        emit AppealDecision(disputeId, dispute.arbitrable);
+    }
+
+    /**
+     * @dev Send a ruling whose appeal window has closed to the arbitrable contract (anyone)
+     */
+    function executeRuling(uint256 disputeId) external validDispute(disputeId) {
+        ArbitrationDispute storage dispute = disputes[disputeId];
+        if (dispute.status != DisputeStatus.Appealable) revert NotAppealable();
+        if (block.timestamp < dispute.appealEnd) revert AppealWindowOpen();
+
+        dispute.status = DisputeStatus.Solved;
+        emit RulingExecuted(disputeId, dispute.ruling);
+        dispute.arbitrable.rule(disputeId, dispute.ruling);
+    }
+
+    /**
+     * @dev Add or remove an arbiter. The quorum must stay reachable.
+     */
+    function setArbiter(address arbiter, bool enabled) external onlyAdmin {
+        _setArbiter(arbiter, enabled);
+        if (quorum > _arbiters.length()) revert InvalidQuorum();
+    }
+
+    /**
+     * @dev Set how many matching votes decide a round, between 1 and the number of arbiters
+     */
+    function setQuorum(uint256 newQuorum) public onlyAdmin {
+        if (newQuorum == 0 || newQuorum > _arbiters.length()) revert InvalidQuorum();
+        quorum = newQuorum;
+        emit QuorumUpdated(newQuorum);
+    }
+
+    /**
+     * @dev Set how long a reached ruling can be appealed. Applies to rulings reached afterwards.
+     */
+    function setAppealWindow(uint256 newAppealWindow) public onlyAdmin {
+        if (newAppealWindow > MAX_APPEAL_WINDOW) revert AppealWindowTooLong();
+        appealWindow = newAppealWindow;
+        emit AppealWindowUpdated(newAppealWindow);
+    }
+
+    function arbitrationCost(bytes calldata) external pure override returns (uint256) {
+        return 0;
+    }
+
+    function appealCost(uint256, bytes calldata) external pure override returns (uint256) {
+        return 0;
+    }
+
+    function appealPeriod(uint256 disputeId) external view override returns (uint256 start, uint256 end) {
+        ArbitrationDispute storage dispute = disputes[disputeId];
+        if (dispute.status == DisputeStatus.Appealable) {
+            return (dispute.appealStart, dispute.appealEnd);
+        }
+    }
+
+    function disputeStatus(uint256 disputeId) external view override returns (DisputeStatus) {
+        return disputes[disputeId].status;
+    }
+
+    function currentRuling(uint256 disputeId) external view override returns (uint256) {
+        return disputes[disputeId].ruling;
+    }
+
+    /**
+     * @dev Get the current arbiters
+     */
+    function getArbiters() external view returns (address[] memory) {
+        return _arbiters.values();
+    }
+
+    function isArbiter(address account) external view returns (bool) {
+        return _arbiters.contains(account);
+    }
+
+    function _setArbiter(address arbiter, bool enabled) private {
+        if (arbiter == address(0)) revert InvalidAddress();
+        if (enabled ? _arbiters.add(arbiter) : _arbiters.remove(arbiter)) {
+            emit ArbiterUpdated(arbiter, enabled);
+        }
+    }
+}
@@ -3,21 +3,36 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "./PaymentLedger.sol";
+import "./RoyaltyEngine.sol";
+import "./AdminTimelock.sol";
+import "./IArbitrator.sol";
+import "./IArbitrable.sol";
 
 /**
  * @title ERC721Escrow
- * @dev Secure escrow contract for ERC721 tokens with dispute resolution
+ * @dev Secure escrow contract for ERC721 tokens with dispute resolution. The seller proposes
+ * terms, the buyer funds the price and the seller deposits the NFT; once both deposits are in,
+ * the escrow is Active and settles when both parties approve, or, if created with auto-complete,
+ * through finalizeEscrow once an inspection period after the deadline passes without a dispute.
+ * Milestone escrows release the price in stages, one per round of approvals, and deliver the
+ * NFT with the last one. Trades swap NFTs between two parties, optionally with an ETH or ERC-20
+ * sweetener from either side, and settle atomically. Disputes go to an ERC-792 arbitrator such
+ * as ArbitrationPanel when one is set; the dispute resolver can always settle them directly.
  */
-contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
+contract ERC721Escrow is IERC721Receiver, IArbitrable, PaymentLedger, AdminTimelock, Pausable {
+    using SafeERC20 for IERC20;
+
     struct EscrowTransaction {
         address seller;
         address buyer;
         address nftContract;
         uint256 tokenId;
         uint256 price;
+        address paymentToken; // address(0) for native ETH
         uint256 createdAt;
         uint256 deadline;
         EscrowStatus status;
@@ -26,24 +41,85 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
     }
 
     enum EscrowStatus {
-        Active,
+        Active, // Price and NFT both deposited
         Completed,
         Cancelled,
-        Disputed
+        Disputed,
+        AwaitingBuyerFunds, // Proposed; nothing deposited yet
+        AwaitingSellerDeposit // Price deposited; waiting for the NFT
+    }
+
+    struct TradeAsset {
+        address nftContract;
+        uint256 tokenId;
+    }
+
+    // One party of a trade; its assets are stored in _tradeAssets
+    struct TradeSide {
+        address party;
+        uint256 sweetener; // Paid to the other party in the trade's payment token
+        bool deposited;
+        bool approved;
+    }
+
+    struct Trade {
+        TradeSide proposer;
+        TradeSide counterparty;
+        address paymentToken; // Sweetener currency, address(0) for native ETH
+        uint256 createdAt;
+        uint256 deadline;
+        TradeStatus status;
+    }
+
+    enum TradeStatus {
+        Open,
+        Completed,
+        Cancelled
     }
 
     // State variables
     mapping(uint256 => EscrowTransaction) public escrowTransactions;
     mapping(address => bool) public whitelistedContracts;
+    mapping(address => bool) public allowedPaymentTokens;
     mapping(address => uint256[]) public userEscrows;
+    // Milestone escrows only: the amount of each stage, summing to the price
+    mapping(uint256 => uint256[]) internal _milestones;
+    mapping(uint256 => uint256) public currentMilestone; // Index of the next stage to release
+    mapping(uint256 => uint256) public releasedAmount; // Price already paid out to the seller
+    mapping(uint256 => uint256) public autoCompleteAt; // When silence completes the escrow, 0 if it never does
+    mapping(uint256 => bool) public disputed; // Whether the escrow was ever disputed, which rules out finalizeEscrow
+    mapping(uint256 => Trade) internal _trades;
+    mapping(uint256 => mapping(address => TradeAsset[])) internal _tradeAssets; // trade => party => assets it gives
+    mapping(address => uint256[]) public userTrades;
     
+    uint256 public nextTradeId = 1;
+    uint256 public constant MAX_TRADE_ASSETS = 20; // Per side
+    uint256 public constant MAX_MILESTONES = 20;
+
     uint256 public nextEscrowId = 1;
     uint256 public escrowFeePercentage = 250; // 2.5%
     uint256 public constant MAX_FEE_PERCENTAGE = 1000; // 10%
     uint256 public disputeWindow = 7 days;
     
     address public feeRecipient;
+    // Optional; escrows pay no royalties while unset
+    RoyaltyEngine public royaltyEngine;
     address public disputeResolver;
+    IArbitrator public arbitrator;
+
+    // Arbitrator rulings: 0 means refused, CANCEL_RULING cancels the escrow, otherwise ruling - 1
+    // is the buyer's refund in basis points
+    uint256 public constant CANCEL_RULING = 10002;
+    uint256 public constant RULING_OPTIONS = 10002;
+    // An escrow's dispute stays with the arbitrator that opened it, even after setArbitrator
+    mapping(uint256 => uint256) public escrowDisputes; // escrow id => arbitrator dispute id
+    mapping(uint256 => IArbitrator) public disputeArbitrators; // escrow id => arbitrator of its dispute
+    mapping(address => mapping(uint256 => uint256)) public disputeEscrows; // arbitrator => dispute id => escrow id
+
+    // Cumulative royalties credited, by payment token
+    mapping(address => mapping(address => uint256)) public royaltiesEarned; // recipient => token
+    mapping(address => mapping(address => uint256)) public collectionRoyaltiesPaid; // collection => token
+    mapping(address => mapping(address => mapping(address => uint256))) public royaltiesEarnedFromCollection; // recipient => collection => token
 
     // Events
     event EscrowCreated(
@@ -55,48 +131,187 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
         uint256 price
     );
     
+    event EscrowFunded(uint256 indexed escrowId);
+    event EscrowNFTDeposited(uint256 indexed escrowId);
+    event MilestoneReleased(uint256 indexed escrowId, uint256 milestone, uint256 amount);
     event EscrowCompleted(uint256 indexed escrowId);
     event EscrowCancelled(uint256 indexed escrowId);
     event EscrowDisputed(uint256 indexed escrowId);
     event DisputeResolved(uint256 indexed escrowId, bool favorBuyer);
+    event TradeCreated(uint256 indexed tradeId, address indexed proposer, address indexed counterparty);
+    event TradeDeposited(uint256 indexed tradeId, address indexed party);
+    event TradeApproved(uint256 indexed tradeId, address indexed party);
+    event TradeCompleted(uint256 indexed tradeId);
+    event TradeCancelled(uint256 indexed tradeId);
     event FeeUpdated(uint256 newFeePercentage);
     event ContractWhitelisted(address indexed nftContract, bool whitelisted);
+    event PaymentTokenUpdated(address indexed paymentToken, bool allowed);
+    event RoyaltyEngineUpdated(address indexed royaltyEngine);
+    event ArbitratorUpdated(address indexed arbitrator);
+    event RoyaltyPaid(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed recipient,
+        uint256 amount,
+        RoyaltyEngine.RoyaltySource source,
+        address paymentToken
+    );
+    event RoyaltyCapped(address indexed nftContract, uint256 indexed tokenId, uint256 owed, uint256 paid);
+
+    // Errors
+    error OnlyDisputeResolver();
+    error OnlyArbitrator();
+    error InvalidDisputeId();
+    error InvalidRuling();
+    error InvalidEscrowId();
+    error PaymentTokenNotAllowed();
+    error InvalidBuyer();
+    error BuyerIsSeller();
+    error ContractNotWhitelisted();
+    error ZeroPrice();
+    error InvalidDeadline();
+    error NotTokenOwner();
+    error ContractNotApproved();
+    error EscrowNotActive();
+    error EscrowNotAwaitingFunds();
+    error EscrowNotAwaitingDeposit();
+    error EscrowExpired();
+    error IncorrectPayment();
+    error EscrowNotDisputed();
+    error NotAuthorized();
+    error NotAuthorizedToCancel();
+    error DisputeWindowClosed();
+    error FeeTooHigh();
+    error InvalidMilestones();
+    error NotFinalizable();
+    error EscrowAutoCompletes();
+    error InvalidTradeId();
+    error InvalidCounterparty();
+    error EmptyTradeSide();
+    error TooManyTradeAssets();
+    error TradeNotOpen();
+    error AlreadyDeposited();
+    error TradeNotDeposited();
 
     constructor(address _feeRecipient, address _disputeResolver) {
         feeRecipient = _feeRecipient;
         disputeResolver = _disputeResolver;
+
+        _allowChange(this.setEscrowFee.selector);
+        _allowChange(this.setFeeRecipient.selector);
+        _allowChange(this.setRoyaltyEngine.selector);
+        _allowChange(this.setArbitrator.selector);
+        _allowChange(this.setDisputeResolver.selector);
     }
 
     modifier onlyDisputeResolver() {
-        require(msg.sender == disputeResolver, "Only dispute resolver");
+        if (msg.sender != disputeResolver) revert OnlyDisputeResolver();
         _;
     }
 
     modifier validEscrow(uint256 escrowId) {
-        require(escrowId > 0 && escrowId < nextEscrowId, "Invalid escrow ID");
+        if (escrowId == 0 || escrowId >= nextEscrowId) revert InvalidEscrowId();
+        _;
+    }
+
+    modifier validTrade(uint256 tradeId) {
+        if (tradeId == 0 || tradeId >= nextTradeId) revert InvalidTradeId();
         _;
     }
 
     /**
-     * @dev Create a new escrow transaction
+     * @dev Propose an escrow priced in ETH. Nothing is deposited yet: the buyer funds it with
+     * fundEscrow, then the seller deposits the NFT with depositNFT, both before the deadline.
      */
     function createEscrow(
         address buyer,
         address nftContract,
         uint256 tokenId,
-        uint256 deadline
-    ) external payable nonReentrant whenNotPaused {
-        require(buyer != address(0), "Invalid buyer address");
-        require(buyer != msg.sender, "Buyer cannot be seller");
-        require(whitelistedContracts[nftContract], "Contract not whitelisted");
-        require(msg.value > 0, "Price must be greater than 0");
-        require(deadline > block.timestamp, "Invalid deadline");
-
-        // Verify seller owns the NFT
-        IERC721 nft = IERC721(nftContract);
-        require(nft.ownerOf(tokenId) == msg.sender, "Seller doesn't own NFT");
-        require(nft.isApprovedForAll(msg.sender, address(this)) || 
-                nft.getApproved(tokenId) == address(this), "Contract not approved");
+        uint256 deadline,
+        uint256 price
+    ) external nonReentrant whenNotPaused {
+        _createEscrow(buyer, nftContract, tokenId, deadline, address(0), price);
+    }
+
+    /**
+     * @dev Propose an escrow priced in an allowed ERC-20 token
+     */
+    function createEscrowWithCurrency(
+        address buyer,
+        address nftContract,
+        uint256 tokenId,
+        uint256 deadline,
+        address paymentToken,
+        uint256 price
+    ) external nonReentrant whenNotPaused {
+        if (!allowedPaymentTokens[paymentToken]) revert PaymentTokenNotAllowed();
+        _createEscrow(buyer, nftContract, tokenId, deadline, paymentToken, price);
+    }
+
+    /**
+     * @dev Propose an escrow that completes on silence: if nobody disputes it by the deadline
+     * plus `inspectionPeriod`, anyone can settle it in the buyer's favour with finalizeEscrow,
+     * and it can no longer be cancelled after the deadline. `paymentToken` is address(0) for ETH.
+     */
+    function createEscrowWithAutoComplete(
+        address buyer,
+        address nftContract,
+        uint256 tokenId,
+        uint256 deadline,
+        address paymentToken,
+        uint256 price,
+        uint256 inspectionPeriod
+    ) external nonReentrant whenNotPaused returns (uint256 escrowId) {
+        if (paymentToken != address(0) && !allowedPaymentTokens[paymentToken]) revert PaymentTokenNotAllowed();
+
+        escrowId = nextEscrowId;
+        _createEscrow(buyer, nftContract, tokenId, deadline, paymentToken, price);
+        autoCompleteAt[escrowId] = deadline + inspectionPeriod;
+    }
+
+    /**
+     * @dev Propose an escrow paid in stages, e.g. for commissioned work. The buyer funds the sum
+     * of `amounts` up front and the seller deposits the NFT as usual; each round of approvals
+     * then releases the current milestone, and the last one also delivers the NFT.
+     */
+    function createMilestoneEscrow(
+        address buyer,
+        address nftContract,
+        uint256 tokenId,
+        uint256 deadline,
+        address paymentToken,
+        uint256[] calldata amounts
+    ) external nonReentrant whenNotPaused returns (uint256 escrowId) {
+        if (paymentToken != address(0) && !allowedPaymentTokens[paymentToken]) revert PaymentTokenNotAllowed();
+        if (amounts.length == 0 || amounts.length > MAX_MILESTONES) revert InvalidMilestones();
+
+        uint256 price;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            if (amounts[i] == 0) revert ZeroPrice();
+            price += amounts[i];
+        }
+
+        escrowId = nextEscrowId;
+        _createEscrow(buyer, nftContract, tokenId, deadline, paymentToken, price);
+        _milestones[escrowId] = amounts;
+    }
+
+    function _createEscrow(
+        address buyer,
+        address nftContract,
+        uint256 tokenId,
+        uint256 deadline,
+        address paymentToken,
+        uint256 price
+    ) internal {
+        if (buyer == address(0)) revert InvalidBuyer();
+        if (buyer == msg.sender) revert BuyerIsSeller();
+        if (!whitelistedContracts[nftContract]) revert ContractNotWhitelisted();
+        if (price == 0) revert ZeroPrice();
+        if (deadline <= block.timestamp) revert InvalidDeadline();
+
+        // Verify seller owns the NFT; it is deposited once the buyer has funded the escrow
+        if (IERC721(nftContract).ownerOf(tokenId) != msg.sender) revert NotTokenOwner();
 
         uint256 escrowId = nextEscrowId++;
         
@@ -105,10 +320,11 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
             buyer: buyer,
             nftContract: nftContract,
             tokenId: tokenId,
-            price: msg.value,
+            price: price,
+            paymentToken: paymentToken,
             createdAt: block.timestamp,
             deadline: deadline,
-            status: EscrowStatus.Active,
+            status: EscrowStatus.AwaitingBuyerFunds,
             sellerApproved: false,
             buyerApproved: false
         });
@@ -116,19 +332,62 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
         userEscrows[msg.sender].push(escrowId);
         userEscrows[buyer].push(escrowId);
 
-        // Transfer NFT to escrow
-        nft.safeTransferFrom(msg.sender, address(this), tokenId);
+        emit EscrowCreated(escrowId, msg.sender, buyer, nftContract, tokenId, price);
+    }
+
+    /**
+     * @dev Deposit the price of a proposed escrow (buyer only). ETH escrows must send exactly the
+     * price; ERC-20 escrows pull it from the buyer's allowance.
+     */
+    function fundEscrow(uint256 escrowId) external payable nonReentrant whenNotPaused validEscrow(escrowId) {
+        EscrowTransaction storage escrow = escrowTransactions[escrowId];
+        if (escrow.status != EscrowStatus.AwaitingBuyerFunds) revert EscrowNotAwaitingFunds();
+        if (msg.sender != escrow.buyer) revert NotAuthorized();
+        if (block.timestamp > escrow.deadline) revert EscrowExpired();
+
+        escrow.status = EscrowStatus.AwaitingSellerDeposit;
+
+        if (escrow.paymentToken == address(0)) {
+            if (msg.value != escrow.price) revert IncorrectPayment();
+        } else {
+            if (msg.value != 0) revert IncorrectPayment();
+            IERC20(escrow.paymentToken).safeTransferFrom(msg.sender, address(this), escrow.price);
+        }
+
+        emit EscrowFunded(escrowId);
+    }
+
+    /**
+     * @dev Deposit the NFT of a funded escrow (seller only), which makes the escrow Active
+     */
+    function depositNFT(uint256 escrowId) external nonReentrant whenNotPaused validEscrow(escrowId) {
+        EscrowTransaction storage escrow = escrowTransactions[escrowId];
+        if (escrow.status != EscrowStatus.AwaitingSellerDeposit) revert EscrowNotAwaitingDeposit();
+        if (msg.sender != escrow.seller) revert NotAuthorized();
+        if (block.timestamp > escrow.deadline) revert EscrowExpired();
+
+        IERC721 nft = IERC721(escrow.nftContract);
+        if (nft.ownerOf(escrow.tokenId) != msg.sender) revert NotTokenOwner();
+        if (
+            !nft.isApprovedForAll(msg.sender, address(this)) &&
+            nft.getApproved(escrow.tokenId) != address(this)
+        ) {
+            revert ContractNotApproved();
+        }
 
-        emit EscrowCreated(escrowId, msg.sender, buyer, nftContract, tokenId, msg.value);
+        escrow.status = EscrowStatus.Active;
+        nft.safeTransferFrom(msg.sender, address(this), escrow.tokenId);
+
+        emit EscrowNFTDeposited(escrowId);
     }
 
     /**
      * @dev Approve escrow completion
      */
-    function approveEscrow(uint256 escrowId) external validEscrow(escrowId) {
+    function approveEscrow(uint256 escrowId) external nonReentrant validEscrow(escrowId) {
         EscrowTransaction storage escrow = escrowTransactions[escrowId];
-        require(escrow.status == EscrowStatus.Active, "Escrow not active");
-        require(msg.sender == escrow.seller || msg.sender == escrow.buyer, "Not authorized");
+        if (escrow.status != EscrowStatus.Active) revert EscrowNotActive();
+        if (msg.sender != escrow.seller && msg.sender != escrow.buyer) revert NotAuthorized();
 
         if (msg.sender == escrow.seller) {
             escrow.sellerApproved = true;
@@ -136,53 +395,182 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
             escrow.buyerApproved = true;
         }
 
-        // Complete escrow if both parties approved
+        // Release the current milestone, or complete the escrow, if both parties approved
         if (escrow.sellerApproved && escrow.buyerApproved) {
-            _completeEscrow(escrowId);
+            _releaseMilestone(escrowId, 0);
         }
     }
 
     /**
-     * @dev Complete escrow transaction
+     * @dev Complete an auto-complete escrow nobody disputed once its inspection period is over,
+     * as if both parties had approved (anyone). Once disputed, even after a ruling, the escrow
+     * only settles through the dispute.
+     */
+    function finalizeEscrow(uint256 escrowId) external nonReentrant validEscrow(escrowId) {
+        if (escrowTransactions[escrowId].status != EscrowStatus.Active) revert EscrowNotActive();
+        uint256 completesAt = autoCompleteAt[escrowId];
+        if (completesAt == 0 || block.timestamp < completesAt || disputed[escrowId]) revert NotFinalizable();
+
+        _releaseMilestone(escrowId, 0);
+    }
+
+    /**
+     * @dev Pay out the current milestone, crediting `refundBps` of it back to the buyer, and
+     * reset the approvals for the next one. The last milestone, or a plain escrow, pays out
+     * whatever is still held and completes the escrow instead.
      */
-    function _completeEscrow(uint256 escrowId) internal {
+    function _releaseMilestone(uint256 escrowId, uint256 refundBps) internal {
         EscrowTransaction storage escrow = escrowTransactions[escrowId];
-        escrow.status = EscrowStatus.Completed;
+        uint256[] storage milestones = _milestones[escrowId];
+        uint256 milestone = currentMilestone[escrowId];
+        bool last = milestone + 1 >= milestones.length;
+
+        uint256 amount = last ? escrow.price - releasedAmount[escrowId] : milestones[milestone];
+        releasedAmount[escrowId] += amount;
+        if (milestones.length > 0) {
+            currentMilestone[escrowId] = milestone + 1;
+            emit MilestoneReleased(escrowId, milestone, amount);
+        }
 
-        // Calculate fee and transfer amounts
-        uint256 fee = (escrow.price * escrowFeePercentage) / 10000;
-        uint256 sellerAmount = escrow.price - fee;
+        if (last) {
+            // Transfer NFT to buyer
+            escrow.status = EscrowStatus.Completed;
+            IERC721(escrow.nftContract).safeTransferFrom(address(this), escrow.buyer, escrow.tokenId);
+        } else {
+            escrow.sellerApproved = false;
+            escrow.buyerApproved = false;
+        }
 
-        // Transfer NFT to buyer
-        IERC721(escrow.nftContract).safeTransferFrom(address(this), escrow.buyer, escrow.tokenId);
+        uint256 refund = (amount * refundBps) / 10000;
+        _creditPayment(escrow.paymentToken, escrow.buyer, refund);
+        _creditSale(escrow, amount - refund);
 
-        // Transfer payment to seller and fee to recipient
-        payable(escrow.seller).transfer(sellerAmount);
-        if (fee > 0) {
-            payable(feeRecipient).transfer(fee);
+        if (last) emit EscrowCompleted(escrowId);
+    }
+
+    /**
+     * @dev Credit `amount` of an escrow's price to the seller, less the fee and royalties
+     */
+    function _creditSale(EscrowTransaction storage escrow, uint256 amount) internal {
+        // Calculate fee, royalties and transfer amounts
+        uint256 fee = (amount * escrowFeePercentage) / 10000;
+        (
+            address[] memory royaltyRecipients,
+            uint256[] memory royaltyAmounts,
+            uint256 royaltyTotal,
+            uint256 royaltyOwed,
+            RoyaltyEngine.RoyaltySource royaltySource
+        ) = _royaltySplits(escrow.nftContract, escrow.tokenId, escrow.seller, amount, fee);
+        uint256 sellerAmount = amount - fee - royaltyTotal;
+        if (royaltyTotal != royaltyOwed) {
+            emit RoyaltyCapped(escrow.nftContract, escrow.tokenId, royaltyOwed, royaltyTotal);
         }
 
-        emit EscrowCompleted(escrowId);
+        // Credit payment to seller, fee to recipient and royalties to every payee
+        _creditPayment(escrow.paymentToken, escrow.seller, sellerAmount);
+        _creditPayment(escrow.paymentToken, feeRecipient, fee);
+        _creditRoyalties(escrow, royaltyRecipients, royaltyAmounts, royaltySource);
     }
 
     /**
-     * @dev Cancel escrow (only before deadline or if disputed)
+     * @dev Credit every royalty payee of a settlement, count it in the royalty totals and emit
+     * RoyaltyPaid for each nonzero payment
      */
-    function cancelEscrow(uint256 escrowId) external validEscrow(escrowId) {
+    function _creditRoyalties(
+        EscrowTransaction storage escrow,
+        address[] memory recipients,
+        uint256[] memory amounts,
+        RoyaltyEngine.RoyaltySource source
+    ) internal {
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (amounts[i] == 0) continue;
+
+            _creditPayment(escrow.paymentToken, recipients[i], amounts[i]);
+            royaltiesEarned[recipients[i]][escrow.paymentToken] += amounts[i];
+            collectionRoyaltiesPaid[escrow.nftContract][escrow.paymentToken] += amounts[i];
+            royaltiesEarnedFromCollection[recipients[i]][escrow.nftContract][escrow.paymentToken] += amounts[i];
+            emit RoyaltyPaid(escrow.nftContract, escrow.tokenId, recipients[i], amounts[i], source, escrow.paymentToken);
+        }
+    }
+
+    /**
+     * @dev Royalty payees for a settlement, priced as a primary sale when the seller administers
+     * the collection. Empty without a royalty engine. Royalties that would not fit in the price
+     * after the fee are scaled down pro rata to fit, so a misconfigured engine cannot block
+     * settlement; owed is the total before scaling.
+     */
+    function _royaltySplits(
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        uint256 price,
+        uint256 fee
+    )
+        internal
+        view
+        returns (
+            address[] memory recipients,
+            uint256[] memory amounts,
+            uint256 total,
+            uint256 owed,
+            RoyaltyEngine.RoyaltySource source
+        )
+    {
+        if (address(royaltyEngine) == address(0)) {
+            return (recipients, amounts, 0, 0, source);
+        }
+
+        bool primarySale = royaltyEngine.isCollectionAdmin(nftContract, seller);
+        (recipients, amounts, source) = royaltyEngine.getRoyaltyForSale(nftContract, tokenId, price, primarySale);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            owed += amounts[i];
+        }
+        total = owed;
+        if (owed > price - fee) {
+            uint256 allowance = price - fee;
+            total = 0;
+            for (uint256 i = 0; i < amounts.length; i++) {
+                amounts[i] = (amounts[i] * allowance) / owed;
+                total += amounts[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Cancel an escrow that is not yet settled or disputed. Either party may cancel at any
+     * time, anyone else only after the deadline. Whatever has been deposited is returned.
+     */
+    function cancelEscrow(uint256 escrowId) external nonReentrant validEscrow(escrowId) {
         EscrowTransaction storage escrow = escrowTransactions[escrowId];
-        require(escrow.status == EscrowStatus.Active, "Escrow not active");
-        require(
-            msg.sender == escrow.seller || 
-            msg.sender == escrow.buyer || 
-            block.timestamp > escrow.deadline,
-            "Not authorized to cancel"
-        );
+        EscrowStatus status = escrow.status;
+        if (
+            status != EscrowStatus.Active &&
+            status != EscrowStatus.AwaitingBuyerFunds &&
+            status != EscrowStatus.AwaitingSellerDeposit
+        ) {
+            revert EscrowNotActive();
+        }
+        if (
+            msg.sender != escrow.seller &&
+            msg.sender != escrow.buyer &&
+            block.timestamp <= escrow.deadline
+        ) {
+            revert NotAuthorizedToCancel();
+        }
+        // Past the deadline, silence settles an auto-complete escrow rather than unwinding it
+        if (status == EscrowStatus.Active && autoCompleteAt[escrowId] != 0 && block.timestamp > escrow.deadline) {
+            revert EscrowAutoCompletes();
+        }
 
         escrow.status = EscrowStatus.Cancelled;
 
-        // Return NFT to seller and ETH to buyer
-        IERC721(escrow.nftContract).safeTransferFrom(address(this), escrow.seller, escrow.tokenId);
-        payable(escrow.buyer).transfer(escrow.price);
+        // Return the NFT to the seller and credit the price back to the buyer, if deposited
+        if (status == EscrowStatus.Active) {
+            IERC721(escrow.nftContract).safeTransferFrom(address(this), escrow.seller, escrow.tokenId);
+        }
+        if (status != EscrowStatus.AwaitingBuyerFunds) {
+            _creditPayment(escrow.paymentToken, escrow.buyer, escrow.price - releasedAmount[escrowId]);
+        }
 
         emit EscrowCancelled(escrowId);
     }
@@ -192,32 +580,250 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
      */
     function initiateDispute(uint256 escrowId) external validEscrow(escrowId) {
         EscrowTransaction storage escrow = escrowTransactions[escrowId];
-        require(escrow.status == EscrowStatus.Active, "Escrow not active");
-        require(msg.sender == escrow.seller || msg.sender == escrow.buyer, "Not authorized");
-        require(block.timestamp <= escrow.deadline + disputeWindow, "Dispute window closed");
+        if (escrow.status != EscrowStatus.Active) revert EscrowNotActive();
+        if (msg.sender != escrow.seller && msg.sender != escrow.buyer) revert NotAuthorized();
+        if (block.timestamp > escrow.deadline + disputeWindow) revert DisputeWindowClosed();
 
         escrow.status = EscrowStatus.Disputed;
+        disputed[escrowId] = true;
         emit EscrowDisputed(escrowId);
+
+        // Without an arbitrator the dispute is left to the dispute resolver
+        IArbitrator disputeArbitrator = arbitrator;
+        uint256 disputeId;
+        if (address(disputeArbitrator) != address(0)) {
+            disputeId = disputeArbitrator.createDispute(RULING_OPTIONS, "");
+            disputeEscrows[address(disputeArbitrator)][disputeId] = escrowId;
+            emit Dispute(disputeArbitrator, disputeId, 0, escrowId);
+        }
+        escrowDisputes[escrowId] = disputeId;
+        disputeArbitrators[escrowId] = disputeArbitrator;
     }
 
     /**
-     * @dev Resolve dispute (only dispute resolver)
+     * @dev Submit evidence for an escrow's dispute as a URI, e.g. to a JSON file on IPFS, per
+     * ERC-1497 with the escrow id as the evidence group (buyer or seller). It is addressed to the
+     * arbitrator of the escrow's dispute, or before one is opened to the current arbitrator.
      */
-    function resolveDispute(uint256 escrowId, bool favorBuyer) external onlyDisputeResolver validEscrow(escrowId) {
+    function submitEvidence(uint256 escrowId, string calldata evidence) external validEscrow(escrowId) {
         EscrowTransaction storage escrow = escrowTransactions[escrowId];
-        require(escrow.status == EscrowStatus.Disputed, "Escrow not disputed");
+        if (msg.sender != escrow.seller && msg.sender != escrow.buyer) revert NotAuthorized();
+
+        IArbitrator evidenceArbitrator = disputeArbitrators[escrowId];
+        if (address(evidenceArbitrator) == address(0)) {
+            evidenceArbitrator = arbitrator;
+        }
+        emit Evidence(evidenceArbitrator, escrowId, msg.sender, evidence);
+    }
+
+    /**
+     * @dev Appeal the ruling on an escrow's dispute to the arbitrator that opened it, while its
+     * appeal window is open (buyer or seller)
+     */
+    function appealDispute(uint256 escrowId) external validEscrow(escrowId) {
+        EscrowTransaction storage escrow = escrowTransactions[escrowId];
+        if (escrow.status != EscrowStatus.Disputed) revert EscrowNotDisputed();
+        if (msg.sender != escrow.seller && msg.sender != escrow.buyer) revert NotAuthorized();
+
+        IArbitrator disputeArbitrator = disputeArbitrators[escrowId];
+        if (address(disputeArbitrator) == address(0)) revert InvalidDisputeId();
+        disputeArbitrator.appeal(escrowDisputes[escrowId], "");
+    }
 
-        if (favorBuyer) {
-            // Buyer wins - complete the transaction
-            _completeEscrow(escrowId);
+    /**
+     * @dev Apply a ruling from the arbitrator that opened the escrow's current dispute, which
+     * need not be the current arbitrator. Ruling 0 means it refused to rule and leaves the
+     * escrow Disputed for the dispute resolver, CANCEL_RULING cancels the escrow, and otherwise
+     * ruling - 1 is the buyer's refund.
+     */
+    function rule(uint256 disputeId, uint256 ruling) external override nonReentrant {
+        uint256 escrowId = disputeEscrows[msg.sender][disputeId];
+        if (escrowId == 0 || address(disputeArbitrators[escrowId]) != msg.sender) revert OnlyArbitrator();
+        if (escrowDisputes[escrowId] != disputeId) revert InvalidDisputeId();
+        if (ruling > RULING_OPTIONS) revert InvalidRuling();
+
+        emit Ruling(IArbitrator(msg.sender), disputeId, ruling);
+        if (ruling == 0) {
+            if (escrowTransactions[escrowId].status != EscrowStatus.Disputed) revert EscrowNotDisputed();
         } else {
-            // Seller wins - cancel the transaction
+            _settleDispute(escrowId, ruling == CANCEL_RULING, ruling - 1);
+        }
+    }
+
+    /**
+     * @dev Resolve dispute (only dispute resolver), including one with the arbitrator, e.g. if
+     * it stops responding or refuses to rule. Favoring the buyer releases the disputed funds
+     * and, with the last of them, the NFT; otherwise the escrow is cancelled.
+     */
+    function resolveDispute(uint256 escrowId, bool favorBuyer)
+        external
+        nonReentrant
+        onlyDisputeResolver
+        validEscrow(escrowId)
+    {
+        _settleDispute(escrowId, !favorBuyer, 0);
+        emit DisputeResolved(escrowId, favorBuyer);
+    }
+
+    /**
+     * @dev Settle a disputed escrow, refunding `refundBps` of the disputed funds to the buyer.
+     * On a milestone escrow the dispute covers the current milestone, which is released at the
+     * reduced amount while the escrow carries on; a plain escrow completes. A full refund of an
+     * earlier milestone covers only that milestone. `cancel` instead cancels the escrow,
+     * returning the NFT to the seller and refunding everything not yet released, and so does a
+     * full refund of the final milestone or a plain escrow, so the buyer never gets the NFT free.
+     */
+    function _settleDispute(uint256 escrowId, bool cancel, uint256 refundBps) internal {
+        EscrowTransaction storage escrow = escrowTransactions[escrowId];
+        if (escrow.status != EscrowStatus.Disputed) revert EscrowNotDisputed();
+
+        if (cancel || (refundBps >= 10000 && currentMilestone[escrowId] + 1 >= _milestones[escrowId].length)) {
             escrow.status = EscrowStatus.Cancelled;
             IERC721(escrow.nftContract).safeTransferFrom(address(this), escrow.seller, escrow.tokenId);
-            payable(escrow.buyer).transfer(escrow.price);
+            _creditPayment(escrow.paymentToken, escrow.buyer, escrow.price - releasedAmount[escrowId]);
+        } else {
+            escrow.status = EscrowStatus.Active;
+            _releaseMilestone(escrowId, refundBps);
         }
+    }
 
-        emit DisputeResolved(escrowId, favorBuyer);
+    /**
+     * @dev Propose swapping the caller's NFTs for the counterparty's, plus an optional sweetener
+     * from either side in `paymentToken`. Each side must give at least one NFT or a sweetener.
+     * Both parties then deposit and approve before the deadline; trades pay no fee or royalty.
+     */
+    function createTrade(
+        address counterparty,
+        TradeAsset[] calldata proposerAssets,
+        TradeAsset[] calldata counterpartyAssets,
+        address paymentToken,
+        uint256 proposerSweetener,
+        uint256 counterpartySweetener,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused returns (uint256 tradeId) {
+        if (counterparty == address(0) || counterparty == msg.sender) revert InvalidCounterparty();
+        if (paymentToken != address(0) && !allowedPaymentTokens[paymentToken]) revert PaymentTokenNotAllowed();
+        if (deadline <= block.timestamp) revert InvalidDeadline();
+        if (proposerAssets.length == 0 && proposerSweetener == 0) revert EmptyTradeSide();
+        if (counterpartyAssets.length == 0 && counterpartySweetener == 0) revert EmptyTradeSide();
+
+        tradeId = nextTradeId++;
+        Trade storage trade = _trades[tradeId];
+        trade.proposer = TradeSide(msg.sender, proposerSweetener, false, false);
+        trade.counterparty = TradeSide(counterparty, counterpartySweetener, false, false);
+        trade.paymentToken = paymentToken;
+        trade.createdAt = block.timestamp;
+        trade.deadline = deadline;
+
+        _storeTradeAssets(_tradeAssets[tradeId][msg.sender], proposerAssets);
+        _storeTradeAssets(_tradeAssets[tradeId][counterparty], counterpartyAssets);
+
+        userTrades[msg.sender].push(tradeId);
+        userTrades[counterparty].push(tradeId);
+
+        emit TradeCreated(tradeId, msg.sender, counterparty);
+    }
+
+    /**
+     * @dev Deposit the caller's side of a trade: all of its NFTs, which the escrow must be
+     * approved for, and its sweetener. ETH sweeteners are sent as msg.value; ERC-20 ones are
+     * pulled from the caller's allowance.
+     */
+    function depositTrade(uint256 tradeId) external payable nonReentrant whenNotPaused validTrade(tradeId) {
+        Trade storage trade = _trades[tradeId];
+        if (trade.status != TradeStatus.Open) revert TradeNotOpen();
+        if (block.timestamp > trade.deadline) revert EscrowExpired();
+
+        TradeSide storage side = _tradeSide(trade, msg.sender);
+        if (side.deposited) revert AlreadyDeposited();
+        side.deposited = true;
+
+        if (trade.paymentToken == address(0)) {
+            if (msg.value != side.sweetener) revert IncorrectPayment();
+        } else {
+            if (msg.value != 0) revert IncorrectPayment();
+            if (side.sweetener > 0) {
+                IERC20(trade.paymentToken).safeTransferFrom(msg.sender, address(this), side.sweetener);
+            }
+        }
+        _transferTradeAssets(_tradeAssets[tradeId][msg.sender], msg.sender, address(this));
+
+        emit TradeDeposited(tradeId, msg.sender);
+    }
+
+    /**
+     * @dev Approve a trade after depositing. The second approval settles it: each party receives
+     * the other's NFTs and is credited the other's sweetener.
+     */
+    function approveTrade(uint256 tradeId) external nonReentrant validTrade(tradeId) {
+        Trade storage trade = _trades[tradeId];
+        if (trade.status != TradeStatus.Open) revert TradeNotOpen();
+
+        TradeSide storage side = _tradeSide(trade, msg.sender);
+        if (!side.deposited) revert TradeNotDeposited();
+        side.approved = true;
+        emit TradeApproved(tradeId, msg.sender);
+
+        if (trade.proposer.approved && trade.counterparty.approved) {
+            trade.status = TradeStatus.Completed;
+
+            address proposer = trade.proposer.party;
+            address counterparty = trade.counterparty.party;
+            _transferTradeAssets(_tradeAssets[tradeId][proposer], address(this), counterparty);
+            _transferTradeAssets(_tradeAssets[tradeId][counterparty], address(this), proposer);
+            _creditPayment(trade.paymentToken, counterparty, trade.proposer.sweetener);
+            _creditPayment(trade.paymentToken, proposer, trade.counterparty.sweetener);
+
+            emit TradeCompleted(tradeId);
+        }
+    }
+
+    /**
+     * @dev Cancel an open trade and return every deposit. Either party may cancel at any time,
+     * anyone else only after the deadline.
+     */
+    function cancelTrade(uint256 tradeId) external nonReentrant validTrade(tradeId) {
+        Trade storage trade = _trades[tradeId];
+        if (trade.status != TradeStatus.Open) revert TradeNotOpen();
+        if (
+            msg.sender != trade.proposer.party &&
+            msg.sender != trade.counterparty.party &&
+            block.timestamp <= trade.deadline
+        ) {
+            revert NotAuthorizedToCancel();
+        }
+
+        trade.status = TradeStatus.Cancelled;
+        _returnTradeDeposit(tradeId, trade.paymentToken, trade.proposer);
+        _returnTradeDeposit(tradeId, trade.paymentToken, trade.counterparty);
+
+        emit TradeCancelled(tradeId);
+    }
+
+    function _tradeSide(Trade storage trade, address party) private view returns (TradeSide storage) {
+        if (party == trade.proposer.party) return trade.proposer;
+        if (party == trade.counterparty.party) return trade.counterparty;
+        revert NotAuthorized();
+    }
+
+    function _storeTradeAssets(TradeAsset[] storage stored, TradeAsset[] calldata assets) private {
+        if (assets.length > MAX_TRADE_ASSETS) revert TooManyTradeAssets();
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (!whitelistedContracts[assets[i].nftContract]) revert ContractNotWhitelisted();
+            stored.push(assets[i]);
+        }
+    }
+
+    function _transferTradeAssets(TradeAsset[] storage assets, address from, address to) private {
+        for (uint256 i = 0; i < assets.length; i++) {
+            IERC721(assets[i].nftContract).safeTransferFrom(from, to, assets[i].tokenId);
+        }
+    }
+
+    function _returnTradeDeposit(uint256 tradeId, address paymentToken, TradeSide storage side) private {
+        if (!side.deposited) return;
+        _transferTradeAssets(_tradeAssets[tradeId][side.party], address(this), side.party);
+        _creditPayment(paymentToken, side.party, side.sweetener);
     }
 
     /**
@@ -228,11 +834,20 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
         emit ContractWhitelisted(nftContract, whitelisted);
     }
 
+    /**
+     * @dev Allow or disallow an ERC-20 token as a payment currency
+     */
+    function setPaymentToken(address paymentToken, bool allowed) external onlyOwner {
+        if (paymentToken == address(0)) revert InvalidAddress();
+        allowedPaymentTokens[paymentToken] = allowed;
+        emit PaymentTokenUpdated(paymentToken, allowed);
+    }
+
     /**
      * @dev Update escrow fee percentage
      */
-    function setEscrowFee(uint256 newFeePercentage) external onlyOwner {
-        require(newFeePercentage <= MAX_FEE_PERCENTAGE, "Fee too high");
+    function setEscrowFee(uint256 newFeePercentage) external onlyAdmin {
+        if (newFeePercentage > MAX_FEE_PERCENTAGE) revert FeeTooHigh();
         escrowFeePercentage = newFeePercentage;
         emit FeeUpdated(newFeePercentage);
     }
@@ -240,19 +855,58 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
     /**
      * @dev Update fee recipient
      */
-    function setFeeRecipient(address newFeeRecipient) external onlyOwner {
-        require(newFeeRecipient != address(0), "Invalid address");
+    function setFeeRecipient(address newFeeRecipient) external onlyAdmin {
+        if (newFeeRecipient == address(0)) revert InvalidAddress();
         feeRecipient = newFeeRecipient;
     }
 
+    /**
+     * @dev Set the royalty engine escrow settlements pay royalties through, or address(0) to
+     * settle without royalties
+     */
+    function setRoyaltyEngine(address newRoyaltyEngine) external onlyAdmin {
+        royaltyEngine = RoyaltyEngine(newRoyaltyEngine);
+        emit RoyaltyEngineUpdated(newRoyaltyEngine);
+    }
+
+    /**
+     * @dev Set the arbitrator new disputes are opened with, or address(0) to leave them to the
+     * dispute resolver
+     */
+    function setArbitrator(address newArbitrator) external onlyAdmin {
+        arbitrator = IArbitrator(newArbitrator);
+        emit ArbitratorUpdated(newArbitrator);
+    }
+
     /**
      * @dev Update dispute resolver
      */
-    function setDisputeResolver(address newDisputeResolver) external onlyOwner {
-        require(newDisputeResolver != address(0), "Invalid address");
+    function setDisputeResolver(address newDisputeResolver) external onlyAdmin {
+        if (newDisputeResolver == address(0)) revert InvalidAddress();
         disputeResolver = newDisputeResolver;
     }
 
+    /**
+     * @dev What an escrow at `price` would pay out on completion, in the same shape as
+     * ERC721Marketplace.quote. The royalty fields are zero while no royalty engine is set;
+     * with a split, royaltyRecipient is the first payee and royaltyAmount the total. The caller
+     * is taken to be the seller.
+     */
+    function quote(address nftContract, uint256 tokenId, uint256 price)
+        external
+        view
+        returns (uint256 marketplaceFee, address royaltyRecipient, uint256 royaltyAmount, uint256 sellerProceeds)
+    {
+        marketplaceFee = (price * escrowFeePercentage) / 10000;
+        (address[] memory royaltyRecipients, , uint256 royaltyTotal, , ) =
+            _royaltySplits(nftContract, tokenId, msg.sender, price, marketplaceFee);
+        if (royaltyRecipients.length > 0) {
+            royaltyRecipient = royaltyRecipients[0];
+        }
+        royaltyAmount = royaltyTotal;
+        sellerProceeds = price - marketplaceFee - royaltyTotal;
+    }
+
     /**
      * @dev Get user's escrow IDs
      */
@@ -267,6 +921,41 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
         return escrowTransactions[escrowId];
     }
 
+    /**
+     * @dev A milestone escrow's stage amounts and the index of the next one to release, which
+     * equals amounts.length once all are released. Empty for plain escrows.
+     */
+    function getMilestones(uint256 escrowId) external view returns (uint256[] memory amounts, uint256 current) {
+        return (_milestones[escrowId], currentMilestone[escrowId]);
+    }
+
+    /**
+     * @dev Get user's trade IDs
+     */
+    function getUserTrades(address user) external view returns (uint256[] memory) {
+        return userTrades[user];
+    }
+
+    /**
+     * @dev Get trade details
+     */
+    function getTrade(uint256 tradeId) external view returns (Trade memory) {
+        return _trades[tradeId];
+    }
+
+    /**
+     * @dev The NFTs each side of a trade gives
+     */
+    function getTradeAssets(uint256 tradeId)
+        external
+        view
+        returns (TradeAsset[] memory proposerAssets, TradeAsset[] memory counterpartyAssets)
+    {
+        Trade storage trade = _trades[tradeId];
+        proposerAssets = _tradeAssets[tradeId][trade.proposer.party];
+        counterpartyAssets = _tradeAssets[tradeId][trade.counterparty.party];
+    }
+
     /**
      * @dev Handle NFT transfers
      */
@@ -287,11 +976,4 @@ contract ERC721Escrow is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
     function unpause() external onlyOwner {
         _unpause();
     }
-
-    /**
-     * @dev Emergency withdrawal (only owner, only when paused)
-     */
-    function emergencyWithdraw() external onlyOwner whenPaused {
-        payable(owner()).transfer(address(this).balance);
-    }
 }
@@ -1,114 +1,39 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "./RoyaltyEngine.sol";
+import "./ERC721MarketplaceBase.sol";
 
 /**
  * @title ERC721Marketplace
  * @dev Decentralized marketplace for ERC721 tokens with royalty support
  */
-contract ERC721Marketplace is IERC721Receiver, ReentrancyGuard, Ownable, Pausable {
-    struct Listing {
-        address seller;
-        address nftContract;
-        uint256 tokenId;
-        uint256 price;
-        uint256 createdAt;
-        uint256 expiresAt;
-        bool active;
-    }
-
-    struct Offer {
-        address buyer;
-        address nftContract;
-        uint256 tokenId;
-        uint256 amount;
-        uint256 createdAt;
-        uint256 expiresAt;
-        bool active;
-    }
-
-    // State variables
-    mapping(bytes32 => Listing) public listings;
-    mapping(bytes32 => Offer) public offers;
-    mapping(address => mapping(uint256 => bytes32)) public tokenToListingId;
-    mapping(address => bytes32[]) public userListings;
-    mapping(address => bytes32[]) public userOffers;
-    mapping(address => bool) public whitelistedContracts;
-    
-    RoyaltyEngine public royaltyEngine;
-    
-    uint256 public marketplaceFeePercentage = 250; // 2.5%
-    uint256 public constant MAX_FEE_PERCENTAGE = 1000; // 10%
-    address public feeRecipient;
-    
-    uint256 public totalListings;
-    uint256 public totalSales;
-    uint256 public totalVolume;
-
-    // Events
-    event ItemListed(
-        bytes32 indexed listingId,
-        address indexed seller,
-        address indexed nftContract,
-        uint256 tokenId,
-        uint256 price
-    );
-    
-    event ItemSold(
-        bytes32 indexed listingId,
-        address indexed buyer,
-        address indexed seller,
-        address nftContract,
-        uint256 tokenId,
-        uint256 price
-    );
-    
-    event ListingCancelled(bytes32 indexed listingId);
-    event ListingUpdated(bytes32 indexed listingId, uint256 newPrice);
-    
-    event OfferCreated(
-        bytes32 indexed offerId,
-        address indexed buyer,
-        address indexed nftContract,
-        uint256 tokenId,
-        uint256 amount
-    );
-    
-    event OfferAccepted(
-        bytes32 indexed offerId,
-        address indexed seller,
-        address indexed buyer,
-        uint256 amount
-    );
-    
-    event OfferCancelled(bytes32 indexed offerId);
-
-    constructor(address _feeRecipient, address _royaltyEngine) {
-        feeRecipient = _feeRecipient;
-        royaltyEngine = RoyaltyEngine(_royaltyEngine);
-    }
-
-    modifier onlyWhitelistedContract(address nftContract) {
-        require(whitelistedContracts[nftContract], "Contract not whitelisted");
-        _;
-    }
-
-    modifier validListing(bytes32 listingId) {
-        require(listings[listingId].active, "Listing not active");
-        require(listings[listingId].expiresAt > block.timestamp, "Listing expired");
-        _;
-    }
-
-    modifier validOffer(bytes32 offerId) {
-        require(offers[offerId].active, "Offer not active");
-        require(offers[offerId].expiresAt > block.timestamp, "Offer expired");
-        _;
+contract ERC721Marketplace is IERC721Receiver, ERC721MarketplaceBase {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Implementations of the functions forwarded by _delegate: ERC721MarketplaceExtension
+    // and ERC721MarketplaceListingsExtension, deployed separately and fixed at construction
+    address public immutable extension;
+    address public immutable listingsExtension;
+
+    constructor(
+        address _feeRecipient,
+        address _royaltyEngine,
+        address _extension,
+        address _listingsExtension
+    ) ERC721MarketplaceBase(_feeRecipient, _royaltyEngine) {
+        if (_extension.code.length == 0 || _listingsExtension.code.length == 0) revert InvalidExtension();
+        extension = _extension;
+        listingsExtension = _listingsExtension;
+
+        _allowChange(this.setMarketplaceFee.selector);
+        _allowChange(this.setCollectionFee.selector);
+        _allowChange(this.setFeeTiers.selector);
+        _allowChange(this.setTakerFeeShare.selector);
+        _allowChange(this.setMaxTotalDeductionBps.selector);
+        _allowChange(this.setFeeRecipient.selector);
+        _allowChange(this.setRoyaltyEngine.selector);
     }
 
     /**
@@ -120,211 +45,255 @@ contract ERC721Marketplace is IERC721Receiver, ReentrancyGuard, Ownable, Pausabl
         uint256 price,
         uint256 duration
     ) external nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) {
-        require(price > 0, "Price must be greater than 0");
-        require(duration > 0, "Duration must be greater than 0");
-        
-        IERC721 nft = IERC721(nftContract);
-        require(nft.ownerOf(tokenId) == msg.sender, "Not token owner");
-        require(
-            nft.isApprovedForAll(msg.sender, address(this)) || 
-            nft.getApproved(tokenId) == address(this),
-            "Contract not approved"
-        );
-
-        bytes32 listingId = keccak256(abi.encodePacked(nftContract, tokenId, block.timestamp));
-        require(!listings[listingId].active, "Already listed");
-
-        // Cancel existing listing if any
-        bytes32 existingListingId = tokenToListingId[nftContract][tokenId];
-        if (existingListingId != 0 && listings[existingListingId].active) {
-            _cancelListing(existingListingId);
-        }
+        if (price == 0) revert ZeroPrice();
+        _createListing(nftContract, tokenId, price, duration, address(0), address(0));
+    }
 
-        listings[listingId] = Listing({
-            seller: msg.sender,
-            nftContract: nftContract,
-            tokenId: tokenId,
-            price: price,
-            createdAt: block.timestamp,
-            expiresAt: block.timestamp + duration,
-            active: true
-        });
+    /**
+     * @dev List an NFT for sale priced in an allowed ERC-20 payment token
+     */
+    function listItemWithCurrency(
+        address nftContract,
+        uint256 tokenId,
+        uint256 price,
+        uint256 duration,
+        address paymentToken
+    ) external nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) onlyAllowedPaymentToken(paymentToken) {
+        if (price == 0) revert ZeroPrice();
+        _createListing(nftContract, tokenId, price, duration, paymentToken, address(0));
+    }
 
-        tokenToListingId[nftContract][tokenId] = listingId;
-        userListings[msg.sender].push(listingId);
-        totalListings++;
+    /**
+     * @dev List an NFT whose price declines from startPrice to floorPrice over the duration.
+     * A stepDuration of 0 gives a linear decline.
+     */
+    function listDutchItem(
+        address nftContract,
+        uint256 tokenId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 duration,
+        uint256 stepDuration
+    ) external nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) {
+        if (floorPrice == 0) revert ZeroPrice();
+        if (startPrice <= floorPrice) revert StartPriceNotAboveFloor();
+        if (stepDuration > duration) revert StepLongerThanDuration();
+
+        bytes32 listingId = _createListing(nftContract, tokenId, startPrice, duration, address(0), address(0));
+        dutchListings[listingId] = DutchListing({
+            startPrice: startPrice,
+            floorPrice: floorPrice,
+            stepDuration: stepDuration
+        });
 
-        emit ItemListed(listingId, msg.sender, nftContract, tokenId, price);
+        emit DutchListingCreated(listingId, startPrice, floorPrice, stepDuration);
     }
 
     /**
-     * @dev Buy a listed NFT
+     * @dev Buy a listed NFT. The buyer pays the price plus any taker share of the fee;
+     * see quoteSale.
      */
     function buyItem(bytes32 listingId) external payable nonReentrant whenNotPaused validListing(listingId) {
         Listing storage listing = listings[listingId];
-        require(msg.value >= listing.price, "Insufficient payment");
-        require(msg.sender != listing.seller, "Cannot buy own item");
-
-        // Verify seller still owns the NFT
-        IERC721 nft = IERC721(listing.nftContract);
-        require(nft.ownerOf(listing.tokenId) == listing.seller, "Seller no longer owns NFT");
-
-        listing.active = false;
-        delete tokenToListingId[listing.nftContract][listing.tokenId];
-
-        // Calculate fees and royalties
-        (address royaltyRecipient, uint256 royaltyAmount) = royaltyEngine.getRoyalty(
-            listing.nftContract,
-            listing.tokenId,
-            listing.price
-        );
-
-        uint256 marketplaceFee = (listing.price * marketplaceFeePercentage) / 10000;
-        uint256 sellerAmount = listing.price - marketplaceFee - royaltyAmount;
-
-        // Transfer NFT to buyer
-        nft.safeTransferFrom(listing.seller, msg.sender, listing.tokenId);
-
-        // Transfer payments
-        payable(listing.seller).transfer(sellerAmount);
-        if (marketplaceFee > 0) {
-            payable(feeRecipient).transfer(marketplaceFee);
+        SaleQuote memory saleQuote = quoteSale(listingId);
+        if (listing.paymentToken == address(0)) {
+            if (msg.value < saleQuote.buyerTotal) revert InsufficientPayment();
+        } else {
+            if (msg.value != 0) revert ETHNotAccepted();
+            IERC20(listing.paymentToken).safeTransferFrom(msg.sender, address(this), saleQuote.buyerTotal);
         }
-        if (royaltyAmount > 0 && royaltyRecipient != address(0)) {
-            payable(royaltyRecipient).transfer(royaltyAmount);
+        if (msg.sender == listing.seller) revert CannotBuyOwnItem();
+        if (
+            listing.reservedBuyer != address(0) &&
+            listing.reservedBuyer != msg.sender
+        ) {
+            revert ListingReservedForAnotherBuyer();
         }
 
-        // Refund excess payment
-        if (msg.value > listing.price) {
-            payable(msg.sender).transfer(msg.value - listing.price);
-        }
+        _executeSale(listingId, saleQuote);
 
-        totalSales++;
-        totalVolume += listing.price;
-
-        emit ItemSold(listingId, msg.sender, listing.seller, listing.nftContract, listing.tokenId, listing.price);
+        // Credit excess payment back to the buyer
+        if (listing.paymentToken == address(0) && msg.value > saleQuote.buyerTotal) {
+            _creditPayment(address(0), msg.sender, msg.value - saleQuote.buyerTotal);
+        }
     }
 
     /**
      * @dev Cancel a listing
      */
     function cancelListing(bytes32 listingId) external {
-        Listing storage listing = listings[listingId];
-        require(listing.seller == msg.sender || msg.sender == owner(), "Not authorized");
-        require(listing.active, "Listing not active");
-        
-        _cancelListing(listingId);
-    }
-
-    function _cancelListing(bytes32 listingId) internal {
-        Listing storage listing = listings[listingId];
-        listing.active = false;
-        delete tokenToListingId[listing.nftContract][listing.tokenId];
-        
-        emit ListingCancelled(listingId);
+        _cancelListingAsSender(listingId);
     }
 
     /**
      * @dev Update listing price
      */
-    function updateListing(bytes32 listingId, uint256 newPrice) external validListing(listingId) {
-        Listing storage listing = listings[listingId];
-        require(listing.seller == msg.sender, "Not listing owner");
-        require(newPrice > 0, "Price must be greater than 0");
-        
-        listing.price = newPrice;
-        emit ListingUpdated(listingId, newPrice);
+    function updateListing(bytes32 listingId, uint256 newPrice) external {
+        _repriceListing(listingId, newPrice);
     }
 
     /**
-     * @dev Create an offer for an NFT
+     * @dev Private listings, batch operations, purges and bundles are implemented in
+     * ERC721MarketplaceListingsExtension; offers, auctions and signed orders in
+     * ERC721MarketplaceExtension. Both run against this contract's storage via delegatecall,
+     * which keeps the marketplace under the contract size limit. See the extensions for the
+     * behaviour of each function below.
      */
-    function createOffer(
-        address nftContract,
-        uint256 tokenId,
-        uint256 duration
-    ) external payable nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) {
-        require(msg.value > 0, "Offer must be greater than 0");
-        require(duration > 0, "Duration must be greater than 0");
-
-        bytes32 offerId = keccak256(abi.encodePacked(msg.sender, nftContract, tokenId, block.timestamp));
-        
-        offers[offerId] = Offer({
-            buyer: msg.sender,
-            nftContract: nftContract,
-            tokenId: tokenId,
-            amount: msg.value,
-            createdAt: block.timestamp,
-            expiresAt: block.timestamp + duration,
-            active: true
-        });
+    function listItemForBuyer(address, uint256, uint256, uint256, address, address) external {
+        _delegate(listingsExtension);
+    }
 
-        userOffers[msg.sender].push(offerId);
+    function batchListItems(address[] calldata, uint256[] calldata, uint256[] calldata, uint256, address)
+        external
+        returns (bytes32[] memory)
+    {
+        _delegate(listingsExtension);
+    }
 
-        emit OfferCreated(offerId, msg.sender, nftContract, tokenId, msg.value);
+    function purgeInvalidListings(bytes32[] calldata) external returns (uint256) {
+        _delegate(listingsExtension);
     }
 
-    /**
-     * @dev Accept an offer
-     */
-    function acceptOffer(bytes32 offerId) external nonReentrant whenNotPaused validOffer(offerId) {
-        Offer storage offer = offers[offerId];
-        
-        IERC721 nft = IERC721(offer.nftContract);
-        require(nft.ownerOf(offer.tokenId) == msg.sender, "Not token owner");
-        require(
-            nft.isApprovedForAll(msg.sender, address(this)) || 
-            nft.getApproved(offer.tokenId) == address(this),
-            "Contract not approved"
-        );
+    function batchCancelListings(bytes32[] calldata) external {
+        _delegate(listingsExtension);
+    }
 
-        offer.active = false;
+    function batchUpdateListings(bytes32[] calldata, uint256[] calldata) external {
+        _delegate(listingsExtension);
+    }
 
-        // Calculate fees and royalties
-        (address royaltyRecipient, uint256 royaltyAmount) = royaltyEngine.getRoyalty(
-            offer.nftContract,
-            offer.tokenId,
-            offer.amount
-        );
+    function batchBuyItems(bytes32[] calldata, bool) external payable {
+        _delegate(listingsExtension);
+    }
 
-        uint256 marketplaceFee = (offer.amount * marketplaceFeePercentage) / 10000;
-        uint256 sellerAmount = offer.amount - marketplaceFee - royaltyAmount;
+    function listBundle(BundleItem[] calldata, uint256, uint256, address) external returns (bytes32) {
+        _delegate(listingsExtension);
+    }
 
-        // Transfer NFT to buyer
-        nft.safeTransferFrom(msg.sender, offer.buyer, offer.tokenId);
+    function buyBundle(bytes32) external payable {
+        _delegate(listingsExtension);
+    }
 
-        // Transfer payments
-        payable(msg.sender).transfer(sellerAmount);
-        if (marketplaceFee > 0) {
-            payable(feeRecipient).transfer(marketplaceFee);
-        }
-        if (royaltyAmount > 0 && royaltyRecipient != address(0)) {
-            payable(royaltyRecipient).transfer(royaltyAmount);
-        }
+    function cancelBundle(bytes32) external {
+        _delegate(listingsExtension);
+    }
 
-        // Cancel any existing listing
-        bytes32 existingListingId = tokenToListingId[offer.nftContract][offer.tokenId];
-        if (existingListingId != 0 && listings[existingListingId].active) {
-            _cancelListing(existingListingId);
-        }
+    function createOffer(address, uint256, uint256) external payable {
+        _delegate(extension);
+    }
+
+    function createOfferWithCurrency(address, uint256, uint256, uint256, address) external {
+        _delegate(extension);
+    }
 
-        totalSales++;
-        totalVolume += offer.amount;
+    function acceptOffer(bytes32) external {
+        _delegate(extension);
+    }
+
+    function cancelOffer(bytes32) external {
+        _delegate(extension);
+    }
+
+    function createCollectionOffer(address, bytes32, uint256, uint256, uint256, address) external payable {
+        _delegate(extension);
+    }
 
-        emit OfferAccepted(offerId, msg.sender, offer.buyer, offer.amount);
+    function acceptCollectionOffer(bytes32, uint256, bytes32[] calldata) external {
+        _delegate(extension);
+    }
+
+    function cancelCollectionOffer(bytes32) external {
+        _delegate(extension);
+    }
+
+    function createAuction(address, uint256, uint256, uint256) external {
+        _delegate(extension);
+    }
+
+    function placeBid(bytes32) external payable {
+        _delegate(extension);
+    }
+
+    function settleAuction(bytes32) external {
+        _delegate(extension);
+    }
+
+    function cancelAuction(bytes32) external {
+        _delegate(extension);
+    }
+
+    function fulfillOrder(Order calldata, bytes calldata) external payable {
+        _delegate(extension);
+    }
+
+    function cancelOrder(Order calldata) external {
+        _delegate(extension);
+    }
+
+    function incrementCounter() external returns (uint256) {
+        _delegate(extension);
+    }
+
+    function queueChange(bytes calldata) public override returns (bytes32) {
+        _delegate(extension);
+    }
+
+    function executeChange(bytes calldata) public override {
+        _delegate(extension);
+    }
+
+    function cancelChange(bytes32) public override {
+        _delegate(extension);
+    }
+
+    function setAdminDelay(uint256) public override {
+        _delegate(extension);
+    }
+
+    function setMarketplaceFee(uint256) external {
+        _delegate(listingsExtension);
+    }
+
+    function setCollectionFee(address, bool, uint256) external {
+        _delegate(listingsExtension);
+    }
+
+    function setFeeTiers(uint256[] calldata, uint256[] calldata) external {
+        _delegate(listingsExtension);
+    }
+
+    function setTakerFeeShare(uint256) external {
+        _delegate(listingsExtension);
+    }
+
+    function setMaxTotalDeductionBps(uint256) external {
+        _delegate(listingsExtension);
+    }
+
+    function setFeeRecipient(address) external {
+        _delegate(listingsExtension);
+    }
+
+    function setRoyaltyEngine(address) external {
+        _delegate(listingsExtension);
     }
 
     /**
-     * @dev Cancel an offer
+     * @dev Forward the current call to an extension and bubble up its result
      */
-    function cancelOffer(bytes32 offerId) external validOffer(offerId) {
-        Offer storage offer = offers[offerId];
-        require(offer.buyer == msg.sender || msg.sender == owner(), "Not authorized");
-        
-        offer.active = false;
-        payable(offer.buyer).transfer(offer.amount);
-        
-        emit OfferCancelled(offerId);
+    function _delegate(address target) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
     }
 
     /**
@@ -335,34 +304,149 @@ contract ERC721Marketplace is IERC721Receiver, ReentrancyGuard, Ownable, Pausabl
     }
 
     /**
-     * @dev Update marketplace fee
+     * @dev Allow or disallow an ERC-20 token as a payment currency
      */
-    function setMarketplaceFee(uint256 newFeePercentage) external onlyOwner {
-        require(newFeePercentage <= MAX_FEE_PERCENTAGE, "Fee too high");
-        marketplaceFeePercentage = newFeePercentage;
+    function setPaymentToken(address paymentToken, bool allowed) external onlyOwner {
+        if (paymentToken == address(0)) revert InvalidAddress();
+        allowedPaymentTokens[paymentToken] = allowed;
+        emit PaymentTokenUpdated(paymentToken, allowed);
     }
 
     /**
-     * @dev Update fee recipient
+     * @dev Update auction anti-sniping window and minimum bid increment
      */
-    function setFeeRecipient(address newFeeRecipient) external onlyOwner {
-        require(newFeeRecipient != address(0), "Invalid address");
-        feeRecipient = newFeeRecipient;
+    function setAuctionSettings(uint256 extensionWindow, uint256 bidIncrementPercentage) external onlyOwner {
+        if (extensionWindow > MAX_AUCTION_EXTENSION_WINDOW) revert ExtensionWindowTooLong();
+        if (bidIncrementPercentage > 10000) revert IncrementTooHigh();
+        auctionExtensionWindow = extensionWindow;
+        minBidIncrementPercentage = bidIncrementPercentage;
+        emit AuctionSettingsUpdated(extensionWindow, bidIncrementPercentage);
     }
 
     /**
-     * @dev Update royalty engine
+     * @dev Breakdown of buying a listing at its current price: marketplace fee and the buyer's
+     * share of it, royalty, seller proceeds and the total the buyer pays
      */
-    function setRoyaltyEngine(address newRoyaltyEngine) external onlyOwner {
-        require(newRoyaltyEngine != address(0), "Invalid address");
-        royaltyEngine = RoyaltyEngine(newRoyaltyEngine);
+    function quoteSale(bytes32 listingId) public view returns (SaleQuote memory) {
+        Listing storage listing = listings[listingId];
+        return _quoteSale(listing.nftContract, listing.tokenId, listing.seller, getCurrentPrice(listingId), true);
     }
 
     /**
-     * @dev Get user's listings
+     * @dev What selling a token at `price` through a listing would pay out, with msg.sender as
+     * the seller (fee tiers depend on the seller, so set `from` on off-chain calls).
+     * marketplaceFee is the whole fee; sellerProceeds already leaves out any share of it
+     * charged to the buyer.
+     */
+    function quote(address nftContract, uint256 tokenId, uint256 price)
+        external
+        view
+        returns (uint256 marketplaceFee, address royaltyRecipient, uint256 royaltyAmount, uint256 sellerProceeds)
+    {
+        SaleQuote memory sale = _quoteSale(nftContract, tokenId, msg.sender, price, true);
+        return (sale.marketplaceFee, sale.royaltyRecipient, sale.royaltyAmount, sale.sellerProceeds);
+    }
+
+    /**
+     * @dev Fee rate a seller pays when selling a token from `nftContract`
+     */
+    function getFeePercentage(address nftContract, address seller) external view returns (uint256) {
+        return _feePercentage(nftContract, seller);
+    }
+
+    /**
+     * @dev Get the seller fee tiers, ascending by minVolume
+     */
+    function getFeeTiers() external view returns (FeeTier[] memory) {
+        return _feeTiers;
+    }
+
+    /**
+     * @dev Get user's active listings
      */
     function getUserListings(address user) external view returns (bytes32[] memory) {
-        return userListings[user];
+        return _userListings[user].values();
+    }
+
+    /**
+     * @dev Page through all active listings. `total` is the size of the whole index.
+     * Expired listings stay indexed until they are cancelled.
+     */
+    function getActiveListings(uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory listingIds, Listing[] memory page, uint256 total)
+    {
+        return _listingPage(_activeListings, offset, limit);
+    }
+
+    /**
+     * @dev Page through the active listings of one collection
+     */
+    function getActiveListingsByCollection(address nftContract, uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory listingIds, Listing[] memory page, uint256 total)
+    {
+        return _listingPage(_collectionListings[nftContract], offset, limit);
+    }
+
+    /**
+     * @dev Get the open offers on a token
+     */
+    function getOffersForToken(address nftContract, uint256 tokenId)
+        external
+        view
+        returns (bytes32[] memory offerIds, Offer[] memory tokenOffers)
+    {
+        offerIds = _tokenOffers[nftContract][tokenId].values();
+        tokenOffers = new Offer[](offerIds.length);
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            tokenOffers[i] = offers[offerIds[i]];
+        }
+    }
+
+    function _listingPage(EnumerableSet.Bytes32Set storage index, uint256 offset, uint256 limit)
+        private
+        view
+        returns (bytes32[] memory listingIds, Listing[] memory page, uint256 total)
+    {
+        total = index.length();
+        uint256 size = offset < total ? total - offset : 0;
+        if (size > limit) {
+            size = limit;
+        }
+
+        listingIds = new bytes32[](size);
+        page = new Listing[](size);
+        for (uint256 i = 0; i < size; i++) {
+            listingIds[i] = index.at(offset + i);
+            page[i] = listings[listingIds[i]];
+        }
+    }
+
+    /**
+     * @dev ID the next listing or bundle will get. A batch of n listings takes this ID and the
+     * n - 1 after it, in order.
+     */
+    function nextListingId() external view returns (bytes32) {
+        return bytes32(_listingNonce + 1);
+    }
+
+    /**
+     * @dev ID the next token or collection offer will get
+     */
+    function nextOfferId() external view returns (bytes32) {
+        return bytes32(_offerNonce + 1);
+    }
+
+    /**
+     * @dev Whether anyone could buy a listing right now, and if not, why: not active, expired,
+     * the seller no longer owns the token or the marketplace is no longer approved
+     */
+    function validateListing(bytes32 listingId) external view returns (bool fillable, string memory reason) {
+        reason = _listingFailure(listings[listingId]);
+        fillable = bytes(reason).length == 0;
     }
 
     /**
@@ -372,6 +456,13 @@ contract ERC721Marketplace is IERC721Receiver, ReentrancyGuard, Ownable, Pausabl
         return userOffers[user];
     }
 
+    /**
+     * @dev Get user's collection and trait offers
+     */
+    function getUserCollectionOffers(address user) external view returns (bytes32[] memory) {
+        return userCollectionOffers[user];
+    }
+
     /**
      * @dev Get listing details
      */
@@ -386,6 +477,34 @@ contract ERC721Marketplace is IERC721Receiver, ReentrancyGuard, Ownable, Pausabl
         return offers[offerId];
     }
 
+    /**
+     * @dev Get collection offer details
+     */
+    function getCollectionOffer(bytes32 offerId) external view returns (CollectionOffer memory) {
+        return collectionOffers[offerId];
+    }
+
+    /**
+     * @dev Get bundle details and its items
+     */
+    function getBundle(bytes32 bundleId) external view returns (Bundle memory bundle, BundleItem[] memory items) {
+        return (bundles[bundleId], _bundleItems[bundleId]);
+    }
+
+    /**
+     * @dev Get user's bundle listings
+     */
+    function getUserBundles(address user) external view returns (bytes32[] memory) {
+        return userBundles[user];
+    }
+
+    /**
+     * @dev Get auction details
+     */
+    function getAuction(bytes32 auctionId) external view returns (Auction memory) {
+        return auctions[auctionId];
+    }
+
     /**
      * @dev Handle NFT transfers
      */
@@ -406,11 +525,4 @@ contract ERC721Marketplace is IERC721Receiver, ReentrancyGuard, Ownable, Pausabl
     function unpause() external onlyOwner {
         _unpause();
     }
-
-    /**
-     * @dev Emergency withdrawal (only owner, only when paused)
-     */
-    function emergencyWithdraw() external onlyOwner whenPaused {
-        payable(owner()).transfer(address(this).balance);
-    }
 }
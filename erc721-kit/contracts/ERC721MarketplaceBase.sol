@@ -0,0 +1,791 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./RoyaltyEngine.sol";
+import "./PaymentLedger.sol";
+import "./AdminTimelock.sol";
+
+/**
+ * @title ERC721MarketplaceBase
+ * @dev Storage, events, modifiers and shared internals of the marketplace. ERC721Marketplace
+ * and ERC721MarketplaceExtension both inherit this contract so the extension can run against
+ * the marketplace's storage through delegatecall. New state variables belong here only.
+ */
+abstract contract ERC721MarketplaceBase is PaymentLedger, EIP712, AdminTimelock, Pausable {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    struct Listing {
+        address seller;
+        address nftContract;
+        uint256 tokenId;
+        uint256 price;
+        address paymentToken; // address(0) for native ETH
+        address reservedBuyer; // address(0) if anyone may buy
+        uint256 createdAt;
+        uint256 expiresAt;
+        bool active;
+    }
+
+    // Declining-price schedule attached to a Listing; price falls from startPrice to floorPrice
+    // between createdAt and expiresAt, either linearly or in steps of stepDuration seconds
+    struct DutchListing {
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 stepDuration;
+    }
+
+    struct BundleItem {
+        address nftContract;
+        uint256 tokenId;
+    }
+
+    // Several tokens, possibly across whitelisted contracts, sold together for one price
+    struct Bundle {
+        address seller;
+        uint256 price;
+        address paymentToken; // address(0) for native ETH
+        uint256 createdAt;
+        uint256 expiresAt;
+        bool active;
+    }
+
+    struct Offer {
+        address buyer;
+        address nftContract;
+        uint256 tokenId;
+        uint256 amount;
+        address paymentToken; // address(0) for native ETH
+        uint256 createdAt;
+        uint256 expiresAt;
+        bool active;
+    }
+
+    // Offer on any token of a collection, or on any token in a Merkle set of token IDs
+    // (e.g. every token with a given trait). Each accepted token fills one unit.
+    struct CollectionOffer {
+        address buyer;
+        address nftContract;
+        bytes32 merkleRoot; // bytes32(0) for any token in the collection
+        uint256 pricePerItem;
+        uint256 quantity; // units still open
+        address paymentToken; // address(0) for native ETH
+        uint256 createdAt;
+        uint256 expiresAt;
+        bool active;
+    }
+
+    struct Auction {
+        address seller;
+        address nftContract;
+        uint256 tokenId;
+        uint256 reservePrice;
+        uint256 highestBid;
+        address highestBidder;
+        uint256 startTime;
+        uint256 endTime;
+        bool active;
+    }
+
+    enum OrderSide {
+        Listing, // maker sells the NFT to whoever fills the order
+        Offer // maker buys the NFT from its owner; ERC-20 only, pulled from the maker's allowance
+    }
+
+    // Gasless order signed off-chain with EIP-712 and verified when it is filled
+    struct Order {
+        OrderSide side;
+        address maker;
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // address(0) for native ETH (listings only)
+        uint256 price;
+        uint256 startTime;
+        uint256 expiresAt;
+        uint256 salt;
+        uint256 counter;
+    }
+
+    // Seller fee tier: once a seller's lifetime native-currency sales reach minVolume, their
+    // sales are charged feePercentage instead of the global fee
+    struct FeeTier {
+        uint256 minVolume;
+        uint256 feePercentage;
+    }
+
+    // Breakdown of a sale at a given price. buyerFee is the taker share of marketplaceFee and is
+    // paid by the buyer on top of the price; the seller pays the rest of the fee.
+    struct SaleQuote {
+        uint256 price;
+        uint256 marketplaceFee;
+        uint256 buyerFee;
+        address royaltyRecipient;
+        uint256 royaltyAmount;
+        uint256 sellerProceeds;
+        uint256 buyerTotal;
+        // Every royalty payee; royaltyRecipient is the first and royaltyAmount their total
+        address[] royaltyRecipients;
+        uint256[] royaltyAmounts;
+        RoyaltyEngine.RoyaltySource royaltySource;
+    }
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(uint8 side,address maker,address nftContract,uint256 tokenId,address paymentToken,uint256 price,uint256 startTime,uint256 expiresAt,uint256 salt,uint256 counter)"
+    );
+
+    // State variables
+    mapping(bytes32 => Listing) public listings;
+    mapping(bytes32 => DutchListing) public dutchListings;
+    mapping(bytes32 => Offer) public offers;
+    mapping(bytes32 => CollectionOffer) public collectionOffers;
+    mapping(bytes32 => Auction) public auctions;
+    mapping(address => mapping(uint256 => bytes32)) public tokenToListingId;
+    mapping(address => bytes32[]) public userOffers;
+    mapping(address => bytes32[]) public userCollectionOffers;
+    mapping(address => bool) public whitelistedContracts;
+    mapping(address => bool) public allowedPaymentTokens;
+    mapping(address => uint256) public orderCounters;
+    mapping(bytes32 => bool) public orderCancelledOrFilled;
+
+    // Sequence numbers behind listing and offer IDs: the nth listing (single or bundle) is
+    // bytes32(n), as is the nth offer (token or collection). IDs stay bytes32 so they share
+    // a type with signed-order hashes and auction IDs.
+    uint256 internal _listingNonce;
+    uint256 internal _offerNonce;
+    mapping(bytes32 => Bundle) public bundles;
+    mapping(bytes32 => BundleItem[]) internal _bundleItems;
+    mapping(address => bytes32[]) public userBundles;
+
+    // Swap-and-pop indexes of live listings and offers
+    EnumerableSet.Bytes32Set internal _activeListings;
+    mapping(address => EnumerableSet.Bytes32Set) internal _collectionListings;
+    mapping(address => EnumerableSet.Bytes32Set) internal _userListings;
+    mapping(address => mapping(uint256 => EnumerableSet.Bytes32Set)) internal _tokenOffers;
+    
+    RoyaltyEngine public royaltyEngine;
+    
+    uint256 public marketplaceFeePercentage = 250; // 2.5%
+    uint256 public constant MAX_FEE_PERCENTAGE = 1000; // 10%
+    address public feeRecipient;
+
+    // Fee overrides; see _feePercentage for precedence
+    mapping(address => bool) public hasCollectionFee;
+    mapping(address => uint256) public collectionFeePercentage;
+    FeeTier[] internal _feeTiers; // ascending minVolume
+    mapping(address => uint256) public sellerVolume; // lifetime native-currency sales
+    uint256 public takerFeeShare; // basis points of the marketplace fee charged to listing buyers
+
+    // Cap on marketplace fee plus royalty, in basis points of the sale price. The default is the
+    // highest fee plus the highest royalty RoyaltyEngine allows.
+    uint256 public maxTotalDeductionBps = 2000; // 20%
+
+    // Cumulative royalties credited, by payment token
+    mapping(address => mapping(address => uint256)) public royaltiesEarned; // recipient => token
+    mapping(address => mapping(address => uint256)) public collectionRoyaltiesPaid; // collection => token
+    mapping(address => mapping(address => mapping(address => uint256))) public royaltiesEarnedFromCollection; // recipient => collection => token
+
+    uint256 public auctionExtensionWindow = 10 minutes;
+    uint256 public minBidIncrementPercentage = 500; // 5%
+    uint256 public constant MAX_AUCTION_EXTENSION_WINDOW = 1 hours;
+    uint256 public constant MAX_BUNDLE_SIZE = 50;
+    
+    uint256 public totalListings;
+    uint256 public totalSales;
+    uint256 public totalVolume; // lifetime native-currency sales
+
+    // Events
+    event ItemListed(
+        bytes32 indexed listingId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256 tokenId,
+        uint256 price,
+        address reservedBuyer
+    );
+    
+    event ItemSold(
+        bytes32 indexed listingId,
+        address indexed buyer,
+        address indexed seller,
+        address nftContract,
+        uint256 tokenId,
+        uint256 price
+    );
+    
+    event DutchListingCreated(
+        bytes32 indexed listingId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 stepDuration
+    );
+
+    event BundleListed(
+        bytes32 indexed bundleId,
+        address indexed seller,
+        uint256 itemCount,
+        uint256 price,
+        address paymentToken
+    );
+
+    event BundleSold(bytes32 indexed bundleId, address indexed buyer, address indexed seller, uint256 price);
+    event RoyaltyPaid(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        address indexed recipient,
+        uint256 amount,
+        RoyaltyEngine.RoyaltySource source,
+        address paymentToken
+    );
+    event RoyaltyCapped(address indexed nftContract, uint256 indexed tokenId, uint256 owed, uint256 paid);
+    event BundleCancelled(bytes32 indexed bundleId);
+
+    event BatchPurchaseSkipped(bytes32 indexed listingId, string reason);
+    event ListingCancelled(bytes32 indexed listingId);
+    event ListingInvalidated(bytes32 indexed listingId, string reason);
+    event ListingUpdated(bytes32 indexed listingId, uint256 newPrice);
+    
+    event OfferCreated(
+        bytes32 indexed offerId,
+        address indexed buyer,
+        address indexed nftContract,
+        uint256 tokenId,
+        uint256 amount
+    );
+    
+    event OfferAccepted(
+        bytes32 indexed offerId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 amount
+    );
+    
+    event OfferCancelled(bytes32 indexed offerId);
+
+    event CollectionOfferCreated(
+        bytes32 indexed offerId,
+        address indexed buyer,
+        address indexed nftContract,
+        bytes32 merkleRoot,
+        uint256 pricePerItem,
+        uint256 quantity
+    );
+
+    event CollectionOfferAccepted(
+        bytes32 indexed offerId,
+        address indexed seller,
+        uint256 tokenId,
+        uint256 price,
+        uint256 remainingQuantity
+    );
+
+    event CollectionOfferCancelled(bytes32 indexed offerId);
+
+    event AuctionCreated(
+        bytes32 indexed auctionId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 endTime
+    );
+
+    event BidPlaced(bytes32 indexed auctionId, address indexed bidder, uint256 amount, uint256 endTime);
+    event AuctionExtended(bytes32 indexed auctionId, uint256 newEndTime);
+
+    event AuctionSettled(
+        bytes32 indexed auctionId,
+        address indexed winner,
+        address indexed seller,
+        uint256 amount
+    );
+
+    event AuctionCancelled(bytes32 indexed auctionId);
+    event AuctionSettingsUpdated(uint256 extensionWindow, uint256 minBidIncrementPercentage);
+    event PaymentTokenUpdated(address indexed paymentToken, bool allowed);
+    event MarketplaceFeeUpdated(uint256 feePercentage);
+    event CollectionFeeUpdated(address indexed nftContract, bool enabled, uint256 feePercentage);
+    event FeeTiersUpdated(uint256[] minVolumes, uint256[] feePercentages);
+    event TakerFeeShareUpdated(uint256 takerFeeShare);
+    event MaxTotalDeductionUpdated(uint256 maxTotalDeductionBps);
+
+    event OrderFulfilled(
+        bytes32 indexed orderHash,
+        address indexed maker,
+        address indexed taker,
+        OrderSide side,
+        address nftContract,
+        uint256 tokenId,
+        uint256 price
+    );
+
+    event OrderCancelled(bytes32 indexed orderHash, address indexed maker);
+    event CounterIncremented(address indexed maker, uint256 newCounter);
+
+    // Errors
+    error InvalidExtension();
+    error NotAuthorized();
+    error ArrayLengthMismatch();
+    error ContractNotWhitelisted();
+    error PaymentTokenNotAllowed();
+    error NotTokenOwner();
+    error ContractNotApproved();
+    error ZeroPrice();
+    error ZeroDuration();
+    error ZeroQuantity();
+    error ZeroOfferAmount();
+    error ZeroReservePrice();
+    error InsufficientPayment();
+    error IncorrectPayment();
+    error ETHNotAccepted();
+    error UseCreateOfferForETH();
+
+    error ListingNotActive();
+    error ListingExpired();
+    error NotListingOwner();
+    error CannotBuyOwnItem();
+    error ListingReservedForAnotherBuyer();
+    error InvalidReservedBuyer();
+    error SellerNoLongerOwnsNFT();
+    error CannotRepriceDutchListing();
+    error StartPriceNotAboveFloor();
+    error StepLongerThanDuration();
+    error PurchaseFailed(bytes32 listingId, string reason);
+
+    error BundleNotActive();
+    error BundleExpired();
+    error BundleTooSmall();
+    error BundleTooLarge();
+    error DuplicateBundleItem();
+
+    error OfferNotActive();
+    error OfferExpired();
+    error CannotAcceptOwnOffer();
+    error TokenNotInOfferSet();
+
+    error AuctionNotActive();
+    error AlreadyOnAuction();
+    error AuctionEnded();
+    error AuctionNotEnded();
+    error AuctionHasBids();
+    error CannotBidOnOwnAuction();
+    error BidTooLow();
+
+    error OrderCancelledOrFilled();
+    error OrderCounterOutdated();
+    error OrderNotStarted();
+    error OrderExpired();
+    error OffersRequireERC20();
+    error CannotFillOwnOrder();
+    error InvalidSignature();
+    error NotOrderMaker();
+
+    error FeeTooHigh();
+    error FeeTiersNotAscending();
+    error TakerFeeShareTooHigh();
+    error DeductionCapTooHigh();
+    error DeductionsExceedCap(uint256 deductions, uint256 maxDeductions);
+    error ExtensionWindowTooLong();
+    error IncrementTooHigh();
+
+    constructor(address _feeRecipient, address _royaltyEngine) EIP712("ERC721Marketplace", "1") {
+        feeRecipient = _feeRecipient;
+        royaltyEngine = RoyaltyEngine(_royaltyEngine);
+    }
+
+    modifier onlyWhitelistedContract(address nftContract) {
+        if (!whitelistedContracts[nftContract]) revert ContractNotWhitelisted();
+        _;
+    }
+
+    modifier onlyAllowedPaymentToken(address paymentToken) {
+        if (paymentToken != address(0) && !allowedPaymentTokens[paymentToken]) revert PaymentTokenNotAllowed();
+        _;
+    }
+
+    modifier validListing(bytes32 listingId) {
+        if (!listings[listingId].active) revert ListingNotActive();
+        if (listings[listingId].expiresAt <= block.timestamp) revert ListingExpired();
+        _;
+    }
+
+    modifier validOffer(bytes32 offerId) {
+        if (!offers[offerId].active) revert OfferNotActive();
+        if (offers[offerId].expiresAt <= block.timestamp) revert OfferExpired();
+        _;
+    }
+
+    modifier activeAuction(bytes32 auctionId) {
+        if (!auctions[auctionId].active) revert AuctionNotActive();
+        _;
+    }
+
+    /**
+     * @dev Lowest amount the next bid must reach
+     */
+    function minimumBid(bytes32 auctionId) public view returns (uint256) {
+        Auction storage auction = auctions[auctionId];
+        if (auction.highestBidder == address(0)) {
+            return auction.reservePrice;
+        }
+        return auction.highestBid + (auction.highestBid * minBidIncrementPercentage) / 10000;
+    }
+
+    /**
+     * @dev EIP-712 digest an order's maker signs
+     */
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    ORDER_TYPEHASH,
+                    order.side,
+                    order.maker,
+                    order.nftContract,
+                    order.tokenId,
+                    order.paymentToken,
+                    order.price,
+                    order.startTime,
+                    order.expiresAt,
+                    order.salt,
+                    order.counter
+                )
+            )
+        );
+    }
+
+    /**
+     * @dev Price a listing can be bought for at the current block
+     */
+    function getCurrentPrice(bytes32 listingId) public view returns (uint256) {
+        Listing storage listing = listings[listingId];
+        DutchListing storage dutch = dutchListings[listingId];
+        if (dutch.startPrice == 0) {
+            return listing.price;
+        }
+
+        uint256 duration = listing.expiresAt - listing.createdAt;
+        uint256 elapsed = block.timestamp - listing.createdAt;
+        if (elapsed >= duration) {
+            return dutch.floorPrice;
+        }
+        if (dutch.stepDuration > 0) {
+            elapsed -= elapsed % dutch.stepDuration;
+        }
+
+        uint256 decline = ((dutch.startPrice - dutch.floorPrice) * elapsed) / duration;
+        return dutch.startPrice - decline;
+    }
+
+    function _createListing(
+        address nftContract,
+        uint256 tokenId,
+        uint256 price,
+        uint256 duration,
+        address paymentToken,
+        address reservedBuyer
+    ) internal returns (bytes32 listingId) {
+        if (duration == 0) revert ZeroDuration();
+        
+        IERC721 nft = IERC721(nftContract);
+        if (nft.ownerOf(tokenId) != msg.sender) revert NotTokenOwner();
+        if (
+            !nft.isApprovedForAll(msg.sender, address(this)) &&
+            nft.getApproved(tokenId) != address(this)
+        ) {
+            revert ContractNotApproved();
+        }
+
+        listingId = bytes32(++_listingNonce);
+
+        // Cancel existing listing if any
+        bytes32 existingListingId = tokenToListingId[nftContract][tokenId];
+        if (existingListingId != 0 && listings[existingListingId].active) {
+            _cancelListing(existingListingId);
+        }
+
+        listings[listingId] = Listing({
+            seller: msg.sender,
+            nftContract: nftContract,
+            tokenId: tokenId,
+            price: price,
+            paymentToken: paymentToken,
+            reservedBuyer: reservedBuyer,
+            createdAt: block.timestamp,
+            expiresAt: block.timestamp + duration,
+            active: true
+        });
+
+        tokenToListingId[nftContract][tokenId] = listingId;
+        _activeListings.add(listingId);
+        _collectionListings[nftContract].add(listingId);
+        _userListings[msg.sender].add(listingId);
+        totalListings++;
+
+        emit ItemListed(listingId, msg.sender, nftContract, tokenId, price, reservedBuyer);
+    }
+
+    /**
+     * @dev Settle a listing whose payment (quote.buyerTotal) has already been collected from
+     * msg.sender: transfer the NFT, close the listing and credit the proceeds
+     */
+    function _executeSale(bytes32 listingId, SaleQuote memory quote) internal {
+        Listing storage listing = listings[listingId];
+
+        // Verify seller still owns the NFT
+        IERC721 nft = IERC721(listing.nftContract);
+        if (nft.ownerOf(listing.tokenId) != listing.seller) revert SellerNoLongerOwnsNFT();
+
+        _closeListing(listingId);
+
+        // Transfer NFT to buyer
+        nft.safeTransferFrom(listing.seller, msg.sender, listing.tokenId);
+
+        // Credit payments
+        _creditSale(listing.nftContract, listing.tokenId, listing.seller, listing.paymentToken, quote);
+
+        _recordSale(listing.paymentToken, quote.price);
+
+        emit ItemSold(listingId, msg.sender, listing.seller, listing.nftContract, listing.tokenId, quote.price);
+    }
+
+    /**
+     * @dev Count a sale in the marketplace statistics. totalVolume is kept in wei, so sales
+     * priced in an ERC-20 token only count towards totalSales.
+     */
+    function _recordSale(address paymentToken, uint256 price) internal {
+        totalSales++;
+        if (paymentToken == address(0)) {
+            totalVolume += price;
+        }
+    }
+
+    function _cancelListingAsSender(bytes32 listingId) internal {
+        Listing storage listing = listings[listingId];
+        if (listing.seller != msg.sender && msg.sender != owner()) revert NotAuthorized();
+        if (!listing.active) revert ListingNotActive();
+        
+        _cancelListing(listingId);
+    }
+
+    function _repriceListing(bytes32 listingId, uint256 newPrice) internal validListing(listingId) {
+        Listing storage listing = listings[listingId];
+        if (listing.seller != msg.sender) revert NotListingOwner();
+        if (newPrice == 0) revert ZeroPrice();
+        if (dutchListings[listingId].startPrice != 0) revert CannotRepriceDutchListing();
+        
+        listing.price = newPrice;
+        emit ListingUpdated(listingId, newPrice);
+    }
+
+    /**
+     * @dev Why a listing cannot be bought by anyone right now, or an empty string if it can.
+     * Buyer-specific conditions such as payment or a reserved buyer are not considered.
+     */
+    function _listingFailure(Listing storage listing) internal view returns (string memory) {
+        if (!listing.active) return "Listing not active";
+        if (listing.expiresAt <= block.timestamp) return "Listing expired";
+
+        IERC721 nft = IERC721(listing.nftContract);
+        try nft.ownerOf(listing.tokenId) returns (address tokenOwner) {
+            if (tokenOwner != listing.seller) return "Seller no longer owns NFT";
+        } catch {
+            return "Seller no longer owns NFT";
+        }
+        if (!nft.isApprovedForAll(listing.seller, address(this)) && nft.getApproved(listing.tokenId) != address(this)) {
+            return "Contract not approved";
+        }
+        return "";
+    }
+
+    function _cancelListing(bytes32 listingId) internal {
+        _closeListing(listingId);
+        emit ListingCancelled(listingId);
+    }
+
+    /**
+     * @dev Mark a listing inactive and drop it from the listing indexes
+     */
+    function _closeListing(bytes32 listingId) internal {
+        Listing storage listing = listings[listingId];
+        listing.active = false;
+        delete tokenToListingId[listing.nftContract][listing.tokenId];
+
+        _activeListings.remove(listingId);
+        _collectionListings[listing.nftContract].remove(listingId);
+        _userListings[listing.seller].remove(listingId);
+    }
+
+    /**
+     * @dev Fee rate for a sale: a collection override wins, then the highest tier the seller's
+     * volume has reached, then the global marketplaceFeePercentage
+     */
+    function _feePercentage(address nftContract, address seller) internal view returns (uint256 feePercentage) {
+        if (hasCollectionFee[nftContract]) {
+            return collectionFeePercentage[nftContract];
+        }
+
+        feePercentage = marketplaceFeePercentage;
+        uint256 volume = sellerVolume[seller];
+        for (uint256 i = 0; i < _feeTiers.length && _feeTiers[i].minVolume <= volume; i++) {
+            feePercentage = _feeTiers[i].feePercentage;
+        }
+    }
+
+    /**
+     * @dev Fee, royalty and proceeds for selling a token at `price`. With takerPays the buyer
+     * covers takerFeeShare of the fee on top of the price. Reverts with DeductionsExceedCap if
+     * the fee and royalty together exceed maxTotalDeductionBps of the price.
+     */
+    function _quoteSale(
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        uint256 price,
+        bool takerPays
+    ) internal view returns (SaleQuote memory quote) {
+        bool withinCap;
+        (quote, withinCap) = _tryQuoteSale(nftContract, tokenId, seller, price, takerPays);
+        if (!withinCap) {
+            revert DeductionsExceedCap(
+                quote.marketplaceFee + quote.royaltyAmount,
+                (price * maxTotalDeductionBps) / 10000
+            );
+        }
+    }
+
+    /**
+     * @dev _quoteSale without the revert: withinCap is false, and sellerProceeds and buyerTotal
+     * are left at zero, when the fee and royalty exceed the cap
+     */
+    function _tryQuoteSale(
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        uint256 price,
+        bool takerPays
+    ) internal view returns (SaleQuote memory quote, bool withinCap) {
+        quote.price = price;
+        quote.marketplaceFee = (price * _feePercentage(nftContract, seller)) / 10000;
+        if (takerPays) {
+            quote.buyerFee = (quote.marketplaceFee * takerFeeShare) / 10000;
+        }
+
+        // A sale by the collection's admin is its primary sale
+        bool primarySale = royaltyEngine.isCollectionAdmin(nftContract, seller);
+        (quote.royaltyRecipients, quote.royaltyAmounts, quote.royaltySource) = royaltyEngine.getRoyaltyForSale(
+            nftContract,
+            tokenId,
+            price,
+            primarySale
+        );
+        if (quote.royaltyRecipients.length > 0) {
+            quote.royaltyRecipient = quote.royaltyRecipients[0];
+        }
+        for (uint256 i = 0; i < quote.royaltyAmounts.length; i++) {
+            quote.royaltyAmount += quote.royaltyAmounts[i];
+        }
+
+        // The cap is at most 100%, so within it the seller's share cannot underflow
+        if (quote.marketplaceFee + quote.royaltyAmount > (price * maxTotalDeductionBps) / 10000) {
+            return (quote, false);
+        }
+
+        withinCap = true;
+        quote.sellerProceeds = price - (quote.marketplaceFee - quote.buyerFee) - quote.royaltyAmount;
+        quote.buyerTotal = price + quote.buyerFee;
+    }
+
+    /**
+     * @dev Credit a quoted sale to the payment ledger and count it towards the seller's tier.
+     * Funds must already be held by the marketplace.
+     */
+    function _creditSale(
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        address paymentToken,
+        SaleQuote memory quote
+    ) internal {
+        _creditPayment(paymentToken, seller, quote.sellerProceeds);
+        _creditPayment(paymentToken, feeRecipient, quote.marketplaceFee);
+        _creditRoyalties(nftContract, tokenId, paymentToken, quote);
+
+        if (paymentToken == address(0)) {
+            sellerVolume[seller] += quote.price;
+        }
+    }
+
+    /**
+     * @dev Credit every royalty payee of a quoted sale, count it in the royalty totals and emit
+     * RoyaltyPaid for each nonzero payment
+     */
+    function _creditRoyalties(
+        address nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        SaleQuote memory quote
+    ) internal {
+        for (uint256 i = 0; i < quote.royaltyRecipients.length; i++) {
+            address recipient = quote.royaltyRecipients[i];
+            uint256 amount = quote.royaltyAmounts[i];
+            if (amount == 0) continue;
+
+            _creditPayment(paymentToken, recipient, amount);
+            royaltiesEarned[recipient][paymentToken] += amount;
+            collectionRoyaltiesPaid[nftContract][paymentToken] += amount;
+            royaltiesEarnedFromCollection[recipient][nftContract][paymentToken] += amount;
+            emit RoyaltyPaid(nftContract, tokenId, recipient, amount, quote.royaltySource, paymentToken);
+        }
+    }
+
+    /**
+     * @dev Credit an auction's winning bid, which unlike other sales cannot be refused once
+     * the auction has ended. If the fee and royalty no longer fit under maxTotalDeductionBps,
+     * because either changed while bidding was open, the fee is cut to the cap and the
+     * royalties are scaled down pro rata to fit beside it; RoyaltyCapped records the change.
+     */
+    function _distributeAuctionProceeds(address nftContract, uint256 tokenId, address seller, uint256 amount)
+        internal
+    {
+        (SaleQuote memory quote, bool withinCap) = _tryQuoteSale(nftContract, tokenId, seller, amount, false);
+        if (!withinCap) {
+            uint256 maxDeductions = (amount * maxTotalDeductionBps) / 10000;
+            if (quote.marketplaceFee > maxDeductions) {
+                quote.marketplaceFee = maxDeductions;
+            }
+
+            uint256 owed = quote.royaltyAmount;
+            if (owed != 0) {
+                uint256 allowance = maxDeductions - quote.marketplaceFee;
+                quote.royaltyAmount = 0;
+                for (uint256 i = 0; i < quote.royaltyAmounts.length; i++) {
+                    quote.royaltyAmounts[i] = (quote.royaltyAmounts[i] * allowance) / owed;
+                    quote.royaltyAmount += quote.royaltyAmounts[i];
+                }
+                emit RoyaltyCapped(nftContract, tokenId, owed, quote.royaltyAmount);
+            }
+            quote.sellerProceeds = amount - quote.marketplaceFee - quote.royaltyAmount;
+        }
+        _creditSale(nftContract, tokenId, seller, address(0), quote);
+    }
+
+    /**
+     * @dev Credit a sale to the payment ledger: marketplace fee, royalty, and the
+     * remainder to the seller. The seller pays the whole fee. Funds must already be
+     * held by the marketplace.
+     */
+    function _distributeSaleProceeds(
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        uint256 amount,
+        address paymentToken
+    ) internal {
+        _creditSale(nftContract, tokenId, seller, paymentToken, _quoteSale(nftContract, tokenId, seller, amount, false));
+    }
+}
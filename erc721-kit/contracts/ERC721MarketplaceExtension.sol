@@ -0,0 +1,425 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ERC721MarketplaceBase.sol";
+
+/**
+ * @title ERC721MarketplaceExtension
+ * @dev Token, collection and trait offers, English auctions, signed-order fills and the admin timelock
+ * for ERC721Marketplace. The marketplace reaches this contract only through delegatecall stubs, so every
+ * function here works on the marketplace's storage and balances; this contract's own storage is unused.
+ */
+contract ERC721MarketplaceExtension is ERC721MarketplaceBase {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    constructor() ERC721MarketplaceBase(address(0), address(0)) {}
+
+    /**
+     * @dev Create an offer for an NFT
+     */
+    function createOffer(
+        address nftContract,
+        uint256 tokenId,
+        uint256 duration
+    ) external payable nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) {
+        _createOffer(nftContract, tokenId, msg.value, duration, address(0));
+    }
+
+    /**
+     * @dev Create an offer paid in an allowed ERC-20 token. The amount is escrowed
+     * by the marketplace until the offer is accepted or cancelled.
+     */
+    function createOfferWithCurrency(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 duration,
+        address paymentToken
+    ) external nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) onlyAllowedPaymentToken(paymentToken) {
+        if (paymentToken == address(0)) revert UseCreateOfferForETH();
+        _createOffer(nftContract, tokenId, amount, duration, paymentToken);
+        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    function _createOffer(
+        address nftContract,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 duration,
+        address paymentToken
+    ) internal {
+        if (amount == 0) revert ZeroOfferAmount();
+        if (duration == 0) revert ZeroDuration();
+
+        bytes32 offerId = bytes32(++_offerNonce);
+        
+        offers[offerId] = Offer({
+            buyer: msg.sender,
+            nftContract: nftContract,
+            tokenId: tokenId,
+            amount: amount,
+            paymentToken: paymentToken,
+            createdAt: block.timestamp,
+            expiresAt: block.timestamp + duration,
+            active: true
+        });
+
+        userOffers[msg.sender].push(offerId);
+        _tokenOffers[nftContract][tokenId].add(offerId);
+
+        emit OfferCreated(offerId, msg.sender, nftContract, tokenId, amount);
+    }
+
+    /**
+     * @dev Accept an offer
+     */
+    function acceptOffer(bytes32 offerId) external nonReentrant whenNotPaused validOffer(offerId) {
+        Offer storage offer = offers[offerId];
+        
+        IERC721 nft = IERC721(offer.nftContract);
+        if (nft.ownerOf(offer.tokenId) != msg.sender) revert NotTokenOwner();
+        if (
+            !nft.isApprovedForAll(msg.sender, address(this)) &&
+            nft.getApproved(offer.tokenId) != address(this)
+        ) {
+            revert ContractNotApproved();
+        }
+
+        offer.active = false;
+        _tokenOffers[offer.nftContract][offer.tokenId].remove(offerId);
+
+        // Transfer NFT to buyer
+        nft.safeTransferFrom(msg.sender, offer.buyer, offer.tokenId);
+
+        // Credit payments
+        _distributeSaleProceeds(offer.nftContract, offer.tokenId, msg.sender, offer.amount, offer.paymentToken);
+
+        // Cancel any existing listing
+        bytes32 existingListingId = tokenToListingId[offer.nftContract][offer.tokenId];
+        if (existingListingId != 0 && listings[existingListingId].active) {
+            _cancelListing(existingListingId);
+        }
+
+        _recordSale(offer.paymentToken, offer.amount);
+
+        emit OfferAccepted(offerId, msg.sender, offer.buyer, offer.amount);
+    }
+
+    /**
+     * @dev Cancel an offer, including an expired one, crediting the escrowed amount back to the buyer
+     */
+    function cancelOffer(bytes32 offerId) external {
+        Offer storage offer = offers[offerId];
+        if (!offer.active) revert OfferNotActive();
+        if (offer.buyer != msg.sender && msg.sender != owner()) revert NotAuthorized();
+        
+        offer.active = false;
+        _tokenOffers[offer.nftContract][offer.tokenId].remove(offerId);
+        _creditPayment(offer.paymentToken, offer.buyer, offer.amount);
+        
+        emit OfferCancelled(offerId);
+    }
+
+    /**
+     * @dev Offer pricePerItem for up to `quantity` tokens of a collection. With a non-zero
+     * merkleRoot only token IDs in that set can be sold into the offer. The full amount is
+     * escrowed up front: sent as ETH, or pulled from an allowance for ERC-20 offers.
+     */
+    function createCollectionOffer(
+        address nftContract,
+        bytes32 merkleRoot,
+        uint256 pricePerItem,
+        uint256 quantity,
+        uint256 duration,
+        address paymentToken
+    ) external payable nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) onlyAllowedPaymentToken(paymentToken) {
+        if (pricePerItem == 0) revert ZeroOfferAmount();
+        if (quantity == 0) revert ZeroQuantity();
+        if (duration == 0) revert ZeroDuration();
+
+        uint256 total = pricePerItem * quantity;
+        if (paymentToken == address(0)) {
+            if (msg.value != total) revert IncorrectPayment();
+        } else {
+            if (msg.value != 0) revert ETHNotAccepted();
+            IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), total);
+        }
+
+        bytes32 offerId = bytes32(++_offerNonce);
+
+        collectionOffers[offerId] = CollectionOffer({
+            buyer: msg.sender,
+            nftContract: nftContract,
+            merkleRoot: merkleRoot,
+            pricePerItem: pricePerItem,
+            quantity: quantity,
+            paymentToken: paymentToken,
+            createdAt: block.timestamp,
+            expiresAt: block.timestamp + duration,
+            active: true
+        });
+
+        userCollectionOffers[msg.sender].push(offerId);
+
+        emit CollectionOfferCreated(offerId, msg.sender, nftContract, merkleRoot, pricePerItem, quantity);
+    }
+
+    /**
+     * @dev Sell one token into a collection offer. For trait offers `proof` shows that
+     * tokenId is in the offer's Merkle set; leaves are keccak256(bytes.concat(keccak256(abi.encode(tokenId)))).
+     */
+    function acceptCollectionOffer(
+        bytes32 offerId,
+        uint256 tokenId,
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotPaused {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        if (!offer.active) revert OfferNotActive();
+        if (offer.expiresAt <= block.timestamp) revert OfferExpired();
+        if (msg.sender == offer.buyer) revert CannotAcceptOwnOffer();
+
+        if (offer.merkleRoot != bytes32(0)) {
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(tokenId))));
+            if (!MerkleProof.verifyCalldata(proof, offer.merkleRoot, leaf)) revert TokenNotInOfferSet();
+        }
+
+        IERC721 nft = IERC721(offer.nftContract);
+        if (nft.ownerOf(tokenId) != msg.sender) revert NotTokenOwner();
+        if (
+            !nft.isApprovedForAll(msg.sender, address(this)) &&
+            nft.getApproved(tokenId) != address(this)
+        ) {
+            revert ContractNotApproved();
+        }
+
+        uint256 remaining = --offer.quantity;
+        if (remaining == 0) {
+            offer.active = false;
+        }
+
+        nft.safeTransferFrom(msg.sender, offer.buyer, tokenId);
+
+        _distributeSaleProceeds(offer.nftContract, tokenId, msg.sender, offer.pricePerItem, offer.paymentToken);
+
+        bytes32 existingListingId = tokenToListingId[offer.nftContract][tokenId];
+        if (existingListingId != 0 && listings[existingListingId].active) {
+            _cancelListing(existingListingId);
+        }
+
+        _recordSale(offer.paymentToken, offer.pricePerItem);
+
+        emit CollectionOfferAccepted(offerId, msg.sender, tokenId, offer.pricePerItem, remaining);
+    }
+
+    /**
+     * @dev Cancel a collection offer; the unfilled units are credited back to the buyer
+     */
+    function cancelCollectionOffer(bytes32 offerId) external {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        if (!offer.active) revert OfferNotActive();
+        if (offer.buyer != msg.sender && msg.sender != owner()) revert NotAuthorized();
+
+        offer.active = false;
+        _creditPayment(offer.paymentToken, offer.buyer, offer.pricePerItem * offer.quantity);
+
+        emit CollectionOfferCancelled(offerId);
+    }
+
+    /**
+     * @dev Create an English auction. The NFT is held by the marketplace until settlement.
+     */
+    function createAuction(
+        address nftContract,
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 duration
+    ) external nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) {
+        if (reservePrice == 0) revert ZeroReservePrice();
+        if (duration == 0) revert ZeroDuration();
+
+        IERC721 nft = IERC721(nftContract);
+        if (nft.ownerOf(tokenId) != msg.sender) revert NotTokenOwner();
+        if (
+            !nft.isApprovedForAll(msg.sender, address(this)) &&
+            nft.getApproved(tokenId) != address(this)
+        ) {
+            revert ContractNotApproved();
+        }
+
+        bytes32 auctionId = keccak256(abi.encodePacked(nftContract, tokenId, block.timestamp));
+        if (auctions[auctionId].active) revert AlreadyOnAuction();
+
+        // The token leaves the seller's wallet, so any fixed-price listing becomes unfillable
+        bytes32 existingListingId = tokenToListingId[nftContract][tokenId];
+        if (existingListingId != 0 && listings[existingListingId].active) {
+            _cancelListing(existingListingId);
+        }
+
+        auctions[auctionId] = Auction({
+            seller: msg.sender,
+            nftContract: nftContract,
+            tokenId: tokenId,
+            reservePrice: reservePrice,
+            highestBid: 0,
+            highestBidder: address(0),
+            startTime: block.timestamp,
+            endTime: block.timestamp + duration,
+            active: true
+        });
+
+        nft.safeTransferFrom(msg.sender, address(this), tokenId);
+
+        emit AuctionCreated(auctionId, msg.sender, nftContract, tokenId, reservePrice, block.timestamp + duration);
+    }
+
+    /**
+     * @dev Bid on an auction. The previous highest bidder's bid is credited back to them,
+     * and a bid placed within `auctionExtensionWindow` of the end pushes the end time back.
+     */
+    function placeBid(bytes32 auctionId) external payable nonReentrant whenNotPaused activeAuction(auctionId) {
+        Auction storage auction = auctions[auctionId];
+        if (block.timestamp >= auction.endTime) revert AuctionEnded();
+        if (msg.sender == auction.seller) revert CannotBidOnOwnAuction();
+        if (msg.value < minimumBid(auctionId)) revert BidTooLow();
+
+        address previousBidder = auction.highestBidder;
+        uint256 previousBid = auction.highestBid;
+
+        auction.highestBidder = msg.sender;
+        auction.highestBid = msg.value;
+
+        if (auction.endTime - block.timestamp < auctionExtensionWindow) {
+            auction.endTime = block.timestamp + auctionExtensionWindow;
+            emit AuctionExtended(auctionId, auction.endTime);
+        }
+
+        if (previousBidder != address(0)) {
+            _creditPayment(address(0), previousBidder, previousBid);
+        }
+
+        emit BidPlaced(auctionId, msg.sender, msg.value, auction.endTime);
+    }
+
+    /**
+     * @dev Settle an ended auction. Callable by anyone once the end time has passed, and never
+     * blocked by the deduction cap; see _distributeAuctionProceeds.
+     */
+    function settleAuction(bytes32 auctionId) external nonReentrant activeAuction(auctionId) {
+        Auction storage auction = auctions[auctionId];
+        if (block.timestamp < auction.endTime) revert AuctionNotEnded();
+
+        auction.active = false;
+
+        IERC721 nft = IERC721(auction.nftContract);
+
+        // No bids - return the NFT to the seller
+        if (auction.highestBidder == address(0)) {
+            nft.safeTransferFrom(address(this), auction.seller, auction.tokenId);
+            emit AuctionSettled(auctionId, address(0), auction.seller, 0);
+            return;
+        }
+
+        nft.safeTransferFrom(address(this), auction.highestBidder, auction.tokenId);
+        _distributeAuctionProceeds(auction.nftContract, auction.tokenId, auction.seller, auction.highestBid);
+
+        _recordSale(address(0), auction.highestBid);
+
+        emit AuctionSettled(auctionId, auction.highestBidder, auction.seller, auction.highestBid);
+    }
+
+    /**
+     * @dev Cancel an auction that has not received any bids
+     */
+    function cancelAuction(bytes32 auctionId) external nonReentrant activeAuction(auctionId) {
+        Auction storage auction = auctions[auctionId];
+        if (auction.seller != msg.sender && msg.sender != owner()) revert NotAuthorized();
+        if (auction.highestBidder != address(0)) revert AuctionHasBids();
+
+        auction.active = false;
+        IERC721(auction.nftContract).safeTransferFrom(address(this), auction.seller, auction.tokenId);
+
+        emit AuctionCancelled(auctionId);
+    }
+
+    /**
+     * @dev Fill an order signed off-chain. Filling a listing buys the NFT from the maker
+     * (paying in ETH or the order's ERC-20); filling an offer sells the caller's NFT to the maker.
+     */
+    function fulfillOrder(Order calldata order, bytes calldata signature)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        onlyWhitelistedContract(order.nftContract)
+        onlyAllowedPaymentToken(order.paymentToken)
+    {
+        bytes32 orderHash = hashOrder(order);
+        if (orderCancelledOrFilled[orderHash]) revert OrderCancelledOrFilled();
+        if (order.counter != orderCounters[order.maker]) revert OrderCounterOutdated();
+        if (order.startTime > block.timestamp) revert OrderNotStarted();
+        if (order.expiresAt <= block.timestamp) revert OrderExpired();
+        if (order.price == 0) revert ZeroPrice();
+        if (msg.sender == order.maker) revert CannotFillOwnOrder();
+        if (!SignatureChecker.isValidSignatureNow(order.maker, orderHash, signature)) revert InvalidSignature();
+
+        orderCancelledOrFilled[orderHash] = true;
+
+        (address seller, address buyer) = order.side == OrderSide.Listing
+            ? (order.maker, msg.sender)
+            : (msg.sender, order.maker);
+
+        if (order.paymentToken == address(0)) {
+            if (order.side != OrderSide.Listing) revert OffersRequireERC20();
+            if (msg.value < order.price) revert InsufficientPayment();
+        } else {
+            if (msg.value != 0) revert ETHNotAccepted();
+            IERC20(order.paymentToken).safeTransferFrom(buyer, address(this), order.price);
+        }
+
+        IERC721 nft = IERC721(order.nftContract);
+        if (nft.ownerOf(order.tokenId) != seller) revert SellerNoLongerOwnsNFT();
+
+        // A signed sale makes any on-chain listing for the same token unfillable
+        bytes32 existingListingId = tokenToListingId[order.nftContract][order.tokenId];
+        if (existingListingId != 0 && listings[existingListingId].active) {
+            _cancelListing(existingListingId);
+        }
+
+        nft.safeTransferFrom(seller, buyer, order.tokenId);
+
+        _distributeSaleProceeds(order.nftContract, order.tokenId, seller, order.price, order.paymentToken);
+
+        // Credit excess payment back to the buyer
+        if (order.paymentToken == address(0) && msg.value > order.price) {
+            _creditPayment(address(0), msg.sender, msg.value - order.price);
+        }
+
+        _recordSale(order.paymentToken, order.price);
+
+        emit OrderFulfilled(orderHash, order.maker, msg.sender, order.side, order.nftContract, order.tokenId, order.price);
+    }
+
+    /**
+     * @dev Cancel a single signed order
+     */
+    function cancelOrder(Order calldata order) external {
+        if (order.maker != msg.sender) revert NotOrderMaker();
+
+        bytes32 orderHash = hashOrder(order);
+        if (orderCancelledOrFilled[orderHash]) revert OrderCancelledOrFilled();
+        orderCancelledOrFilled[orderHash] = true;
+
+        emit OrderCancelled(orderHash, msg.sender);
+    }
+
+    /**
+     * @dev Cancel every order the caller has signed so far by moving to a new counter
+     */
+    function incrementCounter() external returns (uint256 newCounter) {
+        newCounter = ++orderCounters[msg.sender];
+        emit CounterIncremented(msg.sender, newCounter);
+    }
+}
@@ -0,0 +1,388 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ERC721MarketplaceBase.sol";
+
+/**
+ * @title ERC721MarketplaceListingsExtension
+ * @dev Private listings, batch listing operations, stale-listing purges, bundle listings and
+ * fee configuration for ERC721Marketplace. Like ERC721MarketplaceExtension it is reached only through the
+ * marketplace's delegatecall stubs, so it works on the marketplace's storage and balances
+ * and its own storage is unused.
+ */
+contract ERC721MarketplaceListingsExtension is ERC721MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor() ERC721MarketplaceBase(address(0), address(0)) {}
+
+    /**
+     * @dev List an NFT that only reservedBuyer can buy, at a price agreed off-chain.
+     * Use address(0) as paymentToken for ETH.
+     */
+    function listItemForBuyer(
+        address nftContract,
+        uint256 tokenId,
+        uint256 price,
+        uint256 duration,
+        address paymentToken,
+        address reservedBuyer
+    ) external nonReentrant whenNotPaused onlyWhitelistedContract(nftContract) onlyAllowedPaymentToken(paymentToken) {
+        if (price == 0) revert ZeroPrice();
+        if (reservedBuyer == address(0) || reservedBuyer == msg.sender) revert InvalidReservedBuyer();
+        _createListing(nftContract, tokenId, price, duration, paymentToken, reservedBuyer);
+    }
+
+    /**
+     * @dev List many tokens in one transaction, all for the same duration and currency
+     */
+    function batchListItems(
+        address[] calldata nftContracts,
+        uint256[] calldata tokenIds,
+        uint256[] calldata prices,
+        uint256 duration,
+        address paymentToken
+    ) external nonReentrant whenNotPaused onlyAllowedPaymentToken(paymentToken) returns (bytes32[] memory listingIds) {
+        if (nftContracts.length != tokenIds.length || tokenIds.length != prices.length) revert ArrayLengthMismatch();
+
+        listingIds = new bytes32[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (!whitelistedContracts[nftContracts[i]]) revert ContractNotWhitelisted();
+            if (prices[i] == 0) revert ZeroPrice();
+            listingIds[i] = _createListing(nftContracts[i], tokenIds[i], prices[i], duration, paymentToken, address(0));
+        }
+    }
+
+    /**
+     * @dev Cancel many listings; reverts if any of them cannot be cancelled by the caller
+     */
+    function batchCancelListings(bytes32[] calldata listingIds) external {
+        for (uint256 i = 0; i < listingIds.length; i++) {
+            _cancelListingAsSender(listingIds[i]);
+        }
+    }
+
+    /**
+     * @dev Reprice many fixed-price listings
+     */
+    function batchUpdateListings(bytes32[] calldata listingIds, uint256[] calldata newPrices) external {
+        if (listingIds.length != newPrices.length) revert ArrayLengthMismatch();
+
+        for (uint256 i = 0; i < listingIds.length; i++) {
+            _repriceListing(listingIds[i], newPrices[i]);
+        }
+    }
+
+    /**
+     * @dev Sweep several listings at their current prices plus any taker fee (see quoteSale).
+     * ETH listings are paid from msg.value and ERC-20 listings from the caller's allowance. With
+     * skipFailed, a listing that cannot be filled is skipped with BatchPurchaseSkipped instead of
+     * reverting the batch; any ETH not spent, including the share meant for skipped listings, is
+     * refunded.
+     */
+    function batchBuyItems(bytes32[] calldata listingIds, bool skipFailed) external payable nonReentrant whenNotPaused {
+        uint256 ethLeft = msg.value;
+
+        for (uint256 i = 0; i < listingIds.length; i++) {
+            bytes32 listingId = listingIds[i];
+            Listing storage listing = listings[listingId];
+            (SaleQuote memory quote, bool withinCap) = _tryQuoteSale(
+                listing.nftContract,
+                listing.tokenId,
+                listing.seller,
+                getCurrentPrice(listingId),
+                true
+            );
+
+            string memory failure = withinCap
+                ? _purchaseFailure(listing, quote.buyerTotal, ethLeft)
+                : "Fee and royalty exceed cap";
+            if (bytes(failure).length != 0) {
+                if (!skipFailed) revert PurchaseFailed(listingId, failure);
+                emit BatchPurchaseSkipped(listingId, failure);
+                continue;
+            }
+
+            if (listing.paymentToken == address(0)) {
+                ethLeft -= quote.buyerTotal;
+            } else {
+                IERC20(listing.paymentToken).safeTransferFrom(msg.sender, address(this), quote.buyerTotal);
+            }
+
+            _executeSale(listingId, quote);
+        }
+
+        // Credit unspent ETH back to the buyer
+        if (ethLeft > 0) {
+            _creditPayment(address(0), msg.sender, ethLeft);
+        }
+    }
+
+    /**
+     * @dev Deactivate every listing in `listingIds` that can no longer be filled: expired, or
+     * the seller has moved the token or revoked approval. Anyone may call this; listings that
+     * are still fillable or already inactive are left alone.
+     */
+    function purgeInvalidListings(bytes32[] calldata listingIds) external returns (uint256 purged) {
+        for (uint256 i = 0; i < listingIds.length; i++) {
+            bytes32 listingId = listingIds[i];
+            Listing storage listing = listings[listingId];
+            if (!listing.active) continue;
+
+            string memory failure = _listingFailure(listing);
+            if (bytes(failure).length == 0) continue;
+
+            _closeListing(listingId);
+            purged++;
+
+            emit ListingInvalidated(listingId, failure);
+        }
+    }
+
+    /**
+     * @dev Why msg.sender cannot buy a listing right now, or an empty string if they can
+     */
+    function _purchaseFailure(Listing storage listing, uint256 cost, uint256 ethLeft)
+        private
+        view
+        returns (string memory)
+    {
+        string memory failure = _listingFailure(listing);
+        if (bytes(failure).length != 0) return failure;
+
+        if (listing.seller == msg.sender) return "Cannot buy own item";
+        if (listing.reservedBuyer != address(0) && listing.reservedBuyer != msg.sender) {
+            return "Listing reserved for another buyer";
+        }
+
+        if (listing.paymentToken == address(0)) {
+            if (cost > ethLeft) return "Insufficient payment";
+        } else {
+            IERC20 token = IERC20(listing.paymentToken);
+            if (token.allowance(msg.sender, address(this)) < cost || token.balanceOf(msg.sender) < cost) {
+                return "Insufficient payment";
+            }
+        }
+        return "";
+    }
+
+    /**
+     * @dev List several tokens for a single price. Every item must be from a whitelisted
+     * contract, owned by the caller and approved to the marketplace.
+     */
+    function listBundle(
+        BundleItem[] calldata items,
+        uint256 price,
+        uint256 duration,
+        address paymentToken
+    ) external nonReentrant whenNotPaused onlyAllowedPaymentToken(paymentToken) returns (bytes32 bundleId) {
+        if (items.length < 2) revert BundleTooSmall();
+        if (items.length > MAX_BUNDLE_SIZE) revert BundleTooLarge();
+        if (price == 0) revert ZeroPrice();
+        if (duration == 0) revert ZeroDuration();
+
+        bundleId = bytes32(++_listingNonce);
+
+        for (uint256 i = 0; i < items.length; i++) {
+            if (!whitelistedContracts[items[i].nftContract]) revert ContractNotWhitelisted();
+            for (uint256 j = 0; j < i; j++) {
+                if (
+                    items[j].nftContract == items[i].nftContract &&
+                    items[j].tokenId == items[i].tokenId
+                ) {
+                    revert DuplicateBundleItem();
+                }
+            }
+            _requireOwnedAndApproved(items[i], msg.sender);
+            _bundleItems[bundleId].push(items[i]);
+        }
+
+        bundles[bundleId] = Bundle({
+            seller: msg.sender,
+            price: price,
+            paymentToken: paymentToken,
+            createdAt: block.timestamp,
+            expiresAt: block.timestamp + duration,
+            active: true
+        });
+
+        userBundles[msg.sender].push(bundleId);
+        totalListings++;
+
+        emit BundleListed(bundleId, msg.sender, items.length, price, paymentToken);
+    }
+
+    /**
+     * @dev Buy every item of a bundle in one transaction. Ownership and approval are checked
+     * again for each item; if any has moved the whole purchase reverts.
+     */
+    function buyBundle(bytes32 bundleId) external payable nonReentrant whenNotPaused {
+        Bundle storage bundle = bundles[bundleId];
+        if (!bundle.active) revert BundleNotActive();
+        if (bundle.expiresAt <= block.timestamp) revert BundleExpired();
+        if (msg.sender == bundle.seller) revert CannotBuyOwnItem();
+
+        uint256 price = bundle.price;
+        if (bundle.paymentToken == address(0)) {
+            if (msg.value < price) revert InsufficientPayment();
+        } else {
+            if (msg.value != 0) revert ETHNotAccepted();
+            IERC20(bundle.paymentToken).safeTransferFrom(msg.sender, address(this), price);
+        }
+
+        bundle.active = false;
+
+        BundleItem[] storage items = _bundleItems[bundleId];
+        for (uint256 i = 0; i < items.length; i++) {
+            _requireOwnedAndApproved(items[i], bundle.seller);
+
+            // A bundle sale makes any single listing for the same token unfillable
+            bytes32 existingListingId = tokenToListingId[items[i].nftContract][items[i].tokenId];
+            if (existingListingId != 0 && listings[existingListingId].active) {
+                _cancelListing(existingListingId);
+            }
+
+            IERC721(items[i].nftContract).safeTransferFrom(bundle.seller, msg.sender, items[i].tokenId);
+        }
+
+        _distributeBundleProceeds(items, bundle.seller, price, bundle.paymentToken);
+
+        // Credit excess payment back to the buyer
+        if (bundle.paymentToken == address(0) && msg.value > price) {
+            _creditPayment(address(0), msg.sender, msg.value - price);
+        }
+
+        _recordSale(bundle.paymentToken, price);
+
+        emit BundleSold(bundleId, msg.sender, bundle.seller, price);
+    }
+
+    /**
+     * @dev Cancel a bundle listing
+     */
+    function cancelBundle(bytes32 bundleId) external {
+        Bundle storage bundle = bundles[bundleId];
+        if (!bundle.active) revert BundleNotActive();
+        if (bundle.seller != msg.sender && msg.sender != owner()) revert NotAuthorized();
+
+        bundle.active = false;
+
+        emit BundleCancelled(bundleId);
+    }
+
+    function _requireOwnedAndApproved(BundleItem memory item, address seller) private view {
+        IERC721 nft = IERC721(item.nftContract);
+        if (nft.ownerOf(item.tokenId) != seller) revert NotTokenOwner();
+        if (
+            !nft.isApprovedForAll(seller, address(this)) &&
+            nft.getApproved(item.tokenId) != address(this)
+        ) {
+            revert ContractNotApproved();
+        }
+    }
+
+    /**
+     * @dev Credit a bundle sale. The price is split evenly across the items (the last item takes
+     * the rounding remainder) and each share is quoted like a single sale, so each item's royalty
+     * and collection fee apply to its share; the seller pays the whole fee and receives the rest.
+     */
+    function _distributeBundleProceeds(
+        BundleItem[] storage items,
+        address seller,
+        uint256 price,
+        address paymentToken
+    ) private {
+        uint256 share = price / items.length;
+        uint256 marketplaceFee;
+        uint256 sellerProceeds;
+
+        for (uint256 i = 0; i < items.length; i++) {
+            uint256 itemPrice = i == items.length - 1 ? price - share * i : share;
+            SaleQuote memory quote = _quoteSale(items[i].nftContract, items[i].tokenId, seller, itemPrice, false);
+            _creditRoyalties(items[i].nftContract, items[i].tokenId, paymentToken, quote);
+            marketplaceFee += quote.marketplaceFee;
+            sellerProceeds += quote.sellerProceeds;
+        }
+
+        _creditPayment(paymentToken, seller, sellerProceeds);
+        _creditPayment(paymentToken, feeRecipient, marketplaceFee);
+        if (paymentToken == address(0)) {
+            sellerVolume[seller] += price;
+        }
+    }
+
+    /**
+     * @dev Update marketplace fee
+     */
+    function setMarketplaceFee(uint256 newFeePercentage) external onlyAdmin {
+        if (newFeePercentage > MAX_FEE_PERCENTAGE) revert FeeTooHigh();
+        marketplaceFeePercentage = newFeePercentage;
+        emit MarketplaceFeeUpdated(newFeePercentage);
+    }
+
+    /**
+     * @dev Set or clear a collection's fee override, which takes precedence over seller tiers
+     * and the global fee (e.g. 0% for partner collections)
+     */
+    function setCollectionFee(address nftContract, bool enabled, uint256 feePercentage) external onlyAdmin {
+        if (feePercentage > MAX_FEE_PERCENTAGE) revert FeeTooHigh();
+        hasCollectionFee[nftContract] = enabled;
+        collectionFeePercentage[nftContract] = enabled ? feePercentage : 0;
+        emit CollectionFeeUpdated(nftContract, enabled, feePercentage);
+    }
+
+    /**
+     * @dev Replace the seller fee tiers. minVolumes must be strictly ascending; a seller pays the
+     * fee of the highest tier their lifetime native-currency sales have reached, or the global
+     * fee below the first tier. Empty arrays remove all tiers.
+     */
+    function setFeeTiers(uint256[] calldata minVolumes, uint256[] calldata feePercentages) external onlyAdmin {
+        if (minVolumes.length != feePercentages.length) revert ArrayLengthMismatch();
+
+        delete _feeTiers;
+        for (uint256 i = 0; i < minVolumes.length; i++) {
+            if (i != 0 && minVolumes[i] <= minVolumes[i - 1]) revert FeeTiersNotAscending();
+            if (feePercentages[i] > MAX_FEE_PERCENTAGE) revert FeeTooHigh();
+            _feeTiers.push(FeeTier({minVolume: minVolumes[i], feePercentage: feePercentages[i]}));
+        }
+
+        emit FeeTiersUpdated(minVolumes, feePercentages);
+    }
+
+    /**
+     * @dev Set the share of the marketplace fee, in basis points, that buyers of listings pay on
+     * top of the price. The seller pays the remainder. Offers, auctions, bundles and signed
+     * orders always charge the whole fee to the seller.
+     */
+    function setTakerFeeShare(uint256 newTakerFeeShare) external onlyAdmin {
+        if (newTakerFeeShare > 10000) revert TakerFeeShareTooHigh();
+        takerFeeShare = newTakerFeeShare;
+        emit TakerFeeShareUpdated(newTakerFeeShare);
+    }
+
+    /**
+     * @dev Cap the marketplace fee plus royalty of any sale, in basis points of the price. Sales
+     * over the cap revert with DeductionsExceedCap instead of underflowing the seller's share,
+     * except auction settlements, which scale the deductions down to fit.
+     */
+    function setMaxTotalDeductionBps(uint256 newMaxTotalDeductionBps) external onlyAdmin {
+        if (newMaxTotalDeductionBps > 10000) revert DeductionCapTooHigh();
+        maxTotalDeductionBps = newMaxTotalDeductionBps;
+        emit MaxTotalDeductionUpdated(newMaxTotalDeductionBps);
+    }
+
+    /**
+     * @dev Update fee recipient
+     */
+    function setFeeRecipient(address newFeeRecipient) external onlyAdmin {
+        if (newFeeRecipient == address(0)) revert InvalidAddress();
+        feeRecipient = newFeeRecipient;
+    }
+
+    /**
+     * @dev Update royalty engine
+     */
+    function setRoyaltyEngine(address newRoyaltyEngine) external onlyAdmin {
+        if (newRoyaltyEngine == address(0)) revert InvalidAddress();
+        royaltyEngine = RoyaltyEngine(newRoyaltyEngine);
+    }
+}
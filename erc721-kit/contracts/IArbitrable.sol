@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IArbitrator.sol";
+
+/**
+ * @title IArbitrable
+ * @dev ERC-792 arbitrable contract, plus the ERC-1497 events that tie a dispute to the
+ * evidence submitted for it.
+ */
+interface IArbitrable {
+    event Ruling(IArbitrator indexed arbitrator, uint256 indexed disputeId, uint256 ruling);
+    event Dispute(
+        IArbitrator indexed arbitrator,
+        uint256 indexed disputeId,
+        uint256 metaEvidenceId,
+        uint256 evidenceGroupId
+    );
+    event Evidence(
+        IArbitrator indexed arbitrator,
+        uint256 indexed evidenceGroupId,
+        address indexed party,
+        string evidence
+    );
+
+    function rule(uint256 disputeId, uint256 ruling) external;
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IArbitrable.sol";
+
+/**
+ * @title IArbitrator
+ * @dev ERC-792 arbitrator. An arbitrable contract opens a dispute with createDispute and the
+ * arbitrator later calls its rule function; ruling 0 means the arbitrator refused to rule.
+ * ERC721Escrow expects nonzero dispute ids and arbitrators that charge no fees.
+ */
+interface IArbitrator {
+    enum DisputeStatus {
+        Waiting,
+        Appealable,
+        Solved
+    }
+
+    event DisputeCreation(uint256 indexed disputeId, IArbitrable indexed arbitrable);
+    event AppealPossible(uint256 indexed disputeId, IArbitrable indexed arbitrable);
+    event AppealDecision(uint256 indexed disputeId, IArbitrable indexed arbitrable);
+
+    function createDispute(uint256 choices, bytes calldata extraData) external payable returns (uint256 disputeId);
+
+    function arbitrationCost(bytes calldata extraData) external view returns (uint256 cost);
+
+    function appeal(uint256 disputeId, bytes calldata extraData) external payable;
+
+    function appealCost(uint256 disputeId, bytes calldata extraData) external view returns (uint256 cost);
+
+    function appealPeriod(uint256 disputeId) external view returns (uint256 start, uint256 end);
+
+    function disputeStatus(uint256 disputeId) external view returns (DisputeStatus status);
+
+    function currentRuling(uint256 disputeId) external view returns (uint256 ruling);
+}
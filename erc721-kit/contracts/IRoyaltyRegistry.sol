@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IRoyaltyRegistry
+ * @dev External royalty lookup the RoyaltyEngine can consult. Matches getRoyaltyView of a
+ * Manifold-style royalty engine, so one can be plugged in as the registry directly.
+ */
+interface IRoyaltyRegistry {
+    function getRoyaltyView(
+        address tokenAddress,
+        uint256 tokenId,
+        uint256 value
+    ) external view returns (address[] memory recipients, uint256[] memory amounts);
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title MockERC721
+ * @dev Mintable ERC721 without EIP-2981, so tests can exercise royalties configured in the RoyaltyEngine.
+ * Administered through AccessControl rather than Ownable; the deployer holds DEFAULT_ADMIN_ROLE.
+ */
+contract MockERC721 is ERC721, AccessControl {
+    constructor(string memory name, string memory symbol) ERC721(name, symbol) {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    function mint(address to, uint256 tokenId) public {
+        _mint(to, tokenId);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -47,6 +47,20 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
     event MintPriceUpdated(uint256 newPrice);
     event MaxSupplyUpdated(uint256 newMaxSupply);
 
+    // Errors
+    error PublicMintingDisabled();
+    error InsufficientPayment();
+    error InvalidBatchSize();
+    error MaxSupplyReached();
+    error MaxSupplyExceeded();
+    error ArrayLengthMismatch();
+    error TokenDoesNotExist();
+    error NotAuthorizedToSetRoyalty();
+    error RoyaltyTooHigh();
+    error InvalidRecipient();
+    error SupplyBelowMinted();
+    error NoFundsToWithdraw();
+
     constructor(
         string memory name,
         string memory symbol,
@@ -63,9 +77,9 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
      * @dev Public minting function
      */
     function mint(address to, string memory uri) public payable nonReentrant whenNotPaused {
-        require(publicMintEnabled, "Public minting is disabled");
-        require(msg.value >= mintPrice, "Insufficient payment");
-        require(_tokenIdCounter.current() <= maxSupply, "Max supply reached");
+        if (!publicMintEnabled) revert PublicMintingDisabled();
+        if (msg.value < mintPrice) revert InsufficientPayment();
+        if (_tokenIdCounter.current() > maxSupply) revert MaxSupplyReached();
         
         uint256 tokenId = _tokenIdCounter.current();
         _tokenIdCounter.increment();
@@ -86,10 +100,10 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
         address to, 
         string[] memory uris
     ) public payable nonReentrant whenNotPaused {
-        require(publicMintEnabled, "Public minting is disabled");
-        require(uris.length > 0 && uris.length <= maxMintPerTx, "Invalid batch size");
-        require(msg.value >= mintPrice * uris.length, "Insufficient payment");
-        require(_tokenIdCounter.current() + uris.length - 1 <= maxSupply, "Max supply exceeded");
+        if (!publicMintEnabled) revert PublicMintingDisabled();
+        if (uris.length == 0 || uris.length > maxMintPerTx) revert InvalidBatchSize();
+        if (msg.value < mintPrice * uris.length) revert InsufficientPayment();
+        if (_tokenIdCounter.current() + uris.length - 1 > maxSupply) revert MaxSupplyExceeded();
         
         uint256 totalCost = mintPrice * uris.length;
         
@@ -111,7 +125,7 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
      * @dev Owner mint function (free)
      */
     function ownerMint(address to, string memory uri) public onlyOwner {
-        require(_tokenIdCounter.current() <= maxSupply, "Max supply reached");
+        if (_tokenIdCounter.current() > maxSupply) revert MaxSupplyReached();
         
         uint256 tokenId = _tokenIdCounter.current();
         _tokenIdCounter.increment();
@@ -127,8 +141,8 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
         address[] memory recipients,
         string[] memory uris
     ) public onlyOwner {
-        require(recipients.length == uris.length, "Array length mismatch");
-        require(_tokenIdCounter.current() + recipients.length - 1 <= maxSupply, "Max supply exceeded");
+        if (recipients.length != uris.length) revert ArrayLengthMismatch();
+        if (_tokenIdCounter.current() + recipients.length - 1 > maxSupply) revert MaxSupplyExceeded();
         
         for (uint256 i = 0; i < recipients.length; i++) {
             uint256 tokenId = _tokenIdCounter.current();
@@ -150,11 +164,8 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
      * @dev Set royalty for specific token
      */
     function setTokenRoyalty(uint256 tokenId, address recipient, uint96 royaltyFraction) public {
-        require(_exists(tokenId), "Token does not exist");
-        require(
-            msg.sender == owner() || msg.sender == ownerOf(tokenId),
-            "Not authorized to set royalty"
-        );
+        if (!_exists(tokenId)) revert TokenDoesNotExist();
+        if (msg.sender != owner() && msg.sender != ownerOf(tokenId)) revert NotAuthorizedToSetRoyalty();
         _setTokenRoyalty(tokenId, recipient, royaltyFraction);
     }
 
@@ -162,8 +173,8 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
      * @dev Internal function to set default royalty
      */
     function _setDefaultRoyalty(address recipient, uint96 royaltyFraction) internal {
-        require(royaltyFraction <= 1000, "Royalty too high"); // Max 10%
-        require(recipient != address(0), "Invalid recipient");
+        if (royaltyFraction > 1000) revert RoyaltyTooHigh(); // Max 10%
+        if (recipient == address(0)) revert InvalidRecipient();
         
         _defaultRoyaltyInfo = RoyaltyInfo(recipient, royaltyFraction);
         emit DefaultRoyaltySet(recipient, royaltyFraction);
@@ -173,8 +184,8 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
      * @dev Internal function to set token royalty
      */
     function _setTokenRoyalty(uint256 tokenId, address recipient, uint96 royaltyFraction) internal {
-        require(royaltyFraction <= 1000, "Royalty too high"); // Max 10%
-        require(recipient != address(0), "Invalid recipient");
+        if (royaltyFraction > 1000) revert RoyaltyTooHigh(); // Max 10%
+        if (recipient == address(0)) revert InvalidRecipient();
         
         _tokenRoyaltyInfo[tokenId] = RoyaltyInfo(recipient, royaltyFraction);
         emit TokenRoyaltySet(tokenId, recipient, royaltyFraction);
@@ -225,7 +236,7 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
      * @dev Set max supply
      */
     function setMaxSupply(uint256 newMaxSupply) public onlyOwner {
-        require(newMaxSupply >= _tokenIdCounter.current() - 1, "Cannot reduce below current supply");
+        if (newMaxSupply < _tokenIdCounter.current() - 1) revert SupplyBelowMinted();
         maxSupply = newMaxSupply;
         emit MaxSupplyUpdated(newMaxSupply);
     }
@@ -278,7 +289,7 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
         address royaltyRecipient,
         uint256 royaltyAmount
     ) {
-        require(_exists(tokenId), "Token does not exist");
+        if (!_exists(tokenId)) revert TokenDoesNotExist();
         
         owner = ownerOf(tokenId);
         uri = tokenURI(tokenId);
@@ -290,7 +301,7 @@ contract MockNFT is ERC721, ERC721URIStorage, ERC721Burnable, Ownable, Pausable,
      */
     function withdraw() public onlyOwner {
         uint256 balance = address(this).balance;
-        require(balance > 0, "No funds to withdraw");
+        if (balance == 0) revert NoFundsToWithdraw();
         
         payable(owner()).transfer(balance);
     }
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IRoyaltyRegistry.sol";
+
+/**
+ * @title MockRoyaltyRegistry
+ * @dev External royalty registry used in tests; pays each configured recipient a basis-point cut of the value
+ */
+contract MockRoyaltyRegistry is IRoyaltyRegistry {
+    mapping(address => address[]) private _recipients;
+    mapping(address => uint256[]) private _bps;
+
+    function setRoyalty(address tokenAddress, address[] calldata recipients, uint256[] calldata bps) external {
+        _recipients[tokenAddress] = recipients;
+        _bps[tokenAddress] = bps;
+    }
+
+    function getRoyaltyView(
+        address tokenAddress,
+        uint256,
+        uint256 value
+    ) external view returns (address[] memory recipients, uint256[] memory amounts) {
+        recipients = _recipients[tokenAddress];
+        amounts = new uint256[](_bps[tokenAddress].length);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            amounts[i] = (value * _bps[tokenAddress][i]) / 10000;
+        }
+    }
+}
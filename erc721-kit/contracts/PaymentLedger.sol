@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+
+/**
+ * @title PaymentLedger
+ * @dev Pull-payment ledger shared by the marketplace and escrow. Sale proceeds, fees,
+ * royalties and refunds are credited per account and currency instead of being pushed,
+ * so a recipient that reverts on receipt cannot block a trade.
+ */
+abstract contract PaymentLedger is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // account => payment token (address(0) for ETH) => amount owed
+    mapping(address => mapping(address => uint256)) private _pendingWithdrawals;
+
+    event ProceedsCredited(address indexed account, address indexed paymentToken, uint256 amount);
+    event ProceedsWithdrawn(
+        address indexed account,
+        address indexed recipient,
+        address indexed paymentToken,
+        uint256 amount
+    );
+
+    error InvalidAddress();
+    error NothingToWithdraw();
+    error WithdrawalFailed();
+
+    /**
+     * @dev ETH owed to an account
+     */
+    function pendingWithdrawals(address account) external view returns (uint256) {
+        return _pendingWithdrawals[account][address(0)];
+    }
+
+    /**
+     * @dev ERC-20 balance owed to an account
+     */
+    function pendingTokenWithdrawals(address account, address paymentToken) external view returns (uint256) {
+        return _pendingWithdrawals[account][paymentToken];
+    }
+
+    /**
+     * @dev Withdraw all ETH owed to the caller
+     */
+    function withdraw() external nonReentrant {
+        _withdraw(address(0), msg.sender);
+    }
+
+    /**
+     * @dev Withdraw all ETH owed to the caller to another address
+     */
+    function withdrawTo(address recipient) external nonReentrant {
+        _withdraw(address(0), recipient);
+    }
+
+    /**
+     * @dev Withdraw the caller's balance of an ERC-20 payment token
+     */
+    function withdrawToken(address paymentToken) external nonReentrant {
+        _withdraw(paymentToken, msg.sender);
+    }
+
+    /**
+     * @dev Withdraw the caller's balance of an ERC-20 payment token to another address
+     */
+    function withdrawTokenTo(address paymentToken, address recipient) external nonReentrant {
+        _withdraw(paymentToken, recipient);
+    }
+
+    function _creditPayment(address paymentToken, address account, uint256 amount) internal {
+        if (amount == 0) return;
+        _pendingWithdrawals[account][paymentToken] += amount;
+        emit ProceedsCredited(account, paymentToken, amount);
+    }
+
+    function _withdraw(address paymentToken, address recipient) private {
+        if (recipient == address(0)) revert InvalidAddress();
+        uint256 amount = _pendingWithdrawals[msg.sender][paymentToken];
+        if (amount == 0) revert NothingToWithdraw();
+
+        _pendingWithdrawals[msg.sender][paymentToken] = 0;
+
+        if (paymentToken == address(0)) {
+            (bool success, ) = payable(recipient).call{value: amount}("");
+            if (!success) revert WithdrawalFailed();
+        } else {
+            IERC20(paymentToken).safeTransfer(recipient, amount);
+        }
+
+        emit ProceedsWithdrawn(msg.sender, recipient, paymentToken, amount);
+    }
+}
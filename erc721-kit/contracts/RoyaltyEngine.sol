@@ -2,14 +2,19 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "./IRoyaltyRegistry.sol";
+import "./AdminTimelock.sol";
 
 /**
  * @title RoyaltyEngine
- * @dev Manages royalty payments for NFT sales with EIP-2981 support
+ * @dev Manages royalty payments for NFT sales. A royalty is looked up in a configurable chain of
+ * sources: EIP-2981, this engine's token, contract and default settings, and an external registry.
  */
-contract RoyaltyEngine is Ownable {
+contract RoyaltyEngine is AdminTimelock {
     using ERC165Checker for address;
 
     struct RoyaltyInfo {
@@ -17,6 +22,36 @@ contract RoyaltyEngine is Ownable {
         uint256 percentage; // Basis points (1% = 100)
     }
 
+    // One payee of a split royalty; shares are basis points of the royalty and sum to 10000
+    struct RoyaltySplit {
+        address recipient;
+        uint256 share;
+    }
+
+    // From startTime on, a schedule charges this percentage (basis points)
+    struct RoyaltyBreakpoint {
+        uint256 startTime;
+        uint256 percentage;
+    }
+
+    // Overrides the percentage of the setting at its level: the latest breakpoint that has
+    // started applies, and primary sales can have their own rate
+    struct RoyaltySchedule {
+        RoyaltyBreakpoint[] breakpoints;
+        bool primaryEnabled;
+        uint256 primaryPercentage;
+    }
+
+    // Where a royalty came from; the lookup order is a list of these
+    enum RoyaltySource {
+        None,
+        EIP2981,
+        Token,
+        Contract,
+        Registry,
+        Default
+    }
+
     // Contract-level royalties
     mapping(address => RoyaltyInfo) public contractRoyalties;
     
@@ -26,49 +61,176 @@ contract RoyaltyEngine is Ownable {
     // Default royalty for contracts without specific settings
     RoyaltyInfo public defaultRoyalty;
     
+    // Optional splits of each level's royalty. A level with a split pays its payees instead of
+    // RoyaltyInfo.recipient, which is kept as the first payee for single-recipient callers.
+    RoyaltySplit[] internal _defaultSplits;
+    mapping(address => RoyaltySplit[]) internal _contractSplits;
+    mapping(address => mapping(uint256 => RoyaltySplit[])) internal _tokenSplits;
+
+    // Optional schedules of each level's percentage
+    RoyaltySchedule internal _defaultSchedule;
+    mapping(address => RoyaltySchedule) internal _contractSchedules;
+    mapping(address => mapping(uint256 => RoyaltySchedule)) internal _tokenSchedules;
+
+    // Optional external registry consulted by the Registry source
+    IRoyaltyRegistry public royaltyRegistry;
+
+    // Sources tried in turn until one reports a royalty
+    RoyaltySource[] internal _lookupOrder;
+
     uint256 public constant MAX_ROYALTY_PERCENTAGE = 1000; // 10%
+    uint256 public constant MAX_ROYALTY_SPLITS = 10;
+    uint256 public constant MAX_SCHEDULE_BREAKPOINTS = 10;
     
     // Events
     event DefaultRoyaltyUpdated(address recipient, uint256 percentage);
     event ContractRoyaltyUpdated(address indexed nftContract, address recipient, uint256 percentage);
     event TokenRoyaltyUpdated(address indexed nftContract, uint256 indexed tokenId, address recipient, uint256 percentage);
+    event DefaultRoyaltySplitsUpdated(RoyaltySplit[] splits, uint256 percentage);
+    event ContractRoyaltySplitsUpdated(address indexed nftContract, RoyaltySplit[] splits, uint256 percentage);
+    event TokenRoyaltySplitsUpdated(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        RoyaltySplit[] splits,
+        uint256 percentage
+    );
+    event DefaultRoyaltyScheduleUpdated(
+        RoyaltyBreakpoint[] breakpoints,
+        bool primaryEnabled,
+        uint256 primaryPercentage
+    );
+    event ContractRoyaltyScheduleUpdated(
+        address indexed nftContract,
+        RoyaltyBreakpoint[] breakpoints,
+        bool primaryEnabled,
+        uint256 primaryPercentage
+    );
+    event TokenRoyaltyScheduleUpdated(
+        address indexed nftContract,
+        uint256 indexed tokenId,
+        RoyaltyBreakpoint[] breakpoints,
+        bool primaryEnabled,
+        uint256 primaryPercentage
+    );
+    event LookupOrderUpdated(RoyaltySource[] order);
+    event RoyaltyRegistryUpdated(address indexed royaltyRegistry);
+
+    // Errors
+    error NotAuthorized();
+    error RoyaltyTooHigh();
+    error InvalidRecipient();
+    error ArrayLengthMismatch();
+    error InvalidSplitCount();
+    error InvalidSplitShares();
+    error InvalidLookupOrder();
+    error InvalidSchedule();
 
     constructor() {
         // Set default royalty to 0%
         defaultRoyalty = RoyaltyInfo(address(0), 0);
+
+        // EIP-2981 first, then this engine's settings, the registry and the default
+        _lookupOrder.push(RoyaltySource.EIP2981);
+        _lookupOrder.push(RoyaltySource.Token);
+        _lookupOrder.push(RoyaltySource.Contract);
+        _lookupOrder.push(RoyaltySource.Registry);
+        _lookupOrder.push(RoyaltySource.Default);
+
+        _allowChange(this.setLookupOrder.selector);
+        _allowChange(this.setRoyaltyRegistry.selector);
+        _allowChange(this.setDefaultRoyalty.selector);
+        _allowChange(this.setDefaultRoyaltySplits.selector);
+        _allowChange(this.setDefaultRoyaltySchedule.selector);
+        _allowChange(this.setContractRoyalty.selector);
+        _allowChange(this.setContractRoyaltySplits.selector);
+        _allowChange(this.setContractRoyaltySchedule.selector);
+        _allowChange(this.setTokenRoyalty.selector);
+        _allowChange(this.setTokenRoyaltySplits.selector);
+        _allowChange(this.setTokenRoyaltySchedule.selector);
+        _allowChange(this.removeContractRoyalty.selector);
+        _allowChange(this.removeTokenRoyalty.selector);
+        _allowChange(this.batchSetContractRoyalties.selector);
+    }
+
+    /**
+     * @dev Set the order royalty sources are tried in, e.g. token and contract overrides
+     * before EIP-2981. Sources left out are never consulted.
+     */
+    function setLookupOrder(RoyaltySource[] calldata order) external onlyAdmin {
+        if (order.length == 0) revert InvalidLookupOrder();
+
+        uint256 seen;
+        for (uint256 i = 0; i < order.length; i++) {
+            uint256 bit = 1 << uint256(order[i]);
+            if (order[i] == RoyaltySource.None || seen & bit != 0) revert InvalidLookupOrder();
+            seen |= bit;
+        }
+
+        _lookupOrder = order;
+        emit LookupOrderUpdated(order);
+    }
+
+    /**
+     * @dev Set the external royalty registry, or address(0) to skip the Registry source
+     */
+    function setRoyaltyRegistry(address newRoyaltyRegistry) external onlyAdmin {
+        royaltyRegistry = IRoyaltyRegistry(newRoyaltyRegistry);
+        emit RoyaltyRegistryUpdated(newRoyaltyRegistry);
     }
 
     /**
      * @dev Set default royalty for all contracts
      */
-    function setDefaultRoyalty(address recipient, uint256 percentage) external onlyOwner {
-        require(percentage <= MAX_ROYALTY_PERCENTAGE, "Royalty too high");
+    function setDefaultRoyalty(address recipient, uint256 percentage) external onlyAdmin {
+        if (percentage > MAX_ROYALTY_PERCENTAGE) revert RoyaltyTooHigh();
         if (percentage > 0) {
-            require(recipient != address(0), "Invalid recipient");
+            if (recipient == address(0)) revert InvalidRecipient();
         }
         
         defaultRoyalty = RoyaltyInfo(recipient, percentage);
+        delete _defaultSplits;
         emit DefaultRoyaltyUpdated(recipient, percentage);
     }
 
+    /**
+     * @dev Set a default royalty split among several payees
+     */
+    function setDefaultRoyaltySplits(RoyaltySplit[] calldata splits, uint256 percentage) external onlyAdmin {
+        _storeSplits(_defaultSplits, splits, percentage);
+        defaultRoyalty = RoyaltyInfo(splits[0].recipient, percentage);
+        emit DefaultRoyaltySplitsUpdated(splits, percentage);
+    }
+
     /**
      * @dev Set royalty for a specific contract
      */
     function setContractRoyalty(address nftContract, address recipient, uint256 percentage) external {
-        require(
-            msg.sender == owner() || 
-            _isContractOwner(nftContract, msg.sender),
-            "Not authorized"
-        );
-        require(percentage <= MAX_ROYALTY_PERCENTAGE, "Royalty too high");
+        if (!_isAdmin(msg.sender) && !_isContractOwner(nftContract, msg.sender)) revert NotAuthorized();
+        if (percentage > MAX_ROYALTY_PERCENTAGE) revert RoyaltyTooHigh();
         if (percentage > 0) {
-            require(recipient != address(0), "Invalid recipient");
+            if (recipient == address(0)) revert InvalidRecipient();
         }
         
         contractRoyalties[nftContract] = RoyaltyInfo(recipient, percentage);
+        delete _contractSplits[nftContract];
         emit ContractRoyaltyUpdated(nftContract, recipient, percentage);
     }
 
+    /**
+     * @dev Split a contract's royalty among several payees, e.g. creator, co-creator and treasury
+     */
+    function setContractRoyaltySplits(
+        address nftContract,
+        RoyaltySplit[] calldata splits,
+        uint256 percentage
+    ) external {
+        if (!_isAdmin(msg.sender) && !_isContractOwner(nftContract, msg.sender)) revert NotAuthorized();
+
+        _storeSplits(_contractSplits[nftContract], splits, percentage);
+        contractRoyalties[nftContract] = RoyaltyInfo(splits[0].recipient, percentage);
+        emit ContractRoyaltySplitsUpdated(nftContract, splits, percentage);
+    }
+
     /**
      * @dev Set royalty for a specific token
      */
@@ -78,85 +240,213 @@ contract RoyaltyEngine is Ownable {
         address recipient,
         uint256 percentage
     ) external {
-        require(
-            msg.sender == owner() || 
-            _isTokenOwner(nftContract, tokenId, msg.sender) ||
-            _isContractOwner(nftContract, msg.sender),
-            "Not authorized"
-        );
-        require(percentage <= MAX_ROYALTY_PERCENTAGE, "Royalty too high");
+        if (
+            !_isAdmin(msg.sender) &&
+            !_isTokenOwner(nftContract, tokenId, msg.sender) &&
+            !_isContractOwner(nftContract, msg.sender)
+        ) {
+            revert NotAuthorized();
+        }
+        if (percentage > MAX_ROYALTY_PERCENTAGE) revert RoyaltyTooHigh();
         if (percentage > 0) {
-            require(recipient != address(0), "Invalid recipient");
+            if (recipient == address(0)) revert InvalidRecipient();
         }
         
         tokenRoyalties[nftContract][tokenId] = RoyaltyInfo(recipient, percentage);
+        delete _tokenSplits[nftContract][tokenId];
         emit TokenRoyaltyUpdated(nftContract, tokenId, recipient, percentage);
     }
 
     /**
-     * @dev Get royalty information for a token sale
+     * @dev Split a token's royalty among several payees
+     */
+    function setTokenRoyaltySplits(
+        address nftContract,
+        uint256 tokenId,
+        RoyaltySplit[] calldata splits,
+        uint256 percentage
+    ) external {
+        if (
+            !_isAdmin(msg.sender) &&
+            !_isTokenOwner(nftContract, tokenId, msg.sender) &&
+            !_isContractOwner(nftContract, msg.sender)
+        ) {
+            revert NotAuthorized();
+        }
+
+        _storeSplits(_tokenSplits[nftContract][tokenId], splits, percentage);
+        tokenRoyalties[nftContract][tokenId] = RoyaltyInfo(splits[0].recipient, percentage);
+        emit TokenRoyaltySplitsUpdated(nftContract, tokenId, splits, percentage);
+    }
+
+    /**
+     * @dev Schedule the default royalty's percentage. Pass no breakpoints and primaryEnabled
+     * false to clear the schedule.
+     */
+    function setDefaultRoyaltySchedule(
+        RoyaltyBreakpoint[] calldata breakpoints,
+        bool primaryEnabled,
+        uint256 primaryPercentage
+    ) external onlyAdmin {
+        _storeSchedule(_defaultSchedule, breakpoints, primaryEnabled, primaryPercentage);
+        emit DefaultRoyaltyScheduleUpdated(breakpoints, primaryEnabled, primaryPercentage);
+    }
+
+    /**
+     * @dev Schedule a contract royalty's percentage, e.g. stepping down after a date or a
+     * different rate for primary sales
+     */
+    function setContractRoyaltySchedule(
+        address nftContract,
+        RoyaltyBreakpoint[] calldata breakpoints,
+        bool primaryEnabled,
+        uint256 primaryPercentage
+    ) external {
+        if (!_isAdmin(msg.sender) && !_isContractOwner(nftContract, msg.sender)) revert NotAuthorized();
+
+        _storeSchedule(_contractSchedules[nftContract], breakpoints, primaryEnabled, primaryPercentage);
+        emit ContractRoyaltyScheduleUpdated(nftContract, breakpoints, primaryEnabled, primaryPercentage);
+    }
+
+    /**
+     * @dev Schedule a token royalty's percentage
+     */
+    function setTokenRoyaltySchedule(
+        address nftContract,
+        uint256 tokenId,
+        RoyaltyBreakpoint[] calldata breakpoints,
+        bool primaryEnabled,
+        uint256 primaryPercentage
+    ) external {
+        if (
+            !_isAdmin(msg.sender) &&
+            !_isTokenOwner(nftContract, tokenId, msg.sender) &&
+            !_isContractOwner(nftContract, msg.sender)
+        ) {
+            revert NotAuthorized();
+        }
+
+        _storeSchedule(_tokenSchedules[nftContract][tokenId], breakpoints, primaryEnabled, primaryPercentage);
+        emit TokenRoyaltyScheduleUpdated(nftContract, tokenId, breakpoints, primaryEnabled, primaryPercentage);
+    }
+
+    /**
+     * @dev Get the schedule of a contract royalty
+     */
+    function getContractRoyaltySchedule(address nftContract) external view returns (RoyaltySchedule memory) {
+        return _contractSchedules[nftContract];
+    }
+
+    /**
+     * @dev Get the schedule of a token royalty
+     */
+    function getTokenRoyaltySchedule(address nftContract, uint256 tokenId)
+        external
+        view
+        returns (RoyaltySchedule memory)
+    {
+        return _tokenSchedules[nftContract][tokenId];
+    }
+
+    /**
+     * @dev Get the schedule of the default royalty
+     */
+    function getDefaultRoyaltySchedule() external view returns (RoyaltySchedule memory) {
+        return _defaultSchedule;
+    }
+
+    /**
+     * @dev Get royalty information for a token sale. With a split, the whole royalty is
+     * reported against the first payee; use getRoyaltySplits to pay every payee.
      */
     function getRoyalty(
         address nftContract,
         uint256 tokenId,
         uint256 salePrice
     ) external view returns (address recipient, uint256 royaltyAmount) {
-        // First check if contract supports EIP-2981
-        if (nftContract.supportsInterface(type(IERC2981).interfaceId)) {
-            try IERC2981(nftContract).royaltyInfo(tokenId, salePrice) returns (
-                address eip2981Recipient,
-                uint256 eip2981Amount
-            ) {
-                // Validate EIP-2981 response
-                if (eip2981Recipient != address(0) && eip2981Amount <= salePrice / 10) {
-                    return (eip2981Recipient, eip2981Amount);
-                }
-            } catch {
-                // Fall through to manual royalty settings
-            }
+        (address[] memory recipients, uint256[] memory amounts, ) = _lookupRoyalty(
+            nftContract,
+            tokenId,
+            salePrice,
+            false
+        );
+        if (recipients.length > 0) {
+            recipient = recipients[0];
         }
-
-        // Check token-specific royalty
-        RoyaltyInfo memory tokenRoyalty = tokenRoyalties[nftContract][tokenId];
-        if (tokenRoyalty.recipient != address(0) || tokenRoyalty.percentage > 0) {
-            uint256 amount = (salePrice * tokenRoyalty.percentage) / 10000;
-            return (tokenRoyalty.recipient, amount);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            royaltyAmount += amounts[i];
         }
+    }
 
-        // Check contract-level royalty
-        RoyaltyInfo memory contractRoyalty = contractRoyalties[nftContract];
-        if (contractRoyalty.recipient != address(0) || contractRoyalty.percentage > 0) {
-            uint256 amount = (salePrice * contractRoyalty.percentage) / 10000;
-            return (contractRoyalty.recipient, amount);
-        }
+    /**
+     * @dev Every payee of a token sale's royalty with the amount they are owed. EIP-2981 and a
+     * level without a split have a single payee; a split divides the royalty by share, the
+     * last payee taking the rounding remainder. Empty when no royalty applies.
+     */
+    function getRoyaltySplits(
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice
+    ) external view returns (address[] memory recipients, uint256[] memory amounts) {
+        (recipients, amounts, ) = _lookupRoyalty(nftContract, tokenId, salePrice, false);
+    }
 
-        // Use default royalty
-        if (defaultRoyalty.recipient != address(0) || defaultRoyalty.percentage > 0) {
-            uint256 amount = (salePrice * defaultRoyalty.percentage) / 10000;
-            return (defaultRoyalty.recipient, amount);
-        }
+    /**
+     * @dev getRoyaltySplits plus the source that produced the royalty, None if no source did
+     */
+    function getRoyaltyWithSource(
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice
+    ) external view returns (address[] memory recipients, uint256[] memory amounts, RoyaltySource source) {
+        return _lookupRoyalty(nftContract, tokenId, salePrice, false);
+    }
+
+    /**
+     * @dev getRoyaltyWithSource for a sale the caller has marked as primary or secondary.
+     * The views above price every sale as secondary.
+     */
+    function getRoyaltyForSale(
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice,
+        bool primarySale
+    ) external view returns (address[] memory recipients, uint256[] memory amounts, RoyaltySource source) {
+        return _lookupRoyalty(nftContract, tokenId, salePrice, primarySale);
+    }
+
+    /**
+     * @dev Whether an account administers a collection and so sells its tokens as primary sales
+     */
+    function isCollectionAdmin(address nftContract, address account) external view returns (bool) {
+        return _isContractOwner(nftContract, account);
+    }
 
-        return (address(0), 0);
+    /**
+     * @dev Get the order royalty sources are tried in
+     */
+    function getLookupOrder() external view returns (RoyaltySource[] memory) {
+        return _lookupOrder;
     }
 
     /**
-     * @dev Get royalty percentage for a token
+     * @dev Get the current secondary-sale royalty percentage for a token
      */
     function getRoyaltyPercentage(address nftContract, uint256 tokenId) external view returns (uint256) {
         // Check token-specific royalty
-        RoyaltyInfo memory tokenRoyalty = tokenRoyalties[nftContract][tokenId];
+        RoyaltyInfo storage tokenRoyalty = tokenRoyalties[nftContract][tokenId];
         if (tokenRoyalty.recipient != address(0) || tokenRoyalty.percentage > 0) {
-            return tokenRoyalty.percentage;
+            return _scheduledPercentage(tokenRoyalty, _tokenSchedules[nftContract][tokenId], false);
         }
 
         // Check contract-level royalty
-        RoyaltyInfo memory contractRoyalty = contractRoyalties[nftContract];
+        RoyaltyInfo storage contractRoyalty = contractRoyalties[nftContract];
         if (contractRoyalty.recipient != address(0) || contractRoyalty.percentage > 0) {
-            return contractRoyalty.percentage;
+            return _scheduledPercentage(contractRoyalty, _contractSchedules[nftContract], false);
         }
 
         // Return default royalty percentage
-        return defaultRoyalty.percentage;
+        return _scheduledPercentage(defaultRoyalty, _defaultSchedule, false);
     }
 
     /**
@@ -180,11 +470,241 @@ contract RoyaltyEngine is Ownable {
     }
 
     /**
-     * @dev Check if address is contract owner (basic check)
+     * @dev Walk the lookup order and return the first source that reports a royalty
+     */
+    function _lookupRoyalty(
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice,
+        bool primarySale
+    ) internal view returns (address[] memory recipients, uint256[] memory amounts, RoyaltySource source) {
+        for (uint256 i = 0; i < _lookupOrder.length; i++) {
+            source = _lookupOrder[i];
+            if (source == RoyaltySource.EIP2981) {
+                (recipients, amounts) = _eip2981Royalty(nftContract, tokenId, salePrice);
+            } else if (source == RoyaltySource.Token) {
+                (recipients, amounts) = _configuredRoyalty(
+                    tokenRoyalties[nftContract][tokenId],
+                    _tokenSplits[nftContract][tokenId],
+                    _tokenSchedules[nftContract][tokenId],
+                    salePrice,
+                    primarySale
+                );
+            } else if (source == RoyaltySource.Contract) {
+                (recipients, amounts) = _configuredRoyalty(
+                    contractRoyalties[nftContract],
+                    _contractSplits[nftContract],
+                    _contractSchedules[nftContract],
+                    salePrice,
+                    primarySale
+                );
+            } else if (source == RoyaltySource.Registry) {
+                (recipients, amounts) = _registryRoyalty(nftContract, tokenId, salePrice);
+            } else {
+                (recipients, amounts) = _configuredRoyalty(
+                    defaultRoyalty,
+                    _defaultSplits,
+                    _defaultSchedule,
+                    salePrice,
+                    primarySale
+                );
+            }
+
+            if (recipients.length > 0) {
+                return (recipients, amounts, source);
+            }
+        }
+        return (recipients, amounts, RoyaltySource.None);
+    }
+
+    /**
+     * @dev A valid EIP-2981 royalty for the sale; none if the contract reports no recipient
+     * or asks for more than 10% of the price
+     */
+    function _eip2981Royalty(
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice
+    ) internal view returns (address[] memory recipients, uint256[] memory amounts) {
+        if (nftContract.supportsInterface(type(IERC2981).interfaceId)) {
+            try IERC2981(nftContract).royaltyInfo(tokenId, salePrice) returns (
+                address eip2981Recipient,
+                uint256 eip2981Amount
+            ) {
+                // Validate EIP-2981 response
+                if (eip2981Recipient != address(0) && eip2981Amount <= salePrice / 10) {
+                    return _singlePayee(eip2981Recipient, eip2981Amount);
+                }
+            } catch {
+                // Fall through to the next source
+            }
+        }
+    }
+
+    /**
+     * @dev The royalty of one of this engine's settings at its scheduled percentage, split
+     * among its payees if it has a split; none if the setting has no recipient
+     */
+    function _configuredRoyalty(
+        RoyaltyInfo storage royalty,
+        RoyaltySplit[] storage splits,
+        RoyaltySchedule storage schedule,
+        uint256 salePrice,
+        bool primarySale
+    ) internal view returns (address[] memory recipients, uint256[] memory amounts) {
+        if (royalty.recipient == address(0)) {
+            return (recipients, amounts);
+        }
+
+        uint256 total = (salePrice * _scheduledPercentage(royalty, schedule, primarySale)) / 10000;
+        if (splits.length == 0) {
+            return _singlePayee(royalty.recipient, total);
+        }
+
+        recipients = new address[](splits.length);
+        amounts = new uint256[](splits.length);
+        uint256 remaining = total;
+        for (uint256 i = 0; i < splits.length; i++) {
+            recipients[i] = splits[i].recipient;
+            amounts[i] = i == splits.length - 1 ? remaining : (total * splits[i].share) / 10000;
+            remaining -= amounts[i];
+        }
+    }
+
+    /**
+     * @dev A setting's percentage under its schedule: the primary rate for primary sales if
+     * one is set, else the latest breakpoint that has started, else the setting's own
+     */
+    function _scheduledPercentage(
+        RoyaltyInfo storage royalty,
+        RoyaltySchedule storage schedule,
+        bool primarySale
+    ) internal view returns (uint256 percentage) {
+        if (primarySale && schedule.primaryEnabled) {
+            return schedule.primaryPercentage;
+        }
+
+        percentage = royalty.percentage;
+        RoyaltyBreakpoint[] storage breakpoints = schedule.breakpoints;
+        for (uint256 i = 0; i < breakpoints.length && breakpoints[i].startTime <= block.timestamp; i++) {
+            percentage = breakpoints[i].percentage;
+        }
+    }
+
+    /**
+     * @dev The external registry's royalty; none if no registry is set, it reverts, or its
+     * answer is malformed or asks for more than 10% of the price in total
+     */
+    function _registryRoyalty(
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice
+    ) internal view returns (address[] memory recipients, uint256[] memory amounts) {
+        if (address(royaltyRegistry) == address(0)) {
+            return (recipients, amounts);
+        }
+
+        try royaltyRegistry.getRoyaltyView(nftContract, tokenId, salePrice) returns (
+            address[] memory registryRecipients,
+            uint256[] memory registryAmounts
+        ) {
+            if (
+                registryRecipients.length != registryAmounts.length ||
+                registryRecipients.length > MAX_ROYALTY_SPLITS
+            ) {
+                return (recipients, amounts);
+            }
+
+            uint256 total;
+            for (uint256 i = 0; i < registryRecipients.length; i++) {
+                if (registryRecipients[i] == address(0)) {
+                    return (recipients, amounts);
+                }
+                total += registryAmounts[i];
+            }
+            if (total <= salePrice / 10) {
+                return (registryRecipients, registryAmounts);
+            }
+        } catch {
+            // Fall through to the next source
+        }
+    }
+
+    function _singlePayee(address recipient, uint256 amount)
+        internal
+        pure
+        returns (address[] memory recipients, uint256[] memory amounts)
+    {
+        recipients = new address[](1);
+        amounts = new uint256[](1);
+        recipients[0] = recipient;
+        amounts[0] = amount;
+    }
+
+    /**
+     * @dev Validate a split and copy it into storage
+     */
+    function _storeSplits(RoyaltySplit[] storage stored, RoyaltySplit[] calldata splits, uint256 percentage) internal {
+        if (splits.length == 0 || splits.length > MAX_ROYALTY_SPLITS) revert InvalidSplitCount();
+        if (percentage > MAX_ROYALTY_PERCENTAGE) revert RoyaltyTooHigh();
+
+        while (stored.length > 0) {
+            stored.pop();
+        }
+        uint256 totalShares;
+        for (uint256 i = 0; i < splits.length; i++) {
+            if (splits[i].recipient == address(0)) revert InvalidRecipient();
+            if (splits[i].share == 0) revert InvalidSplitShares();
+            totalShares += splits[i].share;
+            stored.push(splits[i]);
+        }
+        if (totalShares != 10000) revert InvalidSplitShares();
+    }
+
+    /**
+     * @dev Validate a schedule and copy it into storage; breakpoints must start in strictly
+     * ascending order
+     */
+    function _storeSchedule(
+        RoyaltySchedule storage schedule,
+        RoyaltyBreakpoint[] calldata breakpoints,
+        bool primaryEnabled,
+        uint256 primaryPercentage
+    ) internal {
+        if (breakpoints.length > MAX_SCHEDULE_BREAKPOINTS) revert InvalidSchedule();
+        if (primaryPercentage > MAX_ROYALTY_PERCENTAGE) revert RoyaltyTooHigh();
+
+        while (schedule.breakpoints.length > 0) {
+            schedule.breakpoints.pop();
+        }
+        for (uint256 i = 0; i < breakpoints.length; i++) {
+            if (i > 0 && breakpoints[i].startTime <= breakpoints[i - 1].startTime) revert InvalidSchedule();
+            if (breakpoints[i].percentage > MAX_ROYALTY_PERCENTAGE) revert RoyaltyTooHigh();
+            schedule.breakpoints.push(breakpoints[i]);
+        }
+        schedule.primaryEnabled = primaryEnabled;
+        schedule.primaryPercentage = primaryEnabled ? primaryPercentage : 0;
+    }
+
+    /**
+     * @dev Check if address administers a collection: its Ownable owner or an AccessControl
+     * DEFAULT_ADMIN_ROLE holder
      */
     function _isContractOwner(address nftContract, address account) internal view returns (bool) {
+        if (nftContract.code.length == 0) {
+            return false;
+        }
+
         try Ownable(nftContract).owner() returns (address contractOwner) {
-            return contractOwner == account;
+            if (contractOwner == account) {
+                return true;
+            }
+        } catch {
+            // Not Ownable; try AccessControl
+        }
+
+        try IAccessControl(nftContract).hasRole(bytes32(0), account) returns (bool isAdmin) {
+            return isAdmin;
         } catch {
             return false;
         }
@@ -208,20 +728,22 @@ contract RoyaltyEngine is Ownable {
         address[] calldata nftContracts,
         address[] calldata recipients,
         uint256[] calldata percentages
-    ) external onlyOwner {
-        require(
-            nftContracts.length == recipients.length && 
-            recipients.length == percentages.length,
-            "Array length mismatch"
-        );
+    ) external onlyAdmin {
+        if (
+            nftContracts.length != recipients.length ||
+            recipients.length != percentages.length
+        ) {
+            revert ArrayLengthMismatch();
+        }
 
         for (uint256 i = 0; i < nftContracts.length; i++) {
-            require(percentages[i] <= MAX_ROYALTY_PERCENTAGE, "Royalty too high");
+            if (percentages[i] > MAX_ROYALTY_PERCENTAGE) revert RoyaltyTooHigh();
             if (percentages[i] > 0) {
-                require(recipients[i] != address(0), "Invalid recipient");
+                if (recipients[i] == address(0)) revert InvalidRecipient();
             }
             
             contractRoyalties[nftContracts[i]] = RoyaltyInfo(recipients[i], percentages[i]);
+            delete _contractSplits[nftContracts[i]];
             emit ContractRoyaltyUpdated(nftContracts[i], recipients[i], percentages[i]);
         }
     }
@@ -230,13 +752,11 @@ contract RoyaltyEngine is Ownable {
      * @dev Remove contract royalty
      */
     function removeContractRoyalty(address nftContract) external {
-        require(
-            msg.sender == owner() || 
-            _isContractOwner(nftContract, msg.sender),
-            "Not authorized"
-        );
+        if (!_isAdmin(msg.sender) && !_isContractOwner(nftContract, msg.sender)) revert NotAuthorized();
         
         delete contractRoyalties[nftContract];
+        delete _contractSplits[nftContract];
+        delete _contractSchedules[nftContract];
         emit ContractRoyaltyUpdated(nftContract, address(0), 0);
     }
 
@@ -244,14 +764,17 @@ contract RoyaltyEngine is Ownable {
      * @dev Remove token royalty
      */
     function removeTokenRoyalty(address nftContract, uint256 tokenId) external {
-        require(
-            msg.sender == owner() || 
-            _isTokenOwner(nftContract, tokenId, msg.sender) ||
-            _isContractOwner(nftContract, msg.sender),
-            "Not authorized"
-        );
+        if (
+            !_isAdmin(msg.sender) &&
+            !_isTokenOwner(nftContract, tokenId, msg.sender) &&
+            !_isContractOwner(nftContract, msg.sender)
+        ) {
+            revert NotAuthorized();
+        }
         
         delete tokenRoyalties[nftContract][tokenId];
+        delete _tokenSplits[nftContract][tokenId];
+        delete _tokenSchedules[nftContract][tokenId];
         emit TokenRoyaltyUpdated(nftContract, tokenId, address(0), 0);
     }
 
@@ -271,8 +794,3 @@ contract RoyaltyEngine is Ownable {
         return royalty.recipient != address(0) || royalty.percentage > 0;
     }
 }
-
-// Interface for basic NFT ownership check
-interface IERC721 {
-    function ownerOf(uint256 tokenId) external view returns (address owner);
-}
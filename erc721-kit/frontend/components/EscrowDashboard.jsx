@@ -4,10 +4,20 @@ import { ethers } from "ethers";
 const EscrowDashboard = ({
   userAddress,
   escrows = [],
+  trades = [],
+  onFundEscrow,
+  onDepositNFT,
   onApproveEscrow,
   onCancelEscrow,
+  onFinalizeEscrow,
   onInitiateDispute,
+  onSubmitEvidence,
+  onAppealDispute,
   onCreateEscrow,
+  onCreateTrade,
+  onDepositTrade,
+  onApproveTrade,
+  onCancelTrade,
   loading = false,
   error = null,
   className = "",
@@ -15,6 +25,7 @@ const EscrowDashboard = ({
   const [activeTab, setActiveTab] = useState("all");
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [filteredEscrows, setFilteredEscrows] = useState([]);
+  const [evidenceUris, setEvidenceUris] = useState({});
 
   useEffect(() => {
     let filtered = escrows;
@@ -32,6 +43,9 @@ const EscrowDashboard = ({
             escrow.seller?.toLowerCase() === userAddress?.toLowerCase(),
         );
         break;
+      case "awaiting":
+        filtered = escrows.filter(isAwaitingDeposit);
+        break;
       case "active":
         filtered = escrows.filter((escrow) => escrow.status === "Active");
         break;
@@ -48,15 +62,20 @@ const EscrowDashboard = ({
     setFilteredEscrows(filtered.sort((a, b) => b.createdAt - a.createdAt));
   }, [escrows, activeTab, userAddress]);
 
+  const isBuyer = (escrow) =>
+    escrow.buyer?.toLowerCase() === userAddress?.toLowerCase();
+  const isSeller = (escrow) =>
+    escrow.seller?.toLowerCase() === userAddress?.toLowerCase();
+
   const formatAddress = (address) => {
     if (!address) return "";
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
   };
 
-  const formatPrice = (price) => {
+  const formatPrice = (price, currency) => {
     if (!price) return "0";
     try {
-      return ethers.utils.formatEther(price);
+      return ethers.utils.formatUnits(price, currency?.decimals ?? 18);
     } catch {
       return price.toString();
     }
@@ -72,8 +91,22 @@ const EscrowDashboard = ({
     );
   };
 
+  const getStatusLabel = (status) => {
+    switch (status) {
+      case "AwaitingBuyerFunds":
+        return "Awaiting Buyer Funds";
+      case "AwaitingSellerDeposit":
+        return "Awaiting Seller Deposit";
+      default:
+        return status;
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
+      case "AwaitingBuyerFunds":
+      case "AwaitingSellerDeposit":
+        return "bg-yellow-100 text-yellow-800";
       case "Active":
         return "bg-blue-100 text-blue-800";
       case "Completed":
@@ -98,12 +131,53 @@ const EscrowDashboard = ({
     return false;
   };
 
+  const canFund = (escrow) =>
+    escrow.status === "AwaitingBuyerFunds" && isBuyer(escrow);
+
+  const canDeposit = (escrow) =>
+    escrow.status === "AwaitingSellerDeposit" && isSeller(escrow);
+
+  // Either party can back out until the escrow settles or is disputed, but an
+  // auto-complete escrow past its deadline can only be finalized or disputed
   const canCancel = (escrow) => {
-    if (escrow.status !== "Active") return false;
-    const isParticipant =
-      escrow.buyer?.toLowerCase() === userAddress?.toLowerCase() ||
-      escrow.seller?.toLowerCase() === userAddress?.toLowerCase();
-    return isParticipant;
+    if (escrow.status !== "Active" && !isAwaitingDeposit(escrow)) return false;
+    if (
+      escrow.status === "Active" &&
+      escrow.autoCompleteAt &&
+      Date.now() / 1000 > escrow.deadline
+    ) {
+      return false;
+    }
+    return isBuyer(escrow) || isSeller(escrow);
+  };
+
+  // A dispute, even once ruled on, takes the escrow off the auto-complete path
+  const canFinalize = (escrow) =>
+    escrow.status === "Active" &&
+    !escrow.dispute &&
+    escrow.autoCompleteAt !== null &&
+    Date.now() / 1000 >= escrow.autoCompleteAt;
+
+  // The caller's side and the other side of a trade, or null if not a party
+  const tradeSides = (trade) => {
+    const user = userAddress?.toLowerCase();
+    if (trade.proposer?.party?.toLowerCase() === user) {
+      return {
+        mine: trade.proposer,
+        theirs: trade.counterparty,
+        myAssets: trade.proposerAssets,
+        theirAssets: trade.counterpartyAssets,
+      };
+    }
+    if (trade.counterparty?.party?.toLowerCase() === user) {
+      return {
+        mine: trade.counterparty,
+        theirs: trade.proposer,
+        myAssets: trade.counterpartyAssets,
+        theirAssets: trade.proposerAssets,
+      };
+    }
+    return null;
   };
 
   const canDispute = (escrow) => {
@@ -114,6 +188,32 @@ const EscrowDashboard = ({
     return isParticipant;
   };
 
+  const canAppeal = (escrow) => {
+    const arbitration = escrow.dispute?.arbitration;
+    if (escrow.status !== "Disputed" || arbitration?.status !== "Appealable") {
+      return false;
+    }
+    if (Date.now() / 1000 >= arbitration.appealEnd) return false;
+    return isBuyer(escrow) || isSeller(escrow);
+  };
+
+  const describeRuling = (arbitration) => {
+    if (arbitration.cancel) return "Cancel the escrow";
+    if (arbitration.refundBps === null) {
+      return "Refused to rule; the dispute resolver decides";
+    }
+    if (arbitration.refundBps === 0) return "Release the funds to the seller";
+    if (arbitration.refundBps === 10000) return "Refund the buyer in full";
+    return `Refund ${arbitration.refundBps / 100}% to the buyer`;
+  };
+
+  const handleSubmitEvidence = async (escrowId) => {
+    const uri = evidenceUris[escrowId]?.trim();
+    if (!uri) return;
+    await onSubmitEvidence(escrowId, uri);
+    setEvidenceUris((current) => ({ ...current, [escrowId]: "" }));
+  };
+
   const tabs = [
     { id: "all", label: "All Escrows", count: escrows.length },
     {
@@ -130,6 +230,11 @@ const EscrowDashboard = ({
         (e) => e.seller?.toLowerCase() === userAddress?.toLowerCase(),
       ).length,
     },
+    {
+      id: "awaiting",
+      label: "Awaiting Deposits",
+      count: escrows.filter(isAwaitingDeposit).length,
+    },
     {
       id: "active",
       label: "Active",
@@ -145,6 +250,7 @@ const EscrowDashboard = ({
       label: "Disputed",
       count: escrows.filter((e) => e.status === "Disputed").length,
     },
+    { id: "trades", label: "Trades", count: trades.length },
   ];
 
   if (loading) {
@@ -237,207 +343,535 @@ const EscrowDashboard = ({
         </nav>
       </div>
 
-      {/* Escrows List */}
-      <div className="p-6">
-        {filteredEscrows.length === 0 ? (
-          <div className="text-center py-12">
-            <div className="text-gray-400 mb-4">
-              <svg
-                className="mx-auto h-12 w-12"
-                fill="none"
-                viewBox="0 0 24 24"
-                stroke="currentColor"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
-                />
-              </svg>
+      {/* Trades List */}
+      {activeTab === "trades" && (
+        <div className="p-6">
+          {trades.length === 0 ? (
+            <div className="text-center py-12">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No Trades Found
+              </h3>
+              <p className="text-gray-500">
+                Create a trade to swap NFTs with another collector.
+              </p>
             </div>
-            <h3 className="text-lg font-medium text-gray-900 mb-2">
-              No Escrows Found
-            </h3>
-            <p className="text-gray-500">
-              {activeTab === "all"
-                ? "No escrow transactions found."
-                : `No ${activeTab} escrows found.`}
-            </p>
-          </div>
-        ) : (
-          <div className="space-y-4">
-            {filteredEscrows.map((escrow) => (
-              <div
-                key={escrow.id}
-                className="border border-gray-200 rounded-lg p-6 hover:shadow-md transition-shadow"
-              >
-                {/* Escrow Header */}
-                <div className="flex items-center justify-between mb-4">
-                  <div className="flex items-center space-x-3">
-                    <h3 className="text-lg font-medium text-gray-900">
-                      Escrow #{escrow.id}
-                    </h3>
-                    <span
-                      className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(escrow.status)}`}
+          ) : (
+            <div className="space-y-4">
+              {[...trades]
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .map((trade) => {
+                  const sides = tradeSides(trade);
+                  if (!sides) return null;
+                  const { mine, theirs, myAssets, theirAssets } = sides;
+
+                  return (
+                    <div
+                      key={trade.id}
+                      className="border border-gray-200 rounded-lg p-6 hover:shadow-md transition-shadow"
                     >
-                      {escrow.status}
-                    </span>
-                  </div>
-                  <div className="text-right">
-                    <p className="text-2xl font-bold text-purple-600">
-                      {formatPrice(escrow.price)} ETH
-                    </p>
-                    <p className="text-sm text-gray-500">
-                      Created: {formatDate(escrow.createdAt)}
-                    </p>
-                  </div>
-                </div>
+                      <div className="flex items-center justify-between mb-4">
+                        <div className="flex items-center space-x-3">
+                          <h3 className="text-lg font-medium text-gray-900">
+                            Trade #{trade.id}
+                          </h3>
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(trade.status === "Open" ? "Active" : trade.status)}`}
+                          >
+                            {trade.status}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-500">
+                          Deadline: {formatDate(trade.deadline)}
+                        </p>
+                      </div>
 
-                {/* NFT Info */}
-                <div className="bg-gray-50 rounded-lg p-4 mb-4">
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <div>
-                      <p className="text-sm font-medium text-gray-700">
-                        NFT Contract
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                        {[
+                          { label: "You give", side: mine, assets: myAssets },
+                          {
+                            label: `${formatAddress(theirs.party)} gives`,
+                            side: theirs,
+                            assets: theirAssets,
+                          },
+                        ].map(({ label, side, assets }) => (
+                          <div
+                            key={label}
+                            className="bg-gray-50 rounded-lg p-4"
+                          >
+                            <p className="text-sm font-medium text-gray-700 mb-2">
+                              {label}
+                              {side.deposited && (
+                                <span className="ml-2 text-green-600">
+                                  Deposited
+                                </span>
+                              )}
+                              {side.approved && (
+                                <span className="ml-2 text-green-600">
+                                  Approved
+                                </span>
+                              )}
+                            </p>
+                            {assets?.map((asset) => (
+                              <p
+                                key={`${asset.nftContract}-${asset.tokenId}`}
+                                className="text-sm text-gray-900 font-mono"
+                              >
+                                {formatAddress(asset.nftContract)} #
+                                {asset.tokenId.toString()}
+                              </p>
+                            ))}
+                            {side.sweetener?.gt?.(0) && (
+                              <p className="text-sm text-gray-900">
+                                + {formatPrice(side.sweetener, trade.currency)}{" "}
+                                {trade.currency?.symbol || "ETH"}
+                              </p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+
+                      {trade.status === "Open" && (
+                        <div className="flex flex-wrap gap-2">
+                          {!mine.deposited && (
+                            <button
+                              onClick={() => onDepositTrade(trade.id)}
+                              className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+                            >
+                              Deposit
+                            </button>
+                          )}
+                          {mine.deposited && !mine.approved && (
+                            <button
+                              onClick={() => onApproveTrade(trade.id)}
+                              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+                            >
+                              Approve
+                            </button>
+                          )}
+                          <button
+                            onClick={() => onCancelTrade(trade.id)}
+                            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Escrows List */}
+      {activeTab !== "trades" && (
+        <div className="p-6">
+          {filteredEscrows.length === 0 ? (
+            <div className="text-center py-12">
+              <div className="text-gray-400 mb-4">
+                <svg
+                  className="mx-auto h-12 w-12"
+                  fill="none"
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                  />
+                </svg>
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No Escrows Found
+              </h3>
+              <p className="text-gray-500">
+                {activeTab === "all"
+                  ? "No escrow transactions found."
+                  : `No ${activeTab} escrows found.`}
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {filteredEscrows.map((escrow) => (
+                <div
+                  key={escrow.id}
+                  className="border border-gray-200 rounded-lg p-6 hover:shadow-md transition-shadow"
+                >
+                  {/* Escrow Header */}
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center space-x-3">
+                      <h3 className="text-lg font-medium text-gray-900">
+                        Escrow #{escrow.id}
+                      </h3>
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(escrow.status)}`}
+                      >
+                        {getStatusLabel(escrow.status)}
+                      </span>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-2xl font-bold text-purple-600">
+                        {formatPrice(escrow.price, escrow.currency)}{" "}
+                        {escrow.currency?.symbol || "ETH"}
                       </p>
-                      <p className="text-sm text-gray-900 font-mono">
-                        {formatAddress(escrow.nftContract)}
+                      <p className="text-sm text-gray-500">
+                        Created: {formatDate(escrow.createdAt)}
                       </p>
                     </div>
+                  </div>
+
+                  {/* NFT Info */}
+                  <div className="bg-gray-50 rounded-lg p-4 mb-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div>
+                        <p className="text-sm font-medium text-gray-700">
+                          NFT Contract
+                        </p>
+                        <p className="text-sm text-gray-900 font-mono">
+                          {formatAddress(escrow.nftContract)}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-700">
+                          Token ID
+                        </p>
+                        <p className="text-sm text-gray-900">
+                          #{escrow.tokenId}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-700">
+                          Deadline
+                        </p>
+                        <p className="text-sm text-gray-900">
+                          {formatDate(escrow.deadline)}
+                        </p>
+                        {escrow.silencePolicy === "AutoComplete" && (
+                          <p className="text-xs text-gray-500">
+                            Completes {formatDate(escrow.autoCompleteAt)} if
+                            undisputed
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Participants */}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
                     <div>
-                      <p className="text-sm font-medium text-gray-700">
-                        Token ID
+                      <p className="text-sm font-medium text-gray-700 mb-2">
+                        Seller
                       </p>
-                      <p className="text-sm text-gray-900">#{escrow.tokenId}</p>
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm text-gray-900 font-mono">
+                          {formatAddress(escrow.seller)}
+                        </span>
+                        {escrow.sellerApproved && (
+                          <span className="text-green-600">
+                            <svg
+                              className="h-4 w-4"
+                              fill="currentColor"
+                              viewBox="0 0 20 20"
+                            >
+                              <path
+                                fillRule="evenodd"
+                                d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
+                                clipRule="evenodd"
+                              />
+                            </svg>
+                          </span>
+                        )}
+                      </div>
                     </div>
                     <div>
-                      <p className="text-sm font-medium text-gray-700">
-                        Deadline
-                      </p>
-                      <p className="text-sm text-gray-900">
-                        {formatDate(escrow.deadline)}
+                      <p className="text-sm font-medium text-gray-700 mb-2">
+                        Buyer
                       </p>
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm text-gray-900 font-mono">
+                          {formatAddress(escrow.buyer)}
+                        </span>
+                        {escrow.buyerApproved && (
+                          <span className="text-green-600">
+                            <svg
+                              className="h-4 w-4"
+                              fill="currentColor"
+                              viewBox="0 0 20 20"
+                            >
+                              <path
+                                fillRule="evenodd"
+                                d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
+                                clipRule="evenodd"
+                              />
+                            </svg>
+                          </span>
+                        )}
+                      </div>
                     </div>
                   </div>
-                </div>
 
-                {/* Participants */}
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-                  <div>
-                    <p className="text-sm font-medium text-gray-700 mb-2">
-                      Seller
-                    </p>
-                    <div className="flex items-center space-x-2">
-                      <span className="text-sm text-gray-900 font-mono">
-                        {formatAddress(escrow.seller)}
-                      </span>
-                      {escrow.sellerApproved && (
-                        <span className="text-green-600">
-                          <svg
-                            className="h-4 w-4"
-                            fill="currentColor"
-                            viewBox="0 0 20 20"
-                          >
-                            <path
-                              fillRule="evenodd"
-                              d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
-                              clipRule="evenodd"
-                            />
-                          </svg>
-                        </span>
+                  {/* Actions */}
+                  {(escrow.status === "Active" ||
+                    isAwaitingDeposit(escrow)) && (
+                    <div className="flex flex-wrap gap-2">
+                      {canFund(escrow) && (
+                        <button
+                          onClick={() => onFundEscrow(escrow.id)}
+                          className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+                        >
+                          Fund Escrow
+                        </button>
+                      )}
+                      {canDeposit(escrow) && (
+                        <button
+                          onClick={() => onDepositNFT(escrow.id)}
+                          className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+                        >
+                          Deposit NFT
+                        </button>
+                      )}
+                      {canApprove(escrow) && (
+                        <button
+                          onClick={() => onApproveEscrow(escrow.id)}
+                          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+                        >
+                          Approve
+                        </button>
+                      )}
+                      {onFinalizeEscrow && canFinalize(escrow) && (
+                        <button
+                          onClick={() => onFinalizeEscrow(escrow.id)}
+                          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+                        >
+                          Finalize
+                        </button>
+                      )}
+                      {canCancel(escrow) && (
+                        <button
+                          onClick={() => onCancelEscrow(escrow.id)}
+                          className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                      {canDispute(escrow) && (
+                        <button
+                          onClick={() => onInitiateDispute(escrow.id)}
+                          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                        >
+                          Dispute
+                        </button>
                       )}
                     </div>
-                  </div>
-                  <div>
-                    <p className="text-sm font-medium text-gray-700 mb-2">
-                      Buyer
-                    </p>
-                    <div className="flex items-center space-x-2">
-                      <span className="text-sm text-gray-900 font-mono">
-                        {formatAddress(escrow.buyer)}
-                      </span>
-                      {escrow.buyerApproved && (
-                        <span className="text-green-600">
-                          <svg
-                            className="h-4 w-4"
-                            fill="currentColor"
-                            viewBox="0 0 20 20"
-                          >
-                            <path
-                              fillRule="evenodd"
-                              d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
-                              clipRule="evenodd"
-                            />
-                          </svg>
+                  )}
+
+                  {/* Deposit Progress */}
+                  {isAwaitingDeposit(escrow) && (
+                    <div className="mt-4">
+                      <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+                        <span>
+                          {escrow.status === "AwaitingBuyerFunds"
+                            ? "Waiting for the buyer to fund the price"
+                            : "Waiting for the seller to deposit the NFT"}
                         </span>
-                      )}
+                        <span>
+                          {escrow.status === "AwaitingBuyerFunds" ? 0 : 1}/2
+                          deposits
+                        </span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className="bg-yellow-500 h-2 rounded-full transition-all duration-300"
+                          style={{
+                            width:
+                              escrow.status === "AwaitingBuyerFunds"
+                                ? "0%"
+                                : "50%",
+                          }}
+                        ></div>
+                      </div>
                     </div>
-                  </div>
-                </div>
+                  )}
 
-                {/* Actions */}
-                {escrow.status === "Active" && (
-                  <div className="flex flex-wrap gap-2">
-                    {canApprove(escrow) && (
-                      <button
-                        onClick={() => onApproveEscrow(escrow.id)}
-                        className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
-                      >
-                        Approve
-                      </button>
-                    )}
-                    {canCancel(escrow) && (
-                      <button
-                        onClick={() => onCancelEscrow(escrow.id)}
-                        className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 transition-colors"
-                      >
-                        Cancel
-                      </button>
-                    )}
-                    {canDispute(escrow) && (
-                      <button
-                        onClick={() => onInitiateDispute(escrow.id)}
-                        className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
-                      >
-                        Dispute
-                      </button>
-                    )}
-                  </div>
-                )}
+                  {/* Milestone Progress */}
+                  {escrow.milestones && (
+                    <div className="mt-4">
+                      <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+                        <span>Milestones</span>
+                        <span>
+                          {escrow.milestones.current}/
+                          {escrow.milestones.amounts.length} milestones released
+                        </span>
+                      </div>
+                      <div className="flex gap-1">
+                        {escrow.milestones.amounts.map((amount, index) => (
+                          <div
+                            key={index}
+                            className="flex-1"
+                            title={`${formatPrice(amount, escrow.currency)} ${escrow.currency?.symbol || "ETH"}`}
+                          >
+                            <div className="w-full bg-gray-200 rounded-full h-2">
+                              <div
+                                className={`h-2 rounded-full transition-all duration-300 ${
+                                  index < escrow.milestones.current
+                                    ? "bg-green-500"
+                                    : "bg-purple-600"
+                                }`}
+                                style={{
+                                  width:
+                                    index < escrow.milestones.current
+                                      ? "100%"
+                                      : index === escrow.milestones.current &&
+                                          escrow.status === "Active"
+                                        ? `${((escrow.sellerApproved ? 1 : 0) + (escrow.buyerApproved ? 1 : 0)) * 50}%`
+                                        : "0%",
+                                }}
+                              ></div>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-1 text-center">
+                              {formatPrice(amount, escrow.currency)}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
 
-                {/* Progress Indicator */}
-                {escrow.status === "Active" && (
-                  <div className="mt-4">
-                    <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
-                      <span>Progress</span>
-                      <span>
-                        {(escrow.sellerApproved ? 1 : 0) +
-                          (escrow.buyerApproved ? 1 : 0)}
-                        /2 approvals
-                      </span>
+                  {/* Progress Indicator */}
+                  {escrow.status === "Active" && (
+                    <div className="mt-4">
+                      <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+                        <span>
+                          {escrow.milestones
+                            ? `Milestone ${escrow.milestones.current + 1}`
+                            : "Progress"}
+                        </span>
+                        <span>
+                          {(escrow.sellerApproved ? 1 : 0) +
+                            (escrow.buyerApproved ? 1 : 0)}
+                          /2 approvals
+                        </span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className="bg-purple-600 h-2 rounded-full transition-all duration-300"
+                          style={{
+                            width: `${((escrow.sellerApproved ? 1 : 0) + (escrow.buyerApproved ? 1 : 0)) * 50}%`,
+                          }}
+                        ></div>
+                      </div>
                     </div>
-                    <div className="w-full bg-gray-200 rounded-full h-2">
-                      <div
-                        className="bg-purple-600 h-2 rounded-full transition-all duration-300"
-                        style={{
-                          width: `${((escrow.sellerApproved ? 1 : 0) + (escrow.buyerApproved ? 1 : 0)) * 50}%`,
-                        }}
-                      ></div>
+                  )}
+
+                  {/* Dispute: arbitration state and evidence timeline */}
+                  {escrow.dispute && (
+                    <div className="mt-4 border-t border-gray-200 pt-4">
+                      {escrow.dispute.arbitration && (
+                        <div className="flex items-center justify-between text-sm mb-3">
+                          <span className="text-gray-700">
+                            Arbitration #{escrow.dispute.arbitration.disputeId}:{" "}
+                            {escrow.dispute.arbitration.status === "Waiting"
+                              ? "Arbiters are voting"
+                              : describeRuling(escrow.dispute.arbitration)}
+                          </span>
+                          {escrow.dispute.arbitration.status ===
+                            "Appealable" && (
+                            <span className="text-gray-500">
+                              Appeals until{" "}
+                              {formatDate(escrow.dispute.arbitration.appealEnd)}
+                            </span>
+                          )}
+                        </div>
+                      )}
+
+                      <p className="text-sm font-medium text-gray-700 mb-2">
+                        Evidence
+                      </p>
+                      {escrow.dispute.evidence.length === 0 ? (
+                        <p className="text-sm text-gray-500">
+                          No evidence submitted yet
+                        </p>
+                      ) : (
+                        <ol className="border-l-2 border-purple-200 pl-4 space-y-2">
+                          {escrow.dispute.evidence.map((item) => (
+                            <li key={item.transactionHash} className="text-sm">
+                              <span className="text-gray-500">
+                                {formatDate(item.timestamp)}
+                              </span>{" "}
+                              <span className="font-medium text-gray-900">
+                                {item.party.toLowerCase() ===
+                                escrow.seller?.toLowerCase()
+                                  ? "Seller"
+                                  : "Buyer"}
+                              </span>{" "}
+                              <a
+                                href={item.uri}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-purple-600 hover:underline break-all"
+                              >
+                                {item.uri}
+                              </a>
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+
+                      {escrow.status === "Disputed" &&
+                        (isBuyer(escrow) || isSeller(escrow)) && (
+                          <div className="flex flex-wrap gap-2 mt-3">
+                            {onSubmitEvidence && (
+                              <>
+                                <input
+                                  type="text"
+                                  value={evidenceUris[escrow.id] || ""}
+                                  onChange={(e) =>
+                                    setEvidenceUris((current) => ({
+                                      ...current,
+                                      [escrow.id]: e.target.value,
+                                    }))
+                                  }
+                                  placeholder="ipfs://... evidence URI"
+                                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500"
+                                />
+                                <button
+                                  onClick={() =>
+                                    handleSubmitEvidence(escrow.id)
+                                  }
+                                  className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+                                >
+                                  Submit Evidence
+                                </button>
+                              </>
+                            )}
+                            {onAppealDispute && canAppeal(escrow) && (
+                              <button
+                                onClick={() => onAppealDispute(escrow.id)}
+                                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                              >
+                                Appeal Ruling
+                              </button>
+                            )}
+                          </div>
+                        )}
                     </div>
-                  </div>
-                )}
-              </div>
-            ))}
-          </div>
-        )}
-      </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Create Escrow Modal */}
       {showCreateModal && (
         <CreateEscrowModal
           onClose={() => setShowCreateModal(false)}
           onCreate={onCreateEscrow}
+          onCreateTrade={onCreateTrade}
           userAddress={userAddress}
         />
       )}
@@ -445,15 +879,83 @@ const EscrowDashboard = ({
   );
 };
 
-// Create Escrow Modal Component
-const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
+const isAwaitingDeposit = (escrow) =>
+  escrow.status === "AwaitingBuyerFunds" ||
+  escrow.status === "AwaitingSellerDeposit";
+
+const emptyAsset = () => ({ nftContract: "", tokenId: "" });
+
+// Editable list of { nftContract, tokenId } rows for one side of a trade
+const TradeAssetsInput = ({ label, assets, onChange, error }) => {
+  const updateAsset = (index, field, value) =>
+    onChange(
+      assets.map((asset, i) =>
+        i === index ? { ...asset, [field]: value } : asset,
+      ),
+    );
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      {assets.map((asset, index) => (
+        <div key={index} className="flex space-x-2 mt-1">
+          <input
+            type="text"
+            value={asset.nftContract}
+            onChange={(e) => updateAsset(index, "nftContract", e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+            placeholder="NFT contract 0x..."
+          />
+          <input
+            type="number"
+            value={asset.tokenId}
+            onChange={(e) => updateAsset(index, "tokenId", e.target.value)}
+            className="w-24 px-3 py-2 border border-gray-300 rounded-md"
+            placeholder="Token ID"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(assets.filter((_, i) => i !== index))}
+            className="px-2 text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...assets, emptyAsset()])}
+        className="mt-1 text-sm text-purple-600 hover:text-purple-700"
+      >
+        + Add NFT
+      </button>
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+// Create Escrow Modal Component: a sale of one NFT for a price, or a trade of
+// NFTs for NFTs with an optional ETH sweetener from either side
+const CreateEscrowModal = ({
+  onClose,
+  onCreate,
+  onCreateTrade,
+  userAddress,
+}) => {
   const [formData, setFormData] = useState({
+    type: "sale",
     buyer: "",
     nftContract: "",
     tokenId: "",
     price: "",
+    yourAssets: [emptyAsset()],
+    theirAssets: [emptyAsset()],
+    sweetener: "",
+    sweetenerFrom: "you",
     duration: "7", // days
+    inspection: "", // days after the deadline; empty cancels on silence
   });
+  const isTrade = formData.type === "trade";
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
@@ -461,21 +963,45 @@ const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
     e.preventDefault();
 
     const newErrors = {};
+    const invalidAssets = (assets) =>
+      assets.some(
+        (asset) =>
+          !ethers.utils.isAddress(asset.nftContract) ||
+          asset.tokenId === "" ||
+          isNaN(asset.tokenId),
+      );
     if (!ethers.utils.isAddress(formData.buyer)) {
-      newErrors.buyer = "Invalid buyer address";
+      newErrors.buyer = isTrade
+        ? "Invalid counterparty address"
+        : "Invalid buyer address";
     }
-    if (!ethers.utils.isAddress(formData.nftContract)) {
-      newErrors.nftContract = "Invalid contract address";
-    }
-    if (!formData.tokenId || isNaN(formData.tokenId)) {
-      newErrors.tokenId = "Invalid token ID";
-    }
-    if (
-      !formData.price ||
-      isNaN(formData.price) ||
-      parseFloat(formData.price) <= 0
-    ) {
-      newErrors.price = "Invalid price";
+    if (isTrade) {
+      if (invalidAssets(formData.yourAssets)) {
+        newErrors.yourAssets = "Enter a contract and token ID for every NFT";
+      }
+      if (invalidAssets(formData.theirAssets)) {
+        newErrors.theirAssets = "Enter a contract and token ID for every NFT";
+      }
+      if (
+        formData.sweetener &&
+        (isNaN(formData.sweetener) || parseFloat(formData.sweetener) < 0)
+      ) {
+        newErrors.sweetener = "Invalid amount";
+      }
+    } else {
+      if (!ethers.utils.isAddress(formData.nftContract)) {
+        newErrors.nftContract = "Invalid contract address";
+      }
+      if (!formData.tokenId || isNaN(formData.tokenId)) {
+        newErrors.tokenId = "Invalid token ID";
+      }
+      if (
+        !formData.price ||
+        isNaN(formData.price) ||
+        parseFloat(formData.price) <= 0
+      ) {
+        newErrors.price = "Invalid price";
+      }
     }
 
     if (Object.keys(newErrors).length > 0) {
@@ -485,13 +1011,31 @@ const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
 
     setLoading(true);
     try {
-      await onCreate({
-        buyer: formData.buyer,
-        nftContract: formData.nftContract,
-        tokenId: formData.tokenId,
-        price: ethers.utils.parseEther(formData.price),
-        duration: parseInt(formData.duration) * 24 * 60 * 60, // Convert days to seconds
-      });
+      const durationDays = parseInt(formData.duration);
+      if (isTrade) {
+        const sweetener = ethers.utils.parseEther(formData.sweetener || "0");
+        const fromYou = formData.sweetenerFrom === "you";
+        await onCreateTrade(
+          formData.buyer,
+          formData.yourAssets,
+          formData.theirAssets,
+          fromYou ? sweetener : 0,
+          fromYou ? 0 : sweetener,
+          durationDays,
+        );
+      } else {
+        await onCreate(
+          formData.buyer,
+          formData.nftContract,
+          formData.tokenId,
+          ethers.utils.parseEther(formData.price),
+          durationDays,
+          undefined,
+          formData.inspection === ""
+            ? undefined
+            : parseInt(formData.inspection),
+        );
+      }
       onClose();
     } catch (error) {
       setErrors({ submit: error.message });
@@ -504,7 +1048,9 @@ const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-md">
         <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-medium">Create New Escrow</h3>
+          <h3 className="text-lg font-medium">
+            {isTrade ? "Create New Trade" : "Create New Escrow"}
+          </h3>
           <button
             onClick={onClose}
             className="text-gray-400 hover:text-gray-600"
@@ -526,9 +1072,34 @@ const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-4">
+          {onCreateTrade && (
+            <div className="flex rounded-md border border-gray-300 overflow-hidden">
+              {[
+                { id: "sale", label: "Sell for a price" },
+                { id: "trade", label: "Trade NFTs" },
+              ].map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  onClick={() => {
+                    setErrors({});
+                    setFormData((prev) => ({ ...prev, type: option.id }));
+                  }}
+                  className={`flex-1 px-3 py-2 text-sm ${
+                    formData.type === option.id
+                      ? "bg-purple-600 text-white"
+                      : "text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700">
-              Buyer Address
+              {isTrade ? "Counterparty Address" : "Buyer Address"}
             </label>
             <input
               type="text"
@@ -544,61 +1115,126 @@ const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
             )}
           </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700">
-              NFT Contract
-            </label>
-            <input
-              type="text"
-              value={formData.nftContract}
-              onChange={(e) =>
-                setFormData((prev) => ({
-                  ...prev,
-                  nftContract: e.target.value,
-                }))
-              }
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
-              placeholder="0x..."
-            />
-            {errors.nftContract && (
-              <p className="text-sm text-red-600 mt-1">{errors.nftContract}</p>
-            )}
-          </div>
+          {isTrade ? (
+            <>
+              <TradeAssetsInput
+                label="You give"
+                assets={formData.yourAssets}
+                onChange={(yourAssets) =>
+                  setFormData((prev) => ({ ...prev, yourAssets }))
+                }
+                error={errors.yourAssets}
+              />
+              <TradeAssetsInput
+                label="You receive"
+                assets={formData.theirAssets}
+                onChange={(theirAssets) =>
+                  setFormData((prev) => ({ ...prev, theirAssets }))
+                }
+                error={errors.theirAssets}
+              />
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Sweetener (ETH, optional)
+                </label>
+                <div className="flex space-x-2 mt-1">
+                  <input
+                    type="number"
+                    step="0.0001"
+                    value={formData.sweetener}
+                    onChange={(e) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        sweetener: e.target.value,
+                      }))
+                    }
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                  <select
+                    value={formData.sweetenerFrom}
+                    onChange={(e) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        sweetenerFrom: e.target.value,
+                      }))
+                    }
+                    className="px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="you">paid by you</option>
+                    <option value="them">paid by them</option>
+                  </select>
+                </div>
+                {errors.sweetener && (
+                  <p className="text-sm text-red-600 mt-1">
+                    {errors.sweetener}
+                  </p>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  NFT Contract
+                </label>
+                <input
+                  type="text"
+                  value={formData.nftContract}
+                  onChange={(e) =>
+                    setFormData((prev) => ({
+                      ...prev,
+                      nftContract: e.target.value,
+                    }))
+                  }
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
+                  placeholder="0x..."
+                />
+                {errors.nftContract && (
+                  <p className="text-sm text-red-600 mt-1">
+                    {errors.nftContract}
+                  </p>
+                )}
+              </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700">
-              Token ID
-            </label>
-            <input
-              type="number"
-              value={formData.tokenId}
-              onChange={(e) =>
-                setFormData((prev) => ({ ...prev, tokenId: e.target.value }))
-              }
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
-            />
-            {errors.tokenId && (
-              <p className="text-sm text-red-600 mt-1">{errors.tokenId}</p>
-            )}
-          </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Token ID
+                </label>
+                <input
+                  type="number"
+                  value={formData.tokenId}
+                  onChange={(e) =>
+                    setFormData((prev) => ({
+                      ...prev,
+                      tokenId: e.target.value,
+                    }))
+                  }
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                {errors.tokenId && (
+                  <p className="text-sm text-red-600 mt-1">{errors.tokenId}</p>
+                )}
+              </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700">
-              Price (ETH)
-            </label>
-            <input
-              type="number"
-              step="0.0001"
-              value={formData.price}
-              onChange={(e) =>
-                setFormData((prev) => ({ ...prev, price: e.target.value }))
-              }
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
-            />
-            {errors.price && (
-              <p className="text-sm text-red-600 mt-1">{errors.price}</p>
-            )}
-          </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Price (ETH)
+                </label>
+                <input
+                  type="number"
+                  step="0.0001"
+                  value={formData.price}
+                  onChange={(e) =>
+                    setFormData((prev) => ({ ...prev, price: e.target.value }))
+                  }
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                {errors.price && (
+                  <p className="text-sm text-red-600 mt-1">{errors.price}</p>
+                )}
+              </div>
+            </>
+          )}
 
           <div>
             <label className="block text-sm font-medium text-gray-700">
@@ -619,6 +1255,35 @@ const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
             </select>
           </div>
 
+          {!isTrade && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                If nobody approves by the deadline
+              </label>
+              <select
+                value={formData.inspection}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    inspection: e.target.value,
+                  }))
+                }
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
+              >
+                <option value="">Allow cancelling the escrow</option>
+                <option value="1">
+                  Complete after a 1-day inspection period
+                </option>
+                <option value="3">
+                  Complete after a 3-day inspection period
+                </option>
+                <option value="7">
+                  Complete after a 7-day inspection period
+                </option>
+              </select>
+            </div>
+          )}
+
           {errors.submit && (
             <p className="text-sm text-red-600">{errors.submit}</p>
           )}
@@ -636,7 +1301,11 @@ const CreateEscrowModal = ({ onClose, onCreate, userAddress }) => {
               disabled={loading}
               className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
             >
-              {loading ? "Creating..." : "Create Escrow"}
+              {loading
+                ? "Creating..."
+                : isTrade
+                  ? "Create Trade"
+                  : "Create Escrow"}
             </button>
           </div>
         </form>
@@ -1,8 +1,9 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect } from "react";
 import { ethers } from "ethers";
 
 const MintForm = ({
   onMint,
+  onQuote,
   onSuccess,
   onError,
   loading = false,
@@ -25,8 +26,33 @@ const MintForm = ({
 
   const [errors, setErrors] = useState({});
   const [isUploading, setIsUploading] = useState(false);
+  const [quote, setQuote] = useState(null);
   const fileInputRef = useRef(null);
 
+  // Live fee and royalty breakdown for the entered price, e.g. the hook's
+  // quoteListing bound to this collection and token
+  useEffect(() => {
+    if (!onQuote || !(parseFloat(formData.price) > 0)) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await onQuote(ethers.utils.parseEther(formData.price));
+        if (!cancelled) setQuote(result);
+      } catch (error) {
+        if (!cancelled) setQuote(null);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [onQuote, formData.price]);
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData((prev) => ({
@@ -459,6 +485,22 @@ const MintForm = ({
           <p className="mt-1 text-sm text-red-600">{errors.price}</p>
         )}
         <p className="mt-1 text-sm text-gray-500">Leave empty for free mint</p>
+        {quote && (
+          <dl className="mt-2 space-y-1 text-sm text-gray-600">
+            <div className="flex justify-between">
+              <dt>Marketplace fee</dt>
+              <dd>{ethers.utils.formatEther(quote.marketplaceFee)} ETH</dd>
+            </div>
+            <div className="flex justify-between">
+              <dt>Royalty</dt>
+              <dd>{ethers.utils.formatEther(quote.royaltyAmount)} ETH</dd>
+            </div>
+            <div className="flex justify-between font-medium text-gray-900">
+              <dt>You receive</dt>
+              <dd>{ethers.utils.formatEther(quote.sellerProceeds)} ETH</dd>
+            </div>
+          </dl>
+        )}
       </div>
 
       {/* Unlockable Content */}
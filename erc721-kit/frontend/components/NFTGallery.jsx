@@ -1,6 +1,21 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
 
+// Mirrors ERC721Marketplace.getCurrentPrice so Dutch listings tick down without polling
+export const getDutchPrice = (nft, now) => {
+  const { startPrice, floorPrice, stepDuration = 0 } = nft.dutch;
+  const start = ethers.BigNumber.from(startPrice);
+  const floor = ethers.BigNumber.from(floorPrice);
+  const duration = Number(nft.expiresAt) - Number(nft.createdAt);
+
+  let elapsed = now - Number(nft.createdAt);
+  if (elapsed >= duration) return floor;
+  if (elapsed <= 0) return start;
+  if (stepDuration > 0) elapsed -= elapsed % stepDuration;
+
+  return start.sub(start.sub(floor).mul(elapsed).div(duration));
+};
+
 const NFTGallery = ({
   nfts = [],
   onNFTClick,
@@ -12,20 +27,82 @@ const NFTGallery = ({
   showOwner = false,
 }) => {
   const [imageErrors, setImageErrors] = useState(new Set());
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const hasDutchListings = nfts.some((nft) => nft.dutch);
+
+  useEffect(() => {
+    if (!hasDutchListings) return;
+
+    const interval = setInterval(
+      () => setNow(Math.floor(Date.now() / 1000)),
+      1000,
+    );
+    return () => clearInterval(interval);
+  }, [hasDutchListings]);
 
   const handleImageError = (tokenId) => {
     setImageErrors((prev) => new Set([...prev, tokenId]));
   };
 
-  const formatPrice = (price) => {
+  // `currency` is { symbol, decimals } for ERC-20 priced items; defaults to ETH
+  const formatPrice = (price, currency) => {
     if (!price) return "";
     try {
-      return `${ethers.utils.formatEther(price)} ETH`;
+      const { symbol = "ETH", decimals = 18 } = currency || {};
+      return `${ethers.utils.formatUnits(price, decimals)} ${symbol}`;
     } catch {
       return price;
     }
   };
 
+  const formatEndTime = (endTime) => {
+    const date = new Date(Number(endTime) * 1000);
+    return date.toLocaleString([], {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  };
+
+  // Bundle cards carry `items`: [{ contractAddress, tokenId, image?, name? }]
+  const isBundle = (nft) => Array.isArray(nft.items) && nft.items.length > 0;
+
+  const renderBundlePreview = (nft) => {
+    const preview = nft.items.slice(0, 4);
+    const hidden = nft.items.length - preview.length;
+
+    return (
+      <div className="w-full h-full grid grid-cols-2 grid-rows-2 gap-0.5 bg-gray-200">
+        {preview.map((item, index) => (
+          <div
+            key={`${item.contractAddress}-${item.tokenId}`}
+            className="relative overflow-hidden bg-gradient-to-br from-purple-100 to-blue-100"
+          >
+            {item.image || item.imageUrl ? (
+              <img
+                src={item.image || item.imageUrl}
+                alt={item.name || `NFT ${item.tokenId}`}
+                className="w-full h-full object-cover"
+                loading="lazy"
+              />
+            ) : (
+              <div className="w-full h-full flex items-center justify-center text-xs text-purple-500 font-medium">
+                #{item.tokenId.toString()}
+              </div>
+            )}
+            {hidden > 0 && index === preview.length - 1 && (
+              <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 text-white text-lg font-semibold">
+                +{hidden}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const formatAddress = (address) => {
     if (!address) return "";
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -109,13 +186,15 @@ const NFTGallery = ({
     <div className={`grid ${gridCols} gap-6 ${className}`}>
       {nfts.map((nft) => (
         <div
-          key={`${nft.contractAddress}-${nft.tokenId}`}
+          key={isBundle(nft) ? nft.id : `${nft.contractAddress}-${nft.tokenId}`}
           className="bg-white rounded-lg shadow-lg overflow-hidden hover:shadow-xl transition-shadow duration-300 cursor-pointer"
           onClick={() => onNFTClick && onNFTClick(nft)}
         >
           {/* NFT Image */}
           <div className="aspect-square relative overflow-hidden bg-gray-100">
-            {!imageErrors.has(nft.tokenId) ? (
+            {isBundle(nft) ? (
+              renderBundlePreview(nft)
+            ) : !imageErrors.has(nft.tokenId) ? (
               <img
                 src={nft.image || nft.imageUrl || "/placeholder-nft.png"}
                 alt={nft.name || `NFT ${nft.tokenId}`}
@@ -144,6 +223,14 @@ const NFTGallery = ({
               </div>
             )}
 
+            {isBundle(nft) && (
+              <div className="absolute top-3 left-3">
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                  Bundle · {nft.items.length} items
+                </span>
+              </div>
+            )}
+
             {/* Status Badge */}
             {nft.status && (
               <div className="absolute top-3 right-3">
@@ -168,12 +255,20 @@ const NFTGallery = ({
           <div className="p-4">
             <div className="mb-2">
               <h3 className="text-lg font-semibold text-gray-900 truncate">
-                {nft.name || `NFT #${nft.tokenId}`}
+                {nft.name ||
+                  (isBundle(nft)
+                    ? `Bundle of ${nft.items.length}`
+                    : `NFT #${nft.tokenId}`)}
               </h3>
               <p className="text-sm text-gray-500 truncate">
-                {nft.collection ||
-                  nft.contractName ||
-                  formatAddress(nft.contractAddress)}
+                {isBundle(nft)
+                  ? `${
+                      new Set(nft.items.map((item) => item.contractAddress))
+                        .size
+                    } collection(s)`
+                  : nft.collection ||
+                    nft.contractName ||
+                    formatAddress(nft.contractAddress)}
               </p>
             </div>
 
@@ -199,10 +294,37 @@ const NFTGallery = ({
             <div className="flex items-center justify-between">
               {showPrices && nft.price && (
                 <div>
-                  <p className="text-sm text-gray-500">Price</p>
+                  <p className="text-sm text-gray-500">
+                    {nft.status === "auction"
+                      ? nft.highestBid
+                        ? "Current Bid"
+                        : "Reserve"
+                      : nft.dutch
+                        ? "Current Price"
+                        : isBundle(nft)
+                          ? "Bundle Price"
+                          : "Price"}
+                  </p>
                   <p className="text-lg font-bold text-purple-600">
-                    {formatPrice(nft.price)}
+                    {formatPrice(
+                      nft.status === "auction" && nft.highestBid
+                        ? nft.highestBid
+                        : nft.dutch
+                          ? getDutchPrice(nft, now)
+                          : nft.price,
+                      nft.currency,
+                    )}
                   </p>
+                  {nft.dutch && (
+                    <p className="text-xs text-gray-500">
+                      Floor {formatPrice(nft.dutch.floorPrice, nft.currency)}
+                    </p>
+                  )}
+                  {nft.status === "auction" && nft.endTime && (
+                    <p className="text-xs text-gray-500">
+                      Ends {formatEndTime(nft.endTime)}
+                    </p>
+                  )}
                 </div>
               )}
 
@@ -210,7 +332,7 @@ const NFTGallery = ({
                 <div className="text-right">
                   <p className="text-sm text-gray-500">Last Sale</p>
                   <p className="text-sm font-medium text-gray-900">
-                    {formatPrice(nft.lastSale)}
+                    {formatPrice(nft.lastSale, nft.currency)}
                   </p>
                 </div>
               )}
@@ -2,39 +2,159 @@ import { useState, useEffect, useCallback } from "react";
 import { ethers } from "ethers";
 
 // ABI fragments for the contracts (in a real implementation, these would be imported from generated types)
+const LISTING_TUPLE =
+  "tuple(address seller, address nftContract, uint256 tokenId, uint256 price, address paymentToken, address reservedBuyer, uint256 createdAt, uint256 expiresAt, bool active)";
+const OFFER_TUPLE =
+  "tuple(address buyer, address nftContract, uint256 tokenId, uint256 amount, address paymentToken, uint256 createdAt, uint256 expiresAt, bool active)";
+const BUNDLE_TUPLE =
+  "tuple(address seller, uint256 price, address paymentToken, uint256 createdAt, uint256 expiresAt, bool active)";
+const BUNDLE_ITEM_TUPLE = "tuple(address nftContract, uint256 tokenId)";
+const SALE_QUOTE_TUPLE =
+  "tuple(uint256 price, uint256 marketplaceFee, uint256 buyerFee, address royaltyRecipient, uint256 royaltyAmount, uint256 sellerProceeds, uint256 buyerTotal, address[] royaltyRecipients, uint256[] royaltyAmounts, uint8 royaltySource)";
+const TRADE_ASSET_TUPLE = "tuple(address nftContract, uint256 tokenId)";
+const TRADE_SIDE_TUPLE =
+  "tuple(address party, uint256 sweetener, bool deposited, bool approved)";
+const TRADE_TUPLE = `tuple(${TRADE_SIDE_TUPLE} proposer, ${TRADE_SIDE_TUPLE} counterparty, address paymentToken, uint256 createdAt, uint256 deadline, uint8 status)`;
+const ORDER_TUPLE =
+  "tuple(uint8 side, address maker, address nftContract, uint256 tokenId, address paymentToken, uint256 price, uint256 startTime, uint256 expiresAt, uint256 salt, uint256 counter)";
+
 const ERC721_MARKETPLACE_ABI = [
   "function listItem(address nftContract, uint256 tokenId, uint256 price, uint256 duration) external",
+  "function listItemWithCurrency(address nftContract, uint256 tokenId, uint256 price, uint256 duration, address paymentToken) external",
+  "function listItemForBuyer(address nftContract, uint256 tokenId, uint256 price, uint256 duration, address paymentToken, address reservedBuyer) external",
+  "function listDutchItem(address nftContract, uint256 tokenId, uint256 startPrice, uint256 floorPrice, uint256 duration, uint256 stepDuration) external",
   "function buyItem(bytes32 listingId) external payable",
+  "function batchListItems(address[] nftContracts, uint256[] tokenIds, uint256[] prices, uint256 duration, address paymentToken) external returns (bytes32[])",
+  "function batchCancelListings(bytes32[] listingIds) external",
+  "function nextListingId() external view returns (bytes32)",
+  "function nextOfferId() external view returns (bytes32)",
+  "function validateListing(bytes32 listingId) external view returns (bool fillable, string reason)",
+  "function purgeInvalidListings(bytes32[] listingIds) external returns (uint256)",
+  "function batchUpdateListings(bytes32[] listingIds, uint256[] newPrices) external",
+  "function batchBuyItems(bytes32[] listingIds, bool skipFailed) external payable",
+  `function listBundle(${BUNDLE_ITEM_TUPLE}[] items, uint256 price, uint256 duration, address paymentToken) external returns (bytes32)`,
+  "function buyBundle(bytes32 bundleId) external payable",
+  "function cancelBundle(bytes32 bundleId) external",
+  `function getBundle(bytes32 bundleId) external view returns (${BUNDLE_TUPLE} bundle, ${BUNDLE_ITEM_TUPLE}[] items)`,
+  "function getUserBundles(address user) external view returns (bytes32[])",
+  "function getCurrentPrice(bytes32 listingId) external view returns (uint256)",
+  `function quoteSale(bytes32 listingId) external view returns (${SALE_QUOTE_TUPLE})`,
+  "function quote(address nftContract, uint256 tokenId, uint256 price) external view returns (uint256 marketplaceFee, address royaltyRecipient, uint256 royaltyAmount, uint256 sellerProceeds)",
+  "function getFeePercentage(address nftContract, address seller) external view returns (uint256)",
+  "function getFeeTiers() external view returns (tuple(uint256 minVolume, uint256 feePercentage)[])",
+  "function takerFeeShare() external view returns (uint256)",
+  "function dutchListings(bytes32 listingId) external view returns (uint256 startPrice, uint256 floorPrice, uint256 stepDuration)",
   "function cancelListing(bytes32 listingId) external",
   "function updateListing(bytes32 listingId, uint256 newPrice) external",
   "function createOffer(address nftContract, uint256 tokenId, uint256 duration) external payable",
+  "function createOfferWithCurrency(address nftContract, uint256 tokenId, uint256 amount, uint256 duration, address paymentToken) external",
   "function acceptOffer(bytes32 offerId) external",
   "function cancelOffer(bytes32 offerId) external",
+  "function createCollectionOffer(address nftContract, bytes32 merkleRoot, uint256 pricePerItem, uint256 quantity, uint256 duration, address paymentToken) external payable",
+  "function acceptCollectionOffer(bytes32 offerId, uint256 tokenId, bytes32[] proof) external",
+  "function cancelCollectionOffer(bytes32 offerId) external",
+  "function getCollectionOffer(bytes32 offerId) external view returns (tuple(address buyer, address nftContract, bytes32 merkleRoot, uint256 pricePerItem, uint256 quantity, address paymentToken, uint256 createdAt, uint256 expiresAt, bool active))",
+  "function getUserCollectionOffers(address user) external view returns (bytes32[])",
+  "function createAuction(address nftContract, uint256 tokenId, uint256 reservePrice, uint256 duration) external",
+  "function placeBid(bytes32 auctionId) external payable",
+  "function settleAuction(bytes32 auctionId) external",
+  "function cancelAuction(bytes32 auctionId) external",
+  "function minimumBid(bytes32 auctionId) external view returns (uint256)",
+  "function getAuction(bytes32 auctionId) external view returns (tuple(address seller, address nftContract, uint256 tokenId, uint256 reservePrice, uint256 highestBid, address highestBidder, uint256 startTime, uint256 endTime, bool active))",
   "function getUserListings(address user) external view returns (bytes32[])",
   "function getUserOffers(address user) external view returns (bytes32[])",
-  "function getListing(bytes32 listingId) external view returns (tuple(address seller, address nftContract, uint256 tokenId, uint256 price, uint256 createdAt, uint256 expiresAt, bool active))",
-  "function getOffer(bytes32 offerId) external view returns (tuple(address buyer, address nftContract, uint256 tokenId, uint256 amount, uint256 createdAt, uint256 expiresAt, bool active))",
+  `function getListing(bytes32 listingId) external view returns (${LISTING_TUPLE})`,
+  `function getOffer(bytes32 offerId) external view returns (${OFFER_TUPLE})`,
+  `function getActiveListings(uint256 offset, uint256 limit) external view returns (bytes32[] listingIds, ${LISTING_TUPLE}[] page, uint256 total)`,
+  `function getActiveListingsByCollection(address nftContract, uint256 offset, uint256 limit) external view returns (bytes32[] listingIds, ${LISTING_TUPLE}[] page, uint256 total)`,
+  `function getOffersForToken(address nftContract, uint256 tokenId) external view returns (bytes32[] offerIds, ${OFFER_TUPLE}[] tokenOffers)`,
   "function totalListings() external view returns (uint256)",
   "function totalSales() external view returns (uint256)",
   "function totalVolume() external view returns (uint256)",
-  "event ItemListed(bytes32 indexed listingId, address indexed seller, address indexed nftContract, uint256 tokenId, uint256 price)",
+  "function allowedPaymentTokens(address paymentToken) external view returns (bool)",
+  `function fulfillOrder(${ORDER_TUPLE} order, bytes signature) external payable`,
+  `function cancelOrder(${ORDER_TUPLE} order) external`,
+  `function hashOrder(${ORDER_TUPLE} order) external view returns (bytes32)`,
+  "function incrementCounter() external returns (uint256)",
+  "function orderCounters(address maker) external view returns (uint256)",
+  "function orderCancelledOrFilled(bytes32 orderHash) external view returns (bool)",
+  "function pendingWithdrawals(address account) external view returns (uint256)",
+  "function pendingTokenWithdrawals(address account, address paymentToken) external view returns (uint256)",
+  "function withdraw() external",
+  "function withdrawToken(address paymentToken) external",
+  "event ItemListed(bytes32 indexed listingId, address indexed seller, address indexed nftContract, uint256 tokenId, uint256 price, address reservedBuyer)",
+  "event DutchListingCreated(bytes32 indexed listingId, uint256 startPrice, uint256 floorPrice, uint256 stepDuration)",
   "event ItemSold(bytes32 indexed listingId, address indexed buyer, address indexed seller, address nftContract, uint256 tokenId, uint256 price)",
   "event ListingCancelled(bytes32 indexed listingId)",
+  "event ListingInvalidated(bytes32 indexed listingId, string reason)",
+  "event BatchPurchaseSkipped(bytes32 indexed listingId, string reason)",
+  "event BundleListed(bytes32 indexed bundleId, address indexed seller, uint256 itemCount, uint256 price, address paymentToken)",
+  "event BundleSold(bytes32 indexed bundleId, address indexed buyer, address indexed seller, uint256 price)",
+  "event BundleCancelled(bytes32 indexed bundleId)",
   "event OfferCreated(bytes32 indexed offerId, address indexed buyer, address indexed nftContract, uint256 tokenId, uint256 amount)",
   "event OfferAccepted(bytes32 indexed offerId, address indexed seller, address indexed buyer, uint256 amount)",
+  "event CollectionOfferCreated(bytes32 indexed offerId, address indexed buyer, address indexed nftContract, bytes32 merkleRoot, uint256 pricePerItem, uint256 quantity)",
+  "event CollectionOfferAccepted(bytes32 indexed offerId, address indexed seller, uint256 tokenId, uint256 price, uint256 remainingQuantity)",
+  "event CollectionOfferCancelled(bytes32 indexed offerId)",
+  "event AuctionCreated(bytes32 indexed auctionId, address indexed seller, address indexed nftContract, uint256 tokenId, uint256 reservePrice, uint256 endTime)",
+  "event BidPlaced(bytes32 indexed auctionId, address indexed bidder, uint256 amount, uint256 endTime)",
+  "event AuctionExtended(bytes32 indexed auctionId, uint256 newEndTime)",
+  "event AuctionSettled(bytes32 indexed auctionId, address indexed winner, address indexed seller, uint256 amount)",
+  "event AuctionCancelled(bytes32 indexed auctionId)",
+  "event OrderFulfilled(bytes32 indexed orderHash, address indexed maker, address indexed taker, uint8 side, address nftContract, uint256 tokenId, uint256 price)",
+  "event OrderCancelled(bytes32 indexed orderHash, address indexed maker)",
+  "event CounterIncremented(address indexed maker, uint256 newCounter)",
+  "event ProceedsCredited(address indexed account, address indexed paymentToken, uint256 amount)",
+  "event ProceedsWithdrawn(address indexed account, address indexed recipient, address indexed paymentToken, uint256 amount)",
 ];
 
 const ERC721_ESCROW_ABI = [
-  "function createEscrow(address buyer, address nftContract, uint256 tokenId, uint256 deadline) external payable",
+  "function createEscrow(address buyer, address nftContract, uint256 tokenId, uint256 deadline, uint256 price) external",
+  "function createEscrowWithCurrency(address buyer, address nftContract, uint256 tokenId, uint256 deadline, address paymentToken, uint256 price) external",
+  "function createEscrowWithAutoComplete(address buyer, address nftContract, uint256 tokenId, uint256 deadline, address paymentToken, uint256 price, uint256 inspectionPeriod) external returns (uint256)",
+  "function finalizeEscrow(uint256 escrowId) external",
+  "function autoCompleteAt(uint256 escrowId) external view returns (uint256)",
+  "function disputed(uint256 escrowId) external view returns (bool)",
+  "function createMilestoneEscrow(address buyer, address nftContract, uint256 tokenId, uint256 deadline, address paymentToken, uint256[] amounts) external returns (uint256)",
+  "function fundEscrow(uint256 escrowId) external payable",
+  "function depositNFT(uint256 escrowId) external",
   "function approveEscrow(uint256 escrowId) external",
   "function cancelEscrow(uint256 escrowId) external",
   "function initiateDispute(uint256 escrowId) external",
+  "function submitEvidence(uint256 escrowId, string evidence) external",
+  "function appealDispute(uint256 escrowId) external",
+  "function arbitrator() external view returns (address)",
+  "function escrowDisputes(uint256 escrowId) external view returns (uint256)",
+  "function disputeArbitrators(uint256 escrowId) external view returns (address)",
   "function getUserEscrows(address user) external view returns (uint256[])",
-  "function getEscrow(uint256 escrowId) external view returns (tuple(address seller, address buyer, address nftContract, uint256 tokenId, uint256 price, uint256 createdAt, uint256 deadline, uint8 status, bool sellerApproved, bool buyerApproved))",
+  "function quote(address nftContract, uint256 tokenId, uint256 price) external view returns (uint256 marketplaceFee, address royaltyRecipient, uint256 royaltyAmount, uint256 sellerProceeds)",
+  "function getEscrow(uint256 escrowId) external view returns (tuple(address seller, address buyer, address nftContract, uint256 tokenId, uint256 price, address paymentToken, uint256 createdAt, uint256 deadline, uint8 status, bool sellerApproved, bool buyerApproved))",
+  "function getMilestones(uint256 escrowId) external view returns (uint256[] amounts, uint256 current)",
+  `function createTrade(address counterparty, ${TRADE_ASSET_TUPLE}[] proposerAssets, ${TRADE_ASSET_TUPLE}[] counterpartyAssets, address paymentToken, uint256 proposerSweetener, uint256 counterpartySweetener, uint256 deadline) external returns (uint256)`,
+  "function depositTrade(uint256 tradeId) external payable",
+  "function approveTrade(uint256 tradeId) external",
+  "function cancelTrade(uint256 tradeId) external",
+  "function getUserTrades(address user) external view returns (uint256[])",
+  `function getTrade(uint256 tradeId) external view returns (${TRADE_TUPLE})`,
+  `function getTradeAssets(uint256 tradeId) external view returns (${TRADE_ASSET_TUPLE}[] proposerAssets, ${TRADE_ASSET_TUPLE}[] counterpartyAssets)`,
+  "function pendingWithdrawals(address account) external view returns (uint256)",
+  "function pendingTokenWithdrawals(address account, address paymentToken) external view returns (uint256)",
+  "function withdraw() external",
+  "function withdrawToken(address paymentToken) external",
   "event EscrowCreated(uint256 indexed escrowId, address indexed seller, address indexed buyer, address nftContract, uint256 tokenId, uint256 price)",
+  "event EscrowFunded(uint256 indexed escrowId)",
+  "event EscrowNFTDeposited(uint256 indexed escrowId)",
+  "event MilestoneReleased(uint256 indexed escrowId, uint256 milestone, uint256 amount)",
   "event EscrowCompleted(uint256 indexed escrowId)",
   "event EscrowCancelled(uint256 indexed escrowId)",
   "event EscrowDisputed(uint256 indexed escrowId)",
+  "event Evidence(address indexed arbitrator, uint256 indexed evidenceGroupId, address indexed party, string evidence)",
+  "event Ruling(address indexed arbitrator, uint256 indexed disputeId, uint256 ruling)",
+  "event TradeCreated(uint256 indexed tradeId, address indexed proposer, address indexed counterparty)",
+  "event TradeCompleted(uint256 indexed tradeId)",
+  "event TradeCancelled(uint256 indexed tradeId)",
+  "event ProceedsCredited(address indexed account, address indexed paymentToken, uint256 amount)",
+  "event ProceedsWithdrawn(address indexed account, address indexed recipient, address indexed paymentToken, uint256 amount)",
 ];
 
 const ERC721_ABI = [
@@ -48,6 +168,306 @@ const ERC721_ABI = [
   "function symbol() external view returns (string)",
 ];
 
+const ARBITRATOR_ABI = [
+  "function disputeStatus(uint256 disputeId) external view returns (uint8)",
+  "function currentRuling(uint256 disputeId) external view returns (uint256)",
+  "function appealPeriod(uint256 disputeId) external view returns (uint256 start, uint256 end)",
+];
+
+const ERC20_ABI = [
+  "function symbol() external view returns (string)",
+  "function decimals() external view returns (uint8)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function approve(address spender, uint256 amount) external returns (bool)",
+];
+
+const NATIVE_CURRENCY = { symbol: "ETH", decimals: 18 };
+
+// ERC721Escrow.EscrowStatus, by value
+const ESCROW_STATUSES = [
+  "Active",
+  "Completed",
+  "Cancelled",
+  "Disputed",
+  "AwaitingBuyerFunds",
+  "AwaitingSellerDeposit",
+];
+
+// ERC721Escrow.TradeStatus, by value
+const TRADE_STATUSES = ["Open", "Completed", "Cancelled"];
+
+// IArbitrator.DisputeStatus, by value
+const ARBITRATION_STATUSES = ["Waiting", "Appealable", "Solved"];
+
+// ERC721Escrow.CANCEL_RULING: the ruling that cancels the escrow
+const CANCEL_RULING = 10002;
+
+const LISTING_PAGE_SIZE = 50;
+
+// EIP-712 layout of ERC721Marketplace.Order
+const ORDER_TYPES = {
+  Order: [
+    { name: "side", type: "uint8" },
+    { name: "maker", type: "address" },
+    { name: "nftContract", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "price", type: "uint256" },
+    { name: "startTime", type: "uint256" },
+    { name: "expiresAt", type: "uint256" },
+    { name: "salt", type: "uint256" },
+    { name: "counter", type: "uint256" },
+  ],
+};
+
+export const ORDER_SIDE = { LISTING: 0, OFFER: 1 };
+
+// Merkle tree over token IDs for trait offers. Leaves and pair hashing match
+// acceptCollectionOffer: keccak256(keccak256(abi.encode(tokenId))), sorted pairs.
+export const buildTraitMerkleTree = (tokenIds) => {
+  const leafOf = (tokenId) =>
+    ethers.utils.keccak256(
+      ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(["uint256"], [tokenId]),
+      ),
+    );
+  const hashPair = (a, b) =>
+    ethers.utils.keccak256(ethers.utils.concat(a < b ? [a, b] : [b, a]));
+
+  const layers = [tokenIds.map(leafOf)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      // An odd node out is carried up unchanged
+      next.push(
+        i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i],
+      );
+    }
+    layers.push(next);
+  }
+
+  const getProof = (tokenId) => {
+    let index = layers[0].indexOf(leafOf(tokenId));
+    if (index === -1) throw new Error(`Token ${tokenId} is not in the set`);
+
+    const proof = [];
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  };
+
+  return { root: layers[layers.length - 1][0], getProof };
+};
+
+// Listing and offer IDs are bytes32(sequence number); deployments before the
+// sequence scheme used keccak256 hashes. Both are bytes32, so the contract
+// accepts either; these helpers convert and display them.
+const MAX_SEQUENCE_ID = ethers.BigNumber.from(2).pow(64);
+
+export const toMarketplaceId = (idOrSequence) =>
+  ethers.utils.isHexString(idOrSequence, 32)
+    ? idOrSequence
+    : ethers.utils.hexZeroPad(
+        ethers.BigNumber.from(idOrSequence).toHexString(),
+        32,
+      );
+
+export const formatMarketplaceId = (id) => {
+  const value = ethers.BigNumber.from(id);
+  return value.lt(MAX_SEQUENCE_ID)
+    ? `#${value.toString()}`
+    : `${id.slice(0, 10)}…${id.slice(-6)}`;
+};
+
+// Custom errors raised by the marketplace, escrow and royalty engine, with the
+// message shown to users. Errors with arguments are formatted in
+// decodeContractError.
+const CONTRACT_ERRORS = {
+  InvalidAddress: "Address cannot be zero",
+  NothingToWithdraw: "Nothing to withdraw",
+  WithdrawalFailed: "Withdrawal failed",
+  InvalidExtension: "Marketplace extensions are not deployed",
+  NotAuthorized: "You are not allowed to do that",
+  ArrayLengthMismatch: "Input lists have different lengths",
+  ContractNotWhitelisted: "This collection is not supported",
+  PaymentTokenNotAllowed: "This payment currency is not accepted",
+  NotTokenOwner: "You do not own this NFT",
+  ContractNotApproved: "Approve the contract to transfer this NFT first",
+  ZeroPrice: "Price must be greater than 0",
+  ZeroDuration: "Duration must be greater than 0",
+  ZeroQuantity: "Quantity must be greater than 0",
+  ZeroOfferAmount: "Offer must be greater than 0",
+  ZeroReservePrice: "Reserve price must be greater than 0",
+  InsufficientPayment: "Payment is below the price",
+  IncorrectPayment: "Payment does not match the amount due",
+  ETHNotAccepted: "This item is priced in a token, not ETH",
+  UseCreateOfferForETH: "Use createOffer for ETH offers",
+  ListingNotActive: "This listing is no longer active",
+  ListingExpired: "This listing has expired",
+  NotListingOwner: "Only the seller can change this listing",
+  CannotBuyOwnItem: "You cannot buy your own item",
+  ListingReservedForAnotherBuyer: "This listing is reserved for another buyer",
+  InvalidReservedBuyer: "Enter a valid buyer other than yourself",
+  SellerNoLongerOwnsNFT: "The seller no longer owns this NFT",
+  CannotRepriceDutchListing: "Dutch listings cannot be repriced",
+  StartPriceNotAboveFloor: "Start price must be above the floor price",
+  StepLongerThanDuration: "Price step is longer than the listing",
+  BundleNotActive: "This bundle is no longer active",
+  BundleExpired: "This bundle has expired",
+  BundleTooSmall: "A bundle needs at least 2 items",
+  BundleTooLarge: "This bundle has too many items",
+  DuplicateBundleItem: "The bundle contains the same NFT twice",
+  OfferNotActive: "This offer is no longer active",
+  OfferExpired: "This offer has expired",
+  CannotAcceptOwnOffer: "You cannot accept your own offer",
+  TokenNotInOfferSet: "This NFT is not covered by the offer",
+  AuctionNotActive: "This auction is not active",
+  AlreadyOnAuction: "This NFT is already on auction",
+  AuctionEnded: "This auction has ended",
+  AuctionNotEnded: "This auction has not ended yet",
+  AuctionHasBids: "An auction with bids cannot be cancelled",
+  CannotBidOnOwnAuction: "You cannot bid on your own auction",
+  BidTooLow: "Your bid is below the minimum bid",
+  OrderCancelledOrFilled: "This order was cancelled or already filled",
+  OrderCounterOutdated: "This order was cancelled by its maker",
+  OrderNotStarted: "This order is not open yet",
+  OrderExpired: "This order has expired",
+  OffersRequireERC20: "Signed offers must be paid in a token",
+  CannotFillOwnOrder: "You cannot fill your own order",
+  InvalidSignature: "The order signature is invalid",
+  NotOrderMaker: "Only the maker can cancel this order",
+  FeeTooHigh: "Fee is above the maximum",
+  FeeTiersNotAscending: "Fee tier volumes must increase",
+  TakerFeeShareTooHigh: "Buyer fee share cannot exceed 100%",
+  DeductionCapTooHigh: "Deduction cap cannot exceed 100%",
+  ExtensionWindowTooLong: "Auction extension window is too long",
+  IncrementTooHigh: "Minimum bid increment is too high",
+  OnlyDisputeResolver: "Only the dispute resolver can do that",
+  InvalidEscrowId: "Escrow not found",
+  InvalidBuyer: "Enter a valid buyer address",
+  BuyerIsSeller: "Buyer and seller must be different",
+  InvalidDeadline: "Deadline must be in the future",
+  EscrowNotActive: "This escrow is no longer active",
+  EscrowNotAwaitingFunds: "This escrow is not waiting for payment",
+  EscrowNotAwaitingDeposit: "This escrow is not waiting for the NFT",
+  EscrowExpired: "This escrow's deadline has passed",
+  InvalidMilestones: "An escrow needs between 1 and 20 milestones",
+  NotFinalizable: "This escrow cannot be finalized yet",
+  EscrowAutoCompletes:
+    "This escrow completes automatically unless it is disputed",
+  InvalidTradeId: "Trade not found",
+  InvalidCounterparty: "Enter a valid counterparty address",
+  EmptyTradeSide: "Each side of a trade must give an NFT or a payment",
+  TooManyTradeAssets: "Too many NFTs on one side of the trade",
+  TradeNotOpen: "This trade is no longer open",
+  AlreadyDeposited: "You have already deposited your side",
+  TradeNotDeposited: "Deposit your side before approving",
+  EscrowNotDisputed: "This escrow is not in dispute",
+  OnlyArbitrator: "Only the arbitrator can rule on this escrow",
+  InvalidDisputeId: "Dispute not found",
+  InvalidRuling: "That ruling is not one of the options",
+  NotArbiter: "Only panel arbiters can vote",
+  AlreadyVoted: "You have already voted in this round",
+  VotingClosed: "Voting on this dispute is closed",
+  NotAppealable: "There is no ruling to appeal",
+  AppealWindowClosed: "The appeal window has closed",
+  AppealWindowOpen: "The ruling can still be appealed",
+  TooManyAppeals: "This dispute cannot be appealed again",
+  OnlyArbitrable: "Appeal through the escrow",
+  NotAuthorizedToCancel:
+    "Only the buyer or seller can cancel before the deadline",
+  DisputeWindowClosed: "The dispute window has closed",
+  RoyaltyTooHigh: "Royalty is above the maximum",
+  InvalidRecipient: "Enter a valid royalty recipient",
+};
+
+const CONTRACT_ERRORS_INTERFACE = new ethers.utils.Interface([
+  ...Object.keys(CONTRACT_ERRORS).map((name) => `error ${name}()`),
+  "error PurchaseFailed(bytes32 listingId, string reason)",
+  "error DeductionsExceedCap(uint256 deductions, uint256 maxDeductions)",
+]);
+
+// Revert data sits at different depths depending on the provider and wallet
+const findRevertData = (error) => {
+  for (let current = error; current; current = current.error) {
+    const data = current.data?.data ?? current.data;
+    if (ethers.utils.isHexString(data) && data.length >= 10) return data;
+  }
+  return null;
+};
+
+// Evidence timeline and arbitration state of an escrow's dispute. Arbitration
+// is null for disputes left to the dispute resolver; a ruling of
+// refundBps + 1 refunds that share of the disputed funds to the buyer, and
+// cancel is set for CANCEL_RULING.
+const fetchEscrowDispute = async (escrowContract, escrowId, disputeId) => {
+  const events = await escrowContract.queryFilter(
+    escrowContract.filters.Evidence(null, escrowId),
+  );
+  const evidence = await Promise.all(
+    events.map(async (event) => ({
+      party: event.args.party,
+      uri: event.args.evidence,
+      timestamp: (await event.getBlock()).timestamp,
+      transactionHash: event.transactionHash,
+    })),
+  );
+
+  if (disputeId.isZero()) return { evidence, arbitration: null };
+
+  const arbitrator = new ethers.Contract(
+    await escrowContract.disputeArbitrators(escrowId),
+    ARBITRATOR_ABI,
+    escrowContract.provider,
+  );
+  const [status, ruling, appealPeriod] = await Promise.all([
+    arbitrator.disputeStatus(disputeId),
+    arbitrator.currentRuling(disputeId),
+    arbitrator.appealPeriod(disputeId),
+  ]);
+  return {
+    evidence,
+    arbitration: {
+      disputeId: disputeId.toNumber(),
+      status: ARBITRATION_STATUSES[status],
+      ruling: ruling.toNumber(),
+      cancel: ruling.eq(CANCEL_RULING),
+      refundBps:
+        ruling.isZero() || ruling.eq(CANCEL_RULING)
+          ? null
+          : ruling.toNumber() - 1,
+      appealEnd: appealPeriod.end.toNumber(),
+    },
+  };
+};
+
+// Turn a failed call or transaction into a message for users
+export const decodeContractError = (error) => {
+  const data = findRevertData(error);
+  if (data) {
+    try {
+      const { name, args } = CONTRACT_ERRORS_INTERFACE.parseError(data);
+      if (name === "PurchaseFailed") {
+        return `Could not buy listing ${formatMarketplaceId(args.listingId)}: ${args.reason}`;
+      }
+      if (name === "DeductionsExceedCap") {
+        return "The marketplace fee and royalty exceed the maximum share of the price";
+      }
+      return CONTRACT_ERRORS[name];
+    } catch {
+      // Not one of ours; fall back to the provider's message
+    }
+  }
+  return error.reason || error.message;
+};
+
+const isNativeCurrency = (paymentToken) =>
+  !paymentToken || paymentToken === ethers.constants.AddressZero;
+
 const useERC721Marketplace = (
   marketplaceAddress,
   escrowAddress,
@@ -57,6 +477,7 @@ const useERC721Marketplace = (
     autoConnect = true,
     pollInterval = 15000, // 15 seconds
     enableRealTimeUpdates = true,
+    orderBookUrl = null, // e.g. "/api/orders"; signed orders are posted here when set
   } = options;
 
   // State
@@ -74,8 +495,13 @@ const useERC721Marketplace = (
   // Data state
   const [listings, setListings] = useState([]);
   const [userListings, setUserListings] = useState([]);
+  const [userBundles, setUserBundles] = useState([]);
   const [userOffers, setUserOffers] = useState([]);
+  const [userCollectionOffers, setUserCollectionOffers] = useState([]);
   const [escrows, setEscrows] = useState([]);
+  const [trades, setTrades] = useState([]);
+  const [paymentTokenInfo, setPaymentTokenInfo] = useState({});
+  const [pendingProceeds, setPendingProceeds] = useState([]);
   const [marketplaceStats, setMarketplaceStats] = useState({
     totalListings: 0,
     totalSales: 0,
@@ -120,7 +546,7 @@ const useERC721Marketplace = (
 
       return { provider, signer, address };
     } catch (error) {
-      setError(error.message);
+      setError(decodeContractError(error));
       throw error;
     }
   }, [marketplaceAddress, escrowAddress]);
@@ -170,174 +596,1348 @@ const useERC721Marketplace = (
     }
   }, [userAddress, connectWallet, disconnectWallet]);
 
-  // Marketplace functions
-  const listItem = useCallback(
-    async (nftContract, tokenId, price, durationDays = 7) => {
-      if (!marketplaceContract)
-        throw new Error("Marketplace contract not initialized");
+  // Marketplace functions
+  // Pass reservedBuyer for a private listing only that address can buy
+  const listItem = useCallback(
+    async (
+      nftContract,
+      tokenId,
+      price,
+      durationDays = 7,
+      paymentToken,
+      reservedBuyer,
+    ) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const duration = durationDays * 24 * 60 * 60; // Convert days to seconds
+        const tx = reservedBuyer
+          ? await marketplaceContract.listItemForBuyer(
+              nftContract,
+              tokenId,
+              price,
+              duration,
+              paymentToken || ethers.constants.AddressZero,
+              reservedBuyer,
+            )
+          : isNativeCurrency(paymentToken)
+            ? await marketplaceContract.listItem(
+                nftContract,
+                tokenId,
+                price,
+                duration,
+              )
+            : await marketplaceContract.listItemWithCurrency(
+                nftContract,
+                tokenId,
+                price,
+                duration,
+                paymentToken,
+              );
+        await tx.wait();
+
+        // Refresh listings
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const listDutchItem = useCallback(
+    async (
+      nftContract,
+      tokenId,
+      startPrice,
+      floorPrice,
+      durationDays = 1,
+      stepMinutes = 0,
+    ) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const duration = durationDays * 24 * 60 * 60;
+        const tx = await marketplaceContract.listDutchItem(
+          nftContract,
+          tokenId,
+          startPrice,
+          floorPrice,
+          duration,
+          stepMinutes * 60,
+        );
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const getCurrentPrice = useCallback(
+    async (listingId) => {
+      if (!marketplaceContract) return null;
+
+      try {
+        return await marketplaceContract.getCurrentPrice(listingId);
+      } catch (error) {
+        console.error(`Error fetching price for ${listingId}:`, error);
+        return null;
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // Fee, royalty and proceeds breakdown for buying a listing at its current
+  // price. buyerTotal includes the buyer's share of the fee, if any.
+  const quoteSale = useCallback(
+    async (listingId) => {
+      if (!marketplaceContract) return null;
+
+      try {
+        const quote = await marketplaceContract.quoteSale(listingId);
+        return {
+          price: quote.price,
+          marketplaceFee: quote.marketplaceFee,
+          buyerFee: quote.buyerFee,
+          royaltyRecipient: quote.royaltyRecipient,
+          royaltyAmount: quote.royaltyAmount,
+          sellerProceeds: quote.sellerProceeds,
+          buyerTotal: quote.buyerTotal,
+        };
+      } catch (error) {
+        console.error(`Error quoting sale for ${listingId}:`, error);
+        return null;
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // What a seller nets from selling a token at `price`, before it is listed.
+  // Resolves to { marketplaceFee, royaltyRecipient, royaltyAmount,
+  // sellerProceeds }; the marketplace quotes for the connected account, whose
+  // fee tier applies. Escrow settlements pay no royalty.
+  const toSellerQuote = ({
+    marketplaceFee,
+    royaltyRecipient,
+    royaltyAmount,
+    sellerProceeds,
+  }) => ({ marketplaceFee, royaltyRecipient, royaltyAmount, sellerProceeds });
+
+  const quoteListing = useCallback(
+    async (nftContract, tokenId, price) => {
+      if (!marketplaceContract) return null;
+
+      try {
+        return toSellerQuote(
+          await marketplaceContract.quote(nftContract, tokenId, price),
+        );
+      } catch (error) {
+        console.error("Error quoting listing:", error);
+        return null;
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const quoteEscrow = useCallback(
+    async (nftContract, tokenId, price) => {
+      if (!escrowContract) return null;
+
+      try {
+        return toSellerQuote(
+          await escrowContract.quote(nftContract, tokenId, price),
+        );
+      } catch (error) {
+        console.error("Error quoting escrow:", error);
+        return null;
+      }
+    },
+    [escrowContract],
+  );
+
+  // ETH a listing purchase should send: the listed price or the quoted total
+  // including the buyer fee, whichever is higher. The contract refunds any excess.
+  const purchaseValue = async (listingId, price) => {
+    const { buyerTotal } = await marketplaceContract.quoteSale(listingId);
+    return buyerTotal.gt(price) ? buyerTotal : ethers.BigNumber.from(price);
+  };
+
+  const buyItem = useCallback(
+    async (listingId, price, paymentToken) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        // ERC-20 listings are paid by allowance (price plus any buyer fee);
+        // see approvePaymentToken
+        const tx = isNativeCurrency(paymentToken)
+          ? await marketplaceContract.buyItem(listingId, {
+              value: await purchaseValue(listingId, price),
+            })
+          : await marketplaceContract.buyItem(listingId);
+        await tx.wait();
+
+        // Refresh data
+        await Promise.all([
+          fetchListings(),
+          fetchUserListings(),
+          fetchMarketplaceStats(),
+        ]);
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const cancelListing = useCallback(
+    async (listingId) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.cancelListing(listingId);
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const updateListing = useCallback(
+    async (listingId, newPrice) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.updateListing(listingId, newPrice);
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // Batch versions of the listing actions. items: [{ nftContract, tokenId, price }]
+  const batchListItems = useCallback(
+    async (items, durationDays = 7, paymentToken) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const duration = durationDays * 24 * 60 * 60;
+        const tx = await marketplaceContract.batchListItems(
+          items.map((item) => item.nftContract),
+          items.map((item) => item.tokenId),
+          items.map((item) => item.price),
+          duration,
+          paymentToken || ethers.constants.AddressZero,
+        );
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const batchCancelListings = useCallback(
+    async (listingIds) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.batchCancelListings(listingIds);
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // updates: [{ listingId, price }]
+  const batchUpdateListings = useCallback(
+    async (updates) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.batchUpdateListings(
+          updates.map((update) => update.listingId),
+          updates.map((update) => update.price),
+        );
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // items: [{ id, price, paymentToken }]. ETH prices plus buyer fees are summed
+  // into msg.value; ERC-20 items need an allowance (see approvePaymentToken).
+  // With skipFailed, unfillable items are skipped and the ETH meant for them is
+  // refunded.
+  const batchBuyItems = useCallback(
+    async (items, { skipFailed = false } = {}) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const values = await Promise.all(
+          items
+            .filter((item) => isNativeCurrency(item.paymentToken))
+            .map((item) => purchaseValue(item.id, item.price)),
+        );
+        const value = values.reduce(
+          (total, itemValue) => total.add(itemValue),
+          ethers.constants.Zero,
+        );
+        const tx = await marketplaceContract.batchBuyItems(
+          items.map((item) => item.id),
+          skipFailed,
+          { value },
+        );
+        const receipt = await tx.wait();
+
+        await Promise.all([
+          fetchListings(),
+          fetchUserListings(),
+          fetchMarketplaceStats(),
+        ]);
+
+        // Report which listings were skipped and why
+        const skipped = receipt.events
+          .filter((event) => event.event === "BatchPurchaseSkipped")
+          .map((event) => ({
+            listingId: event.args.listingId,
+            reason: event.args.reason,
+          }));
+        return { tx, skipped };
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // items: [{ nftContract, tokenId }], every one approved to the marketplace
+  const listBundle = useCallback(
+    async (items, price, durationDays = 7, paymentToken) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const duration = durationDays * 24 * 60 * 60;
+        const tx = await marketplaceContract.listBundle(
+          items.map(({ nftContract, tokenId }) => ({ nftContract, tokenId })),
+          price,
+          duration,
+          paymentToken || ethers.constants.AddressZero,
+        );
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const buyBundle = useCallback(
+    async (bundleId, price, paymentToken) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = isNativeCurrency(paymentToken)
+          ? await marketplaceContract.buyBundle(bundleId, { value: price })
+          : await marketplaceContract.buyBundle(bundleId);
+        await tx.wait();
+
+        await Promise.all([fetchUserListings(), fetchMarketplaceStats()]);
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const cancelBundle = useCallback(
+    async (bundleId) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.cancelBundle(bundleId);
+        await tx.wait();
+
+        await fetchUserListings();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const getBundle = useCallback(
+    async (bundleId) => {
+      if (!marketplaceContract) return null;
+
+      try {
+        const [bundle, items] = await marketplaceContract.getBundle(bundleId);
+        return {
+          id: bundleId,
+          ...bundle,
+          items: items.map(({ nftContract, tokenId }) => ({
+            nftContract,
+            tokenId,
+          })),
+        };
+      } catch (error) {
+        console.error(`Error fetching bundle ${bundleId}:`, error);
+        return null;
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const createOffer = useCallback(
+    async (nftContract, tokenId, amount, durationDays = 7, paymentToken) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const duration = durationDays * 24 * 60 * 60;
+        const tx = isNativeCurrency(paymentToken)
+          ? await marketplaceContract.createOffer(
+              nftContract,
+              tokenId,
+              duration,
+              { value: amount },
+            )
+          : await marketplaceContract.createOfferWithCurrency(
+              nftContract,
+              tokenId,
+              amount,
+              duration,
+              paymentToken,
+            );
+        await tx.wait();
+
+        await fetchUserOffers();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const acceptOffer = useCallback(
+    async (offerId) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.acceptOffer(offerId);
+        await tx.wait();
+
+        await Promise.all([fetchUserOffers(), fetchMarketplaceStats()]);
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // Offers on any token of a collection; pass a merkleRoot (see buildTraitMerkleTree)
+  // to restrict the offer to a trait's token IDs
+  const createCollectionOffer = useCallback(
+    async (
+      nftContract,
+      pricePerItem,
+      quantity = 1,
+      durationDays = 7,
+      paymentToken,
+      merkleRoot = ethers.constants.HashZero,
+    ) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const duration = durationDays * 24 * 60 * 60;
+        const total = ethers.BigNumber.from(pricePerItem).mul(quantity);
+        const native = isNativeCurrency(paymentToken);
+        // ERC-20 offers are escrowed from an allowance; see approvePaymentToken
+        const tx = await marketplaceContract.createCollectionOffer(
+          nftContract,
+          merkleRoot,
+          pricePerItem,
+          quantity,
+          duration,
+          native ? ethers.constants.AddressZero : paymentToken,
+          { value: native ? total : 0 },
+        );
+        await tx.wait();
+
+        await fetchUserOffers();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const acceptCollectionOffer = useCallback(
+    async (offerId, tokenId, proof = []) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.acceptCollectionOffer(
+          offerId,
+          tokenId,
+          proof,
+        );
+        await tx.wait();
+
+        await Promise.all([fetchUserOffers(), fetchMarketplaceStats()]);
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const cancelCollectionOffer = useCallback(
+    async (offerId) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.cancelCollectionOffer(offerId);
+        await tx.wait();
+
+        await fetchUserOffers();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // Auction functions
+  const createAuction = useCallback(
+    async (nftContract, tokenId, reservePrice, durationDays = 7) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const duration = durationDays * 24 * 60 * 60;
+        const tx = await marketplaceContract.createAuction(
+          nftContract,
+          tokenId,
+          reservePrice,
+          duration,
+        );
+        await tx.wait();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const placeBid = useCallback(
+    async (auctionId, amount) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.placeBid(auctionId, {
+          value: amount,
+        });
+        await tx.wait();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const settleAuction = useCallback(
+    async (auctionId) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.settleAuction(auctionId);
+        await tx.wait();
+
+        await fetchMarketplaceStats();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const cancelAuction = useCallback(
+    async (auctionId) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.cancelAuction(auctionId);
+        await tx.wait();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const getAuction = useCallback(
+    async (auctionId) => {
+      if (!marketplaceContract) return null;
+
+      try {
+        const [auction, minimumBid] = await Promise.all([
+          marketplaceContract.getAuction(auctionId),
+          marketplaceContract.minimumBid(auctionId),
+        ]);
+        return { id: auctionId, ...auction, minimumBid };
+      } catch (error) {
+        console.error(`Error fetching auction ${auctionId}:`, error);
+        return null;
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // Subscribe to auction events so bidders see outbids and extensions live
+  const onAuctionEvent = useCallback(
+    (auctionId, handler) => {
+      if (!marketplaceContract) return () => {};
+
+      const filters = [
+        marketplaceContract.filters.BidPlaced(auctionId),
+        marketplaceContract.filters.AuctionExtended(auctionId),
+        marketplaceContract.filters.AuctionSettled(auctionId),
+        marketplaceContract.filters.AuctionCancelled(auctionId),
+      ];
+      const listener = (...args) => handler(args[args.length - 1]);
+
+      filters.forEach((filter) => marketplaceContract.on(filter, listener));
+      return () =>
+        filters.forEach((filter) => marketplaceContract.off(filter, listener));
+    },
+    [marketplaceContract],
+  );
+
+  // Signed (gasless) orders
+  const signOrder = useCallback(
+    async (side, nftContract, tokenId, price, durationDays, paymentToken) => {
+      if (!marketplaceContract || !signer)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const [{ chainId }, counter] = await Promise.all([
+          provider.getNetwork(),
+          marketplaceContract.orderCounters(userAddress),
+        ]);
+        const now = Math.floor(Date.now() / 1000);
+
+        // Numeric fields are strings so the order survives JSON round trips
+        const order = {
+          side,
+          maker: userAddress,
+          nftContract,
+          tokenId: tokenId.toString(),
+          paymentToken: paymentToken || ethers.constants.AddressZero,
+          price: price.toString(),
+          startTime: now.toString(),
+          expiresAt: (now + durationDays * 24 * 60 * 60).toString(),
+          salt: ethers.BigNumber.from(ethers.utils.randomBytes(32)).toString(),
+          counter: counter.toString(),
+        };
+        const domain = {
+          name: "ERC721Marketplace",
+          version: "1",
+          chainId,
+          verifyingContract: marketplaceContract.address,
+        };
+
+        const signature = await signer._signTypedData(
+          domain,
+          ORDER_TYPES,
+          order,
+        );
+        const orderHash = await marketplaceContract.hashOrder(order);
+        const signedOrder = { orderHash, order, signature };
+
+        if (orderBookUrl) {
+          const response = await fetch(orderBookUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(signedOrder),
+          });
+          if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error || "Failed to publish order");
+          }
+        }
+
+        return signedOrder;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract, signer, provider, userAddress, orderBookUrl],
+  );
+
+  // The NFT must be approved for the marketplace before a signed listing can be filled
+  const signListing = useCallback(
+    (nftContract, tokenId, price, durationDays = 7, paymentToken) =>
+      signOrder(
+        ORDER_SIDE.LISTING,
+        nftContract,
+        tokenId,
+        price,
+        durationDays,
+        paymentToken,
+      ),
+    [signOrder],
+  );
+
+  // Offers are paid from the maker's ERC-20 allowance at fill time; see approvePaymentToken
+  const signOffer = useCallback(
+    async (nftContract, tokenId, price, durationDays = 7, paymentToken) => {
+      if (isNativeCurrency(paymentToken))
+        throw new Error("Signed offers must be paid in an ERC-20 token");
+
+      return signOrder(
+        ORDER_SIDE.OFFER,
+        nftContract,
+        tokenId,
+        price,
+        durationDays,
+        paymentToken,
+      );
+    },
+    [signOrder],
+  );
+
+  const fulfillOrder = useCallback(
+    async ({ order, signature }) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const payInEth =
+          Number(order.side) === ORDER_SIDE.LISTING &&
+          isNativeCurrency(order.paymentToken);
+        const tx = payInEth
+          ? await marketplaceContract.fulfillOrder(order, signature, {
+              value: order.price,
+            })
+          : await marketplaceContract.fulfillOrder(order, signature);
+        await tx.wait();
+
+        await Promise.all([
+          fetchUserListings(),
+          fetchPendingProceeds(),
+          fetchMarketplaceStats(),
+        ]);
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const cancelOrder = useCallback(
+    async (order) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.cancelOrder(order);
+        await tx.wait();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract],
+  );
+
+  // Invalidates every order the user has signed so far
+  const cancelAllOrders = useCallback(async () => {
+    if (!marketplaceContract)
+      throw new Error("Marketplace contract not initialized");
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const tx = await marketplaceContract.incrementCounter();
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      setError(decodeContractError(error));
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [marketplaceContract]);
+
+  // Read the order book, dropping orders that were filled, cancelled or outdated on-chain
+  const fetchOrders = useCallback(
+    async (filters = {}) => {
+      if (!orderBookUrl || !marketplaceContract) return [];
+
+      try {
+        const query = new URLSearchParams(
+          Object.entries(filters).filter(([, value]) => value != null),
+        );
+        const response = await fetch(`${orderBookUrl}?${query}`);
+        const { orders } = await response.json();
+
+        const live = await Promise.all(
+          orders.map(async (signedOrder) => {
+            const [closed, counter] = await Promise.all([
+              marketplaceContract.orderCancelledOrFilled(signedOrder.orderHash),
+              marketplaceContract.orderCounters(signedOrder.order.maker),
+            ]);
+            return !closed && counter.eq(signedOrder.order.counter);
+          }),
+        );
+        return orders.filter((_, index) => live[index]);
+      } catch (error) {
+        console.error("Error fetching signed orders:", error);
+        return [];
+      }
+    },
+    [orderBookUrl, marketplaceContract],
+  );
+
+  // Escrow functions. The seller proposes the escrow, the buyer funds it with
+  // fundEscrow and the seller then deposits the NFT with depositEscrowNFT.
+  // Passing inspectionDays makes the escrow complete on silence: anyone can
+  // finalizeEscrow once that many days pass after the deadline undisputed.
+  const createEscrow = useCallback(
+    async (
+      buyer,
+      nftContract,
+      tokenId,
+      price,
+      deadlineDays = 7,
+      paymentToken,
+      inspectionDays,
+    ) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const deadline =
+          Math.floor(Date.now() / 1000) + deadlineDays * 24 * 60 * 60;
+        const tx =
+          inspectionDays != null
+            ? await escrowContract.createEscrowWithAutoComplete(
+                buyer,
+                nftContract,
+                tokenId,
+                deadline,
+                paymentToken || ethers.constants.AddressZero,
+                price,
+                Math.floor(inspectionDays * 24 * 60 * 60),
+              )
+            : isNativeCurrency(paymentToken)
+              ? await escrowContract.createEscrow(
+                  buyer,
+                  nftContract,
+                  tokenId,
+                  deadline,
+                  price,
+                )
+              : await escrowContract.createEscrowWithCurrency(
+                  buyer,
+                  nftContract,
+                  tokenId,
+                  deadline,
+                  paymentToken,
+                  price,
+                );
+        await tx.wait();
+
+        await fetchEscrows();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [escrowContract],
+  );
+
+  // A staged escrow for commissioned work: the buyer funds the sum of
+  // `amounts` and each approval round releases the next milestone, with the
+  // NFT delivered alongside the last one.
+  const createMilestoneEscrow = useCallback(
+    async (
+      buyer,
+      nftContract,
+      tokenId,
+      amounts,
+      deadlineDays = 7,
+      paymentToken = ethers.constants.AddressZero,
+    ) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const deadline =
+          Math.floor(Date.now() / 1000) + deadlineDays * 24 * 60 * 60;
+        const tx = await escrowContract.createMilestoneEscrow(
+          buyer,
+          nftContract,
+          tokenId,
+          deadline,
+          paymentToken,
+          amounts,
+        );
+        await tx.wait();
+
+        await fetchEscrows();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [escrowContract],
+  );
+
+  // Resolves to { amounts, current } where `current` is the index of the next
+  // milestone to release, or null for a plain escrow
+  const getMilestones = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) return null;
+
+      try {
+        const { amounts, current } =
+          await escrowContract.getMilestones(escrowId);
+        return amounts.length > 0
+          ? { amounts, current: current.toNumber() }
+          : null;
+      } catch (error) {
+        console.error("Error fetching milestones:", error);
+        return null;
+      }
+    },
+    [escrowContract],
+  );
+
+  // ETH escrows send the price; ERC-20 escrows are paid from the buyer's
+  // allowance (see approvePaymentToken)
+  const fundEscrow = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const { price, paymentToken } =
+          await escrowContract.getEscrow(escrowId);
+        const tx = isNativeCurrency(paymentToken)
+          ? await escrowContract.fundEscrow(escrowId, { value: price })
+          : await escrowContract.fundEscrow(escrowId);
+        await tx.wait();
+
+        await fetchEscrows();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [escrowContract],
+  );
+
+  // The escrow contract must be approved for the token first (see approveNFT)
+  const depositEscrowNFT = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await escrowContract.depositNFT(escrowId);
+        await tx.wait();
+
+        await fetchEscrows();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [escrowContract],
+  );
+
+  const approveEscrow = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const duration = durationDays * 24 * 60 * 60; // Convert days to seconds
-        const tx = await marketplaceContract.listItem(
-          nftContract,
-          tokenId,
-          price,
-          duration,
-        );
+        const tx = await escrowContract.approveEscrow(escrowId);
         await tx.wait();
 
-        // Refresh listings
-        await fetchUserListings();
+        await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
       }
     },
-    [marketplaceContract],
+    [escrowContract],
   );
 
-  const buyItem = useCallback(
-    async (listingId, price) => {
-      if (!marketplaceContract)
-        throw new Error("Marketplace contract not initialized");
+  const cancelEscrow = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const tx = await marketplaceContract.buyItem(listingId, {
-          value: price,
-        });
+        const tx = await escrowContract.cancelEscrow(escrowId);
         await tx.wait();
 
-        // Refresh data
-        await Promise.all([
-          fetchListings(),
-          fetchUserListings(),
-          fetchMarketplaceStats(),
-        ]);
+        await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
       }
     },
-    [marketplaceContract],
+    [escrowContract],
   );
 
-  const cancelListing = useCallback(
-    async (listingId) => {
-      if (!marketplaceContract)
-        throw new Error("Marketplace contract not initialized");
+  // Settles an auto-complete escrow in the buyer's favour; anyone can call it
+  // once escrow.autoCompleteAt has passed without a dispute
+  const finalizeEscrow = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const tx = await marketplaceContract.cancelListing(listingId);
+        const tx = await escrowContract.finalizeEscrow(escrowId);
         await tx.wait();
 
-        await fetchUserListings();
+        await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
       }
     },
-    [marketplaceContract],
+    [escrowContract],
   );
 
-  const updateListing = useCallback(
-    async (listingId, newPrice) => {
-      if (!marketplaceContract)
-        throw new Error("Marketplace contract not initialized");
+  const initiateDispute = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const tx = await marketplaceContract.updateListing(listingId, newPrice);
+        const tx = await escrowContract.initiateDispute(escrowId);
         await tx.wait();
 
-        await fetchUserListings();
+        await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
       }
     },
-    [marketplaceContract],
+    [escrowContract],
   );
 
-  const createOffer = useCallback(
-    async (nftContract, tokenId, amount, durationDays = 7) => {
-      if (!marketplaceContract)
-        throw new Error("Marketplace contract not initialized");
+  // Evidence is a URI, e.g. to a JSON file on IPFS describing the claim
+  const submitEvidence = useCallback(
+    async (escrowId, evidenceUri) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const duration = durationDays * 24 * 60 * 60;
-        const tx = await marketplaceContract.createOffer(
-          nftContract,
-          tokenId,
-          duration,
-          { value: amount },
-        );
+        const tx = await escrowContract.submitEvidence(escrowId, evidenceUri);
         await tx.wait();
 
-        await fetchUserOffers();
+        await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
       }
     },
-    [marketplaceContract],
+    [escrowContract],
   );
 
-  const acceptOffer = useCallback(
-    async (offerId) => {
-      if (!marketplaceContract)
-        throw new Error("Marketplace contract not initialized");
+  // Reopens voting on the arbitrator's ruling while its appeal window is open
+  const appealDispute = useCallback(
+    async (escrowId) => {
+      if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const tx = await marketplaceContract.acceptOffer(offerId);
+        const tx = await escrowContract.appealDispute(escrowId);
         await tx.wait();
 
-        await Promise.all([fetchUserOffers(), fetchMarketplaceStats()]);
+        await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
       }
     },
-    [marketplaceContract],
+    [escrowContract],
   );
 
-  // Escrow functions
-  const createEscrow = useCallback(
-    async (buyer, nftContract, tokenId, price, deadlineDays = 7) => {
+  // Trade functions. Assets are [{ nftContract, tokenId }]; each sweetener is
+  // paid to the other party in paymentToken (ETH when omitted).
+  const createTrade = useCallback(
+    async (
+      counterparty,
+      proposerAssets,
+      counterpartyAssets,
+      proposerSweetener = 0,
+      counterpartySweetener = 0,
+      deadlineDays = 7,
+      paymentToken = ethers.constants.AddressZero,
+    ) => {
       if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
@@ -346,19 +1946,21 @@ const useERC721Marketplace = (
       try {
         const deadline =
           Math.floor(Date.now() / 1000) + deadlineDays * 24 * 60 * 60;
-        const tx = await escrowContract.createEscrow(
-          buyer,
-          nftContract,
-          tokenId,
+        const tx = await escrowContract.createTrade(
+          counterparty,
+          proposerAssets,
+          counterpartyAssets,
+          paymentToken,
+          proposerSweetener,
+          counterpartySweetener,
           deadline,
-          { value: price },
         );
         await tx.wait();
 
         await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
@@ -367,44 +1969,55 @@ const useERC721Marketplace = (
     [escrowContract],
   );
 
-  const approveEscrow = useCallback(
-    async (escrowId) => {
+  // Deposits the caller's NFTs (approve the escrow for them first, e.g. with
+  // setApprovalForAll) and sweetener; ERC-20 sweeteners need an allowance
+  const depositTrade = useCallback(
+    async (tradeId) => {
       if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const tx = await escrowContract.approveEscrow(escrowId);
+        const trade = await escrowContract.getTrade(tradeId);
+        const side =
+          trade.proposer.party.toLowerCase() === userAddress?.toLowerCase()
+            ? trade.proposer
+            : trade.counterparty;
+        const tx = isNativeCurrency(trade.paymentToken)
+          ? await escrowContract.depositTrade(tradeId, {
+              value: side.sweetener,
+            })
+          : await escrowContract.depositTrade(tradeId);
         await tx.wait();
 
         await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
       }
     },
-    [escrowContract],
+    [escrowContract, userAddress],
   );
 
-  const cancelEscrow = useCallback(
-    async (escrowId) => {
+  const approveTrade = useCallback(
+    async (tradeId) => {
       if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const tx = await escrowContract.cancelEscrow(escrowId);
+        const tx = await escrowContract.approveTrade(tradeId);
         await tx.wait();
 
         await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
@@ -413,21 +2026,21 @@ const useERC721Marketplace = (
     [escrowContract],
   );
 
-  const initiateDispute = useCallback(
-    async (escrowId) => {
+  const cancelTrade = useCallback(
+    async (tradeId) => {
       if (!escrowContract) throw new Error("Escrow contract not initialized");
 
       setIsLoading(true);
       setError(null);
 
       try {
-        const tx = await escrowContract.initiateDispute(escrowId);
+        const tx = await escrowContract.cancelTrade(tradeId);
         await tx.wait();
 
         await fetchEscrows();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
@@ -454,7 +2067,7 @@ const useERC721Marketplace = (
         await tx.wait();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
@@ -483,7 +2096,7 @@ const useERC721Marketplace = (
         await tx.wait();
         return tx;
       } catch (error) {
-        setError(error.message);
+        setError(decodeContractError(error));
         throw error;
       } finally {
         setIsLoading(false);
@@ -492,6 +2105,123 @@ const useERC721Marketplace = (
     [signer],
   );
 
+  // Payment currency helpers
+  const getPaymentTokenInfo = useCallback(
+    async (paymentToken) => {
+      if (isNativeCurrency(paymentToken)) return NATIVE_CURRENCY;
+
+      const key = paymentToken.toLowerCase();
+      if (paymentTokenInfo[key]) return paymentTokenInfo[key];
+      if (!provider) throw new Error("Provider not initialized");
+
+      const token = new ethers.Contract(paymentToken, ERC20_ABI, provider);
+      const [symbol, decimals] = await Promise.all([
+        token.symbol(),
+        token.decimals(),
+      ]);
+      const info = { symbol, decimals };
+
+      setPaymentTokenInfo((prev) => ({ ...prev, [key]: info }));
+      return info;
+    },
+    [provider, paymentTokenInfo],
+  );
+
+  // Synchronous formatter; unknown tokens fall back to 18 decimals until
+  // getPaymentTokenInfo has cached their metadata
+  const formatPrice = useCallback(
+    (amount, paymentToken) => {
+      if (amount === undefined || amount === null) return "";
+
+      const info = isNativeCurrency(paymentToken)
+        ? NATIVE_CURRENCY
+        : paymentTokenInfo[paymentToken.toLowerCase()] || {
+            symbol: "",
+            decimals: 18,
+          };
+
+      const value = ethers.utils.formatUnits(amount, info.decimals);
+      return info.symbol ? `${value} ${info.symbol}` : value;
+    },
+    [paymentTokenInfo],
+  );
+
+  const parsePrice = useCallback(
+    (value, paymentToken) => {
+      const info = isNativeCurrency(paymentToken)
+        ? NATIVE_CURRENCY
+        : paymentTokenInfo[paymentToken.toLowerCase()] || NATIVE_CURRENCY;
+      return ethers.utils.parseUnits(value.toString(), info.decimals);
+    },
+    [paymentTokenInfo],
+  );
+
+  const approvePaymentToken = useCallback(
+    async (paymentToken, spender, amount) => {
+      if (!signer) throw new Error("Wallet not connected");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const token = new ethers.Contract(paymentToken, ERC20_ABI, signer);
+        const allowance = await token.allowance(userAddress, spender);
+        if (allowance.gte(amount)) return null;
+
+        const tx = await token.approve(spender, amount);
+        await tx.wait();
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [signer, userAddress],
+  );
+
+  // Sale proceeds, fees and refunds are credited by the contracts and claimed here
+  const claimProceeds = useCallback(
+    async (paymentToken = ethers.constants.AddressZero) => {
+      if (!userAddress) throw new Error("Wallet not connected");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const native = isNativeCurrency(paymentToken);
+        const txs = [];
+
+        for (const contract of [marketplaceContract, escrowContract]) {
+          if (!contract) continue;
+
+          const pending = native
+            ? await contract.pendingWithdrawals(userAddress)
+            : await contract.pendingTokenWithdrawals(userAddress, paymentToken);
+          if (pending.isZero()) continue;
+
+          const tx = native
+            ? await contract.withdraw()
+            : await contract.withdrawToken(paymentToken);
+          await tx.wait();
+          txs.push(tx);
+        }
+
+        if (txs.length === 0) throw new Error("No proceeds to claim");
+
+        await fetchPendingProceeds();
+        return txs;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract, escrowContract, userAddress],
+  );
+
   const getNFTMetadata = useCallback(
     async (nftContract, tokenId) => {
       if (!provider) throw new Error("Provider not initialized");
@@ -540,8 +2270,26 @@ const useERC721Marketplace = (
       const listingsData = await Promise.all(
         listingIds.map(async (id) => {
           try {
-            const listing = await marketplaceContract.getListing(id);
-            return { id, ...listing };
+            const [listing, dutch, validity] = await Promise.all([
+              marketplaceContract.getListing(id),
+              marketplaceContract.dutchListings(id),
+              marketplaceContract.validateListing(id),
+            ]);
+            // Sellers still see their stale listings, with the reason they can't sell
+            const invalidReason = validity.fillable ? null : validity.reason;
+            if (dutch.startPrice.gt(0)) {
+              return {
+                id,
+                ...listing,
+                invalidReason,
+                dutch: {
+                  startPrice: dutch.startPrice,
+                  floorPrice: dutch.floorPrice,
+                  stepDuration: dutch.stepDuration.toNumber(),
+                },
+              };
+            }
+            return { id, ...listing, invalidReason };
           } catch (error) {
             console.warn(`Failed to fetch listing ${id}:`, error);
             return null;
@@ -549,28 +2297,53 @@ const useERC721Marketplace = (
         }),
       );
       setUserListings(listingsData.filter(Boolean));
+
+      const bundleIds = await marketplaceContract.getUserBundles(userAddress);
+      const bundlesData = await Promise.all(bundleIds.map(getBundle));
+      setUserBundles(bundlesData.filter((bundle) => bundle?.active));
     } catch (error) {
       console.error("Error fetching user listings:", error);
     }
-  }, [marketplaceContract, userAddress]);
+  }, [marketplaceContract, userAddress, getBundle]);
 
   const fetchUserOffers = useCallback(async () => {
     if (!marketplaceContract || !userAddress) return;
 
     try {
-      const offerIds = await marketplaceContract.getUserOffers(userAddress);
-      const offersData = await Promise.all(
-        offerIds.map(async (id) => {
-          try {
-            const offer = await marketplaceContract.getOffer(id);
-            return { id, ...offer };
-          } catch (error) {
-            console.warn(`Failed to fetch offer ${id}:`, error);
-            return null;
-          }
-        }),
-      );
+      const [offerIds, collectionOfferIds] = await Promise.all([
+        marketplaceContract.getUserOffers(userAddress),
+        marketplaceContract.getUserCollectionOffers(userAddress),
+      ]);
+      const [offersData, collectionOffersData] = await Promise.all([
+        Promise.all(
+          offerIds.map(async (id) => {
+            try {
+              const offer = await marketplaceContract.getOffer(id);
+              return { id, ...offer };
+            } catch (error) {
+              console.warn(`Failed to fetch offer ${id}:`, error);
+              return null;
+            }
+          }),
+        ),
+        Promise.all(
+          collectionOfferIds.map(async (id) => {
+            try {
+              const offer = await marketplaceContract.getCollectionOffer(id);
+              return {
+                id,
+                ...offer,
+                isTraitOffer: offer.merkleRoot !== ethers.constants.HashZero,
+              };
+            } catch (error) {
+              console.warn(`Failed to fetch collection offer ${id}:`, error);
+              return null;
+            }
+          }),
+        ),
+      ]);
       setUserOffers(offersData.filter(Boolean));
+      setUserCollectionOffers(collectionOffersData.filter(Boolean));
     } catch (error) {
       console.error("Error fetching user offers:", error);
     }
@@ -584,8 +2357,38 @@ const useERC721Marketplace = (
       const escrowsData = await Promise.all(
         escrowIds.map(async (id) => {
           try {
-            const escrow = await escrowContract.getEscrow(id);
-            return { id: id.toNumber(), ...escrow };
+            const [escrow, milestones, disputeId, autoCompleteAt, disputed] =
+              await Promise.all([
+                escrowContract.getEscrow(id),
+                escrowContract.getMilestones(id),
+                escrowContract.escrowDisputes(id),
+                escrowContract.autoCompleteAt(id),
+                escrowContract.disputed(id),
+              ]);
+            return {
+              id: id.toNumber(),
+              ...escrow,
+              status: ESCROW_STATUSES[escrow.status],
+              // What happens if nobody acts by the deadline: "Cancel" lets
+              // anyone unwind it, "AutoComplete" lets anyone finalize it once
+              // autoCompleteAt passes without a dispute
+              silencePolicy: autoCompleteAt.isZero()
+                ? "Cancel"
+                : "AutoComplete",
+              autoCompleteAt: autoCompleteAt.isZero()
+                ? null
+                : autoCompleteAt.toNumber(),
+              milestones:
+                milestones.amounts.length > 0
+                  ? {
+                      amounts: milestones.amounts,
+                      current: milestones.current.toNumber(),
+                    }
+                  : null,
+              dispute: disputed
+                ? await fetchEscrowDispute(escrowContract, id, disputeId)
+                : null,
+            };
           } catch (error) {
             console.warn(`Failed to fetch escrow ${id}:`, error);
             return null;
@@ -593,11 +2396,69 @@ const useERC721Marketplace = (
         }),
       );
       setEscrows(escrowsData.filter(Boolean));
+
+      const tradeIds = await escrowContract.getUserTrades(userAddress);
+      const tradesData = await Promise.all(
+        tradeIds.map(async (id) => {
+          try {
+            const [trade, assets] = await Promise.all([
+              escrowContract.getTrade(id),
+              escrowContract.getTradeAssets(id),
+            ]);
+            return {
+              id: id.toNumber(),
+              ...trade,
+              status: TRADE_STATUSES[trade.status],
+              proposerAssets: assets.proposerAssets,
+              counterpartyAssets: assets.counterpartyAssets,
+            };
+          } catch (error) {
+            console.warn(`Failed to fetch trade ${id}:`, error);
+            return null;
+          }
+        }),
+      );
+      setTrades(tradesData.filter(Boolean));
     } catch (error) {
       console.error("Error fetching escrows:", error);
     }
   }, [escrowContract, userAddress]);
 
+  const fetchPendingProceeds = useCallback(async () => {
+    if ((!marketplaceContract && !escrowContract) || !userAddress) return;
+
+    const pendingIn = (contract, paymentToken) => {
+      if (!contract) return ethers.constants.Zero;
+      return isNativeCurrency(paymentToken)
+        ? contract.pendingWithdrawals(userAddress)
+        : contract.pendingTokenWithdrawals(userAddress, paymentToken);
+    };
+
+    try {
+      const tokens = [
+        ethers.constants.AddressZero,
+        ...Object.keys(paymentTokenInfo),
+      ];
+      const proceeds = await Promise.all(
+        tokens.map(async (paymentToken) => {
+          const [marketplace, escrow] = await Promise.all([
+            pendingIn(marketplaceContract, paymentToken),
+            pendingIn(escrowContract, paymentToken),
+          ]);
+          return {
+            paymentToken,
+            marketplace,
+            escrow,
+            total: marketplace.add(escrow),
+          };
+        }),
+      );
+      setPendingProceeds(proceeds.filter((entry) => !entry.total.isZero()));
+    } catch (error) {
+      console.error("Error fetching pending proceeds:", error);
+    }
+  }, [marketplaceContract, escrowContract, userAddress, paymentTokenInfo]);
+
   const fetchMarketplaceStats = useCallback(async () => {
     if (!marketplaceContract) return;
 
@@ -608,6 +2469,7 @@ const useERC721Marketplace = (
         marketplaceContract.totalVolume(),
       ]);
 
+      // totalVolume only counts native-currency sales, so it is always in ETH
       setMarketplaceStats({
         totalListings: totalListings.toNumber(),
         totalSales: totalSales.toNumber(),
@@ -618,13 +2480,147 @@ const useERC721Marketplace = (
     }
   }, [marketplaceContract]);
 
+  // Read one page of an on-chain listing index, skipping expired listings
+  const fetchListingPage = useCallback(
+    async (nftContract, offset, limit) => {
+      const { listingIds, page, total } = nftContract
+        ? await marketplaceContract.getActiveListingsByCollection(
+            nftContract,
+            offset,
+            limit,
+          )
+        : await marketplaceContract.getActiveListings(offset, limit);
+
+      // Private listings are only shown to their reserved buyer
+      const isVisible = (listing) =>
+        listing.reservedBuyer === ethers.constants.AddressZero ||
+        (userAddress &&
+          listing.reservedBuyer.toLowerCase() === userAddress.toLowerCase());
+
+      const now = Math.floor(Date.now() / 1000);
+      const candidates = listingIds
+        .map((id, index) => ({ id, ...page[index] }))
+        .filter((listing) => listing.expiresAt.toNumber() > now)
+        .filter(isVisible);
+
+      // Drop listings whose token has moved or whose approval was revoked
+      const validity = await Promise.all(
+        candidates.map((listing) =>
+          marketplaceContract.validateListing(listing.id),
+        ),
+      );
+      const listingsData = candidates.filter(
+        (_, index) => validity[index].fillable,
+      );
+      return { listings: listingsData, total: total.toNumber() };
+    },
+    [marketplaceContract, userAddress],
+  );
+
   const fetchListings = useCallback(async () => {
-    // This would require additional contract methods or events to fetch all listings
-    // For now, this is a placeholder
-    setListings([]);
-  }, []);
+    if (!marketplaceContract) return;
+
+    try {
+      const allListings = [];
+      let offset = 0;
+      let total = 0;
+      do {
+        const page = await fetchListingPage(null, offset, LISTING_PAGE_SIZE);
+        allListings.push(...page.listings);
+        total = page.total;
+        offset += LISTING_PAGE_SIZE;
+      } while (offset < total);
+
+      setListings(allListings);
+    } catch (error) {
+      console.error("Error fetching listings:", error);
+    }
+  }, [marketplaceContract, fetchListingPage]);
+
+  const getListingsByCollection = useCallback(
+    async (nftContract, offset = 0, limit = LISTING_PAGE_SIZE) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      return fetchListingPage(nftContract, offset, limit);
+    },
+    [marketplaceContract, fetchListingPage],
+  );
+
+  // IDs the next listing (or bundle) and the next offer will get
+  const getNextListingId = useCallback(async () => {
+    if (!marketplaceContract) return null;
+    return marketplaceContract.nextListingId();
+  }, [marketplaceContract]);
+
+  const getNextOfferId = useCallback(async () => {
+    if (!marketplaceContract) return null;
+    return marketplaceContract.nextOfferId();
+  }, [marketplaceContract]);
+
+  // Resolves to { fillable, reason }; reason is empty for fillable listings
+  const validateListing = useCallback(
+    async (listingId) => {
+      if (!marketplaceContract) return null;
+
+      try {
+        const { fillable, reason } =
+          await marketplaceContract.validateListing(listingId);
+        return { fillable, reason };
+      } catch (error) {
+        console.error(`Error validating listing ${listingId}:`, error);
+        return null;
+      }
+    },
+    [marketplaceContract],
+  );
+
+  const purgeInvalidListings = useCallback(
+    async (listingIds) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const tx = await marketplaceContract.purgeInvalidListings(listingIds);
+        await tx.wait();
+
+        await Promise.all([fetchListings(), fetchUserListings()]);
+        return tx;
+      } catch (error) {
+        setError(decodeContractError(error));
+        throw error;
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [marketplaceContract, fetchListings, fetchUserListings],
+  );
+
+  const getOffersForToken = useCallback(
+    async (nftContract, tokenId) => {
+      if (!marketplaceContract)
+        throw new Error("Marketplace contract not initialized");
+
+      const { offerIds, tokenOffers } =
+        await marketplaceContract.getOffersForToken(nftContract, tokenId);
+      const now = Math.floor(Date.now() / 1000);
+      return offerIds
+        .map((id, index) => ({ id, ...tokenOffers[index] }))
+        .filter((offer) => offer.expiresAt.toNumber() > now);
+    },
+    [marketplaceContract],
+  );
 
   // Fetch data when contracts are available
+  useEffect(() => {
+    if (marketplaceContract) {
+      fetchListings();
+    }
+  }, [marketplaceContract, fetchListings]);
+
   useEffect(() => {
     if (marketplaceContract && userAddress) {
       fetchUserListings();
@@ -645,15 +2641,60 @@ const useERC721Marketplace = (
     }
   }, [escrowContract, userAddress, fetchEscrows]);
 
+  useEffect(() => {
+    if (userAddress) {
+      fetchPendingProceeds();
+    }
+  }, [userAddress, fetchPendingProceeds]);
+
+  // Cache symbol/decimals for every ERC-20 currency the user's data refers to
+  useEffect(() => {
+    if (!provider) return;
+
+    const tokens = new Set(
+      [
+        ...userListings,
+        ...userBundles,
+        ...userOffers,
+        ...userCollectionOffers,
+        ...escrows,
+        ...trades,
+      ]
+        .map((item) => item.paymentToken)
+        .filter((token) => !isNativeCurrency(token))
+        .map((token) => token.toLowerCase()),
+    );
+
+    tokens.forEach((token) => {
+      if (!paymentTokenInfo[token]) {
+        getPaymentTokenInfo(token).catch((error) =>
+          console.warn(`Failed to load payment token ${token}:`, error),
+        );
+      }
+    });
+  }, [
+    provider,
+    userListings,
+    userBundles,
+    userOffers,
+    userCollectionOffers,
+    escrows,
+    trades,
+    paymentTokenInfo,
+    getPaymentTokenInfo,
+  ]);
+
   // Polling for updates
   useEffect(() => {
     if (!enableRealTimeUpdates || !pollInterval) return;
 
     const interval = setInterval(() => {
       if (isConnected && !isLoading) {
+        fetchListings();
         fetchUserListings();
         fetchUserOffers();
         fetchEscrows();
+        fetchPendingProceeds();
         fetchMarketplaceStats();
       }
     }, pollInterval);
@@ -664,9 +2705,11 @@ const useERC721Marketplace = (
     pollInterval,
     isConnected,
     isLoading,
+    fetchListings,
     fetchUserListings,
     fetchUserOffers,
     fetchEscrows,
+    fetchPendingProceeds,
     fetchMarketplaceStats,
   ]);
 
@@ -685,40 +2728,108 @@ const useERC721Marketplace = (
 
     // Marketplace functions
     listItem,
+    listDutchItem,
     buyItem,
+    getCurrentPrice,
+    quoteSale,
+    quoteListing,
+    getListingsByCollection,
+    getOffersForToken,
+    validateListing,
+    purgeInvalidListings,
+    getNextListingId,
+    getNextOfferId,
     cancelListing,
     updateListing,
+    batchListItems,
+    batchCancelListings,
+    batchUpdateListings,
+    batchBuyItems,
+    listBundle,
+    buyBundle,
+    cancelBundle,
+    getBundle,
     createOffer,
     acceptOffer,
+    createCollectionOffer,
+    acceptCollectionOffer,
+    cancelCollectionOffer,
+
+    // Auction functions
+    createAuction,
+    placeBid,
+    settleAuction,
+    cancelAuction,
+    getAuction,
+    onAuctionEvent,
+
+    // Signed order functions
+    signListing,
+    signOffer,
+    fulfillOrder,
+    cancelOrder,
+    cancelAllOrders,
+    fetchOrders,
 
     // Escrow functions
     createEscrow,
+    createMilestoneEscrow,
+    getMilestones,
+    quoteEscrow,
+    fundEscrow,
+    depositEscrowNFT,
     approveEscrow,
     cancelEscrow,
+    finalizeEscrow,
     initiateDispute,
+    submitEvidence,
+    appealDispute,
+
+    // Trade functions
+    createTrade,
+    depositTrade,
+    approveTrade,
+    cancelTrade,
 
     // NFT utility functions
     approveNFT,
     setApprovalForAll,
     getNFTMetadata,
 
+    // Payment currency helpers
+    getPaymentTokenInfo,
+    approvePaymentToken,
+    formatPrice,
+    parsePrice,
+
+    // Proceeds
+    claimProceeds,
+
     // Data
     listings,
     userListings,
+    userBundles,
     userOffers,
+    userCollectionOffers,
     escrows,
+    trades,
+    pendingProceeds,
     marketplaceStats,
 
     // Refresh functions
     refresh: useCallback(() => {
+      fetchListings();
       fetchUserListings();
       fetchUserOffers();
       fetchEscrows();
+      fetchPendingProceeds();
       fetchMarketplaceStats();
     }, [
+      fetchListings,
       fetchUserListings,
       fetchUserOffers,
       fetchEscrows,
+      fetchPendingProceeds,
       fetchMarketplaceStats,
     ]),
   };
@@ -119,7 +119,7 @@ module.exports = {
     currency: "USD",
     gasPrice: 20,
     coinmarketcap: process.env.COINMARKETCAP_API_KEY,
-    excludeContracts: ["MockERC721", "MockNFT"],
+    excludeContracts: ["MockERC721", "MockNFT", "MockERC20"],
     src: "./contracts",
     showMethodSig: true,
     showTimeSpent: true,
@@ -1,4 +1,4 @@
-const { ethers, network } = require("hardhat");
+const { ethers, network, run } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
@@ -10,6 +10,9 @@ const NETWORK_CONFIG = {
     disputeResolver: "0x0000000000000000000000000000000000000000", // Replace with actual address
     verify: true,
     blockConfirmations: 6,
+    adminDelay: 2 * 24 * 60 * 60, // 2 days
+    // Arbiters for the escrow's ArbitrationPanel; leave empty to skip it
+    arbitration: { arbiters: [], quorum: 2, appealWindow: 3 * 24 * 60 * 60 },
   },
   // Ethereum Sepolia Testnet
   sepolia: {
@@ -17,6 +20,9 @@ const NETWORK_CONFIG = {
     disputeResolver: "0x0000000000000000000000000000000000000000", // Replace with actual address
     verify: true,
     blockConfirmations: 3,
+    adminDelay: 60 * 60, // 1 hour
+    // Arbiters for the escrow's ArbitrationPanel; leave empty to skip it
+    arbitration: { arbiters: [], quorum: 2, appealWindow: 60 * 60 },
   },
   // Polygon Mainnet
   polygon: {
@@ -24,6 +30,9 @@ const NETWORK_CONFIG = {
     disputeResolver: "0x0000000000000000000000000000000000000000", // Replace with actual address
     verify: true,
     blockConfirmations: 5,
+    adminDelay: 2 * 24 * 60 * 60, // 2 days
+    // Arbiters for the escrow's ArbitrationPanel; leave empty to skip it
+    arbitration: { arbiters: [], quorum: 2, appealWindow: 3 * 24 * 60 * 60 },
   },
   // Polygon Mumbai Testnet
   mumbai: {
@@ -31,6 +40,9 @@ const NETWORK_CONFIG = {
     disputeResolver: "0x0000000000000000000000000000000000000000", // Replace with actual address
     verify: true,
     blockConfirmations: 2,
+    adminDelay: 60 * 60, // 1 hour
+    // Arbiters for the escrow's ArbitrationPanel; leave empty to skip it
+    arbitration: { arbiters: [], quorum: 2, appealWindow: 60 * 60 },
   },
   // Local/Hardhat Network
   localhost: {
@@ -38,12 +50,16 @@ const NETWORK_CONFIG = {
     disputeResolver: null, // Will use deployer address
     verify: false,
     blockConfirmations: 1,
+    adminDelay: 0, // Owner configures directly
+    arbitration: null, // Disputes go to the dispute resolver
   },
   hardhat: {
     feeRecipient: null, // Will use deployer address
     disputeResolver: null, // Will use deployer address
     verify: false,
     blockConfirmations: 1,
+    adminDelay: 0, // Owner configures directly
+    arbitration: null, // Disputes go to the dispute resolver
   },
 };
 
@@ -96,20 +112,39 @@ async function main() {
       await royaltyEngine.deployTransaction.wait(config.blockConfirmations);
     }
 
-    // 2. Deploy ERC721Marketplace
+    // 2. Deploy ERC721Marketplace and the extensions it delegates to
     console.log(`\n📋 2. Deploying ERC721Marketplace...`);
-    const ERC721Marketplace =
-      await ethers.getContractFactory("ERC721Marketplace");
-    const marketplace = await ERC721Marketplace.deploy(
+    const extensions = {};
+    for (const name of [
+      "ERC721MarketplaceExtension",
+      "ERC721MarketplaceListingsExtension",
+    ]) {
+      const Extension = await ethers.getContractFactory(name);
+      extensions[name] = await Extension.deploy();
+      await extensions[name].deployed();
+
+      console.log(`✅ ${name} deployed to: ${extensions[name].address}`);
+      deployments[name] = {
+        address: extensions[name].address,
+        constructorArgs: [],
+      };
+    }
+
+    const marketplaceArgs = [
       feeRecipient,
       royaltyEngine.address,
-    );
+      extensions.ERC721MarketplaceExtension.address,
+      extensions.ERC721MarketplaceListingsExtension.address,
+    ];
+    const ERC721Marketplace =
+      await ethers.getContractFactory("ERC721Marketplace");
+    const marketplace = await ERC721Marketplace.deploy(...marketplaceArgs);
     await marketplace.deployed();
 
     console.log(`✅ ERC721Marketplace deployed to: ${marketplace.address}`);
     deployments.ERC721Marketplace = {
       address: marketplace.address,
-      constructorArgs: [feeRecipient, royaltyEngine.address],
+      constructorArgs: marketplaceArgs,
     };
 
     // Wait for block confirmations
@@ -140,8 +175,37 @@ async function main() {
       await escrow.deployTransaction.wait(config.blockConfirmations);
     }
 
-    // 4. Initial Configuration
-    console.log(`\n⚙️  4. Performing initial configuration...`);
+    // 4. Deploy ArbitrationPanel, when arbiters are configured
+    let arbitrationPanel = null;
+    if (config.arbitration?.arbiters.length > 0) {
+      console.log(`\n📋 4. Deploying ArbitrationPanel...`);
+      const { arbiters, quorum, appealWindow } = config.arbitration;
+      const panelArgs = [arbiters, quorum, appealWindow];
+      const ArbitrationPanel =
+        await ethers.getContractFactory("ArbitrationPanel");
+      arbitrationPanel = await ArbitrationPanel.deploy(...panelArgs);
+      await arbitrationPanel.deployed();
+
+      console.log(
+        `✅ ArbitrationPanel deployed to: ${arbitrationPanel.address} (${quorum} of ${arbiters.length} arbiters)`,
+      );
+      deployments.ArbitrationPanel = {
+        address: arbitrationPanel.address,
+        constructorArgs: panelArgs,
+      };
+
+      if (config.blockConfirmations > 1) {
+        console.log(
+          `⏳ Waiting for ${config.blockConfirmations} block confirmations...`,
+        );
+        await arbitrationPanel.deployTransaction.wait(
+          config.blockConfirmations,
+        );
+      }
+    }
+
+    // 5. Initial Configuration
+    console.log(`\n⚙️  5. Performing initial configuration...`);
 
     // Set default royalty (2.5%)
     console.log(`Setting default royalty to 2.5% for fee recipient...`);
@@ -164,6 +228,37 @@ async function main() {
     await setEscrowFeeTx.wait();
     console.log(`✅ Escrow fee set`);
 
+    // Pay royalties on escrow settlements through the same engine
+    console.log(`Setting escrow royalty engine...`);
+    const setRoyaltyEngineTx = await escrow.setRoyaltyEngine(
+      royaltyEngine.address,
+    );
+    await setRoyaltyEngineTx.wait();
+    console.log(`✅ Escrow royalty engine set`);
+
+    // Open escrow disputes with the panel; the dispute resolver remains a fallback
+    if (arbitrationPanel) {
+      console.log(`Setting escrow arbitrator...`);
+      const setArbitratorTx = await escrow.setArbitrator(
+        arbitrationPanel.address,
+      );
+      await setArbitratorTx.wait();
+      console.log(`✅ Escrow arbitrator set`);
+    }
+
+    // Timelock fee and royalty configuration. From here on the owner must queue changes
+    // with queueChange and execute them once adminDelay has passed.
+    if (config.adminDelay > 0) {
+      console.log(`Setting admin timelock delay to ${config.adminDelay}s...`);
+      const timelocked = [royaltyEngine, marketplace, escrow];
+      if (arbitrationPanel) timelocked.push(arbitrationPanel);
+      for (const contract of timelocked) {
+        const setAdminDelayTx = await contract.setAdminDelay(config.adminDelay);
+        await setAdminDelayTx.wait();
+      }
+      console.log(`✅ Admin timelock delay set`);
+    }
+
     // Save deployment info
     const deploymentInfo = {
       network: networkName,
@@ -174,9 +269,11 @@ async function main() {
       configuration: {
         feeRecipient,
         disputeResolver,
+        arbitrator: arbitrationPanel?.address ?? null,
         defaultRoyaltyPercentage: "2.5%",
         marketplaceFeePercentage: "2.5%",
         escrowFeePercentage: "2.5%",
+        adminDelay: config.adminDelay,
       },
     };
 
@@ -208,6 +305,12 @@ async function main() {
             address: royaltyEngine.address,
             abi: "RoyaltyEngine", // Reference to ABI file
           },
+          ...(arbitrationPanel && {
+            ArbitrationPanel: {
+              address: arbitrationPanel.address,
+              abi: "ArbitrationPanel", // Reference to ABI file
+            },
+          }),
         },
       },
     };
@@ -236,7 +339,10 @@ async function main() {
     console.log(`├─ Network: ${networkName}`);
     console.log(`├─ RoyaltyEngine: ${royaltyEngine.address}`);
     console.log(`├─ ERC721Marketplace: ${marketplace.address}`);
-    console.log(`└─ ERC721Escrow: ${escrow.address}`);
+    console.log(`├─ ERC721Escrow: ${escrow.address}`);
+    console.log(
+      `└─ ArbitrationPanel: ${arbitrationPanel?.address ?? "not deployed"}`,
+    );
 
     // Contract verification
     if (
@@ -260,10 +366,17 @@ async function main() {
         );
         console.log(`✅ RoyaltyEngine verified`);
 
-        // Verify ERC721Marketplace
+        // Verify ERC721Marketplace and its extensions
         console.log(`Verifying ERC721Marketplace...`);
+        for (const extension of Object.values(extensions)) {
+          await execPromise(
+            `npx hardhat verify --network ${networkName} ${extension.address}`,
+          );
+        }
         await execPromise(
-          `npx hardhat verify --network ${networkName} ${marketplace.address} "${feeRecipient}" "${royaltyEngine.address}"`,
+          `npx hardhat verify --network ${networkName} ${marketplace.address} ${marketplaceArgs
+            .map((arg) => `"${arg}"`)
+            .join(" ")}`,
         );
         console.log(`✅ ERC721Marketplace verified`);
 
@@ -274,6 +387,16 @@ async function main() {
         );
         console.log(`✅ ERC721Escrow verified`);
 
+        if (arbitrationPanel) {
+          console.log(`Verifying ArbitrationPanel...`);
+          // The arbiter array does not fit the CLI's positional arguments
+          await run("verify:verify", {
+            address: arbitrationPanel.address,
+            constructorArguments: deployments.ArbitrationPanel.constructorArgs,
+          });
+          console.log(`✅ ArbitrationPanel verified`);
+        }
+
         console.log(`\n✅ All contracts verified successfully!`);
       } catch (verificationError) {
         console.log(
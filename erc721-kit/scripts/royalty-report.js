@@ -0,0 +1,218 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Script to aggregate RoyaltyPaid events from the marketplace and escrow into
+ * per-recipient, per-collection earnings reports (CSV and JSON).
+ *
+ * Optional environment variables:
+ *   REPORT_FROM_BLOCK   first block to scan (default 0)
+ *   REPORT_TO_BLOCK     last block to scan (default latest)
+ *   REPORT_BLOCK_RANGE  blocks per log query (default 10000)
+ *   REPORT_RECIPIENT    only payments to this recipient
+ *   REPORT_COLLECTION   only payments for this NFT contract
+ *   REPORT_DIR          output directory (default ../reports)
+ */
+
+// RoyaltyEngine.RoyaltySource values
+const ROYALTY_SOURCES = [
+  "None",
+  "EIP2981",
+  "Token",
+  "Contract",
+  "Registry",
+  "Default",
+];
+
+async function loadDeploymentInfo(networkName) {
+  const deploymentFile = path.join(
+    __dirname,
+    "../deployments",
+    `${networkName}.json`,
+  );
+
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`Deployment file not found: ${deploymentFile}`);
+  }
+
+  return JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+}
+
+async function fetchRoyaltyPayments(contract, label, fromBlock, toBlock) {
+  const filter = contract.filters.RoyaltyPaid(
+    process.env.REPORT_COLLECTION || null,
+    null,
+    process.env.REPORT_RECIPIENT || null,
+  );
+  const range = Number(process.env.REPORT_BLOCK_RANGE || 10000);
+  const payments = [];
+
+  for (let start = fromBlock; start <= toBlock; start += range) {
+    const end = Math.min(start + range - 1, toBlock);
+    const events = await contract.queryFilter(filter, start, end);
+
+    for (const event of events) {
+      payments.push({
+        payer: label,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        nftContract: event.args.nftContract,
+        tokenId: event.args.tokenId.toString(),
+        recipient: event.args.recipient,
+        paymentToken: event.args.paymentToken,
+        amount: event.args.amount.toString(),
+        source: ROYALTY_SOURCES[event.args.source] || String(event.args.source),
+      });
+    }
+  }
+
+  return payments;
+}
+
+function aggregatePayments(payments) {
+  const totals = new Map();
+
+  for (const payment of payments) {
+    const key = [
+      payment.recipient,
+      payment.nftContract,
+      payment.paymentToken,
+    ].join(":");
+
+    if (!totals.has(key)) {
+      totals.set(key, {
+        recipient: payment.recipient,
+        nftContract: payment.nftContract,
+        paymentToken: payment.paymentToken,
+        payments: 0,
+        amount: ethers.BigNumber.from(0),
+        bySource: {},
+      });
+    }
+
+    const row = totals.get(key);
+    row.payments++;
+    row.amount = row.amount.add(payment.amount);
+    row.bySource[payment.source] = ethers.BigNumber.from(
+      row.bySource[payment.source] || 0,
+    ).add(payment.amount);
+  }
+
+  return [...totals.values()].map((row) => ({
+    ...row,
+    amount: row.amount.toString(),
+    bySource: Object.fromEntries(
+      Object.entries(row.bySource).map(([source, amount]) => [
+        source,
+        amount.toString(),
+      ]),
+    ),
+  }));
+}
+
+function toCsv(rows) {
+  const sources = ROYALTY_SOURCES.slice(1);
+  const header = [
+    "recipient",
+    "nftContract",
+    "paymentToken",
+    "payments",
+    "amount",
+    ...sources.map((source) => `amount${source}`),
+  ];
+
+  const lines = rows.map((row) =>
+    [
+      row.recipient,
+      row.nftContract,
+      row.paymentToken,
+      row.payments,
+      row.amount,
+      ...sources.map((source) => row.bySource[source] || "0"),
+    ].join(","),
+  );
+
+  return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+async function main() {
+  const networkName = network.name;
+  console.log(`📊 Building royalty report for ${networkName} network...`);
+
+  const deploymentInfo = await loadDeploymentInfo(networkName);
+  const marketplace = await ethers.getContractAt(
+    "ERC721Marketplace",
+    deploymentInfo.contracts.ERC721Marketplace.address,
+  );
+  const escrow = await ethers.getContractAt(
+    "ERC721Escrow",
+    deploymentInfo.contracts.ERC721Escrow.address,
+  );
+
+  const fromBlock = Number(process.env.REPORT_FROM_BLOCK || 0);
+  const toBlock = process.env.REPORT_TO_BLOCK
+    ? Number(process.env.REPORT_TO_BLOCK)
+    : await ethers.provider.getBlockNumber();
+  console.log(`Scanning blocks ${fromBlock} to ${toBlock}...`);
+
+  const payments = [
+    ...(await fetchRoyaltyPayments(
+      marketplace,
+      "ERC721Marketplace",
+      fromBlock,
+      toBlock,
+    )),
+    ...(await fetchRoyaltyPayments(escrow, "ERC721Escrow", fromBlock, toBlock)),
+  ].sort((a, b) => a.blockNumber - b.blockNumber);
+  const totals = aggregatePayments(payments);
+
+  const reportDir =
+    process.env.REPORT_DIR || path.join(__dirname, "../reports");
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const baseName = `royalties-${networkName}`;
+  const jsonFile = path.join(reportDir, `${baseName}.json`);
+  const csvFile = path.join(reportDir, `${baseName}.csv`);
+
+  fs.writeFileSync(
+    jsonFile,
+    JSON.stringify(
+      {
+        network: networkName,
+        generatedAt: new Date().toISOString(),
+        fromBlock,
+        toBlock,
+        totals,
+        payments,
+      },
+      null,
+      2,
+    ),
+  );
+  fs.writeFileSync(csvFile, toCsv(totals));
+
+  console.log(
+    `✅ ${payments.length} royalty payments to ${totals.length} recipient/collection pairs`,
+  );
+  console.log(`💾 JSON report saved to: ${jsonFile}`);
+  console.log(`💾 CSV report saved to: ${csvFile}`);
+}
+
+// Handle script execution
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+  aggregatePayments,
+  toCsv,
+};
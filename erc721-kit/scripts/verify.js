@@ -97,6 +97,21 @@ async function main() {
 
       // Add delay between verifications
       await new Promise((resolve) => setTimeout(resolve, 2000));
+
+      // Extensions the marketplace delegates to
+      for (const name of [
+        "ERC721MarketplaceExtension",
+        "ERC721MarketplaceListingsExtension",
+      ]) {
+        if (!contracts[name]) continue;
+        verificationResults[name] = await verifyContract(
+          contracts[name].address,
+          contracts[name].constructorArgs,
+          name,
+        );
+
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+      }
     }
 
     // Verify ERC721Escrow
@@ -110,6 +125,16 @@ async function main() {
       verificationResults.ERC721Escrow = success;
     }
 
+    // Verify ArbitrationPanel
+    if (contracts.ArbitrationPanel) {
+      console.log(`\n📝 4. Verifying ArbitrationPanel...`);
+      verificationResults.ArbitrationPanel = await verifyContract(
+        contracts.ArbitrationPanel.address,
+        contracts.ArbitrationPanel.constructorArgs,
+        "ArbitrationPanel",
+      );
+    }
+
     // Summary
     console.log(`\n📊 Verification Summary:`);
     console.log(`├─ Network: ${networkName}`);
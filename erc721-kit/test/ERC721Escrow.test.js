@@ -96,21 +96,16 @@ describe("ERC721Escrow", function () {
       const price = ethers.utils.parseEther("1.0");
       const deadline = (await time.latest()) + 86400; // 1 day from now
 
-      // Approve escrow contract to transfer NFT
-      await mockNFT.connect(seller).approve(escrow.address, 1);
-
       await expect(
         escrow
           .connect(seller)
-          .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-            value: price,
-          }),
+          .createEscrow(buyer.address, mockNFT.address, 1, deadline, price),
       )
         .to.emit(escrow, "EscrowCreated")
         .withArgs(1, seller.address, buyer.address, mockNFT.address, 1, price);
 
-      // Check that NFT is transferred to escrow
-      expect(await mockNFT.ownerOf(1)).to.equal(escrow.address);
+      // Nothing is deposited when the escrow is proposed
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
 
       // Check escrow details
       const escrowData = await escrow.getEscrow(1);
@@ -119,7 +114,63 @@ describe("ERC721Escrow", function () {
       expect(escrowData.nftContract).to.equal(mockNFT.address);
       expect(escrowData.tokenId).to.equal(1);
       expect(escrowData.price).to.equal(price);
-      expect(escrowData.status).to.equal(0); // Active status
+      expect(escrowData.status).to.equal(4); // AwaitingBuyerFunds status
+    });
+
+    it("Should activate once the buyer funds and the seller deposits", async function () {
+      const { escrow, mockNFT, seller, buyer } =
+        await loadFixture(deployEscrowFixture);
+
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 86400;
+      await escrow
+        .connect(seller)
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+
+      await expect(
+        escrow.connect(seller).depositNFT(1),
+      ).to.be.revertedWithCustomError(escrow, "EscrowNotAwaitingDeposit");
+      await expect(
+        escrow.connect(seller).fundEscrow(1, { value: price }),
+      ).to.be.revertedWithCustomError(escrow, "NotAuthorized");
+      await expect(
+        escrow.connect(buyer).fundEscrow(1, { value: price.sub(1) }),
+      ).to.be.revertedWithCustomError(escrow, "IncorrectPayment");
+
+      await expect(escrow.connect(buyer).fundEscrow(1, { value: price }))
+        .to.emit(escrow, "EscrowFunded")
+        .withArgs(1);
+      expect((await escrow.getEscrow(1)).status).to.equal(5); // AwaitingSellerDeposit
+      await expect(
+        escrow.connect(buyer).approveEscrow(1),
+      ).to.be.revertedWithCustomError(escrow, "EscrowNotActive");
+
+      await expect(
+        escrow.connect(seller).depositNFT(1),
+      ).to.be.revertedWithCustomError(escrow, "ContractNotApproved");
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await expect(escrow.connect(seller).depositNFT(1))
+        .to.emit(escrow, "EscrowNFTDeposited")
+        .withArgs(1);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(escrow.address);
+      expect((await escrow.getEscrow(1)).status).to.equal(0); // Active
+    });
+
+    it("Should not accept deposits after the deadline", async function () {
+      const { escrow, mockNFT, seller, buyer } =
+        await loadFixture(deployEscrowFixture);
+
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 86400;
+      await escrow
+        .connect(seller)
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+
+      await time.increase(86401);
+      await expect(
+        escrow.connect(buyer).fundEscrow(1, { value: price }),
+      ).to.be.revertedWithCustomError(escrow, "EscrowExpired");
     });
 
     it("Should fail if contract is not whitelisted", async function () {
@@ -139,10 +190,14 @@ describe("ERC721Escrow", function () {
       await expect(
         escrow
           .connect(seller)
-          .createEscrow(buyer.address, unwhitelistedNFT.address, 1, deadline, {
-            value: price,
-          }),
-      ).to.be.revertedWith("Contract not whitelisted");
+          .createEscrow(
+            buyer.address,
+            unwhitelistedNFT.address,
+            1,
+            deadline,
+            price,
+          ),
+      ).to.be.revertedWithCustomError(escrow, "ContractNotWhitelisted");
     });
 
     it("Should fail if seller doesn't own the NFT", async function () {
@@ -155,10 +210,8 @@ describe("ERC721Escrow", function () {
       await expect(
         escrow
           .connect(other)
-          .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-            value: price,
-          }),
-      ).to.be.revertedWith("Seller doesn't own NFT");
+          .createEscrow(buyer.address, mockNFT.address, 1, deadline, price),
+      ).to.be.revertedWithCustomError(escrow, "NotTokenOwner");
     });
 
     it("Should fail if price is zero", async function () {
@@ -170,10 +223,8 @@ describe("ERC721Escrow", function () {
       await expect(
         escrow
           .connect(seller)
-          .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-            value: 0,
-          }),
-      ).to.be.revertedWith("Price must be greater than 0");
+          .createEscrow(buyer.address, mockNFT.address, 1, deadline, 0),
+      ).to.be.revertedWithCustomError(escrow, "ZeroPrice");
     });
 
     it("Should fail if deadline is in the past", async function () {
@@ -188,10 +239,8 @@ describe("ERC721Escrow", function () {
       await expect(
         escrow
           .connect(seller)
-          .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-            value: price,
-          }),
-      ).to.be.revertedWith("Invalid deadline");
+          .createEscrow(buyer.address, mockNFT.address, 1, deadline, price),
+      ).to.be.revertedWithCustomError(escrow, "InvalidDeadline");
     });
   });
 
@@ -203,12 +252,12 @@ describe("ERC721Escrow", function () {
       const price = ethers.utils.parseEther("1.0");
       const deadline = (await time.latest()) + 86400;
 
-      await mockNFT.connect(seller).approve(escrow.address, 1);
       await escrow
         .connect(seller)
-        .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-          value: price,
-        });
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
 
       return { ...base, price };
     }
@@ -235,9 +284,6 @@ describe("ERC721Escrow", function () {
       const { escrow, mockNFT, seller, buyer, feeRecipient, price } =
         await loadFixture(createEscrowFixture);
 
-      const sellerInitialBalance = await seller.getBalance();
-      const feeRecipientInitialBalance = await feeRecipient.getBalance();
-
       // Both parties approve
       await escrow.connect(seller).approveEscrow(1);
       await escrow.connect(buyer).approveEscrow(1);
@@ -249,28 +295,107 @@ describe("ERC721Escrow", function () {
       // Check that NFT is transferred to buyer
       expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
 
-      // Check payments
+      // Check credited payments
       const fee = price.mul(250).div(10000); // 2.5% fee
       const sellerAmount = price.sub(fee);
 
-      const sellerFinalBalance = await seller.getBalance();
-      const feeRecipientFinalBalance = await feeRecipient.getBalance();
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        sellerAmount,
+      );
+      expect(await escrow.pendingWithdrawals(feeRecipient.address)).to.equal(
+        fee,
+      );
+    });
+
+    it("Should pay every royalty payee when a royalty engine is set", async function () {
+      const { escrow, mockNFT, owner, seller, buyer, other, price } =
+        await loadFixture(createEscrowFixture);
+
+      const RoyaltyEngine = await ethers.getContractFactory("RoyaltyEngine");
+      const royaltyEngine = await RoyaltyEngine.deploy();
+      await royaltyEngine.setContractRoyaltySplits(
+        mockNFT.address,
+        [
+          { recipient: owner.address, share: 6000 },
+          { recipient: other.address, share: 4000 },
+        ],
+        500,
+      );
+      await expect(
+        escrow.connect(owner).setRoyaltyEngine(royaltyEngine.address),
+      )
+        .to.emit(escrow, "RoyaltyEngineUpdated")
+        .withArgs(royaltyEngine.address);
+
+      const royalty = price.mul(500).div(10000);
+      const quote = await escrow.quote(mockNFT.address, 1, price);
+      expect(quote.royaltyRecipient).to.equal(owner.address);
+      expect(quote.royaltyAmount).to.equal(royalty);
+
+      await escrow.connect(seller).approveEscrow(1);
+      await expect(escrow.connect(buyer).approveEscrow(1))
+        .to.emit(escrow, "RoyaltyPaid")
+        .withArgs(
+          mockNFT.address,
+          1,
+          other.address,
+          royalty.mul(4000).div(10000),
+          3, // RoyaltySource.Contract
+          ethers.constants.AddressZero,
+        );
+      expect(
+        await escrow.collectionRoyaltiesPaid(
+          mockNFT.address,
+          ethers.constants.AddressZero,
+        ),
+      ).to.equal(royalty);
 
-      expect(sellerFinalBalance).to.be.closeTo(
-        sellerInitialBalance.add(sellerAmount),
-        ethers.utils.parseEther("0.01"),
+      const fee = price.mul(250).div(10000);
+      expect(await escrow.pendingWithdrawals(owner.address)).to.equal(
+        royalty.mul(6000).div(10000),
       );
-      expect(feeRecipientFinalBalance).to.equal(
-        feeRecipientInitialBalance.add(fee),
+      expect(await escrow.pendingWithdrawals(other.address)).to.equal(
+        royalty.mul(4000).div(10000),
+      );
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        price.sub(fee).sub(royalty),
       );
     });
 
+    it("Should let the seller withdraw credited payment", async function () {
+      const { escrow, seller, buyer, price } =
+        await loadFixture(createEscrowFixture);
+
+      await escrow.connect(seller).approveEscrow(1);
+      await escrow.connect(buyer).approveEscrow(1);
+
+      const sellerAmount = price.sub(price.mul(250).div(10000));
+      const sellerInitialBalance = await seller.getBalance();
+
+      const tx = await escrow.connect(seller).withdraw();
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed.mul(tx.gasPrice);
+
+      await expect(tx)
+        .to.emit(escrow, "ProceedsWithdrawn")
+        .withArgs(
+          seller.address,
+          seller.address,
+          ethers.constants.AddressZero,
+          sellerAmount,
+        );
+      expect(await seller.getBalance()).to.equal(
+        sellerInitialBalance.add(sellerAmount).sub(gasUsed),
+      );
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(0);
+    });
+
     it("Should not allow non-participants to approve", async function () {
       const { escrow, other } = await loadFixture(createEscrowFixture);
 
-      await expect(escrow.connect(other).approveEscrow(1)).to.be.revertedWith(
-        "Not authorized",
-      );
+      await expect(
+        escrow.connect(other).approveEscrow(1),
+      ).to.be.revertedWithCustomError(escrow, "NotAuthorized");
     });
 
     it("Should not allow approval of non-existent escrow", async function () {
@@ -278,7 +403,7 @@ describe("ERC721Escrow", function () {
 
       await expect(
         escrow.connect(seller).approveEscrow(999),
-      ).to.be.revertedWith("Invalid escrow ID");
+      ).to.be.revertedWithCustomError(escrow, "InvalidEscrowId");
     });
   });
 
@@ -290,12 +415,12 @@ describe("ERC721Escrow", function () {
       const price = ethers.utils.parseEther("1.0");
       const deadline = (await time.latest()) + 86400;
 
-      await mockNFT.connect(seller).approve(escrow.address, 1);
       await escrow
         .connect(seller)
-        .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-          value: price,
-        });
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
 
       return { ...base, price };
     }
@@ -304,8 +429,6 @@ describe("ERC721Escrow", function () {
       const { escrow, mockNFT, seller, buyer, price } =
         await loadFixture(createEscrowFixture);
 
-      const buyerInitialBalance = await buyer.getBalance();
-
       await expect(escrow.connect(seller).cancelEscrow(1))
         .to.emit(escrow, "EscrowCancelled")
         .withArgs(1);
@@ -317,25 +440,21 @@ describe("ERC721Escrow", function () {
       // Check that NFT is returned to seller
       expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
 
-      // Check that ETH is returned to buyer
-      const buyerFinalBalance = await buyer.getBalance();
-      expect(buyerFinalBalance).to.equal(buyerInitialBalance.add(price));
+      // Check that ETH is credited to buyer
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(price);
     });
 
     it("Should allow buyer to cancel escrow", async function () {
       const { escrow, mockNFT, seller, buyer, price } =
         await loadFixture(createEscrowFixture);
 
-      const buyerInitialBalance = await buyer.getBalance();
-
       await escrow.connect(buyer).cancelEscrow(1);
 
       // Check that NFT is returned to seller
       expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
 
-      // Check that ETH is returned to buyer
-      const buyerFinalBalance = await buyer.getBalance();
-      expect(buyerFinalBalance).to.equal(buyerInitialBalance.add(price));
+      // Check that ETH is credited to buyer
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(price);
     });
 
     it("Should allow cancellation after deadline", async function () {
@@ -351,12 +470,43 @@ describe("ERC721Escrow", function () {
       expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
     });
 
+    it("Should let either party abort before both deposits land", async function () {
+      const { escrow, mockNFT, seller, buyer } =
+        await loadFixture(deployEscrowFixture);
+
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 86400;
+
+      // Unfunded proposal: nothing to return
+      await escrow
+        .connect(seller)
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await expect(escrow.connect(buyer).cancelEscrow(1))
+        .to.emit(escrow, "EscrowCancelled")
+        .withArgs(1);
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(0);
+      await expect(
+        escrow.connect(buyer).fundEscrow(1, { value: price }),
+      ).to.be.revertedWithCustomError(escrow, "EscrowNotAwaitingFunds");
+
+      // Funded but no NFT: the buyer is refunded and the seller keeps the NFT
+      await escrow
+        .connect(seller)
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await escrow.connect(buyer).fundEscrow(2, { value: price });
+      await escrow.connect(seller).cancelEscrow(2);
+
+      expect((await escrow.getEscrow(2)).status).to.equal(2); // Cancelled
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(price);
+    });
+
     it("Should not allow non-participants to cancel before deadline", async function () {
       const { escrow, other } = await loadFixture(createEscrowFixture);
 
-      await expect(escrow.connect(other).cancelEscrow(1)).to.be.revertedWith(
-        "Not authorized to cancel",
-      );
+      await expect(
+        escrow.connect(other).cancelEscrow(1),
+      ).to.be.revertedWithCustomError(escrow, "NotAuthorizedToCancel");
     });
   });
 
@@ -368,12 +518,12 @@ describe("ERC721Escrow", function () {
       const price = ethers.utils.parseEther("1.0");
       const deadline = (await time.latest()) + 86400;
 
-      await mockNFT.connect(seller).approve(escrow.address, 1);
       await escrow
         .connect(seller)
-        .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-          value: price,
-        });
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
 
       return { ...base, price };
     }
@@ -397,7 +547,7 @@ describe("ERC721Escrow", function () {
 
       await expect(
         escrow.connect(seller).initiateDispute(1),
-      ).to.be.revertedWith("Dispute window closed");
+      ).to.be.revertedWithCustomError(escrow, "DisputeWindowClosed");
     });
 
     it("Should allow dispute resolver to resolve in favor of buyer", async function () {
@@ -414,9 +564,6 @@ describe("ERC721Escrow", function () {
       // Initiate dispute
       await escrow.connect(seller).initiateDispute(1);
 
-      const sellerInitialBalance = await seller.getBalance();
-      const feeRecipientInitialBalance = await feeRecipient.getBalance();
-
       // Resolve in favor of buyer
       await expect(escrow.connect(disputeResolver).resolveDispute(1, true))
         .to.emit(escrow, "DisputeResolved")
@@ -429,15 +576,11 @@ describe("ERC721Escrow", function () {
       const fee = price.mul(250).div(10000);
       const sellerAmount = price.sub(fee);
 
-      const sellerFinalBalance = await seller.getBalance();
-      const feeRecipientFinalBalance = await feeRecipient.getBalance();
-
-      expect(sellerFinalBalance).to.be.closeTo(
-        sellerInitialBalance.add(sellerAmount),
-        ethers.utils.parseEther("0.01"),
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        sellerAmount,
       );
-      expect(feeRecipientFinalBalance).to.equal(
-        feeRecipientInitialBalance.add(fee),
+      expect(await escrow.pendingWithdrawals(feeRecipient.address)).to.equal(
+        fee,
       );
     });
 
@@ -448,17 +591,14 @@ describe("ERC721Escrow", function () {
       // Initiate dispute
       await escrow.connect(seller).initiateDispute(1);
 
-      const buyerInitialBalance = await buyer.getBalance();
-
       // Resolve in favor of seller
       await escrow.connect(disputeResolver).resolveDispute(1, false);
 
       // Check that NFT is returned to seller
       expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
 
-      // Check that ETH is returned to buyer
-      const buyerFinalBalance = await buyer.getBalance();
-      expect(buyerFinalBalance).to.equal(buyerInitialBalance.add(price));
+      // Check that ETH is credited to buyer
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(price);
     });
 
     it("Should not allow non-dispute resolver to resolve disputes", async function () {
@@ -469,7 +609,858 @@ describe("ERC721Escrow", function () {
 
       await expect(
         escrow.connect(seller).resolveDispute(1, true),
-      ).to.be.revertedWith("Only dispute resolver");
+      ).to.be.revertedWithCustomError(escrow, "OnlyDisputeResolver");
+    });
+  });
+
+  describe("Arbitration Panel", function () {
+    async function createArbitrationFixture() {
+      const base = await loadFixture(deployEscrowFixture);
+      const { escrow, mockNFT, seller, buyer } = base;
+      const [arbiterA, arbiterB, arbiterC] = (await ethers.getSigners()).slice(
+        6,
+      );
+
+      // Two of three arbiters decide, with a one-day appeal window
+      const ArbitrationPanel =
+        await ethers.getContractFactory("ArbitrationPanel");
+      const panel = await ArbitrationPanel.deploy(
+        [arbiterA.address, arbiterB.address, arbiterC.address],
+        2,
+        86400,
+      );
+      await panel.deployed();
+      await escrow.setArbitrator(panel.address);
+
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 86400;
+      await escrow
+        .connect(seller)
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
+
+      return { ...base, panel, arbiterA, arbiterB, arbiterC, price };
+    }
+
+    // Rulings are the buyer's refund in basis points, plus one, or the cancel ruling
+    const refundRuling = (bps) => bps + 1;
+    const CANCEL_RULING = 10002;
+
+    it("Should open a dispute with the arbitrator", async function () {
+      const { escrow, panel, buyer } = await loadFixture(
+        createArbitrationFixture,
+      );
+
+      await expect(escrow.connect(buyer).initiateDispute(1))
+        .to.emit(escrow, "Dispute")
+        .withArgs(panel.address, 1, 0, 1)
+        .and.to.emit(panel, "DisputeCreation")
+        .withArgs(1, escrow.address);
+
+      expect(await escrow.escrowDisputes(1)).to.equal(1);
+      expect(await escrow.disputeArbitrators(1)).to.equal(panel.address);
+      expect(await escrow.disputeEscrows(panel.address, 1)).to.equal(1);
+      expect(await panel.disputeStatus(1)).to.equal(0); // Waiting
+    });
+
+    it("Should record evidence from either party", async function () {
+      const { escrow, panel, seller, buyer, other } = await loadFixture(
+        createArbitrationFixture,
+      );
+
+      await escrow.connect(buyer).initiateDispute(1);
+
+      await expect(escrow.connect(buyer).submitEvidence(1, "ipfs://buyer"))
+        .to.emit(escrow, "Evidence")
+        .withArgs(panel.address, 1, buyer.address, "ipfs://buyer");
+      await expect(escrow.connect(seller).submitEvidence(1, "ipfs://seller"))
+        .to.emit(escrow, "Evidence")
+        .withArgs(panel.address, 1, seller.address, "ipfs://seller");
+
+      await expect(
+        escrow.connect(other).submitEvidence(1, "ipfs://other"),
+      ).to.be.revertedWithCustomError(escrow, "NotAuthorized");
+    });
+
+    it("Should execute an M-of-N split ruling after the appeal window", async function () {
+      const {
+        escrow,
+        panel,
+        mockNFT,
+        seller,
+        buyer,
+        feeRecipient,
+        arbiterA,
+        arbiterB,
+        arbiterC,
+        price,
+      } = await loadFixture(createArbitrationFixture);
+
+      await escrow.connect(buyer).initiateDispute(1);
+
+      // Votes only count towards the ruling they were cast for
+      await panel.connect(arbiterA).vote(1, refundRuling(3000));
+      await panel.connect(arbiterB).vote(1, refundRuling(0));
+      expect(await panel.disputeStatus(1)).to.equal(0);
+
+      await expect(
+        panel.connect(arbiterA).vote(1, refundRuling(3000)),
+      ).to.be.revertedWithCustomError(panel, "AlreadyVoted");
+      await expect(panel.connect(arbiterC).vote(1, refundRuling(3000)))
+        .to.emit(panel, "AppealPossible")
+        .withArgs(1, escrow.address);
+      expect(await panel.currentRuling(1)).to.equal(refundRuling(3000));
+
+      await expect(panel.executeRuling(1)).to.be.revertedWithCustomError(
+        panel,
+        "AppealWindowOpen",
+      );
+
+      await time.increase(86400);
+      await expect(panel.executeRuling(1))
+        .to.emit(escrow, "Ruling")
+        .withArgs(panel.address, 1, refundRuling(3000))
+        .and.to.emit(escrow, "EscrowCompleted")
+        .withArgs(1);
+
+      // The buyer keeps the NFT and gets 30% back; the seller is paid the rest
+      const refund = price.mul(3000).div(10000);
+      const fee = price.sub(refund).mul(250).div(10000);
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(refund);
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        price.sub(refund).sub(fee),
+      );
+      expect(await escrow.pendingWithdrawals(feeRecipient.address)).to.equal(
+        fee,
+      );
+      expect(await panel.disputeStatus(1)).to.equal(2); // Solved
+    });
+
+    it("Should let either party appeal into a new round of voting", async function () {
+      const {
+        escrow,
+        panel,
+        mockNFT,
+        seller,
+        buyer,
+        other,
+        arbiterA,
+        arbiterB,
+        price,
+      } = await loadFixture(createArbitrationFixture);
+
+      await escrow.connect(buyer).initiateDispute(1);
+      await panel.connect(arbiterA).vote(1, refundRuling(0));
+      await panel.connect(arbiterB).vote(1, refundRuling(0));
+
+      await expect(
+        escrow.connect(other).appealDispute(1),
+      ).to.be.revertedWithCustomError(escrow, "NotAuthorized");
+      await expect(
+        panel.connect(buyer).appeal(1, "0x"),
+      ).to.be.revertedWithCustomError(panel, "OnlyArbitrable");
+
+      await expect(escrow.connect(buyer).appealDispute(1))
+        .to.emit(panel, "AppealDecision")
+        .withArgs(1, escrow.address);
+      expect(await panel.disputeStatus(1)).to.equal(0);
+
+      // Arbiters vote afresh in the appeal round, this time to cancel the escrow
+      await panel.connect(arbiterA).vote(1, CANCEL_RULING);
+      await panel.connect(arbiterB).vote(1, CANCEL_RULING);
+      await time.increase(86400);
+
+      await expect(
+        escrow.connect(seller).appealDispute(1),
+      ).to.be.revertedWithCustomError(panel, "AppealWindowClosed");
+
+      await panel.executeRuling(1);
+      expect((await escrow.getEscrow(1)).status).to.equal(2); // Cancelled
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(price);
+    });
+
+    it("Should return the NFT to the seller when the buyer is refunded in full", async function () {
+      const {
+        escrow,
+        panel,
+        mockNFT,
+        seller,
+        buyer,
+        arbiterA,
+        arbiterB,
+        price,
+      } = await loadFixture(createArbitrationFixture);
+
+      expect(await escrow.CANCEL_RULING()).to.equal(CANCEL_RULING);
+      await escrow.connect(buyer).initiateDispute(1);
+      await panel.connect(arbiterA).vote(1, refundRuling(10000));
+      await panel.connect(arbiterB).vote(1, refundRuling(10000));
+      await time.increase(86400);
+      await panel.executeRuling(1);
+
+      // Refunding the whole price unwinds the escrow: the NFT goes back to the seller
+      expect((await escrow.getEscrow(1)).status).to.equal(2); // Cancelled
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(price);
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(0);
+    });
+
+    it("Should leave the escrow to the dispute resolver when the arbitrator refuses to rule", async function () {
+      const { escrow, panel, buyer, disputeResolver, arbiterA, arbiterB } =
+        await loadFixture(createArbitrationFixture);
+
+      await escrow.connect(buyer).initiateDispute(1);
+      await panel.connect(arbiterA).vote(1, 0);
+      await panel.connect(arbiterB).vote(1, 0);
+      await time.increase(86400);
+      await expect(panel.executeRuling(1))
+        .to.emit(escrow, "Ruling")
+        .withArgs(panel.address, 1, 0);
+
+      expect((await escrow.getEscrow(1)).status).to.equal(3); // Disputed
+      await expect(
+        escrow.connect(buyer).approveEscrow(1),
+      ).to.be.revertedWithCustomError(escrow, "EscrowNotActive");
+
+      await escrow.connect(disputeResolver).resolveDispute(1, true);
+      expect((await escrow.getEscrow(1)).status).to.equal(1); // Completed
+    });
+
+    it("Should keep rulings and appeals with the arbitrator that opened the dispute", async function () {
+      const {
+        escrow,
+        panel,
+        mockNFT,
+        seller,
+        buyer,
+        arbiterA,
+        arbiterB,
+        arbiterC,
+        price,
+      } = await loadFixture(createArbitrationFixture);
+
+      await escrow.connect(buyer).initiateDispute(1);
+      await panel.connect(arbiterA).vote(1, refundRuling(0));
+      await panel.connect(arbiterB).vote(1, refundRuling(0));
+
+      // A second panel takes over new disputes; its dispute ids start again at 1
+      const ArbitrationPanel =
+        await ethers.getContractFactory("ArbitrationPanel");
+      const panel2 = await ArbitrationPanel.deploy(
+        [arbiterA.address, arbiterB.address, arbiterC.address],
+        2,
+        86400,
+      );
+      await panel2.deployed();
+      await escrow.setArbitrator(panel2.address);
+
+      const deadline = (await time.latest()) + 86400;
+      await escrow
+        .connect(seller)
+        .createEscrow(buyer.address, mockNFT.address, 2, deadline, price);
+      await escrow.connect(buyer).fundEscrow(2, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 2);
+      await escrow.connect(seller).depositNFT(2);
+      await escrow.connect(buyer).initiateDispute(2);
+      expect(await escrow.disputeArbitrators(2)).to.equal(panel2.address);
+      expect(await escrow.disputeEscrows(panel2.address, 1)).to.equal(2);
+
+      // Appeals on the first escrow still go to the first panel
+      await expect(escrow.connect(buyer).appealDispute(1))
+        .to.emit(panel, "AppealDecision")
+        .withArgs(1, escrow.address);
+
+      // The second panel's dispute 1 only settles the second escrow
+      await panel2.connect(arbiterA).vote(1, refundRuling(0));
+      await panel2.connect(arbiterB).vote(1, refundRuling(0));
+      await time.increase(86400);
+      await expect(panel2.executeRuling(1))
+        .to.emit(escrow, "Ruling")
+        .withArgs(panel2.address, 1, refundRuling(0));
+      expect((await escrow.getEscrow(2)).status).to.equal(1); // Completed
+      expect((await escrow.getEscrow(1)).status).to.equal(3); // Disputed
+
+      // The first panel can still rule on the first escrow
+      await panel.connect(arbiterA).vote(1, refundRuling(0));
+      await panel.connect(arbiterB).vote(1, refundRuling(0));
+      await time.increase(86400);
+      await expect(panel.executeRuling(1))
+        .to.emit(escrow, "Ruling")
+        .withArgs(panel.address, 1, refundRuling(0));
+      expect((await escrow.getEscrow(1)).status).to.equal(1); // Completed
+    });
+
+    it("Should only accept rulings from the arbitrator and votes from arbiters", async function () {
+      const { escrow, panel, buyer, disputeResolver, other } =
+        await loadFixture(createArbitrationFixture);
+
+      await escrow.connect(buyer).initiateDispute(1);
+
+      await expect(
+        escrow.connect(disputeResolver).rule(1, 1),
+      ).to.be.revertedWithCustomError(escrow, "OnlyArbitrator");
+      await expect(
+        panel.connect(other).vote(1, 1),
+      ).to.be.revertedWithCustomError(panel, "NotArbiter");
+      await expect(panel.setQuorum(4)).to.be.revertedWithCustomError(
+        panel,
+        "InvalidQuorum",
+      );
+
+      // The dispute resolver can still settle the dispute directly
+      await escrow.connect(disputeResolver).resolveDispute(1, true);
+      expect((await escrow.getEscrow(1)).status).to.equal(1); // Completed
+    });
+  });
+
+  describe("ERC-20 Payments", function () {
+    it("Should complete an escrow priced in an allowed ERC-20 token", async function () {
+      const { escrow, mockNFT, seller, buyer, feeRecipient, owner } =
+        await loadFixture(deployEscrowFixture);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+      await weth.deployed();
+
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 86400;
+
+      await weth.mint(buyer.address, price);
+      await weth.connect(buyer).approve(escrow.address, price);
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+
+      await expect(
+        escrow
+          .connect(seller)
+          .createEscrowWithCurrency(
+            buyer.address,
+            mockNFT.address,
+            1,
+            deadline,
+            weth.address,
+            price,
+          ),
+      ).to.be.revertedWithCustomError(escrow, "PaymentTokenNotAllowed");
+
+      await escrow.connect(owner).setPaymentToken(weth.address, true);
+      await escrow
+        .connect(seller)
+        .createEscrowWithCurrency(
+          buyer.address,
+          mockNFT.address,
+          1,
+          deadline,
+          weth.address,
+          price,
+        );
+
+      expect((await escrow.getEscrow(1)).paymentToken).to.equal(weth.address);
+
+      await expect(
+        escrow.connect(buyer).fundEscrow(1, { value: price }),
+      ).to.be.revertedWithCustomError(escrow, "IncorrectPayment");
+      await escrow.connect(buyer).fundEscrow(1);
+      expect(await weth.balanceOf(escrow.address)).to.equal(price);
+      await escrow.connect(seller).depositNFT(1);
+
+      await escrow.connect(seller).approveEscrow(1);
+      await escrow.connect(buyer).approveEscrow(1);
+
+      const fee = price.mul(250).div(10000);
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(
+        await escrow.pendingTokenWithdrawals(seller.address, weth.address),
+      ).to.equal(price.sub(fee));
+      expect(
+        await escrow.pendingTokenWithdrawals(
+          feeRecipient.address,
+          weth.address,
+        ),
+      ).to.equal(fee);
+
+      await escrow.connect(seller).withdrawToken(weth.address);
+      expect(await weth.balanceOf(seller.address)).to.equal(price.sub(fee));
+    });
+  });
+
+  describe("Auto-Complete", function () {
+    const inspectionPeriod = 3 * 86400;
+
+    async function createAutoCompleteFixture() {
+      const base = await loadFixture(deployEscrowFixture);
+      const { escrow, mockNFT, seller, buyer } = base;
+
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 86400;
+
+      await escrow
+        .connect(seller)
+        .createEscrowWithAutoComplete(
+          buyer.address,
+          mockNFT.address,
+          1,
+          deadline,
+          ethers.constants.AddressZero,
+          price,
+          inspectionPeriod,
+        );
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
+
+      return { ...base, price, deadline };
+    }
+
+    it("Should record when silence completes the escrow", async function () {
+      const { escrow, deadline } = await loadFixture(createAutoCompleteFixture);
+
+      expect(await escrow.autoCompleteAt(1)).to.equal(
+        deadline + inspectionPeriod,
+      );
+    });
+
+    it("Should let anyone finalize after the inspection period", async function () {
+      const {
+        escrow,
+        mockNFT,
+        seller,
+        buyer,
+        feeRecipient,
+        other,
+        price,
+        deadline,
+      } = await loadFixture(createAutoCompleteFixture);
+
+      await time.increaseTo(deadline + inspectionPeriod - 10);
+      await expect(
+        escrow.connect(other).finalizeEscrow(1),
+      ).to.be.revertedWithCustomError(escrow, "NotFinalizable");
+
+      await time.increaseTo(deadline + inspectionPeriod);
+      await expect(escrow.connect(other).finalizeEscrow(1))
+        .to.emit(escrow, "EscrowCompleted")
+        .withArgs(1);
+
+      const fee = price.mul(250).div(10000);
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        price.sub(fee),
+      );
+      expect(await escrow.pendingWithdrawals(feeRecipient.address)).to.equal(
+        fee,
+      );
+    });
+
+    it("Should not unwind the escrow after the deadline", async function () {
+      const { escrow, seller, other, deadline } = await loadFixture(
+        createAutoCompleteFixture,
+      );
+
+      await time.increaseTo(deadline + 1);
+      await expect(
+        escrow.connect(other).cancelEscrow(1),
+      ).to.be.revertedWithCustomError(escrow, "EscrowAutoCompletes");
+      await expect(
+        escrow.connect(seller).cancelEscrow(1),
+      ).to.be.revertedWithCustomError(escrow, "EscrowAutoCompletes");
+    });
+
+    it("Should not finalize a disputed escrow", async function () {
+      const { escrow, buyer, deadline } = await loadFixture(
+        createAutoCompleteFixture,
+      );
+
+      await time.increaseTo(deadline + 1);
+      await escrow.connect(buyer).initiateDispute(1);
+      await time.increaseTo(deadline + inspectionPeriod);
+
+      await expect(escrow.finalizeEscrow(1)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotActive",
+      );
+    });
+
+    it("Should not finalize an escrow after a ruling on its dispute", async function () {
+      const { escrow, buyer, disputeResolver, deadline } = await loadFixture(
+        createAutoCompleteFixture,
+      );
+
+      await time.increaseTo(deadline + 1);
+      await escrow.connect(buyer).initiateDispute(1);
+      expect(await escrow.disputed(1)).to.equal(true);
+      await escrow.connect(disputeResolver).resolveDispute(1, true);
+      await time.increaseTo(deadline + inspectionPeriod);
+
+      expect(await escrow.disputed(1)).to.equal(true);
+      await expect(escrow.finalizeEscrow(1)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotActive",
+      );
+    });
+
+    it("Should not finalize escrows created without auto-complete", async function () {
+      const { escrow, mockNFT, seller, buyer } =
+        await loadFixture(deployEscrowFixture);
+
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 86400;
+      await escrow
+        .connect(seller)
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
+
+      await time.increase(30 * 86400);
+      expect(await escrow.autoCompleteAt(1)).to.equal(0);
+      await expect(escrow.finalizeEscrow(1)).to.be.revertedWithCustomError(
+        escrow,
+        "NotFinalizable",
+      );
+    });
+  });
+
+  describe("Milestone Escrows", function () {
+    async function createMilestoneFixture() {
+      const base = await loadFixture(deployEscrowFixture);
+      const { escrow, mockNFT, seller, buyer } = base;
+
+      const amounts = [
+        ethers.utils.parseEther("0.2"),
+        ethers.utils.parseEther("0.3"),
+        ethers.utils.parseEther("0.5"),
+      ];
+      const price = ethers.utils.parseEther("1.0");
+      const deadline = (await time.latest()) + 30 * 86400;
+
+      await escrow
+        .connect(seller)
+        .createMilestoneEscrow(
+          buyer.address,
+          mockNFT.address,
+          1,
+          deadline,
+          ethers.constants.AddressZero,
+          amounts,
+        );
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
+
+      return { ...base, amounts, price };
+    }
+
+    async function approveBoth(escrow, seller, buyer) {
+      await escrow.connect(seller).approveEscrow(1);
+      return escrow.connect(buyer).approveEscrow(1);
+    }
+
+    it("Should price the escrow at the sum of its milestones", async function () {
+      const { escrow, amounts, price } = await loadFixture(
+        createMilestoneFixture,
+      );
+
+      expect((await escrow.getEscrow(1)).price).to.equal(price);
+
+      const milestones = await escrow.getMilestones(1);
+      expect(milestones.amounts.length).to.equal(3);
+      expect(milestones.amounts[1]).to.equal(amounts[1]);
+      expect(milestones.current).to.equal(0);
+    });
+
+    it("Should release one milestone per approval round", async function () {
+      const { escrow, mockNFT, seller, buyer, feeRecipient, amounts } =
+        await loadFixture(createMilestoneFixture);
+
+      await expect(approveBoth(escrow, seller, buyer))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(1, 0, amounts[0]);
+
+      const fee = amounts[0].mul(250).div(10000);
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        amounts[0].sub(fee),
+      );
+      expect(await escrow.pendingWithdrawals(feeRecipient.address)).to.equal(
+        fee,
+      );
+      expect(await escrow.releasedAmount(1)).to.equal(amounts[0]);
+      expect((await escrow.getMilestones(1)).current).to.equal(1);
+
+      // The escrow stays active with approvals reset for the next stage
+      const escrowData = await escrow.getEscrow(1);
+      expect(escrowData.status).to.equal(0);
+      expect(escrowData.sellerApproved).to.equal(false);
+      expect(escrowData.buyerApproved).to.equal(false);
+      expect(await mockNFT.ownerOf(1)).to.equal(escrow.address);
+    });
+
+    it("Should deliver the NFT with the final milestone", async function () {
+      const { escrow, mockNFT, seller, buyer, feeRecipient, amounts, price } =
+        await loadFixture(createMilestoneFixture);
+
+      await approveBoth(escrow, seller, buyer);
+      await approveBoth(escrow, seller, buyer);
+      await expect(approveBoth(escrow, seller, buyer))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(1, 2, amounts[2])
+        .and.to.emit(escrow, "EscrowCompleted")
+        .withArgs(1);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect((await escrow.getEscrow(1)).status).to.equal(1);
+      expect((await escrow.getMilestones(1)).current).to.equal(3);
+
+      const fees = amounts.reduce(
+        (total, amount) => total.add(amount.mul(250).div(10000)),
+        ethers.BigNumber.from(0),
+      );
+      expect(await escrow.pendingWithdrawals(feeRecipient.address)).to.equal(
+        fees,
+      );
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        price.sub(fees),
+      );
+    });
+
+    it("Should scope a dispute won by the buyer to the current milestone", async function () {
+      const { escrow, mockNFT, seller, buyer, disputeResolver, amounts } =
+        await loadFixture(createMilestoneFixture);
+
+      await approveBoth(escrow, seller, buyer);
+      await escrow.connect(buyer).initiateDispute(1);
+
+      await expect(escrow.connect(disputeResolver).resolveDispute(1, true))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(1, 1, amounts[1]);
+
+      expect((await escrow.getEscrow(1)).status).to.equal(0);
+      expect(await escrow.releasedAmount(1)).to.equal(
+        amounts[0].add(amounts[1]),
+      );
+      expect(await mockNFT.ownerOf(1)).to.equal(escrow.address);
+    });
+
+    it("Should refund only unreleased funds when the seller wins a dispute", async function () {
+      const {
+        escrow,
+        mockNFT,
+        seller,
+        buyer,
+        disputeResolver,
+        amounts,
+        price,
+      } = await loadFixture(createMilestoneFixture);
+
+      await approveBoth(escrow, seller, buyer);
+      await escrow.connect(seller).initiateDispute(1);
+      await escrow.connect(disputeResolver).resolveDispute(1, false);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(
+        price.sub(amounts[0]),
+      );
+    });
+
+    it("Should refund only unreleased funds on cancellation", async function () {
+      const { escrow, seller, buyer, amounts, price } = await loadFixture(
+        createMilestoneFixture,
+      );
+
+      await approveBoth(escrow, seller, buyer);
+      await escrow.connect(buyer).cancelEscrow(1);
+
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(
+        price.sub(amounts[0]),
+      );
+    });
+
+    it("Should reject empty or zero milestones", async function () {
+      const { escrow, mockNFT, seller, buyer } =
+        await loadFixture(deployEscrowFixture);
+      const deadline = (await time.latest()) + 86400;
+
+      await expect(
+        escrow
+          .connect(seller)
+          .createMilestoneEscrow(
+            buyer.address,
+            mockNFT.address,
+            1,
+            deadline,
+            ethers.constants.AddressZero,
+            [],
+          ),
+      ).to.be.revertedWithCustomError(escrow, "InvalidMilestones");
+
+      await expect(
+        escrow
+          .connect(seller)
+          .createMilestoneEscrow(
+            buyer.address,
+            mockNFT.address,
+            1,
+            deadline,
+            ethers.constants.AddressZero,
+            [ethers.utils.parseEther("1.0"), 0],
+          ),
+      ).to.be.revertedWithCustomError(escrow, "ZeroPrice");
+    });
+  });
+
+  describe("Trades", function () {
+    async function createTradeFixture() {
+      const base = await loadFixture(deployEscrowFixture);
+      const { escrow, mockNFT, seller, buyer } = base;
+
+      // The seller swaps tokens 1 and 2 for the buyer's token 3 plus 0.5 ETH
+      await mockNFT.connect(buyer).mint(buyer.address, 3);
+      const sweetener = ethers.utils.parseEther("0.5");
+      const deadline = (await time.latest()) + 86400;
+
+      await escrow.connect(seller).createTrade(
+        buyer.address,
+        [
+          { nftContract: mockNFT.address, tokenId: 1 },
+          { nftContract: mockNFT.address, tokenId: 2 },
+        ],
+        [{ nftContract: mockNFT.address, tokenId: 3 }],
+        ethers.constants.AddressZero,
+        0,
+        sweetener,
+        deadline,
+      );
+      await mockNFT.connect(seller).setApprovalForAll(escrow.address, true);
+      await mockNFT.connect(buyer).setApprovalForAll(escrow.address, true);
+
+      return { ...base, sweetener };
+    }
+
+    it("Should list each side's assets", async function () {
+      const { escrow, mockNFT, seller, buyer, sweetener } =
+        await loadFixture(createTradeFixture);
+
+      const trade = await escrow.getTrade(1);
+      expect(trade.proposer.party).to.equal(seller.address);
+      expect(trade.counterparty.party).to.equal(buyer.address);
+      expect(trade.counterparty.sweetener).to.equal(sweetener);
+      expect(trade.status).to.equal(0); // Open
+
+      const assets = await escrow.getTradeAssets(1);
+      expect(assets.proposerAssets.length).to.equal(2);
+      expect(assets.proposerAssets[1].tokenId).to.equal(2);
+      expect(assets.counterpartyAssets.length).to.equal(1);
+      expect(assets.counterpartyAssets[0].nftContract).to.equal(
+        mockNFT.address,
+      );
+      expect(assets.counterpartyAssets[0].tokenId).to.equal(3);
+
+      const buyerTrades = await escrow.getUserTrades(buyer.address);
+      expect(buyerTrades.length).to.equal(1);
+      expect(buyerTrades[0]).to.equal(1);
+    });
+
+    it("Should swap atomically once both sides deposit and approve", async function () {
+      const { escrow, mockNFT, seller, buyer, sweetener } =
+        await loadFixture(createTradeFixture);
+
+      await expect(
+        escrow.connect(seller).approveTrade(1),
+      ).to.be.revertedWithCustomError(escrow, "TradeNotDeposited");
+
+      await expect(escrow.connect(seller).depositTrade(1))
+        .to.emit(escrow, "TradeDeposited")
+        .withArgs(1, seller.address);
+      expect(await mockNFT.ownerOf(1)).to.equal(escrow.address);
+      expect(await mockNFT.ownerOf(2)).to.equal(escrow.address);
+      await expect(
+        escrow.connect(seller).depositTrade(1),
+      ).to.be.revertedWithCustomError(escrow, "AlreadyDeposited");
+
+      await expect(
+        escrow.connect(buyer).depositTrade(1),
+      ).to.be.revertedWithCustomError(escrow, "IncorrectPayment");
+      await escrow.connect(buyer).depositTrade(1, { value: sweetener });
+
+      await escrow.connect(seller).approveTrade(1);
+      await expect(escrow.connect(buyer).approveTrade(1))
+        .to.emit(escrow, "TradeCompleted")
+        .withArgs(1);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await mockNFT.ownerOf(2)).to.equal(buyer.address);
+      expect(await mockNFT.ownerOf(3)).to.equal(seller.address);
+      expect(await escrow.pendingWithdrawals(seller.address)).to.equal(
+        sweetener,
+      );
+      expect((await escrow.getTrade(1)).status).to.equal(1); // Completed
+    });
+
+    it("Should return deposits when a trade is cancelled", async function () {
+      const { escrow, mockNFT, seller, buyer, other, sweetener } =
+        await loadFixture(createTradeFixture);
+
+      await escrow.connect(buyer).depositTrade(1, { value: sweetener });
+      await expect(
+        escrow.connect(other).cancelTrade(1),
+      ).to.be.revertedWithCustomError(escrow, "NotAuthorizedToCancel");
+
+      await expect(escrow.connect(seller).cancelTrade(1))
+        .to.emit(escrow, "TradeCancelled")
+        .withArgs(1);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
+      expect(await mockNFT.ownerOf(3)).to.equal(buyer.address);
+      expect(await escrow.pendingWithdrawals(buyer.address)).to.equal(
+        sweetener,
+      );
+      await expect(
+        escrow.connect(buyer).approveTrade(1),
+      ).to.be.revertedWithCustomError(escrow, "TradeNotOpen");
+    });
+
+    it("Should reject one-sided or invalid trades", async function () {
+      const { escrow, mockNFT, seller, buyer } =
+        await loadFixture(deployEscrowFixture);
+
+      const deadline = (await time.latest()) + 86400;
+      const token1 = [{ nftContract: mockNFT.address, tokenId: 1 }];
+      const AddressZero = ethers.constants.AddressZero;
+
+      await expect(
+        escrow
+          .connect(seller)
+          .createTrade(buyer.address, token1, [], AddressZero, 0, 0, deadline),
+      ).to.be.revertedWithCustomError(escrow, "EmptyTradeSide");
+      await expect(
+        escrow
+          .connect(seller)
+          .createTrade(
+            seller.address,
+            token1,
+            token1,
+            AddressZero,
+            0,
+            0,
+            deadline,
+          ),
+      ).to.be.revertedWithCustomError(escrow, "InvalidCounterparty");
+      await expect(
+        escrow
+          .connect(seller)
+          .createTrade(
+            buyer.address,
+            [{ nftContract: buyer.address, tokenId: 1 }],
+            [],
+            AddressZero,
+            0,
+            1,
+            deadline,
+          ),
+      ).to.be.revertedWithCustomError(escrow, "ContractNotWhitelisted");
     });
   });
 
@@ -489,7 +1480,7 @@ describe("ERC721Escrow", function () {
 
       await expect(
         escrow.connect(owner).setEscrowFee(1001), // More than 10%
-      ).to.be.revertedWith("Fee too high");
+      ).to.be.revertedWithCustomError(escrow, "FeeTooHigh");
     });
 
     it("Should allow owner to update fee recipient", async function () {
@@ -499,12 +1490,94 @@ describe("ERC721Escrow", function () {
       expect(await escrow.feeRecipient()).to.equal(other.address);
     });
 
+    it("Should quote the fee and seller proceeds for a price", async function () {
+      const { escrow, mockNFT, owner } = await loadFixture(deployEscrowFixture);
+      const price = ethers.utils.parseEther("1.0");
+
+      let quote = await escrow.quote(mockNFT.address, 1, price);
+      expect(quote.marketplaceFee).to.equal(price.mul(250).div(10000));
+      expect(quote.royaltyRecipient).to.equal(ethers.constants.AddressZero);
+      expect(quote.royaltyAmount).to.equal(0);
+      expect(quote.sellerProceeds).to.equal(price.sub(quote.marketplaceFee));
+
+      await escrow.connect(owner).setEscrowFee(500);
+      quote = await escrow.quote(mockNFT.address, 1, price);
+      expect(quote.sellerProceeds).to.equal(price.mul(9500).div(10000));
+    });
+
     it("Should not allow setting zero address as fee recipient", async function () {
       const { escrow, owner } = await loadFixture(deployEscrowFixture);
 
       await expect(
         escrow.connect(owner).setFeeRecipient(ethers.constants.AddressZero),
-      ).to.be.revertedWith("Invalid address");
+      ).to.be.revertedWithCustomError(escrow, "InvalidAddress");
+    });
+  });
+
+  describe("Admin Timelock", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("Should require queued changes once a delay is set", async function () {
+      const { escrow, owner, other } = await loadFixture(deployEscrowFixture);
+
+      await escrow.connect(owner).setAdminDelay(DAY);
+      await expect(
+        escrow.connect(owner).setEscrowFee(500),
+      ).to.be.revertedWithCustomError(escrow, "ChangeMustBeQueued");
+      await expect(
+        escrow.connect(owner).setDisputeResolver(other.address),
+      ).to.be.revertedWithCustomError(escrow, "ChangeMustBeQueued");
+
+      const data = escrow.interface.encodeFunctionData("setDisputeResolver", [
+        other.address,
+      ]);
+      const changeId = ethers.utils.keccak256(data);
+      await escrow.connect(owner).queueChange(data);
+      const executableAt = await escrow.pendingChanges(changeId);
+
+      await expect(escrow.connect(owner).executeChange(data))
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady")
+        .withArgs(executableAt);
+
+      await time.increaseTo(executableAt);
+      await expect(escrow.connect(owner).executeChange(data))
+        .to.emit(escrow, "ChangeExecuted")
+        .withArgs(changeId);
+      expect(await escrow.disputeResolver()).to.equal(other.address);
+    });
+
+    it("Should not queue calls to escrow or trade functions", async function () {
+      const { escrow, owner, other } = await loadFixture(deployEscrowFixture);
+
+      const userCalls = [
+        escrow.interface.encodeFunctionData("approveTrade", [1]),
+        escrow.interface.encodeFunctionData("approveEscrow", [1]),
+        escrow.interface.encodeFunctionData("resolveDispute", [1, true]),
+      ];
+      for (const data of userCalls) {
+        await expect(
+          escrow.connect(owner).queueChange(data),
+        ).to.be.revertedWithCustomError(escrow, "ChangeNotAllowed");
+      }
+
+      const data = escrow.interface.encodeFunctionData("setArbitrator", [
+        other.address,
+      ]);
+      await expect(escrow.connect(owner).queueChange(data)).to.emit(
+        escrow,
+        "ChangeQueued",
+      );
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      const { escrow, owner, other } = await loadFixture(deployEscrowFixture);
+
+      await escrow.connect(owner).transferOwnership(other.address);
+      expect(await escrow.pendingOwner()).to.equal(other.address);
+      expect(await escrow.owner()).to.equal(owner.address);
+
+      await escrow.connect(other).acceptOwnership();
+      expect(await escrow.owner()).to.equal(other.address);
     });
   });
 
@@ -530,40 +1603,9 @@ describe("ERC721Escrow", function () {
       await expect(
         escrow
           .connect(seller)
-          .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-            value: price,
-          }),
+          .createEscrow(buyer.address, mockNFT.address, 1, deadline, price),
       ).to.be.revertedWith("Pausable: paused");
     });
-
-    it("Should allow owner to emergency withdraw when paused", async function () {
-      const { escrow, mockNFT, seller, buyer, owner } =
-        await loadFixture(deployEscrowFixture);
-
-      // Create an escrow first
-      const price = ethers.utils.parseEther("1.0");
-      const deadline = (await time.latest()) + 86400;
-
-      await mockNFT.connect(seller).approve(escrow.address, 1);
-      await escrow
-        .connect(seller)
-        .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-          value: price,
-        });
-
-      // Pause and withdraw
-      await escrow.connect(owner).pause();
-
-      const ownerInitialBalance = await owner.getBalance();
-      const tx = await escrow.connect(owner).emergencyWithdraw();
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed.mul(tx.gasPrice);
-
-      const ownerFinalBalance = await owner.getBalance();
-      expect(ownerFinalBalance).to.equal(
-        ownerInitialBalance.add(price).sub(gasUsed),
-      );
-    });
   });
 
   describe("View Functions", function () {
@@ -575,19 +1617,19 @@ describe("ERC721Escrow", function () {
       const price = ethers.utils.parseEther("1.0");
       const deadline = (await time.latest()) + 86400;
 
-      await mockNFT.connect(seller).approve(escrow.address, 1);
       await escrow
         .connect(seller)
-        .createEscrow(buyer.address, mockNFT.address, 1, deadline, {
-          value: price,
-        });
+        .createEscrow(buyer.address, mockNFT.address, 1, deadline, price);
+      await escrow.connect(buyer).fundEscrow(1, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 1);
+      await escrow.connect(seller).depositNFT(1);
 
-      await mockNFT.connect(seller).approve(escrow.address, 2);
       await escrow
         .connect(seller)
-        .createEscrow(buyer.address, mockNFT.address, 2, deadline, {
-          value: price,
-        });
+        .createEscrow(buyer.address, mockNFT.address, 2, deadline, price);
+      await escrow.connect(buyer).fundEscrow(2, { value: price });
+      await mockNFT.connect(seller).approve(escrow.address, 2);
+      await escrow.connect(seller).depositNFT(2);
 
       return base;
     }
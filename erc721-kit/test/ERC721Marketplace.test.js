@@ -4,6 +4,7 @@ const {
   time,
   loadFixture,
 } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("ERC721Marketplace", function () {
   // Test fixture to deploy contracts
@@ -31,12 +32,23 @@ describe("ERC721Marketplace", function () {
     await mockNFT.connect(seller).mint(seller.address, "ipfs://test2");
     await mockNFT.connect(seller).mint(seller.address, "ipfs://test3");
 
-    // Deploy ERC721Marketplace
+    // Deploy the extensions and ERC721Marketplace
+    const Extension = await ethers.getContractFactory(
+      "ERC721MarketplaceExtension",
+    );
+    const extension = await Extension.deploy();
+    const ListingsExtension = await ethers.getContractFactory(
+      "ERC721MarketplaceListingsExtension",
+    );
+    const listingsExtension = await ListingsExtension.deploy();
+
     const ERC721Marketplace =
       await ethers.getContractFactory("ERC721Marketplace");
     const marketplace = await ERC721Marketplace.deploy(
       feeRecipient.address,
       royaltyEngine.address,
+      extension.address,
+      listingsExtension.address,
     );
     await marketplace.deployed();
 
@@ -65,6 +77,23 @@ describe("ERC721Marketplace", function () {
       expect(await marketplace.royaltyEngine()).to.equal(royaltyEngine.address);
     });
 
+    it("Should reject extensions without code", async function () {
+      const { royaltyEngine, feeRecipient, other } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const ERC721Marketplace =
+        await ethers.getContractFactory("ERC721Marketplace");
+      await expect(
+        ERC721Marketplace.deploy(
+          feeRecipient.address,
+          royaltyEngine.address,
+          other.address,
+          other.address,
+        ),
+      ).to.be.revertedWithCustomError(ERC721Marketplace, "InvalidExtension");
+    });
+
     it("Should set default marketplace fee to 2.5%", async function () {
       const { marketplace } = await loadFixture(deployMarketplaceFixture);
 
@@ -120,7 +149,7 @@ describe("ERC721Marketplace", function () {
         marketplace
           .connect(seller)
           .listItem(mockNFT.address, 1, price, duration),
-      ).to.be.revertedWith("Contract not approved");
+      ).to.be.revertedWithCustomError(marketplace, "ContractNotApproved");
     });
 
     it("Should fail to list NFT from non-whitelisted contract", async function () {
@@ -145,7 +174,7 @@ describe("ERC721Marketplace", function () {
         marketplace
           .connect(seller)
           .listItem(unwhitelistedNFT.address, 1, price, duration),
-      ).to.be.revertedWith("Contract not whitelisted");
+      ).to.be.revertedWithCustomError(marketplace, "ContractNotWhitelisted");
     });
 
     it("Should update listing price", async function () {
@@ -230,9 +259,6 @@ describe("ERC721Marketplace", function () {
         price,
       } = await loadFixture(createListingFixture);
 
-      const sellerInitialBalance = await seller.getBalance();
-      const feeRecipientInitialBalance = await feeRecipient.getBalance();
-
       await expect(
         marketplace.connect(buyer).buyItem(listingId, { value: price }),
       )
@@ -253,21 +279,45 @@ describe("ERC721Marketplace", function () {
       const listing = await marketplace.getListing(listingId);
       expect(listing.active).to.be.false;
 
-      // Check payments (accounting for gas fees and royalties)
+      // Check credited proceeds (the seller is also the royalty recipient)
       const marketplaceFee = price.mul(250).div(10000); // 2.5%
       const royalty = price.mul(500).div(10000); // 5% royalty
       const sellerAmount = price.sub(marketplaceFee).sub(royalty);
 
-      const sellerFinalBalance = await seller.getBalance();
-      const feeRecipientFinalBalance = await feeRecipient.getBalance();
-
-      expect(sellerFinalBalance).to.be.closeTo(
-        sellerInitialBalance.add(sellerAmount),
-        ethers.utils.parseEther("0.01"),
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        sellerAmount.add(royalty),
       );
-      expect(feeRecipientFinalBalance).to.equal(
-        feeRecipientInitialBalance.add(marketplaceFee),
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(marketplaceFee);
+    });
+
+    it("Should let sellers withdraw credited proceeds", async function () {
+      const { marketplace, seller, buyer, other, listingId, price } =
+        await loadFixture(createListingFixture);
+
+      await marketplace.connect(buyer).buyItem(listingId, { value: price });
+
+      const pending = await marketplace.pendingWithdrawals(seller.address);
+      const otherInitialBalance = await other.getBalance();
+
+      await expect(marketplace.connect(seller).withdrawTo(other.address))
+        .to.emit(marketplace, "ProceedsWithdrawn")
+        .withArgs(
+          seller.address,
+          other.address,
+          ethers.constants.AddressZero,
+          pending,
+        );
+
+      expect(await other.getBalance()).to.equal(
+        otherInitialBalance.add(pending),
       );
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(0);
+
+      await expect(
+        marketplace.connect(seller).withdraw(),
+      ).to.be.revertedWithCustomError(marketplace, "NothingToWithdraw");
     });
 
     it("Should fail to buy with insufficient payment", async function () {
@@ -280,28 +330,29 @@ describe("ERC721Marketplace", function () {
         marketplace
           .connect(buyer)
           .buyItem(listingId, { value: insufficientPrice }),
-      ).to.be.revertedWith("Insufficient payment");
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
     });
 
-    it("Should refund excess payment", async function () {
+    it("Should credit excess payment back to the buyer", async function () {
       const { marketplace, buyer, listingId, price } =
         await loadFixture(createListingFixture);
 
-      const excessPayment = price.add(ethers.utils.parseEther("0.5"));
-      const buyerInitialBalance = await buyer.getBalance();
-
-      const tx = await marketplace
-        .connect(buyer)
-        .buyItem(listingId, { value: excessPayment });
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed.mul(tx.gasPrice);
+      const excess = ethers.utils.parseEther("0.5");
 
-      const buyerFinalBalance = await buyer.getBalance();
-      const expectedBalance = buyerInitialBalance.sub(price).sub(gasUsed);
+      await expect(
+        marketplace
+          .connect(buyer)
+          .buyItem(listingId, { value: price.add(excess) }),
+      )
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(buyer.address, ethers.constants.AddressZero, excess);
 
-      expect(buyerFinalBalance).to.be.closeTo(
-        expectedBalance,
-        ethers.utils.parseEther("0.01"),
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        excess,
+      );
+      await expect(marketplace.connect(buyer).withdraw()).to.changeEtherBalance(
+        buyer,
+        excess,
       );
     });
 
@@ -311,7 +362,7 @@ describe("ERC721Marketplace", function () {
 
       await expect(
         marketplace.connect(seller).buyItem(listingId, { value: price }),
-      ).to.be.revertedWith("Cannot buy own item");
+      ).to.be.revertedWithCustomError(marketplace, "CannotBuyOwnItem");
     });
   });
 
@@ -331,7 +382,7 @@ describe("ERC721Marketplace", function () {
       )
         .to.emit(marketplace, "OfferCreated")
         .withArgs(
-          ethers.utils.anyValue, // offerId
+          anyValue, // offerId
           buyer.address,
           mockNFT.address,
           1,
@@ -357,9 +408,6 @@ describe("ERC721Marketplace", function () {
       // Approve marketplace
       await mockNFT.connect(seller).approve(marketplace.address, 1);
 
-      const sellerInitialBalance = await seller.getBalance();
-      const feeRecipientInitialBalance = await feeRecipient.getBalance();
-
       // Accept offer
       await expect(marketplace.connect(seller).acceptOffer(offerId))
         .to.emit(marketplace, "OfferAccepted")
@@ -368,21 +416,17 @@ describe("ERC721Marketplace", function () {
       // Check NFT ownership
       expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
 
-      // Check payments
+      // Check credited proceeds (the seller is also the royalty recipient)
       const marketplaceFee = offerAmount.mul(250).div(10000); // 2.5%
       const royalty = offerAmount.mul(500).div(10000); // 5% royalty
       const sellerAmount = offerAmount.sub(marketplaceFee).sub(royalty);
 
-      const sellerFinalBalance = await seller.getBalance();
-      const feeRecipientFinalBalance = await feeRecipient.getBalance();
-
-      expect(sellerFinalBalance).to.be.closeTo(
-        sellerInitialBalance.add(sellerAmount),
-        ethers.utils.parseEther("0.01"),
-      );
-      expect(feeRecipientFinalBalance).to.equal(
-        feeRecipientInitialBalance.add(marketplaceFee),
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        sellerAmount.add(royalty),
       );
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(marketplaceFee);
     });
 
     it("Should cancel offer and refund", async function () {
@@ -401,133 +445,3058 @@ describe("ERC721Marketplace", function () {
       const offerId = receipt.events?.find((e) => e.event === "OfferCreated")
         ?.args?.offerId;
 
+      // Cancel offer
+      await expect(marketplace.connect(buyer).cancelOffer(offerId))
+        .to.emit(marketplace, "OfferCancelled")
+        .withArgs(offerId);
+
+      // Check refund is credited to the buyer
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        offerAmount,
+      );
+
       const buyerInitialBalance = await buyer.getBalance();
+      const withdrawTx = await marketplace.connect(buyer).withdraw();
+      const withdrawReceipt = await withdrawTx.wait();
+      const gasUsed = withdrawReceipt.gasUsed.mul(withdrawTx.gasPrice);
 
-      // Cancel offer
-      const cancelTx = await marketplace.connect(buyer).cancelOffer(offerId);
-      const cancelReceipt = await cancelTx.wait();
-      const gasUsed = cancelReceipt.gasUsed.mul(cancelTx.gasPrice);
+      expect(await buyer.getBalance()).to.equal(
+        buyerInitialBalance.add(offerAmount).sub(gasUsed),
+      );
+    });
+
+    it("Should let the buyer cancel an expired offer", async function () {
+      const { marketplace, mockNFT, buyer } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const offerAmount = ethers.utils.parseEther("0.5");
+      const duration = 24 * 60 * 60;
+
+      const tx = await marketplace
+        .connect(buyer)
+        .createOffer(mockNFT.address, 1, duration, { value: offerAmount });
+      const receipt = await tx.wait();
+      const offerId = receipt.events?.find((e) => e.event === "OfferCreated")
+        ?.args?.offerId;
 
-      await expect(cancelTx)
+      await time.increase(duration + 1);
+      await expect(marketplace.connect(buyer).cancelOffer(offerId))
         .to.emit(marketplace, "OfferCancelled")
         .withArgs(offerId);
 
-      // Check refund
-      const buyerFinalBalance = await buyer.getBalance();
-      const expectedBalance = buyerInitialBalance.add(offerAmount).sub(gasUsed);
-
-      expect(buyerFinalBalance).to.be.closeTo(
-        expectedBalance,
-        ethers.utils.parseEther("0.01"),
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        offerAmount,
+      );
+      const [offerIds] = await marketplace.getOffersForToken(
+        mockNFT.address,
+        1,
       );
+      expect(offerIds).to.be.empty;
+      await expect(
+        marketplace.connect(buyer).cancelOffer(offerId),
+      ).to.be.revertedWithCustomError(marketplace, "OfferNotActive");
     });
   });
 
-  describe("Fee Management", function () {
-    it("Should allow owner to update marketplace fee", async function () {
-      const { marketplace, owner } = await loadFixture(
+  describe("Collection and Trait Offers", function () {
+    const traitLeaf = (tokenId) =>
+      ethers.utils.keccak256(
+        ethers.utils.keccak256(
+          ethers.utils.defaultAbiCoder.encode(["uint256"], [tokenId]),
+        ),
+      );
+
+    const hashPair = (a, b) =>
+      ethers.utils.keccak256(
+        ethers.utils.concat(
+          a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a],
+        ),
+      );
+
+    async function createCollectionOfferFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller, buyer } = base;
+
+      const pricePerItem = ethers.utils.parseEther("0.5");
+      const tx = await marketplace
+        .connect(buyer)
+        .createCollectionOffer(
+          mockNFT.address,
+          ethers.constants.HashZero,
+          pricePerItem,
+          2,
+          86400,
+          ethers.constants.AddressZero,
+          { value: pricePerItem.mul(2) },
+        );
+      const receipt = await tx.wait();
+      const offerId = receipt.events?.find(
+        (e) => e.event === "CollectionOfferCreated",
+      )?.args?.offerId;
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      return { ...base, offerId, pricePerItem };
+    }
+
+    it("Should require the full amount for every unit", async function () {
+      const { marketplace, mockNFT, buyer } = await loadFixture(
         deployMarketplaceFixture,
       );
 
-      await marketplace.connect(owner).setMarketplaceFee(500); // 5%
-      expect(await marketplace.marketplaceFeePercentage()).to.equal(500);
+      await expect(
+        marketplace
+          .connect(buyer)
+          .createCollectionOffer(
+            mockNFT.address,
+            ethers.constants.HashZero,
+            ethers.utils.parseEther("0.5"),
+            2,
+            86400,
+            ethers.constants.AddressZero,
+            { value: ethers.utils.parseEther("0.5") },
+          ),
+      ).to.be.revertedWithCustomError(marketplace, "IncorrectPayment");
     });
 
-    it("Should not allow setting fee above maximum", async function () {
-      const { marketplace, owner } = await loadFixture(
-        deployMarketplaceFixture,
+    it("Should let any holder fill a collection offer unit by unit", async function () {
+      const { marketplace, mockNFT, seller, buyer, offerId, pricePerItem } =
+        await loadFixture(createCollectionOfferFixture);
+
+      await expect(
+        marketplace.connect(seller).acceptCollectionOffer(offerId, 1, []),
+      )
+        .to.emit(marketplace, "CollectionOfferAccepted")
+        .withArgs(offerId, seller.address, 1, pricePerItem, 1);
+
+      let offer = await marketplace.getCollectionOffer(offerId);
+      expect(offer.quantity).to.equal(1);
+      expect(offer.active).to.be.true;
+
+      await marketplace.connect(seller).acceptCollectionOffer(offerId, 3, []);
+
+      offer = await marketplace.getCollectionOffer(offerId);
+      expect(offer.quantity).to.equal(0);
+      expect(offer.active).to.be.false;
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await mockNFT.ownerOf(3)).to.equal(buyer.address);
+
+      // The seller is also the MockNFT royalty recipient
+      const marketplaceFee = pricePerItem.mul(250).div(10000);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        pricePerItem.sub(marketplaceFee).mul(2),
       );
 
       await expect(
-        marketplace.connect(owner).setMarketplaceFee(1001), // More than 10%
-      ).to.be.revertedWith("Fee too high");
+        marketplace.connect(seller).acceptCollectionOffer(offerId, 2, []),
+      ).to.be.revertedWithCustomError(marketplace, "OfferNotActive");
     });
 
-    it("Should allow owner to update fee recipient", async function () {
-      const { marketplace, owner, other } = await loadFixture(
-        deployMarketplaceFixture,
+    it("Should require the seller to approve the marketplace", async function () {
+      const { marketplace, mockNFT, seller, offerId } = await loadFixture(
+        createCollectionOfferFixture,
       );
 
-      await marketplace.connect(owner).setFeeRecipient(other.address);
-      expect(await marketplace.feeRecipient()).to.equal(other.address);
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, false);
+
+      await expect(
+        marketplace.connect(seller).acceptCollectionOffer(offerId, 1, []),
+      ).to.be.revertedWithCustomError(marketplace, "ContractNotApproved");
     });
-  });
 
-  describe("Statistics", function () {
-    it("Should track marketplace statistics", async function () {
+    it("Should only accept tokens proven to be in a trait offer's set", async function () {
       const { marketplace, mockNFT, seller, buyer } = await loadFixture(
         deployMarketplaceFixture,
       );
 
-      const price = ethers.utils.parseEther("1.0");
-      const duration = 7 * 24 * 60 * 60;
+      // Tokens 1 and 3 share the trait
+      const root = hashPair(traitLeaf(1), traitLeaf(3));
+      const pricePerItem = ethers.utils.parseEther("0.5");
+      const tx = await marketplace
+        .connect(buyer)
+        .createCollectionOffer(
+          mockNFT.address,
+          root,
+          pricePerItem,
+          1,
+          86400,
+          ethers.constants.AddressZero,
+          { value: pricePerItem },
+        );
+      const receipt = await tx.wait();
+      const offerId = receipt.events?.find(
+        (e) => e.event === "CollectionOfferCreated",
+      )?.args?.offerId;
 
-      // Initial stats
-      expect(await marketplace.totalListings()).to.equal(0);
-      expect(await marketplace.totalSales()).to.equal(0);
-      expect(await marketplace.totalVolume()).to.equal(0);
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      await expect(
+        marketplace
+          .connect(seller)
+          .acceptCollectionOffer(offerId, 2, [traitLeaf(1)]),
+      ).to.be.revertedWithCustomError(marketplace, "TokenNotInOfferSet");
+
+      await marketplace
+        .connect(seller)
+        .acceptCollectionOffer(offerId, 3, [traitLeaf(1)]);
+      expect(await mockNFT.ownerOf(3)).to.equal(buyer.address);
+    });
+
+    it("Should credit the unfilled units back when cancelled", async function () {
+      const { marketplace, seller, buyer, other, offerId, pricePerItem } =
+        await loadFixture(createCollectionOfferFixture);
+
+      await marketplace.connect(seller).acceptCollectionOffer(offerId, 1, []);
+
+      await expect(
+        marketplace.connect(other).cancelCollectionOffer(offerId),
+      ).to.be.revertedWithCustomError(marketplace, "NotAuthorized");
+
+      await expect(marketplace.connect(buyer).cancelCollectionOffer(offerId))
+        .to.emit(marketplace, "CollectionOfferCancelled")
+        .withArgs(offerId);
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        pricePerItem,
+      );
+      expect(
+        await marketplace.getUserCollectionOffers(buyer.address),
+      ).to.deep.equal([offerId]);
+    });
+  });
+
+  describe("Dutch Listings", function () {
+    async function createDutchListingFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller } = base;
+
+      const startPrice = ethers.utils.parseEther("2.0");
+      const floorPrice = ethers.utils.parseEther("1.0");
+      const duration = 10 * 60 * 60; // 10 hours
 
-      // Create listing
       await mockNFT.connect(seller).approve(marketplace.address, 1);
       const tx = await marketplace
         .connect(seller)
-        .listItem(mockNFT.address, 1, price, duration);
+        .listDutchItem(mockNFT.address, 1, startPrice, floorPrice, duration, 0);
       const receipt = await tx.wait();
       const listingId = receipt.events?.find((e) => e.event === "ItemListed")
         ?.args?.listingId;
 
-      expect(await marketplace.totalListings()).to.equal(1);
+      return { ...base, listingId, startPrice, floorPrice, duration };
+    }
 
-      // Buy NFT
-      await marketplace.connect(buyer).buyItem(listingId, { value: price });
+    it("Should decline linearly towards the floor", async function () {
+      const { marketplace, listingId, startPrice, floorPrice, duration } =
+        await loadFixture(createDutchListingFixture);
 
-      expect(await marketplace.totalSales()).to.equal(1);
-      expect(await marketplace.totalVolume()).to.equal(price);
+      // One second of decline is ~0.00003 ETH here
+      const tolerance = ethers.utils.parseEther("0.001");
+
+      expect(await marketplace.getCurrentPrice(listingId)).to.be.closeTo(
+        startPrice,
+        tolerance,
+      );
+
+      await time.increase(duration / 2);
+      expect(await marketplace.getCurrentPrice(listingId)).to.be.closeTo(
+        startPrice.add(floorPrice).div(2),
+        tolerance,
+      );
+
+      await time.increase(duration);
+      expect(await marketplace.getCurrentPrice(listingId)).to.equal(floorPrice);
     });
-  });
 
-  describe("View Functions", function () {
-    it("Should return user listings correctly", async function () {
+    it("Should decline in steps", async function () {
       const { marketplace, mockNFT, seller } = await loadFixture(
         deployMarketplaceFixture,
       );
 
-      const price = ethers.utils.parseEther("1.0");
-      const duration = 7 * 24 * 60 * 60;
-
-      // Create multiple listings
-      await mockNFT.connect(seller).approve(marketplace.address, 1);
-      await marketplace
-        .connect(seller)
-        .listItem(mockNFT.address, 1, price, duration);
+      const startPrice = ethers.utils.parseEther("2.0");
+      const floorPrice = ethers.utils.parseEther("1.0");
+      const duration = 10 * 60 * 60;
+      const step = 60 * 60; // 1 hour
 
       await mockNFT.connect(seller).approve(marketplace.address, 2);
-      await marketplace
+      const tx = await marketplace
         .connect(seller)
-        .listItem(mockNFT.address, 2, price, duration);
+        .listDutchItem(
+          mockNFT.address,
+          2,
+          startPrice,
+          floorPrice,
+          duration,
+          step,
+        );
+      const receipt = await tx.wait();
+      const listingId = receipt.events?.find((e) => e.event === "ItemListed")
+        ?.args?.listingId;
 
-      const userListings = await marketplace.getUserListings(seller.address);
-      expect(userListings.length).to.equal(2);
+      await time.increase(step + 30 * 60); // 1.5 steps
+      expect(await marketplace.getCurrentPrice(listingId)).to.equal(
+        ethers.utils.parseEther("1.9"),
+      );
     });
 
-    it("Should return user offers correctly", async function () {
-      const { marketplace, mockNFT, buyer } = await loadFixture(
-        deployMarketplaceFixture,
+    it("Should charge the current price and credit the excess", async function () {
+      const { marketplace, mockNFT, buyer, listingId, startPrice, duration } =
+        await loadFixture(createDutchListingFixture);
+
+      await time.increase(duration / 2);
+
+      const tx = await marketplace
+        .connect(buyer)
+        .buyItem(listingId, { value: startPrice });
+      const receipt = await tx.wait();
+
+      const paid = receipt.events?.find((e) => e.event === "ItemSold")?.args
+        ?.price;
+      expect(paid).to.be.lt(startPrice);
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        startPrice.sub(paid),
       );
+    });
 
-      const offerAmount = ethers.utils.parseEther("0.5");
+    it("Should not allow repricing a Dutch listing", async function () {
+      const { marketplace, seller, listingId } = await loadFixture(
+        createDutchListingFixture,
+      );
+
+      await expect(
+        marketplace
+          .connect(seller)
+          .updateListing(listingId, ethers.utils.parseEther("3.0")),
+      ).to.be.revertedWithCustomError(marketplace, "CannotRepriceDutchListing");
+    });
+  });
+
+  describe("Bundle Listings", function () {
+    async function createBundleFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller, other } = base;
+
+      // Second collection with a different royalty recipient and rate
+      const MockNFT = await ethers.getContractFactory("MockNFT");
+      const otherNFT = await MockNFT.deploy(
+        "Other NFT",
+        "ONFT",
+        other.address,
+        1000,
+      ); // 10% royalty
+      await otherNFT.deployed();
+      await otherNFT.connect(seller).mint(seller.address, "ipfs://other1");
+      await marketplace.setContractWhitelist(otherNFT.address, true);
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+      await otherNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      const items = [
+        { nftContract: mockNFT.address, tokenId: 1 },
+        { nftContract: otherNFT.address, tokenId: 1 },
+      ];
+      const price = ethers.utils.parseEther("2.0");
       const duration = 7 * 24 * 60 * 60;
 
-      // Create multiple offers
-      await marketplace
-        .connect(buyer)
-        .createOffer(mockNFT.address, 1, duration, { value: offerAmount });
-      await marketplace
-        .connect(buyer)
-        .createOffer(mockNFT.address, 2, duration, { value: offerAmount });
+      const tx = await marketplace
+        .connect(seller)
+        .listBundle(items, price, duration, ethers.constants.AddressZero);
+      const receipt = await tx.wait();
+      const bundleId = receipt.events?.find((e) => e.event === "BundleListed")
+        ?.args?.bundleId;
 
-      const userOffers = await marketplace.getUserOffers(buyer.address);
-      expect(userOffers.length).to.equal(2);
+      return { ...base, otherNFT, items, price, duration, bundleId };
+    }
+
+    it("Should list a bundle across collections", async function () {
+      const { marketplace, mockNFT, otherNFT, seller, bundleId, price } =
+        await loadFixture(createBundleFixture);
+
+      const [bundle, items] = await marketplace.getBundle(bundleId);
+      expect(bundle.seller).to.equal(seller.address);
+      expect(bundle.price).to.equal(price);
+      expect(bundle.active).to.be.true;
+      expect(items.map((item) => item.nftContract)).to.deep.equal([
+        mockNFT.address,
+        otherNFT.address,
+      ]);
+      expect(await marketplace.getUserBundles(seller.address)).to.deep.equal([
+        bundleId,
+      ]);
+    });
+
+    it("Should check every item when listing", async function () {
+      const { marketplace, mockNFT, otherNFT, seller, buyer, price, duration } =
+        await loadFixture(createBundleFixture);
+      const ETH = ethers.constants.AddressZero;
+
+      await expect(
+        marketplace
+          .connect(seller)
+          .listBundle(
+            [{ nftContract: mockNFT.address, tokenId: 2 }],
+            price,
+            duration,
+            ETH,
+          ),
+      ).to.be.revertedWithCustomError(marketplace, "BundleTooSmall");
+
+      await expect(
+        marketplace.connect(seller).listBundle(
+          [
+            { nftContract: mockNFT.address, tokenId: 2 },
+            { nftContract: mockNFT.address, tokenId: 2 },
+          ],
+          price,
+          duration,
+          ETH,
+        ),
+      ).to.be.revertedWithCustomError(marketplace, "DuplicateBundleItem");
+
+      await expect(
+        marketplace.connect(buyer).listBundle(
+          [
+            { nftContract: mockNFT.address, tokenId: 2 },
+            { nftContract: otherNFT.address, tokenId: 1 },
+          ],
+          price,
+          duration,
+          ETH,
+        ),
+      ).to.be.revertedWithCustomError(marketplace, "NotTokenOwner");
+
+      await marketplace.setContractWhitelist(otherNFT.address, false);
+      await expect(
+        marketplace.connect(seller).listBundle(
+          [
+            { nftContract: mockNFT.address, tokenId: 2 },
+            { nftContract: otherNFT.address, tokenId: 1 },
+          ],
+          price,
+          duration,
+          ETH,
+        ),
+      ).to.be.revertedWithCustomError(marketplace, "ContractNotWhitelisted");
+    });
+
+    it("Should sell every item and split royalties pro rata", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        otherNFT,
+        seller,
+        buyer,
+        feeRecipient,
+        other,
+        bundleId,
+        price,
+      } = await loadFixture(createBundleFixture);
+
+      await expect(
+        marketplace.connect(buyer).buyBundle(bundleId, { value: price }),
+      )
+        .to.emit(marketplace, "BundleSold")
+        .withArgs(bundleId, buyer.address, seller.address, price);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await otherNFT.ownerOf(1)).to.equal(buyer.address);
+
+      // Each item is priced at half the bundle: 5% of 1 ETH and 10% of 1 ETH
+      const share = price.div(2);
+      const royaltyA = share.mul(500).div(10000);
+      const royaltyB = share.mul(1000).div(10000);
+      const marketplaceFee = price.mul(250).div(10000);
+
+      expect(await marketplace.pendingWithdrawals(other.address)).to.equal(
+        royaltyB,
+      );
+      // The seller is also the royalty recipient of the first collection
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        price.sub(marketplaceFee).sub(royaltyA).sub(royaltyB).add(royaltyA),
+      );
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(marketplaceFee);
+      expect(await marketplace.totalSales()).to.equal(1);
+    });
+
+    it("Should credit excess bundle payment back to the buyer", async function () {
+      const { marketplace, buyer, bundleId, price } =
+        await loadFixture(createBundleFixture);
+
+      const excess = ethers.utils.parseEther("0.5");
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .buyBundle(bundleId, { value: price.add(excess) }),
+      )
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(buyer.address, ethers.constants.AddressZero, excess);
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        excess,
+      );
+    });
+
+    it("Should revert the whole purchase if an item has moved", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        otherNFT,
+        seller,
+        buyer,
+        other,
+        bundleId,
+        price,
+      } = await loadFixture(createBundleFixture);
+
+      await otherNFT
+        .connect(seller)
+        .transferFrom(seller.address, other.address, 1);
+
+      await expect(
+        marketplace.connect(buyer).buyBundle(bundleId, { value: price }),
+      ).to.be.revertedWithCustomError(marketplace, "NotTokenOwner");
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
+    });
+
+    it("Should cancel single listings of sold items", async function () {
+      const { marketplace, mockNFT, seller, buyer, bundleId, price } =
+        await loadFixture(createBundleFixture);
+
+      const tx = await marketplace
+        .connect(seller)
+        .listItem(mockNFT.address, 1, price, 3600);
+      const receipt = await tx.wait();
+      const listingId = receipt.events?.find((e) => e.event === "ItemListed")
+        ?.args?.listingId;
+
+      await expect(
+        marketplace.connect(buyer).buyBundle(bundleId, { value: price }),
+      )
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs(listingId);
+      expect((await marketplace.getListing(listingId)).active).to.be.false;
+    });
+
+    it("Should let only the seller cancel a bundle", async function () {
+      const { marketplace, seller, buyer, bundleId, price } =
+        await loadFixture(createBundleFixture);
+
+      await expect(
+        marketplace.connect(buyer).cancelBundle(bundleId),
+      ).to.be.revertedWithCustomError(marketplace, "NotAuthorized");
+
+      await expect(marketplace.connect(seller).cancelBundle(bundleId))
+        .to.emit(marketplace, "BundleCancelled")
+        .withArgs(bundleId);
+
+      await expect(
+        marketplace.connect(buyer).buyBundle(bundleId, { value: price }),
+      ).to.be.revertedWithCustomError(marketplace, "BundleNotActive");
+    });
+  });
+
+  describe("Batch Operations", function () {
+    async function batchListFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller } = base;
+
+      const prices = ["1.0", "2.0", "3.0"].map((p) =>
+        ethers.utils.parseEther(p),
+      );
+      const duration = 7 * 24 * 60 * 60;
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      const tx = await marketplace
+        .connect(seller)
+        .batchListItems(
+          [mockNFT.address, mockNFT.address, mockNFT.address],
+          [1, 2, 3],
+          prices,
+          duration,
+          ethers.constants.AddressZero,
+        );
+      const receipt = await tx.wait();
+      const listingIds = receipt.events
+        ?.filter((e) => e.event === "ItemListed")
+        .map((e) => e.args.listingId);
+
+      return { ...base, listingIds, prices, duration };
+    }
+
+    it("Should list many tokens in one transaction", async function () {
+      const { marketplace, seller, listingIds, prices } =
+        await loadFixture(batchListFixture);
+
+      expect(listingIds).to.have.length(3);
+      expect(await marketplace.getUserListings(seller.address)).to.have.members(
+        listingIds,
+      );
+      expect((await marketplace.getListing(listingIds[2])).price).to.equal(
+        prices[2],
+      );
+    });
+
+    it("Should reject mismatched batch arrays", async function () {
+      const { marketplace, mockNFT, seller } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await expect(
+        marketplace
+          .connect(seller)
+          .batchListItems(
+            [mockNFT.address],
+            [1, 2],
+            [1, 2],
+            3600,
+            ethers.constants.AddressZero,
+          ),
+      ).to.be.revertedWithCustomError(marketplace, "ArrayLengthMismatch");
+    });
+
+    it("Should reprice and cancel many listings", async function () {
+      const { marketplace, seller, listingIds } =
+        await loadFixture(batchListFixture);
+      const newPrice = ethers.utils.parseEther("0.5");
+
+      await marketplace
+        .connect(seller)
+        .batchUpdateListings(listingIds.slice(0, 2), [newPrice, newPrice]);
+      expect((await marketplace.getListing(listingIds[1])).price).to.equal(
+        newPrice,
+      );
+
+      await marketplace.connect(seller).batchCancelListings(listingIds);
+      expect(await marketplace.getUserListings(seller.address)).to.be.empty;
+    });
+
+    it("Should revert a batch cancel containing someone else's listing", async function () {
+      const { marketplace, buyer, listingIds } =
+        await loadFixture(batchListFixture);
+
+      await expect(
+        marketplace.connect(buyer).batchCancelListings(listingIds),
+      ).to.be.revertedWithCustomError(marketplace, "NotAuthorized");
+    });
+
+    it("Should sweep listings and credit unspent ETH", async function () {
+      const { marketplace, mockNFT, buyer, listingIds, prices } =
+        await loadFixture(batchListFixture);
+
+      const total = prices[0].add(prices[1]).add(prices[2]);
+      const unspent = ethers.utils.parseEther("1.0");
+
+      await expect(
+        marketplace.connect(buyer).batchBuyItems(listingIds, false, {
+          value: total.add(unspent),
+        }),
+      )
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(buyer.address, ethers.constants.AddressZero, unspent);
+
+      for (const tokenId of [1, 2, 3]) {
+        expect(await mockNFT.ownerOf(tokenId)).to.equal(buyer.address);
+      }
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        unspent,
+      );
+      expect(await marketplace.totalSales()).to.equal(3);
+    });
+
+    it("Should revert the sweep when an item fails and skipping is off", async function () {
+      const { marketplace, seller, buyer, listingIds, prices } =
+        await loadFixture(batchListFixture);
+
+      await marketplace.connect(seller).cancelListing(listingIds[1]);
+
+      await expect(
+        marketplace.connect(buyer).batchBuyItems(listingIds, false, {
+          value: prices[0].add(prices[1]).add(prices[2]),
+        }),
+      )
+        .to.be.revertedWithCustomError(marketplace, "PurchaseFailed")
+        .withArgs(listingIds[1], "Listing not active");
+    });
+
+    it("Should skip failed items and credit their share", async function () {
+      const { marketplace, mockNFT, seller, buyer, listingIds, prices } =
+        await loadFixture(batchListFixture);
+
+      await marketplace.connect(seller).cancelListing(listingIds[1]);
+
+      const tx = await marketplace
+        .connect(buyer)
+        .batchBuyItems(listingIds, true, {
+          value: prices[0].add(prices[1]).add(prices[2]),
+        });
+
+      await expect(tx)
+        .to.emit(marketplace, "BatchPurchaseSkipped")
+        .withArgs(listingIds[1], "Listing not active");
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await mockNFT.ownerOf(2)).to.equal(seller.address);
+      expect(await mockNFT.ownerOf(3)).to.equal(buyer.address);
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        prices[1],
+      );
+    });
+
+    it("Should skip items the remaining ETH cannot cover", async function () {
+      const { marketplace, mockNFT, buyer, listingIds, prices } =
+        await loadFixture(batchListFixture);
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .batchBuyItems(listingIds, true, { value: prices[0].add(prices[1]) }),
+      )
+        .to.emit(marketplace, "BatchPurchaseSkipped")
+        .withArgs(listingIds[2], "Insufficient payment");
+      expect(await mockNFT.ownerOf(2)).to.equal(buyer.address);
+    });
+  });
+
+  describe("Private Listings", function () {
+    async function privateListingFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller, buyer } = base;
+
+      const price = ethers.utils.parseEther("1.0");
+      await mockNFT.connect(seller).approve(marketplace.address, 1);
+
+      const tx = await marketplace
+        .connect(seller)
+        .listItemForBuyer(
+          mockNFT.address,
+          1,
+          price,
+          7 * 24 * 60 * 60,
+          ethers.constants.AddressZero,
+          buyer.address,
+        );
+      const receipt = await tx.wait();
+      const event = receipt.events?.find((e) => e.event === "ItemListed");
+
+      return { ...base, listingId: event.args.listingId, event, price };
+    }
+
+    it("Should expose the reserved buyer", async function () {
+      const { marketplace, buyer, listingId, event } = await loadFixture(
+        privateListingFixture,
+      );
+
+      expect(event.args.reservedBuyer).to.equal(buyer.address);
+      expect((await marketplace.getListing(listingId)).reservedBuyer).to.equal(
+        buyer.address,
+      );
+    });
+
+    it("Should leave public listings unreserved", async function () {
+      const { marketplace, mockNFT, seller } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await mockNFT.connect(seller).approve(marketplace.address, 2);
+      await expect(
+        marketplace
+          .connect(seller)
+          .listItem(mockNFT.address, 2, ethers.utils.parseEther("1.0"), 3600),
+      )
+        .to.emit(marketplace, "ItemListed")
+        .withArgs(
+          anyValue,
+          seller.address,
+          mockNFT.address,
+          2,
+          ethers.utils.parseEther("1.0"),
+          ethers.constants.AddressZero,
+        );
+    });
+
+    it("Should only let the reserved buyer buy", async function () {
+      const { marketplace, mockNFT, buyer, other, listingId, price } =
+        await loadFixture(privateListingFixture);
+
+      await expect(
+        marketplace.connect(other).buyItem(listingId, { value: price }),
+      ).to.be.revertedWithCustomError(
+        marketplace,
+        "ListingReservedForAnotherBuyer",
+      );
+
+      await marketplace.connect(buyer).buyItem(listingId, { value: price });
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should skip reserved listings in a sweep by someone else", async function () {
+      const { marketplace, other, listingId, price } = await loadFixture(
+        privateListingFixture,
+      );
+
+      await expect(
+        marketplace
+          .connect(other)
+          .batchBuyItems([listingId], true, { value: price }),
+      )
+        .to.emit(marketplace, "BatchPurchaseSkipped")
+        .withArgs(listingId, "Listing reserved for another buyer");
+    });
+
+    it("Should reject an empty or self reserved buyer", async function () {
+      const { marketplace, mockNFT, seller } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await mockNFT.connect(seller).approve(marketplace.address, 2);
+      for (const reservedBuyer of [
+        ethers.constants.AddressZero,
+        seller.address,
+      ]) {
+        await expect(
+          marketplace
+            .connect(seller)
+            .listItemForBuyer(
+              mockNFT.address,
+              2,
+              ethers.utils.parseEther("1.0"),
+              3600,
+              ethers.constants.AddressZero,
+              reservedBuyer,
+            ),
+        ).to.be.revertedWithCustomError(marketplace, "InvalidReservedBuyer");
+      }
+    });
+  });
+
+  describe("Stale Listings", function () {
+    async function staleListingsFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller } = base;
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      const tx = await marketplace
+        .connect(seller)
+        .batchListItems(
+          [mockNFT.address, mockNFT.address],
+          [1, 2],
+          [ethers.utils.parseEther("1.0"), ethers.utils.parseEther("1.0")],
+          3600,
+          ethers.constants.AddressZero,
+        );
+      const receipt = await tx.wait();
+      const listingIds = receipt.events
+        ?.filter((e) => e.event === "ItemListed")
+        .map((e) => e.args.listingId);
+
+      return { ...base, listingIds };
+    }
+
+    it("Should report fillable listings as valid", async function () {
+      const { marketplace, listingIds } =
+        await loadFixture(staleListingsFixture);
+
+      const [fillable, reason] = await marketplace.validateListing(
+        listingIds[0],
+      );
+      expect(fillable).to.be.true;
+      expect(reason).to.equal("");
+    });
+
+    it("Should report why a listing cannot be filled", async function () {
+      const { marketplace, mockNFT, seller, other, listingIds } =
+        await loadFixture(staleListingsFixture);
+
+      await mockNFT
+        .connect(seller)
+        .transferFrom(seller.address, other.address, 1);
+      let [fillable, reason] = await marketplace.validateListing(listingIds[0]);
+      expect(fillable).to.be.false;
+      expect(reason).to.equal("Seller no longer owns NFT");
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, false);
+      [fillable, reason] = await marketplace.validateListing(listingIds[1]);
+      expect(reason).to.equal("Contract not approved");
+
+      await time.increase(3601);
+      [fillable, reason] = await marketplace.validateListing(listingIds[1]);
+      expect(reason).to.equal("Listing expired");
+    });
+
+    it("Should let anyone purge invalid listings", async function () {
+      const { marketplace, mockNFT, seller, other, listingIds } =
+        await loadFixture(staleListingsFixture);
+
+      await mockNFT
+        .connect(seller)
+        .transferFrom(seller.address, other.address, 1);
+
+      await expect(marketplace.connect(other).purgeInvalidListings(listingIds))
+        .to.emit(marketplace, "ListingInvalidated")
+        .withArgs(listingIds[0], "Seller no longer owns NFT");
+
+      expect((await marketplace.getListing(listingIds[0])).active).to.be.false;
+      expect((await marketplace.getListing(listingIds[1])).active).to.be.true;
+
+      const [activeIds] = await marketplace.getActiveListings(0, 10);
+      expect(activeIds).to.deep.equal([listingIds[1]]);
+    });
+
+    it("Should leave valid listings alone", async function () {
+      const { marketplace, other, listingIds } =
+        await loadFixture(staleListingsFixture);
+
+      await expect(
+        marketplace.connect(other).purgeInvalidListings(listingIds),
+      ).to.not.emit(marketplace, "ListingInvalidated");
+      const [, , total] = await marketplace.getActiveListings(0, 10);
+      expect(total).to.equal(2);
+    });
+  });
+
+  describe("Auctions", function () {
+    async function createAuctionFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller } = base;
+
+      const reservePrice = ethers.utils.parseEther("1.0");
+      const duration = 24 * 60 * 60; // 1 day
+
+      await mockNFT.connect(seller).approve(marketplace.address, 1);
+      const tx = await marketplace
+        .connect(seller)
+        .createAuction(mockNFT.address, 1, reservePrice, duration);
+      const receipt = await tx.wait();
+      const auctionId = receipt.events?.find(
+        (e) => e.event === "AuctionCreated",
+      )?.args?.auctionId;
+
+      return { ...base, auctionId, reservePrice, duration };
+    }
+
+    it("Should create auction and escrow the NFT", async function () {
+      const { marketplace, mockNFT, seller, auctionId, reservePrice } =
+        await loadFixture(createAuctionFixture);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(marketplace.address);
+
+      const auction = await marketplace.getAuction(auctionId);
+      expect(auction.seller).to.equal(seller.address);
+      expect(auction.reservePrice).to.equal(reservePrice);
+      expect(auction.active).to.be.true;
+    });
+
+    it("Should reject bids below the reserve price", async function () {
+      const { marketplace, buyer, auctionId } =
+        await loadFixture(createAuctionFixture);
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .placeBid(auctionId, { value: ethers.utils.parseEther("0.5") }),
+      ).to.be.revertedWithCustomError(marketplace, "BidTooLow");
+    });
+
+    it("Should credit the outbid bidder", async function () {
+      const { marketplace, buyer, other, auctionId, reservePrice } =
+        await loadFixture(createAuctionFixture);
+
+      await marketplace
+        .connect(buyer)
+        .placeBid(auctionId, { value: reservePrice });
+
+      const nextBid = await marketplace.minimumBid(auctionId);
+      expect(nextBid).to.equal(reservePrice.mul(10500).div(10000)); // +5%
+
+      await expect(
+        marketplace.connect(other).placeBid(auctionId, { value: nextBid }),
+      )
+        .to.emit(marketplace, "BidPlaced")
+        .withArgs(auctionId, other.address, nextBid, anyValue);
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        reservePrice,
+      );
+    });
+
+    it("Should extend the auction when bid near the end", async function () {
+      const { marketplace, buyer, auctionId, reservePrice, duration } =
+        await loadFixture(createAuctionFixture);
+
+      await time.increase(duration - 60); // 1 minute left
+
+      await expect(
+        marketplace.connect(buyer).placeBid(auctionId, { value: reservePrice }),
+      ).to.emit(marketplace, "AuctionExtended");
+
+      const auction = await marketplace.getAuction(auctionId);
+      expect(auction.endTime).to.equal(
+        (await time.latest()) + 10 * 60, // 10 minute extension window
+      );
+    });
+
+    it("Should settle to the highest bidder with fees and royalties", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        seller,
+        buyer,
+        feeRecipient,
+        auctionId,
+        reservePrice,
+        duration,
+      } = await loadFixture(createAuctionFixture);
+
+      await marketplace
+        .connect(buyer)
+        .placeBid(auctionId, { value: reservePrice });
+
+      await expect(
+        marketplace.settleAuction(auctionId),
+      ).to.be.revertedWithCustomError(marketplace, "AuctionNotEnded");
+
+      await time.increase(duration);
+
+      await expect(marketplace.settleAuction(auctionId))
+        .to.emit(marketplace, "AuctionSettled")
+        .withArgs(auctionId, buyer.address, seller.address, reservePrice);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+
+      const marketplaceFee = reservePrice.mul(250).div(10000); // 2.5%
+
+      // The seller is also the royalty recipient
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        reservePrice.sub(marketplaceFee),
+      );
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(marketplaceFee);
+      expect(await marketplace.totalSales()).to.equal(1);
+    });
+
+    it("Should scale royalties down to settle under a lowered deduction cap", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        owner,
+        seller,
+        buyer,
+        feeRecipient,
+        auctionId,
+        reservePrice,
+        duration,
+      } = await loadFixture(createAuctionFixture);
+
+      await marketplace
+        .connect(buyer)
+        .placeBid(auctionId, { value: reservePrice });
+
+      // 2.5% fee plus 5% royalty no longer fit once the cap drops to 5%
+      await marketplace.connect(owner).setMaxTotalDeductionBps(500);
+      await time.increase(duration);
+
+      const marketplaceFee = reservePrice.mul(250).div(10000);
+      await expect(marketplace.settleAuction(auctionId))
+        .to.emit(marketplace, "RoyaltyCapped")
+        .withArgs(
+          mockNFT.address,
+          1,
+          reservePrice.mul(500).div(10000),
+          reservePrice.mul(250).div(10000),
+        )
+        .and.to.emit(marketplace, "AuctionSettled");
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(marketplaceFee);
+      // The seller is also the royalty recipient
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        reservePrice.sub(marketplaceFee),
+      );
+    });
+
+    it("Should cut the fee to the cap when it alone exceeds it at settlement", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        owner,
+        seller,
+        buyer,
+        feeRecipient,
+        auctionId,
+        reservePrice,
+        duration,
+      } = await loadFixture(createAuctionFixture);
+
+      await marketplace
+        .connect(buyer)
+        .placeBid(auctionId, { value: reservePrice });
+      await marketplace.connect(owner).setMaxTotalDeductionBps(100);
+      await time.increase(duration);
+
+      await expect(marketplace.settleAuction(auctionId))
+        .to.emit(marketplace, "RoyaltyCapped")
+        .withArgs(mockNFT.address, 1, reservePrice.mul(500).div(10000), 0);
+
+      const maxDeductions = reservePrice.mul(100).div(10000);
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(maxDeductions);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        reservePrice.sub(maxDeductions),
+      );
+    });
+
+    it("Should return the NFT to the seller when there are no bids", async function () {
+      const { marketplace, mockNFT, seller, auctionId, duration } =
+        await loadFixture(createAuctionFixture);
+
+      await time.increase(duration);
+      await marketplace.settleAuction(auctionId);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(seller.address);
+    });
+
+    it("Should not allow cancelling an auction with bids", async function () {
+      const { marketplace, seller, buyer, auctionId, reservePrice } =
+        await loadFixture(createAuctionFixture);
+
+      await marketplace
+        .connect(buyer)
+        .placeBid(auctionId, { value: reservePrice });
+
+      await expect(
+        marketplace.connect(seller).cancelAuction(auctionId),
+      ).to.be.revertedWithCustomError(marketplace, "AuctionHasBids");
+    });
+  });
+
+  describe("ERC-20 Payments", function () {
+    async function deployPaymentTokenFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, buyer, owner } = base;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.deployed();
+
+      await usdc.mint(buyer.address, ethers.utils.parseUnits("10000", 6));
+      await marketplace.connect(owner).setPaymentToken(usdc.address, true);
+
+      return { ...base, usdc };
+    }
+
+    it("Should only allow owner to manage payment tokens", async function () {
+      const { marketplace, usdc, seller } = await loadFixture(
+        deployPaymentTokenFixture,
+      );
+
+      expect(await marketplace.allowedPaymentTokens(usdc.address)).to.be.true;
+      await expect(
+        marketplace.connect(seller).setPaymentToken(usdc.address, false),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should reject listings in a token that is not allowed", async function () {
+      const { marketplace, mockNFT, seller, owner, usdc } = await loadFixture(
+        deployPaymentTokenFixture,
+      );
+
+      await marketplace.connect(owner).setPaymentToken(usdc.address, false);
+      await mockNFT.connect(seller).approve(marketplace.address, 1);
+
+      await expect(
+        marketplace
+          .connect(seller)
+          .listItemWithCurrency(
+            mockNFT.address,
+            1,
+            ethers.utils.parseUnits("100", 6),
+            7 * 24 * 60 * 60,
+            usdc.address,
+          ),
+      ).to.be.revertedWithCustomError(marketplace, "PaymentTokenNotAllowed");
+    });
+
+    it("Should buy an ERC-20 listing and split fee and royalty", async function () {
+      const { marketplace, mockNFT, seller, buyer, feeRecipient, usdc } =
+        await loadFixture(deployPaymentTokenFixture);
+
+      const price = ethers.utils.parseUnits("100", 6);
+
+      await mockNFT.connect(seller).approve(marketplace.address, 1);
+      const tx = await marketplace
+        .connect(seller)
+        .listItemWithCurrency(
+          mockNFT.address,
+          1,
+          price,
+          7 * 24 * 60 * 60,
+          usdc.address,
+        );
+      const receipt = await tx.wait();
+      const listingId = receipt.events?.find((e) => e.event === "ItemListed")
+        ?.args?.listingId;
+
+      expect((await marketplace.getListing(listingId)).paymentToken).to.equal(
+        usdc.address,
+      );
+
+      await expect(
+        marketplace.connect(buyer).buyItem(listingId, { value: 1 }),
+      ).to.be.revertedWithCustomError(marketplace, "ETHNotAccepted");
+
+      await usdc.connect(buyer).approve(marketplace.address, price);
+      await marketplace.connect(buyer).buyItem(listingId);
+
+      const marketplaceFee = price.mul(250).div(10000);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(
+        await marketplace.pendingTokenWithdrawals(
+          feeRecipient.address,
+          usdc.address,
+        ),
+      ).to.equal(marketplaceFee);
+      // totalVolume is in wei, so only the sale count moves
+      expect(await marketplace.totalSales()).to.equal(1);
+      expect(await marketplace.totalVolume()).to.equal(0);
+      // The seller is also the MockNFT royalty recipient, so it receives the royalty too
+      expect(
+        await marketplace.pendingTokenWithdrawals(seller.address, usdc.address),
+      ).to.equal(price.sub(marketplaceFee));
+
+      await marketplace.connect(seller).withdrawToken(usdc.address);
+      expect(await usdc.balanceOf(seller.address)).to.equal(
+        price.sub(marketplaceFee),
+      );
+    });
+
+    it("Should escrow, accept and refund ERC-20 offers", async function () {
+      const { marketplace, mockNFT, seller, buyer, usdc } = await loadFixture(
+        deployPaymentTokenFixture,
+      );
+
+      const amount = ethers.utils.parseUnits("50", 6);
+      const duration = 7 * 24 * 60 * 60;
+      const buyerInitialBalance = await usdc.balanceOf(buyer.address);
+
+      await usdc.connect(buyer).approve(marketplace.address, amount.mul(2));
+
+      const tx = await marketplace
+        .connect(buyer)
+        .createOfferWithCurrency(
+          mockNFT.address,
+          1,
+          amount,
+          duration,
+          usdc.address,
+        );
+      const receipt = await tx.wait();
+      const offerId = receipt.events?.find((e) => e.event === "OfferCreated")
+        ?.args?.offerId;
+
+      expect(await usdc.balanceOf(marketplace.address)).to.equal(amount);
+
+      await marketplace.connect(buyer).cancelOffer(offerId);
+      await marketplace.connect(buyer).withdrawToken(usdc.address);
+      expect(await usdc.balanceOf(buyer.address)).to.equal(buyerInitialBalance);
+
+      const secondTx = await marketplace
+        .connect(buyer)
+        .createOfferWithCurrency(
+          mockNFT.address,
+          1,
+          amount,
+          duration,
+          usdc.address,
+        );
+      const secondReceipt = await secondTx.wait();
+      const secondOfferId = secondReceipt.events?.find(
+        (e) => e.event === "OfferCreated",
+      )?.args?.offerId;
+
+      await mockNFT.connect(seller).approve(marketplace.address, 1);
+      await marketplace.connect(seller).acceptOffer(secondOfferId);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(
+        await marketplace.pendingTokenWithdrawals(seller.address, usdc.address),
+      ).to.equal(amount.sub(amount.mul(250).div(10000)));
+    });
+  });
+
+  describe("Signed Orders", function () {
+    const ORDER_TYPES = {
+      Order: [
+        { name: "side", type: "uint8" },
+        { name: "maker", type: "address" },
+        { name: "nftContract", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "paymentToken", type: "address" },
+        { name: "price", type: "uint256" },
+        { name: "startTime", type: "uint256" },
+        { name: "expiresAt", type: "uint256" },
+        { name: "salt", type: "uint256" },
+        { name: "counter", type: "uint256" },
+      ],
+    };
+
+    async function signOrder(marketplace, signer, order) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "ERC721Marketplace",
+        version: "1",
+        chainId,
+        verifyingContract: marketplace.address,
+      };
+      return signer._signTypedData(domain, ORDER_TYPES, order);
+    }
+
+    async function deploySignedOrderFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller, buyer, owner } = base;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.deployed();
+      await usdc.mint(buyer.address, ethers.utils.parseUnits("10000", 6));
+      await marketplace.connect(owner).setPaymentToken(usdc.address, true);
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      const now = await time.latest();
+      const listingOrder = {
+        side: 0,
+        maker: seller.address,
+        nftContract: mockNFT.address,
+        tokenId: 1,
+        paymentToken: ethers.constants.AddressZero,
+        price: ethers.utils.parseEther("1.0"),
+        startTime: now,
+        expiresAt: now + 86400,
+        salt: 1,
+        counter: 0,
+      };
+      const listingSignature = await signOrder(
+        marketplace,
+        seller,
+        listingOrder,
+      );
+
+      return { ...base, usdc, listingOrder, listingSignature };
+    }
+
+    it("Should fill a signed listing paid in ETH", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        seller,
+        buyer,
+        feeRecipient,
+        listingOrder,
+        listingSignature,
+      } = await loadFixture(deploySignedOrderFixture);
+
+      const orderHash = await marketplace.hashOrder(listingOrder);
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fulfillOrder(listingOrder, listingSignature, {
+            value: listingOrder.price,
+          }),
+      )
+        .to.emit(marketplace, "OrderFulfilled")
+        .withArgs(
+          orderHash,
+          seller.address,
+          buyer.address,
+          0,
+          mockNFT.address,
+          1,
+          listingOrder.price,
+        );
+
+      const marketplaceFee = listingOrder.price.mul(250).div(10000);
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await marketplace.orderCancelledOrFilled(orderHash)).to.be.true;
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        listingOrder.price.sub(marketplaceFee),
+      );
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(marketplaceFee);
+      expect(await marketplace.totalSales()).to.equal(1);
+    });
+
+    it("Should credit overpayment for a signed listing to the buyer", async function () {
+      const { marketplace, buyer, listingOrder, listingSignature } =
+        await loadFixture(deploySignedOrderFixture);
+
+      const excess = ethers.utils.parseEther("0.5");
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fulfillOrder(listingOrder, listingSignature, {
+            value: listingOrder.price.add(excess),
+          }),
+      )
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(buyer.address, ethers.constants.AddressZero, excess);
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(
+        excess,
+      );
+    });
+
+    it("Should fill a signed ERC-20 offer", async function () {
+      const { marketplace, mockNFT, seller, buyer, usdc } = await loadFixture(
+        deploySignedOrderFixture,
+      );
+
+      const now = await time.latest();
+      const price = ethers.utils.parseUnits("500", 6);
+      const offerOrder = {
+        side: 1,
+        maker: buyer.address,
+        nftContract: mockNFT.address,
+        tokenId: 2,
+        paymentToken: usdc.address,
+        price,
+        startTime: now,
+        expiresAt: now + 86400,
+        salt: 7,
+        counter: 0,
+      };
+      const signature = await signOrder(marketplace, buyer, offerOrder);
+
+      await usdc.connect(buyer).approve(marketplace.address, price);
+      await marketplace.connect(seller).fulfillOrder(offerOrder, signature);
+
+      expect(await mockNFT.ownerOf(2)).to.equal(buyer.address);
+      // The seller is also the MockNFT royalty recipient
+      expect(
+        await marketplace.pendingTokenWithdrawals(seller.address, usdc.address),
+      ).to.equal(price.sub(price.mul(250).div(10000)));
+    });
+
+    it("Should reject ETH-denominated offers", async function () {
+      const { marketplace, mockNFT, seller, buyer } = await loadFixture(
+        deploySignedOrderFixture,
+      );
+
+      const now = await time.latest();
+      const offerOrder = {
+        side: 1,
+        maker: buyer.address,
+        nftContract: mockNFT.address,
+        tokenId: 2,
+        paymentToken: ethers.constants.AddressZero,
+        price: ethers.utils.parseEther("1.0"),
+        startTime: now,
+        expiresAt: now + 86400,
+        salt: 1,
+        counter: 0,
+      };
+      const signature = await signOrder(marketplace, buyer, offerOrder);
+
+      await expect(
+        marketplace.connect(seller).fulfillOrder(offerOrder, signature),
+      ).to.be.revertedWithCustomError(marketplace, "OffersRequireERC20");
+    });
+
+    it("Should reject orders signed by someone other than the maker", async function () {
+      const { marketplace, buyer, other, listingOrder } = await loadFixture(
+        deploySignedOrderFixture,
+      );
+
+      const signature = await signOrder(marketplace, other, listingOrder);
+
+      await expect(
+        marketplace.connect(buyer).fulfillOrder(listingOrder, signature, {
+          value: listingOrder.price,
+        }),
+      ).to.be.revertedWithCustomError(marketplace, "InvalidSignature");
+    });
+
+    it("Should not fill the same order twice", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        buyer,
+        other,
+        listingOrder,
+        listingSignature,
+      } = await loadFixture(deploySignedOrderFixture);
+
+      await marketplace
+        .connect(buyer)
+        .fulfillOrder(listingOrder, listingSignature, {
+          value: listingOrder.price,
+        });
+
+      // Even if the NFT finds its way back to the maker the signature cannot be replayed
+      await mockNFT
+        .connect(buyer)
+        .transferFrom(buyer.address, listingOrder.maker, 1);
+
+      await expect(
+        marketplace
+          .connect(other)
+          .fulfillOrder(listingOrder, listingSignature, {
+            value: listingOrder.price,
+          }),
+      ).to.be.revertedWithCustomError(marketplace, "OrderCancelledOrFilled");
+    });
+
+    it("Should reject expired orders", async function () {
+      const { marketplace, buyer, listingOrder, listingSignature } =
+        await loadFixture(deploySignedOrderFixture);
+
+      await time.increase(86401);
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fulfillOrder(listingOrder, listingSignature, {
+            value: listingOrder.price,
+          }),
+      ).to.be.revertedWithCustomError(marketplace, "OrderExpired");
+    });
+
+    it("Should let the maker cancel a single order", async function () {
+      const { marketplace, seller, buyer, listingOrder, listingSignature } =
+        await loadFixture(deploySignedOrderFixture);
+
+      await expect(
+        marketplace.connect(buyer).cancelOrder(listingOrder),
+      ).to.be.revertedWithCustomError(marketplace, "NotOrderMaker");
+
+      const orderHash = await marketplace.hashOrder(listingOrder);
+      await expect(marketplace.connect(seller).cancelOrder(listingOrder))
+        .to.emit(marketplace, "OrderCancelled")
+        .withArgs(orderHash, seller.address);
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fulfillOrder(listingOrder, listingSignature, {
+            value: listingOrder.price,
+          }),
+      ).to.be.revertedWithCustomError(marketplace, "OrderCancelledOrFilled");
+    });
+
+    it("Should cancel all outstanding orders when the counter is incremented", async function () {
+      const { marketplace, seller, buyer, listingOrder, listingSignature } =
+        await loadFixture(deploySignedOrderFixture);
+
+      await expect(marketplace.connect(seller).incrementCounter())
+        .to.emit(marketplace, "CounterIncremented")
+        .withArgs(seller.address, 1);
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fulfillOrder(listingOrder, listingSignature, {
+            value: listingOrder.price,
+          }),
+      ).to.be.revertedWithCustomError(marketplace, "OrderCounterOutdated");
+    });
+  });
+
+  describe("Fee Management", function () {
+    it("Should allow owner to update marketplace fee", async function () {
+      const { marketplace, owner } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await expect(marketplace.connect(owner).setMarketplaceFee(500)) // 5%
+        .to.emit(marketplace, "MarketplaceFeeUpdated")
+        .withArgs(500);
+      expect(await marketplace.marketplaceFeePercentage()).to.equal(500);
+    });
+
+    it("Should not allow setting fee above maximum", async function () {
+      const { marketplace, owner } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await expect(
+        marketplace.connect(owner).setMarketplaceFee(1001), // More than 10%
+      ).to.be.revertedWithCustomError(marketplace, "FeeTooHigh");
+    });
+
+    it("Should allow owner to update fee recipient", async function () {
+      const { marketplace, owner, other } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await marketplace.connect(owner).setFeeRecipient(other.address);
+      expect(await marketplace.feeRecipient()).to.equal(other.address);
+    });
+  });
+
+  describe("Admin Timelock", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("Should queue a fee change and execute it after the delay", async function () {
+      const { marketplace, owner } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await expect(marketplace.connect(owner).setAdminDelay(DAY))
+        .to.emit(marketplace, "AdminDelayUpdated")
+        .withArgs(DAY);
+      await expect(
+        marketplace.connect(owner).setMarketplaceFee(500),
+      ).to.be.revertedWithCustomError(marketplace, "ChangeMustBeQueued");
+
+      const data = marketplace.interface.encodeFunctionData(
+        "setMarketplaceFee",
+        [500],
+      );
+      const changeId = ethers.utils.keccak256(data);
+      await expect(marketplace.connect(owner).queueChange(data))
+        .to.emit(marketplace, "ChangeQueued")
+        .withArgs(changeId, data, anyValue);
+
+      const executableAt = await marketplace.pendingChanges(changeId);
+      const pending = await marketplace.getPendingChanges();
+      expect(pending.changeIds).to.deep.equal([changeId]);
+      expect(pending.data).to.deep.equal([data]);
+      expect(pending.executableAt[0]).to.equal(executableAt);
+
+      await expect(marketplace.connect(owner).executeChange(data))
+        .to.be.revertedWithCustomError(marketplace, "ChangeNotReady")
+        .withArgs(executableAt);
+
+      await time.increaseTo(executableAt);
+      await expect(marketplace.connect(owner).executeChange(data))
+        .to.emit(marketplace, "ChangeExecuted")
+        .withArgs(changeId)
+        .and.to.emit(marketplace, "MarketplaceFeeUpdated")
+        .withArgs(500);
+
+      expect(await marketplace.marketplaceFeePercentage()).to.equal(500);
+      expect(await marketplace.pendingChanges(changeId)).to.equal(0);
+      expect((await marketplace.getPendingChanges()).changeIds).to.be.empty;
+    });
+
+    it("Should let the owner cancel a queued change", async function () {
+      const { marketplace, owner, other } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await marketplace.connect(owner).setAdminDelay(DAY);
+      const data = marketplace.interface.encodeFunctionData("setFeeRecipient", [
+        other.address,
+      ]);
+      const changeId = ethers.utils.keccak256(data);
+      await marketplace.connect(owner).queueChange(data);
+
+      await expect(marketplace.connect(owner).cancelChange(changeId))
+        .to.emit(marketplace, "ChangeCancelled")
+        .withArgs(changeId);
+
+      await time.increase(DAY);
+      await expect(
+        marketplace.connect(owner).executeChange(data),
+      ).to.be.revertedWithCustomError(marketplace, "ChangeNotQueued");
+      await expect(
+        marketplace.connect(owner).cancelChange(changeId),
+      ).to.be.revertedWithCustomError(marketplace, "ChangeNotQueued");
+    });
+
+    it("Should only let the owner queue and execute changes", async function () {
+      const { marketplace, owner, other } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const data = marketplace.interface.encodeFunctionData(
+        "setRoyaltyEngine",
+        [other.address],
+      );
+      await expect(
+        marketplace.connect(other).queueChange(data),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await marketplace.connect(owner).queueChange(data);
+      await expect(
+        marketplace.connect(owner).queueChange(data),
+      ).to.be.revertedWithCustomError(marketplace, "ChangeAlreadyQueued");
+      await expect(
+        marketplace.connect(other).executeChange(data),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        marketplace.connect(other).setRoyaltyEngine(other.address),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should only queue calls to configuration functions", async function () {
+      const { marketplace, owner, other } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const userCalls = [
+        marketplace.interface.encodeFunctionData("acceptCollectionOffer", [
+          ethers.utils.formatBytes32String("offer"),
+          1,
+          [],
+        ]),
+        marketplace.interface.encodeFunctionData("withdrawTo", [other.address]),
+        marketplace.interface.encodeFunctionData("setContractWhitelist", [
+          other.address,
+          true,
+        ]),
+        "0x",
+      ];
+      for (const data of userCalls) {
+        await expect(
+          marketplace.connect(owner).queueChange(data),
+        ).to.be.revertedWithCustomError(marketplace, "ChangeNotAllowed");
+      }
+
+      const data = marketplace.interface.encodeFunctionData(
+        "setTakerFeeShare",
+        [1000],
+      );
+      await expect(marketplace.connect(owner).queueChange(data)).to.emit(
+        marketplace,
+        "ChangeQueued",
+      );
+    });
+
+    it("Should bubble up the revert of a failed change", async function () {
+      const { marketplace, owner } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await marketplace.connect(owner).setAdminDelay(DAY);
+      const data = marketplace.interface.encodeFunctionData(
+        "setMarketplaceFee",
+        [1001],
+      );
+      await marketplace.connect(owner).queueChange(data);
+      await time.increase(DAY);
+
+      await expect(
+        marketplace.connect(owner).executeChange(data),
+      ).to.be.revertedWithCustomError(marketplace, "FeeTooHigh");
+    });
+
+    it("Should change the delay itself through the timelock", async function () {
+      const { marketplace, owner } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await expect(
+        marketplace.connect(owner).setAdminDelay(31 * DAY),
+      ).to.be.revertedWithCustomError(marketplace, "AdminDelayTooLong");
+
+      await marketplace.connect(owner).setAdminDelay(DAY);
+      await expect(
+        marketplace.connect(owner).setAdminDelay(0),
+      ).to.be.revertedWithCustomError(marketplace, "ChangeMustBeQueued");
+
+      const data = marketplace.interface.encodeFunctionData("setAdminDelay", [
+        0,
+      ]);
+      await marketplace.connect(owner).queueChange(data);
+      await time.increase(DAY);
+      await marketplace.connect(owner).executeChange(data);
+
+      expect(await marketplace.adminDelay()).to.equal(0);
+      await marketplace.connect(owner).setMarketplaceFee(100);
+      expect(await marketplace.marketplaceFeePercentage()).to.equal(100);
+    });
+
+    it("Should timelock royalty engine defaults", async function () {
+      const { royaltyEngine, owner, other } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await royaltyEngine.connect(owner).setAdminDelay(DAY);
+      await expect(
+        royaltyEngine.connect(owner).setDefaultRoyalty(other.address, 300),
+      ).to.be.revertedWithCustomError(royaltyEngine, "ChangeMustBeQueued");
+
+      const data = royaltyEngine.interface.encodeFunctionData(
+        "setDefaultRoyalty",
+        [other.address, 300],
+      );
+      await royaltyEngine.connect(owner).queueChange(data);
+      await time.increase(DAY);
+      await expect(royaltyEngine.connect(owner).executeChange(data))
+        .to.emit(royaltyEngine, "DefaultRoyaltyUpdated")
+        .withArgs(other.address, 300);
+
+      const royalty = await royaltyEngine.defaultRoyalty();
+      expect(royalty.recipient).to.equal(other.address);
+      expect(royalty.percentage).to.equal(300);
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      const { marketplace, owner, other } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      await marketplace.connect(owner).transferOwnership(other.address);
+      expect(await marketplace.owner()).to.equal(owner.address);
+      expect(await marketplace.pendingOwner()).to.equal(other.address);
+
+      await expect(
+        marketplace.connect(owner).acceptOwnership(),
+      ).to.be.revertedWith("Ownable2Step: caller is not the new owner");
+
+      await marketplace.connect(other).acceptOwnership();
+      expect(await marketplace.owner()).to.equal(other.address);
+      expect(await marketplace.pendingOwner()).to.equal(
+        ethers.constants.AddressZero,
+      );
+
+      await marketplace.connect(other).setMarketplaceFee(300);
+      await expect(
+        marketplace.connect(owner).setMarketplaceFee(300),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Fee Tiers and Overrides", function () {
+    async function feeListingFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller } = base;
+
+      const price = ethers.utils.parseEther("1.0");
+      const duration = 7 * 24 * 60 * 60;
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+      const tx = await marketplace
+        .connect(seller)
+        .listItem(mockNFT.address, 1, price, duration);
+      const receipt = await tx.wait();
+      const listingId = receipt.events?.find((e) => e.event === "ItemListed")
+        ?.args?.listingId;
+
+      return { ...base, listingId, price, duration };
+    }
+
+    it("Should charge a collection's fee override", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        owner,
+        seller,
+        buyer,
+        feeRecipient,
+        listingId,
+        price,
+      } = await loadFixture(feeListingFixture);
+
+      await expect(
+        marketplace.connect(owner).setCollectionFee(mockNFT.address, true, 0),
+      )
+        .to.emit(marketplace, "CollectionFeeUpdated")
+        .withArgs(mockNFT.address, true, 0);
+      expect(
+        await marketplace.getFeePercentage(mockNFT.address, seller.address),
+      ).to.equal(0);
+
+      await marketplace.connect(buyer).buyItem(listingId, { value: price });
+
+      // No fee: the seller keeps the price, royalty included
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        price,
+      );
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(0);
+    });
+
+    it("Should fall back to the global fee when an override is cleared", async function () {
+      const { marketplace, mockNFT, owner, seller } =
+        await loadFixture(feeListingFixture);
+
+      await marketplace
+        .connect(owner)
+        .setCollectionFee(mockNFT.address, true, 0);
+      await marketplace
+        .connect(owner)
+        .setCollectionFee(mockNFT.address, false, 0);
+
+      expect(
+        await marketplace.getFeePercentage(mockNFT.address, seller.address),
+      ).to.equal(250);
+    });
+
+    it("Should move sellers into fee tiers as their volume grows", async function () {
+      const { marketplace, mockNFT, owner, seller, buyer, listingId, price } =
+        await loadFixture(feeListingFixture);
+
+      await expect(
+        marketplace
+          .connect(owner)
+          .setFeeTiers([price, price.mul(10)], [100, 50]),
+      )
+        .to.emit(marketplace, "FeeTiersUpdated")
+        .withArgs([price, price.mul(10)], [100, 50]);
+
+      const tiers = await marketplace.getFeeTiers();
+      expect(tiers.length).to.equal(2);
+      expect(tiers[0].minVolume).to.equal(price);
+      expect(tiers[1].feePercentage).to.equal(50);
+
+      expect(
+        await marketplace.getFeePercentage(mockNFT.address, seller.address),
+      ).to.equal(250);
+
+      await marketplace.connect(buyer).buyItem(listingId, { value: price });
+
+      expect(await marketplace.sellerVolume(seller.address)).to.equal(price);
+      expect(
+        await marketplace.getFeePercentage(mockNFT.address, seller.address),
+      ).to.equal(100);
+    });
+
+    it("Should let a collection override take precedence over tiers", async function () {
+      const { marketplace, mockNFT, owner, seller } =
+        await loadFixture(feeListingFixture);
+
+      await marketplace.connect(owner).setFeeTiers([0], [100]);
+      await marketplace
+        .connect(owner)
+        .setCollectionFee(mockNFT.address, true, 500);
+
+      expect(
+        await marketplace.getFeePercentage(mockNFT.address, seller.address),
+      ).to.equal(500);
+    });
+
+    it("Should charge the taker share of the fee to the buyer", async function () {
+      const {
+        marketplace,
+        mockNFT,
+        owner,
+        seller,
+        buyer,
+        feeRecipient,
+        listingId,
+        price,
+      } = await loadFixture(feeListingFixture);
+
+      await expect(marketplace.connect(owner).setTakerFeeShare(4000))
+        .to.emit(marketplace, "TakerFeeShareUpdated")
+        .withArgs(4000);
+
+      const marketplaceFee = price.mul(250).div(10000);
+      const buyerFee = marketplaceFee.mul(4000).div(10000);
+      const royalty = price.mul(500).div(10000);
+
+      const quote = await marketplace.quoteSale(listingId);
+      expect(quote.price).to.equal(price);
+      expect(quote.marketplaceFee).to.equal(marketplaceFee);
+      expect(quote.buyerFee).to.equal(buyerFee);
+      expect(quote.royaltyRecipient).to.equal(seller.address);
+      expect(quote.royaltyAmount).to.equal(royalty);
+      expect(quote.sellerProceeds).to.equal(
+        price.sub(marketplaceFee.sub(buyerFee)).sub(royalty),
+      );
+      expect(quote.buyerTotal).to.equal(price.add(buyerFee));
+
+      await expect(
+        marketplace.connect(buyer).buyItem(listingId, { value: price }),
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
+
+      // Overpaying is credited back down to the quoted total
+      await marketplace
+        .connect(buyer)
+        .buyItem(listingId, { value: quote.buyerTotal.add(1) });
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(1);
+
+      expect(await mockNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        quote.sellerProceeds.add(royalty),
+      );
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(marketplaceFee);
+    });
+
+    it("Should quote a sale for the calling seller before listing", async function () {
+      const { marketplace, mockNFT, owner, seller, buyer, listingId, price } =
+        await loadFixture(feeListingFixture);
+
+      await marketplace.connect(owner).setFeeTiers([price], [100]);
+      await marketplace.connect(owner).setTakerFeeShare(5000);
+      await marketplace.connect(buyer).buyItem(listingId, {
+        value: price.mul(2),
+      });
+
+      // The seller has reached the 1% tier; the buyer covers half of it
+      const marketplaceFee = price.mul(100).div(10000);
+      const royalty = price.mul(500).div(10000);
+      const quote = await marketplace
+        .connect(seller)
+        .quote(mockNFT.address, 2, price);
+      expect(quote.marketplaceFee).to.equal(marketplaceFee);
+      expect(quote.royaltyRecipient).to.equal(seller.address);
+      expect(quote.royaltyAmount).to.equal(royalty);
+      expect(quote.sellerProceeds).to.equal(
+        price.sub(marketplaceFee.div(2)).sub(royalty),
+      );
+
+      // Another seller is still on the global fee
+      const otherQuote = await marketplace
+        .connect(buyer)
+        .quote(mockNFT.address, 2, price);
+      expect(otherQuote.marketplaceFee).to.equal(price.mul(250).div(10000));
+    });
+
+    it("Should reject sales whose fee and royalty exceed the cap", async function () {
+      const { marketplace, owner, buyer, listingId, price } =
+        await loadFixture(feeListingFixture);
+
+      expect(await marketplace.maxTotalDeductionBps()).to.equal(2000);
+      await expect(marketplace.connect(owner).setMaxTotalDeductionBps(500))
+        .to.emit(marketplace, "MaxTotalDeductionUpdated")
+        .withArgs(500);
+
+      // 2.5% fee plus 5% royalty against a 5% cap
+      const deductions = price.mul(750).div(10000);
+      const maxDeductions = price.mul(500).div(10000);
+      await expect(marketplace.quoteSale(listingId))
+        .to.be.revertedWithCustomError(marketplace, "DeductionsExceedCap")
+        .withArgs(deductions, maxDeductions);
+      await expect(
+        marketplace.connect(buyer).buyItem(listingId, { value: price }),
+      )
+        .to.be.revertedWithCustomError(marketplace, "DeductionsExceedCap")
+        .withArgs(deductions, maxDeductions);
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .batchBuyItems([listingId], true, { value: price }),
+      )
+        .to.emit(marketplace, "BatchPurchaseSkipped")
+        .withArgs(listingId, "Fee and royalty exceed cap");
+
+      await expect(
+        marketplace.connect(owner).setMaxTotalDeductionBps(10001),
+      ).to.be.revertedWithCustomError(marketplace, "DeductionCapTooHigh");
+    });
+
+    it("Should charge the whole fee to the seller on accepted offers", async function () {
+      const { marketplace, mockNFT, owner, seller, buyer, feeRecipient } =
+        await loadFixture(feeListingFixture);
+
+      await marketplace.connect(owner).setTakerFeeShare(10000);
+
+      const amount = ethers.utils.parseEther("0.5");
+      const tx = await marketplace
+        .connect(buyer)
+        .createOffer(mockNFT.address, 2, 24 * 60 * 60, { value: amount });
+      const receipt = await tx.wait();
+      const offerId = receipt.events?.find((e) => e.event === "OfferCreated")
+        ?.args?.offerId;
+
+      await marketplace.connect(seller).acceptOffer(offerId);
+
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(amount.mul(250).div(10000));
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        amount.sub(amount.mul(250).div(10000)),
+      );
+    });
+
+    it("Should validate fee settings", async function () {
+      const { marketplace, mockNFT, owner, other } =
+        await loadFixture(feeListingFixture);
+
+      await expect(
+        marketplace.connect(other).setCollectionFee(mockNFT.address, true, 0),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        marketplace
+          .connect(owner)
+          .setCollectionFee(mockNFT.address, true, 1001),
+      ).to.be.revertedWithCustomError(marketplace, "FeeTooHigh");
+      await expect(
+        marketplace.connect(owner).setFeeTiers([100, 100], [200, 100]),
+      ).to.be.revertedWithCustomError(marketplace, "FeeTiersNotAscending");
+      await expect(
+        marketplace.connect(owner).setFeeTiers([100], [1001]),
+      ).to.be.revertedWithCustomError(marketplace, "FeeTooHigh");
+      await expect(
+        marketplace.connect(owner).setFeeTiers([100], []),
+      ).to.be.revertedWithCustomError(marketplace, "ArrayLengthMismatch");
+      await expect(
+        marketplace.connect(owner).setTakerFeeShare(10001),
+      ).to.be.revertedWithCustomError(marketplace, "TakerFeeShareTooHigh");
+    });
+  });
+
+  describe("Royalty Splits", function () {
+    async function splitFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, royaltyEngine, seller, owner, other } = base;
+
+      // A collection without EIP-2981, so the engine's settings apply
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const plainNFT = await MockERC721.deploy("Plain NFT", "PNFT");
+      await plainNFT.mint(seller.address, 1);
+      await plainNFT.mint(seller.address, 2);
+      await marketplace.setContractWhitelist(plainNFT.address, true);
+      await plainNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      const splits = [
+        { recipient: owner.address, share: 5000 },
+        { recipient: other.address, share: 3000 },
+        { recipient: royaltyEngine.address, share: 2000 },
+      ];
+
+      return { ...base, plainNFT, splits };
+    }
+
+    it("Should divide a contract royalty among every payee", async function () {
+      const { royaltyEngine, plainNFT, owner, other, splits } =
+        await loadFixture(splitFixture);
+
+      await expect(
+        royaltyEngine.setContractRoyaltySplits(plainNFT.address, splits, 1000),
+      ).to.emit(royaltyEngine, "ContractRoyaltySplitsUpdated");
+
+      // A 101 wei royalty leaves a rounding remainder for the last payee
+      const [recipients, amounts] = await royaltyEngine.getRoyaltySplits(
+        plainNFT.address,
+        1,
+        1010,
+      );
+      expect(recipients).to.deep.equal([
+        owner.address,
+        other.address,
+        royaltyEngine.address,
+      ]);
+      expect(amounts.map((a) => a.toNumber())).to.deep.equal([50, 30, 21]);
+
+      // Single-recipient callers see the whole royalty against the first payee
+      const [recipient, amount] = await royaltyEngine.getRoyalty(
+        plainNFT.address,
+        1,
+        1010,
+      );
+      expect(recipient).to.equal(owner.address);
+      expect(amount).to.equal(101);
+    });
+
+    it("Should prefer token splits over contract and default settings", async function () {
+      const { royaltyEngine, plainNFT, other, seller, splits } =
+        await loadFixture(splitFixture);
+
+      await royaltyEngine.setDefaultRoyaltySplits(splits, 100);
+      await royaltyEngine
+        .connect(seller)
+        .setTokenRoyaltySplits(
+          plainNFT.address,
+          2,
+          [{ recipient: seller.address, share: 10000 }],
+          500,
+        );
+
+      let [recipients, amounts] = await royaltyEngine.getRoyaltySplits(
+        plainNFT.address,
+        2,
+        10000,
+      );
+      expect(recipients).to.deep.equal([seller.address]);
+      expect(amounts[0]).to.equal(500);
+
+      [recipients, amounts] = await royaltyEngine.getRoyaltySplits(
+        plainNFT.address,
+        1,
+        10000,
+      );
+      expect(recipients.length).to.equal(3);
+      expect(amounts[0]).to.equal(50);
+
+      // A single-recipient setting replaces the split at its level
+      await royaltyEngine.setDefaultRoyalty(other.address, 100);
+      [recipients] = await royaltyEngine.getRoyaltySplits(
+        plainNFT.address,
+        1,
+        10000,
+      );
+      expect(recipients).to.deep.equal([other.address]);
+    });
+
+    it("Should report a single payee for EIP-2981 royalties", async function () {
+      const { royaltyEngine, mockNFT, seller, splits } =
+        await loadFixture(splitFixture);
+
+      await royaltyEngine.setContractRoyaltySplits(
+        mockNFT.address,
+        splits,
+        1000,
+      );
+
+      const [recipients, amounts] = await royaltyEngine.getRoyaltySplits(
+        mockNFT.address,
+        1,
+        10000,
+      );
+      expect(recipients).to.deep.equal([seller.address]);
+      expect(amounts[0]).to.equal(500);
+    });
+
+    it("Should credit every payee on a sale", async function () {
+      const {
+        marketplace,
+        royaltyEngine,
+        plainNFT,
+        owner,
+        other,
+        seller,
+        buyer,
+        feeRecipient,
+        splits,
+      } = await loadFixture(splitFixture);
+      const price = ethers.utils.parseEther("1.0");
+
+      await royaltyEngine.setContractRoyaltySplits(
+        plainNFT.address,
+        splits,
+        1000,
+      );
+      const tx = await marketplace
+        .connect(seller)
+        .listItem(plainNFT.address, 1, price, 7 * 24 * 60 * 60);
+      const receipt = await tx.wait();
+      const listingId = receipt.events?.find((e) => e.event === "ItemListed")
+        ?.args?.listingId;
+
+      const quote = await marketplace.quoteSale(listingId);
+      expect(quote.royaltyRecipient).to.equal(owner.address);
+      expect(quote.royaltyAmount).to.equal(price.div(10));
+      expect(quote.royaltyRecipients.length).to.equal(3);
+
+      await marketplace.connect(buyer).buyItem(listingId, { value: price });
+
+      const royalty = price.div(10);
+      const fee = price.mul(250).div(10000);
+      expect(await marketplace.pendingWithdrawals(owner.address)).to.equal(
+        royalty.mul(5000).div(10000),
+      );
+      expect(await marketplace.pendingWithdrawals(other.address)).to.equal(
+        royalty.mul(3000).div(10000),
+      );
+      expect(
+        await marketplace.pendingWithdrawals(royaltyEngine.address),
+      ).to.equal(royalty.mul(2000).div(10000));
+      expect(
+        await marketplace.pendingWithdrawals(feeRecipient.address),
+      ).to.equal(fee);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(
+        price.sub(fee).sub(royalty),
+      );
+    });
+
+    it("Should validate split definitions", async function () {
+      const { royaltyEngine, plainNFT, owner, other, buyer, splits } =
+        await loadFixture(splitFixture);
+
+      await expect(
+        royaltyEngine.setContractRoyaltySplits(plainNFT.address, [], 500),
+      ).to.be.revertedWithCustomError(royaltyEngine, "InvalidSplitCount");
+      await expect(
+        royaltyEngine.setContractRoyaltySplits(
+          plainNFT.address,
+          [
+            { recipient: owner.address, share: 5000 },
+            { recipient: other.address, share: 4000 },
+          ],
+          500,
+        ),
+      ).to.be.revertedWithCustomError(royaltyEngine, "InvalidSplitShares");
+      await expect(
+        royaltyEngine.setContractRoyaltySplits(
+          plainNFT.address,
+          [{ recipient: ethers.constants.AddressZero, share: 10000 }],
+          500,
+        ),
+      ).to.be.revertedWithCustomError(royaltyEngine, "InvalidRecipient");
+      await expect(
+        royaltyEngine.setContractRoyaltySplits(plainNFT.address, splits, 1001),
+      ).to.be.revertedWithCustomError(royaltyEngine, "RoyaltyTooHigh");
+      await expect(
+        royaltyEngine
+          .connect(buyer)
+          .setContractRoyaltySplits(plainNFT.address, splits, 500),
+      ).to.be.revertedWithCustomError(royaltyEngine, "NotAuthorized");
+    });
+  });
+
+  describe("Royalty Lookup Chain", function () {
+    // RoyaltySource values
+    const EIP2981 = 1;
+    const TOKEN = 2;
+    const CONTRACT = 3;
+    const REGISTRY = 4;
+    const DEFAULT = 5;
+
+    async function lookupFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+
+      // Administered by `other` through AccessControl, without EIP-2981
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const plainNFT = await MockERC721.connect(base.other).deploy(
+        "Plain NFT",
+        "PNFT",
+      );
+      await plainNFT.mint(base.seller.address, 1);
+
+      const MockRoyaltyRegistry = await ethers.getContractFactory(
+        "MockRoyaltyRegistry",
+      );
+      const registry = await MockRoyaltyRegistry.deploy();
+
+      return { ...base, plainNFT, registry };
+    }
+
+    it("Should report which source produced the royalty", async function () {
+      const { royaltyEngine, mockNFT, owner, seller } =
+        await loadFixture(lookupFixture);
+
+      expect(await royaltyEngine.getLookupOrder()).to.deep.equal([
+        EIP2981,
+        TOKEN,
+        CONTRACT,
+        REGISTRY,
+        DEFAULT,
+      ]);
+
+      let result = await royaltyEngine.getRoyaltyWithSource(
+        mockNFT.address,
+        1,
+        10000,
+      );
+      expect(result.recipients).to.deep.equal([seller.address]);
+      expect(result.source).to.equal(EIP2981);
+
+      await royaltyEngine.setDefaultRoyalty(owner.address, 100);
+      result = await royaltyEngine.getRoyaltyWithSource(
+        ethers.constants.AddressZero,
+        1,
+        10000,
+      );
+      expect(result.recipients).to.deep.equal([owner.address]);
+      expect(result.source).to.equal(DEFAULT);
+    });
+
+    it("Should let overrides come before EIP-2981", async function () {
+      const { royaltyEngine, mockNFT, owner } =
+        await loadFixture(lookupFixture);
+
+      await royaltyEngine.setContractRoyalty(
+        mockNFT.address,
+        owner.address,
+        200,
+      );
+      await expect(
+        royaltyEngine.setLookupOrder([TOKEN, CONTRACT, EIP2981, DEFAULT]),
+      )
+        .to.emit(royaltyEngine, "LookupOrderUpdated")
+        .withArgs([TOKEN, CONTRACT, EIP2981, DEFAULT]);
+
+      const result = await royaltyEngine.getRoyaltyWithSource(
+        mockNFT.address,
+        1,
+        10000,
+      );
+      expect(result.recipients).to.deep.equal([owner.address]);
+      expect(result.amounts[0]).to.equal(200);
+      expect(result.source).to.equal(CONTRACT);
+
+      const [recipient, amount] = await royaltyEngine.getRoyalty(
+        mockNFT.address,
+        1,
+        10000,
+      );
+      expect(recipient).to.equal(owner.address);
+      expect(amount).to.equal(200);
+    });
+
+    it("Should consult an external royalty registry", async function () {
+      const { royaltyEngine, plainNFT, registry, owner, other } =
+        await loadFixture(lookupFixture);
+
+      await registry.setRoyalty(
+        plainNFT.address,
+        [owner.address, other.address],
+        [300, 200],
+      );
+
+      // Skipped until a registry is set
+      let result = await royaltyEngine.getRoyaltyWithSource(
+        plainNFT.address,
+        1,
+        10000,
+      );
+      expect(result.source).to.equal(0);
+
+      await expect(royaltyEngine.setRoyaltyRegistry(registry.address))
+        .to.emit(royaltyEngine, "RoyaltyRegistryUpdated")
+        .withArgs(registry.address);
+      result = await royaltyEngine.getRoyaltyWithSource(
+        plainNFT.address,
+        1,
+        10000,
+      );
+      expect(result.recipients).to.deep.equal([owner.address, other.address]);
+      expect(result.amounts.map((a) => a.toNumber())).to.deep.equal([300, 200]);
+      expect(result.source).to.equal(REGISTRY);
+
+      // An answer over 10% of the price is ignored
+      await registry.setRoyalty(plainNFT.address, [owner.address], [1001]);
+      result = await royaltyEngine.getRoyaltyWithSource(
+        plainNFT.address,
+        1,
+        10000,
+      );
+      expect(result.source).to.equal(0);
+    });
+
+    it("Should treat AccessControl admins as collection admins", async function () {
+      const { royaltyEngine, plainNFT, other, buyer } =
+        await loadFixture(lookupFixture);
+
+      await expect(
+        royaltyEngine
+          .connect(other)
+          .setContractRoyalty(plainNFT.address, other.address, 500),
+      )
+        .to.emit(royaltyEngine, "ContractRoyaltyUpdated")
+        .withArgs(plainNFT.address, other.address, 500);
+
+      await expect(
+        royaltyEngine
+          .connect(buyer)
+          .setContractRoyalty(plainNFT.address, buyer.address, 500),
+      ).to.be.revertedWithCustomError(royaltyEngine, "NotAuthorized");
+    });
+
+    it("Should validate lookup settings", async function () {
+      const { royaltyEngine, registry, other } =
+        await loadFixture(lookupFixture);
+
+      await expect(
+        royaltyEngine.setLookupOrder([]),
+      ).to.be.revertedWithCustomError(royaltyEngine, "InvalidLookupOrder");
+      await expect(
+        royaltyEngine.setLookupOrder([TOKEN, TOKEN]),
+      ).to.be.revertedWithCustomError(royaltyEngine, "InvalidLookupOrder");
+      await expect(
+        royaltyEngine.setLookupOrder([0, DEFAULT]),
+      ).to.be.revertedWithCustomError(royaltyEngine, "InvalidLookupOrder");
+      await expect(
+        royaltyEngine.connect(other).setLookupOrder([DEFAULT]),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        royaltyEngine.connect(other).setRoyaltyRegistry(registry.address),
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Royalty Schedules", function () {
+    async function scheduleFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, royaltyEngine, owner, seller, other } = base;
+
+      // Administered by `other`, who makes its primary sales
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const plainNFT = await MockERC721.connect(other).deploy(
+        "Plain NFT",
+        "PNFT",
+      );
+      await plainNFT.mint(other.address, 1);
+      await plainNFT.mint(seller.address, 2);
+      await marketplace.setContractWhitelist(plainNFT.address, true);
+
+      await royaltyEngine.setContractRoyalty(
+        plainNFT.address,
+        owner.address,
+        1000,
+      );
+
+      return { ...base, plainNFT };
+    }
+
+    it("Should step the royalty down at each breakpoint", async function () {
+      const { royaltyEngine, plainNFT, other } =
+        await loadFixture(scheduleFixture);
+      const now = await time.latest();
+      const breakpoints = [
+        { startTime: now + 1000, percentage: 500 },
+        { startTime: now + 2000, percentage: 200 },
+      ];
+
+      await expect(
+        royaltyEngine
+          .connect(other)
+          .setContractRoyaltySchedule(plainNFT.address, breakpoints, false, 0),
+      ).to.emit(royaltyEngine, "ContractRoyaltyScheduleUpdated");
+
+      const schedule = await royaltyEngine.getContractRoyaltySchedule(
+        plainNFT.address,
+      );
+      expect(schedule.breakpoints.length).to.equal(2);
+      expect(schedule.primaryEnabled).to.be.false;
+
+      let [, amount] = await royaltyEngine.getRoyalty(
+        plainNFT.address,
+        1,
+        10000,
+      );
+      expect(amount).to.equal(1000);
+
+      await time.increaseTo(now + 1000);
+      [, amount] = await royaltyEngine.getRoyalty(plainNFT.address, 1, 10000);
+      expect(amount).to.equal(500);
+      expect(
+        await royaltyEngine.getRoyaltyPercentage(plainNFT.address, 1),
+      ).to.equal(500);
+
+      await time.increaseTo(now + 2000);
+      [, amount] = await royaltyEngine.getRoyalty(plainNFT.address, 1, 10000);
+      expect(amount).to.equal(200);
+    });
+
+    it("Should charge the primary rate on sales by the collection admin", async function () {
+      const {
+        marketplace,
+        royaltyEngine,
+        plainNFT,
+        owner,
+        seller,
+        buyer,
+        other,
+      } = await loadFixture(scheduleFixture);
+      const price = ethers.utils.parseEther("1.0");
+      const duration = 7 * 24 * 60 * 60;
+
+      await royaltyEngine
+        .connect(other)
+        .setContractRoyaltySchedule(plainNFT.address, [], true, 0);
+
+      const primary = await royaltyEngine.getRoyaltyForSale(
+        plainNFT.address,
+        1,
+        10000,
+        true,
+      );
+      expect(primary.amounts[0]).to.equal(0);
+      expect(
+        await royaltyEngine.isCollectionAdmin(plainNFT.address, other.address),
+      ).to.be.true;
+
+      await plainNFT
+        .connect(other)
+        .setApprovalForAll(marketplace.address, true);
+      await plainNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+      let tx = await marketplace
+        .connect(other)
+        .listItem(plainNFT.address, 1, price, duration);
+      const primaryId = (await tx.wait()).events?.find(
+        (e) => e.event === "ItemListed",
+      )?.args?.listingId;
+      tx = await marketplace
+        .connect(seller)
+        .listItem(plainNFT.address, 2, price, duration);
+      const secondaryId = (await tx.wait()).events?.find(
+        (e) => e.event === "ItemListed",
+      )?.args?.listingId;
+
+      expect((await marketplace.quoteSale(primaryId)).royaltyAmount).to.equal(
+        0,
+      );
+      expect((await marketplace.quoteSale(secondaryId)).royaltyAmount).to.equal(
+        price.div(10),
+      );
+
+      await marketplace.connect(buyer).buyItem(primaryId, { value: price });
+      expect(await marketplace.pendingWithdrawals(owner.address)).to.equal(0);
+
+      await marketplace.connect(buyer).buyItem(secondaryId, { value: price });
+      expect(await marketplace.pendingWithdrawals(owner.address)).to.equal(
+        price.div(10),
+      );
+    });
+
+    it("Should validate schedules", async function () {
+      const { royaltyEngine, plainNFT, buyer } =
+        await loadFixture(scheduleFixture);
+      const now = await time.latest();
+
+      await expect(
+        royaltyEngine.setContractRoyaltySchedule(
+          plainNFT.address,
+          [
+            { startTime: now + 100, percentage: 500 },
+            { startTime: now + 100, percentage: 200 },
+          ],
+          false,
+          0,
+        ),
+      ).to.be.revertedWithCustomError(royaltyEngine, "InvalidSchedule");
+      await expect(
+        royaltyEngine.setContractRoyaltySchedule(
+          plainNFT.address,
+          [{ startTime: now + 100, percentage: 1001 }],
+          false,
+          0,
+        ),
+      ).to.be.revertedWithCustomError(royaltyEngine, "RoyaltyTooHigh");
+      await expect(
+        royaltyEngine.setContractRoyaltySchedule(
+          plainNFT.address,
+          [],
+          true,
+          1001,
+        ),
+      ).to.be.revertedWithCustomError(royaltyEngine, "RoyaltyTooHigh");
+      await expect(
+        royaltyEngine
+          .connect(buyer)
+          .setContractRoyaltySchedule(plainNFT.address, [], false, 0),
+      ).to.be.revertedWithCustomError(royaltyEngine, "NotAuthorized");
+    });
+  });
+
+  describe("Royalty Accounting", function () {
+    it("Should emit RoyaltyPaid and count royalties from listings and bundles", async function () {
+      const { marketplace, royaltyEngine, owner, seller, buyer, other } =
+        await loadFixture(deployMarketplaceFixture);
+      const price = ethers.utils.parseEther("1.0");
+      const duration = 7 * 24 * 60 * 60;
+      const CONTRACT = 3;
+      const ETH = ethers.constants.AddressZero;
+
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      const plainNFT = await MockERC721.deploy("Plain NFT", "PNFT");
+      for (const tokenId of [1, 2, 3]) {
+        await plainNFT.mint(seller.address, tokenId);
+      }
+      await marketplace.setContractWhitelist(plainNFT.address, true);
+      await plainNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+      await royaltyEngine.setContractRoyaltySplits(
+        plainNFT.address,
+        [
+          { recipient: owner.address, share: 6000 },
+          { recipient: other.address, share: 4000 },
+        ],
+        1000,
+      );
+
+      let tx = await marketplace
+        .connect(seller)
+        .listItem(plainNFT.address, 1, price, duration);
+      const listingId = (await tx.wait()).events?.find(
+        (e) => e.event === "ItemListed",
+      )?.args?.listingId;
+
+      const royalty = price.div(10);
+      await expect(
+        marketplace.connect(buyer).buyItem(listingId, { value: price }),
+      )
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(
+          plainNFT.address,
+          1,
+          owner.address,
+          royalty.mul(6000).div(10000),
+          CONTRACT,
+          ETH,
+        )
+        .and.to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(
+          plainNFT.address,
+          1,
+          other.address,
+          royalty.mul(4000).div(10000),
+          CONTRACT,
+          ETH,
+        );
+
+      tx = await marketplace.connect(seller).listBundle(
+        [
+          { nftContract: plainNFT.address, tokenId: 2 },
+          { nftContract: plainNFT.address, tokenId: 3 },
+        ],
+        price,
+        duration,
+        ETH,
+      );
+      const bundleId = (await tx.wait()).events?.find(
+        (e) => e.event === "BundleListed",
+      )?.args?.bundleId;
+      await expect(
+        marketplace.connect(buyer).buyBundle(bundleId, { value: price }),
+      )
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(
+          plainNFT.address,
+          3,
+          other.address,
+          royalty.div(2).mul(4000).div(10000),
+          CONTRACT,
+          ETH,
+        );
+
+      // One full-price sale plus two half-price bundle items
+      const total = royalty.mul(2);
+      expect(await marketplace.royaltiesEarned(owner.address, ETH)).to.equal(
+        total.mul(6000).div(10000),
+      );
+      expect(
+        await marketplace.royaltiesEarnedFromCollection(
+          other.address,
+          plainNFT.address,
+          ETH,
+        ),
+      ).to.equal(total.mul(4000).div(10000));
+      expect(
+        await marketplace.collectionRoyaltiesPaid(plainNFT.address, ETH),
+      ).to.equal(total);
+    });
+  });
+
+  describe("Statistics", function () {
+    it("Should track marketplace statistics", async function () {
+      const { marketplace, mockNFT, seller, buyer } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const price = ethers.utils.parseEther("1.0");
+      const duration = 7 * 24 * 60 * 60;
+
+      // Initial stats
+      expect(await marketplace.totalListings()).to.equal(0);
+      expect(await marketplace.totalSales()).to.equal(0);
+      expect(await marketplace.totalVolume()).to.equal(0);
+
+      // Create listing
+      await mockNFT.connect(seller).approve(marketplace.address, 1);
+      const tx = await marketplace
+        .connect(seller)
+        .listItem(mockNFT.address, 1, price, duration);
+      const receipt = await tx.wait();
+      const listingId = receipt.events?.find((e) => e.event === "ItemListed")
+        ?.args?.listingId;
+
+      expect(await marketplace.totalListings()).to.equal(1);
+
+      // Buy NFT
+      await marketplace.connect(buyer).buyItem(listingId, { value: price });
+
+      expect(await marketplace.totalSales()).to.equal(1);
+      expect(await marketplace.totalVolume()).to.equal(price);
+    });
+  });
+
+  describe("View Functions", function () {
+    it("Should return user listings correctly", async function () {
+      const { marketplace, mockNFT, seller } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const price = ethers.utils.parseEther("1.0");
+      const duration = 7 * 24 * 60 * 60;
+
+      // Create multiple listings
+      await mockNFT.connect(seller).approve(marketplace.address, 1);
+      await marketplace
+        .connect(seller)
+        .listItem(mockNFT.address, 1, price, duration);
+
+      await mockNFT.connect(seller).approve(marketplace.address, 2);
+      await marketplace
+        .connect(seller)
+        .listItem(mockNFT.address, 2, price, duration);
+
+      const userListings = await marketplace.getUserListings(seller.address);
+      expect(userListings.length).to.equal(2);
+    });
+
+    it("Should return user offers correctly", async function () {
+      const { marketplace, mockNFT, buyer } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const offerAmount = ethers.utils.parseEther("0.5");
+      const duration = 7 * 24 * 60 * 60;
+
+      // Create multiple offers
+      await marketplace
+        .connect(buyer)
+        .createOffer(mockNFT.address, 1, duration, { value: offerAmount });
+      await marketplace
+        .connect(buyer)
+        .createOffer(mockNFT.address, 2, duration, { value: offerAmount });
+
+      const userOffers = await marketplace.getUserOffers(buyer.address);
+      expect(userOffers.length).to.equal(2);
+    });
+  });
+
+  describe("Listing and Offer IDs", function () {
+    it("Should predict the next listing ID", async function () {
+      const { marketplace, mockNFT, seller } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+
+      const predicted = await marketplace.nextListingId();
+      expect(predicted).to.equal(ethers.utils.hexZeroPad("0x01", 32));
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+      const tx = await marketplace
+        .connect(seller)
+        .listItem(mockNFT.address, 1, ethers.utils.parseEther("1.0"), 3600);
+      const receipt = await tx.wait();
+      const listingId = receipt.events?.find((e) => e.event === "ItemListed")
+        ?.args?.listingId;
+
+      expect(listingId).to.equal(predicted);
+      expect(await marketplace.nextListingId()).to.equal(
+        ethers.utils.hexZeroPad("0x02", 32),
+      );
+    });
+
+    it("Should give same-block offers on one token distinct IDs", async function () {
+      const { marketplace, mockNFT, buyer } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+      const amount = ethers.utils.parseEther("0.5");
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const first = await marketplace
+          .connect(buyer)
+          .createOffer(mockNFT.address, 1, 3600, { value: amount });
+        const second = await marketplace
+          .connect(buyer)
+          .createOffer(mockNFT.address, 1, 3600, { value: amount });
+        await ethers.provider.send("evm_mine", []);
+
+        const [firstReceipt, secondReceipt] = await Promise.all([
+          first.wait(),
+          second.wait(),
+        ]);
+        expect(firstReceipt.blockNumber).to.equal(secondReceipt.blockNumber);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      const offerIds = await marketplace.getUserOffers(buyer.address);
+      expect(offerIds).to.deep.equal([
+        ethers.utils.hexZeroPad("0x01", 32),
+        ethers.utils.hexZeroPad("0x02", 32),
+      ]);
+      for (const offerId of offerIds) {
+        expect((await marketplace.getOffer(offerId)).active).to.be.true;
+      }
+    });
+
+    it("Should number token and collection offers from one sequence", async function () {
+      const { marketplace, mockNFT, buyer } = await loadFixture(
+        deployMarketplaceFixture,
+      );
+      const amount = ethers.utils.parseEther("0.5");
+
+      await marketplace
+        .connect(buyer)
+        .createOffer(mockNFT.address, 1, 3600, { value: amount });
+      const predicted = await marketplace.nextOfferId();
+
+      await expect(
+        marketplace
+          .connect(buyer)
+          .createCollectionOffer(
+            mockNFT.address,
+            ethers.constants.HashZero,
+            amount,
+            1,
+            3600,
+            ethers.constants.AddressZero,
+            { value: amount },
+          ),
+      )
+        .to.emit(marketplace, "CollectionOfferCreated")
+        .withArgs(
+          predicted,
+          buyer.address,
+          mockNFT.address,
+          ethers.constants.HashZero,
+          amount,
+          1,
+        );
+      expect(predicted).to.equal(ethers.utils.hexZeroPad("0x02", 32));
+    });
+  });
+
+  describe("Listing Index", function () {
+    async function createListingsFixture() {
+      const base = await loadFixture(deployMarketplaceFixture);
+      const { marketplace, mockNFT, seller } = base;
+
+      const price = ethers.utils.parseEther("1.0");
+      const duration = 7 * 24 * 60 * 60;
+
+      await mockNFT
+        .connect(seller)
+        .setApprovalForAll(marketplace.address, true);
+
+      const listingIds = [];
+      for (const tokenId of [1, 2, 3]) {
+        const tx = await marketplace
+          .connect(seller)
+          .listItem(mockNFT.address, tokenId, price, duration);
+        const receipt = await tx.wait();
+        listingIds.push(
+          receipt.events?.find((e) => e.event === "ItemListed")?.args
+            ?.listingId,
+        );
+      }
+
+      return { ...base, listingIds, price };
+    }
+
+    it("Should page through active listings", async function () {
+      const { marketplace, listingIds } = await loadFixture(
+        createListingsFixture,
+      );
+
+      const firstPage = await marketplace.getActiveListings(0, 2);
+      expect(firstPage.listingIds).to.deep.equal(listingIds.slice(0, 2));
+      expect(firstPage.page[1].tokenId).to.equal(2);
+      expect(firstPage.total).to.equal(3);
+
+      const lastPage = await marketplace.getActiveListings(2, 10);
+      expect(lastPage.listingIds).to.deep.equal([listingIds[2]]);
+
+      const pastEnd = await marketplace.getActiveListings(5, 10);
+      expect(pastEnd.listingIds).to.be.empty;
+      expect(pastEnd.total).to.equal(3);
+    });
+
+    it("Should index listings by collection", async function () {
+      const { marketplace, mockNFT, other } = await loadFixture(
+        createListingsFixture,
+      );
+
+      const collection = await marketplace.getActiveListingsByCollection(
+        mockNFT.address,
+        0,
+        10,
+      );
+      expect(collection.total).to.equal(3);
+
+      const empty = await marketplace.getActiveListingsByCollection(
+        other.address,
+        0,
+        10,
+      );
+      expect(empty.total).to.equal(0);
+    });
+
+    it("Should drop sold and cancelled listings from the index", async function () {
+      const { marketplace, mockNFT, seller, buyer, listingIds, price } =
+        await loadFixture(createListingsFixture);
+
+      await marketplace.connect(buyer).buyItem(listingIds[0], { value: price });
+      await marketplace.connect(seller).cancelListing(listingIds[1]);
+
+      const active = await marketplace.getActiveListings(0, 10);
+      expect(active.listingIds).to.deep.equal([listingIds[2]]);
+      expect(active.total).to.equal(1);
+
+      const collection = await marketplace.getActiveListingsByCollection(
+        mockNFT.address,
+        0,
+        10,
+      );
+      expect(collection.listingIds).to.deep.equal([listingIds[2]]);
+      expect(await marketplace.getUserListings(seller.address)).to.deep.equal([
+        listingIds[2],
+      ]);
+    });
+
+    it("Should return the open offers on a token", async function () {
+      const { marketplace, mockNFT, seller, buyer, other } = await loadFixture(
+        createListingsFixture,
+      );
+
+      const duration = 7 * 24 * 60 * 60;
+      const offerIds = [];
+      for (const bidder of [buyer, other]) {
+        const tx = await marketplace
+          .connect(bidder)
+          .createOffer(mockNFT.address, 1, duration, {
+            value: ethers.utils.parseEther("0.5"),
+          });
+        const receipt = await tx.wait();
+        offerIds.push(
+          receipt.events?.find((e) => e.event === "OfferCreated")?.args
+            ?.offerId,
+        );
+      }
+
+      let tokenOffers = await marketplace.getOffersForToken(mockNFT.address, 1);
+      expect(tokenOffers.offerIds).to.deep.equal(offerIds);
+      expect(tokenOffers.tokenOffers[1].buyer).to.equal(other.address);
+
+      await marketplace.connect(buyer).cancelOffer(offerIds[0]);
+      tokenOffers = await marketplace.getOffersForToken(mockNFT.address, 1);
+      expect(tokenOffers.offerIds).to.deep.equal([offerIds[1]]);
+
+      await marketplace.connect(seller).acceptOffer(offerIds[1]);
+      tokenOffers = await marketplace.getOffersForToken(mockNFT.address, 1);
+      expect(tokenOffers.offerIds).to.be.empty;
     });
   });
 
@@ -2,6 +2,11 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import { handleDemo } from "./routes/demo";
+import {
+  handleGetOrder,
+  handleListOrders,
+  handleSubmitOrder,
+} from "./routes/orders";
 
 export function createServer() {
   const app = express();
@@ -19,5 +24,10 @@ export function createServer() {
 
   app.get("/api/demo", handleDemo);
 
+  // Signed marketplace order book
+  app.get("/api/orders", handleListOrders);
+  app.get("/api/orders/:orderHash", handleGetOrder);
+  app.post("/api/orders", handleSubmitOrder);
+
   return app;
 }
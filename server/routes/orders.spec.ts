@@ -0,0 +1,215 @@
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest";
+import type { AddressInfo } from "net";
+import type { Server } from "http";
+import { providers, utils, Wallet } from "ethers";
+import { createServer } from "../index";
+import { clearOrderBook, ORDER_TYPES } from "./orders";
+
+const wallet = new Wallet("0x" + "01".repeat(32));
+const maker = wallet.address;
+const nftContract = "0x" + "22".repeat(20);
+const contractWallet = utils.getAddress("0x" + "44".repeat(20));
+const domain = {
+  name: "ERC721Marketplace",
+  version: "1",
+  chainId: 31337,
+  verifyingContract: "0x" + "33".repeat(20),
+};
+
+const signedOrder = async (overrides = {}, signer = wallet) => {
+  const order = {
+    side: 0,
+    maker,
+    nftContract,
+    tokenId: "1",
+    paymentToken: "0x" + "00".repeat(20),
+    price: "1000000000000000000",
+    startTime: "0",
+    expiresAt: String(Math.floor(Date.now() / 1000) + 3600),
+    salt: "1",
+    counter: "0",
+    ...overrides,
+  };
+  return {
+    orderHash: utils._TypedDataEncoder.hash(domain, ORDER_TYPES, order),
+    signature: await signer._signTypedData(domain, ORDER_TYPES, order),
+    order,
+  };
+};
+
+describe("order book API", () => {
+  let server: Server;
+  let baseUrl: string;
+
+  const post = (body: unknown) =>
+    fetch(`${baseUrl}/api/orders`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  beforeAll(async () => {
+    process.env.MARKETPLACE_CHAIN_ID = String(domain.chainId);
+    process.env.MARKETPLACE_ADDRESS = domain.verifyingContract;
+    server = createServer().listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+    delete process.env.MARKETPLACE_CHAIN_ID;
+    delete process.env.MARKETPLACE_ADDRESS;
+  });
+
+  beforeEach(() => {
+    clearOrderBook();
+  });
+
+  it("should store and serve signed orders", async () => {
+    const submitted = await signedOrder();
+    expect((await post(submitted)).status).toBe(201);
+
+    const list = await fetch(`${baseUrl}/api/orders?maker=${maker}`);
+    expect((await list.json()).orders).toEqual([submitted]);
+
+    const single = await fetch(`${baseUrl}/api/orders/${submitted.orderHash}`);
+    expect((await single.json()).signature).toBe(submitted.signature);
+  });
+
+  it("should filter orders by token and side", async () => {
+    await post(await signedOrder());
+
+    const otherToken = await fetch(
+      `${baseUrl}/api/orders?nftContract=${nftContract}&tokenId=2`,
+    );
+    expect((await otherToken.json()).orders).toEqual([]);
+
+    const offers = await fetch(`${baseUrl}/api/orders?side=1`);
+    expect((await offers.json()).orders).toEqual([]);
+  });
+
+  it("should reject malformed and expired orders", async () => {
+    const valid = await signedOrder();
+    const malformed = await post({
+      ...valid,
+      order: { ...valid.order, maker: "not-an-address" },
+    });
+    expect(malformed.status).toBe(400);
+
+    const expired = await post(await signedOrder({ expiresAt: "1" }));
+    expect(expired.status).toBe(400);
+    expect((await expired.json()).error).toBe("Order expired");
+  });
+
+  it("should only accept uint256 fields as decimal strings", async () => {
+    const valid = await signedOrder();
+
+    const numeric = await post({
+      ...valid,
+      order: { ...valid.order, price: 1000000000000000000 },
+    });
+    expect(numeric.status).toBe(400);
+
+    const overflow = await post({
+      ...valid,
+      order: { ...valid.order, salt: "1" + "0".repeat(78) },
+    });
+    expect(overflow.status).toBe(400);
+  });
+
+  it("should reject orders not signed by their maker", async () => {
+    const forged = await post(
+      await signedOrder({}, new Wallet("0x" + "02".repeat(32))),
+    );
+    expect(forged.status).toBe(400);
+    expect((await forged.json()).error).toBe("Invalid signature");
+
+    const valid = await signedOrder();
+    const wrongHash = await post({
+      ...valid,
+      orderHash: "0x" + "ab".repeat(32),
+    });
+    expect(wrongHash.status).toBe(400);
+
+    const tampered = await post({
+      ...valid,
+      order: { ...valid.order, price: "1" },
+    });
+    expect(tampered.status).toBe(400);
+
+    const list = await fetch(`${baseUrl}/api/orders`);
+    expect((await list.json()).orders).toEqual([]);
+  });
+
+  describe("contract-wallet makers", () => {
+    const isValidSignatureReturns = (value: string) =>
+      vi
+        .spyOn(providers.BaseProvider.prototype, "call")
+        .mockResolvedValue(utils.defaultAbiCoder.encode(["bytes4"], [value]));
+
+    beforeEach(() => {
+      process.env.MARKETPLACE_RPC_URL = "http://127.0.0.1:8545";
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      delete process.env.MARKETPLACE_RPC_URL;
+    });
+
+    it("should accept orders the maker's wallet approves via EIP-1271", async () => {
+      const call = isValidSignatureReturns("0x1626ba7e");
+      const submitted = await signedOrder({ maker: contractWallet });
+
+      expect((await post(submitted)).status).toBe(201);
+      const [tx] = call.mock.calls[0] as [{ to: string; data: string }];
+      expect(tx.to).toBe(contractWallet);
+      expect(tx.data.startsWith("0x1626ba7e")).toBe(true);
+    });
+
+    it("should reject orders the maker's wallet does not approve", async () => {
+      isValidSignatureReturns("0xffffffff");
+
+      const rejected = await post(await signedOrder({ maker: contractWallet }));
+      expect(rejected.status).toBe(400);
+      expect((await rejected.json()).error).toBe("Invalid signature");
+    });
+
+    it("should reject contract-wallet orders without an RPC endpoint", async () => {
+      const call = isValidSignatureReturns("0x1626ba7e");
+      delete process.env.MARKETPLACE_RPC_URL;
+
+      const rejected = await post(await signedOrder({ maker: contractWallet }));
+      expect(rejected.status).toBe(400);
+      expect(call).not.toHaveBeenCalled();
+    });
+  });
+
+  it("should not replace an existing order", async () => {
+    const submitted = await signedOrder();
+    expect((await post(submitted)).status).toBe(201);
+    expect((await post(submitted)).status).toBe(409);
+  });
+
+  it("should refuse orders once the book is full", async () => {
+    process.env.ORDER_BOOK_MAX_ORDERS = "1";
+    try {
+      expect((await post(await signedOrder())).status).toBe(201);
+
+      const full = await post(await signedOrder({ salt: "2" }));
+      expect(full.status).toBe(503);
+      expect((await full.json()).error).toBe("Order book is full");
+    } finally {
+      delete process.env.ORDER_BOOK_MAX_ORDERS;
+    }
+  });
+});
@@ -0,0 +1,227 @@
+import { RequestHandler } from "express";
+import { BigNumber, constants, Contract, providers, utils } from "ethers";
+import { z } from "zod";
+import { OrderBookResponse, SignedOrder } from "@shared/api";
+
+const address = z.string().regex(/^0x[0-9a-fA-F]{40}$/, "Invalid address");
+// uint256 values are decimal strings; JSON numbers lose precision above 2^53
+const uint = z
+  .string()
+  .regex(/^\d+$/, "Numeric fields must be decimal strings")
+  .refine((value) => BigNumber.from(value).lte(constants.MaxUint256), {
+    message: "Numeric field exceeds uint256",
+  });
+
+const signedOrderSchema = z.object({
+  orderHash: z.string().regex(/^0x[0-9a-fA-F]{64}$/, "Invalid order hash"),
+  signature: z.string().regex(/^0x[0-9a-fA-F]+$/, "Invalid signature"),
+  order: z.object({
+    side: z.union([z.literal(0), z.literal(1)]),
+    maker: address,
+    nftContract: address,
+    tokenId: uint,
+    paymentToken: address,
+    price: uint,
+    startTime: uint,
+    expiresAt: uint,
+    salt: uint,
+    counter: uint,
+  }),
+});
+
+// EIP-712 layout of ERC721Marketplace.Order
+export const ORDER_TYPES = {
+  Order: [
+    { name: "side", type: "uint8" },
+    { name: "maker", type: "address" },
+    { name: "nftContract", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "price", type: "uint256" },
+    { name: "startTime", type: "uint256" },
+    { name: "expiresAt", type: "uint256" },
+    { name: "salt", type: "uint256" },
+    { name: "counter", type: "uint256" },
+  ],
+};
+
+const DEFAULT_MAX_ORDERS = 10000;
+
+// EIP-1271: contract wallets return this from isValidSignature when they accept a signature
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const ERC1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+];
+
+/**
+ * Signing domain of the marketplace the book serves, from MARKETPLACE_CHAIN_ID
+ * and MARKETPLACE_ADDRESS; null until both are set.
+ */
+const orderDomain = () => {
+  const { MARKETPLACE_CHAIN_ID, MARKETPLACE_ADDRESS } = process.env;
+  if (!MARKETPLACE_CHAIN_ID || !MARKETPLACE_ADDRESS) return null;
+  return {
+    name: "ERC721Marketplace",
+    version: "1",
+    chainId: Number(MARKETPLACE_CHAIN_ID),
+    verifyingContract: MARKETPLACE_ADDRESS,
+  };
+};
+
+const maxOrders = () =>
+  Number(process.env.ORDER_BOOK_MAX_ORDERS) || DEFAULT_MAX_ORDERS;
+
+/**
+ * Whether the maker signed the order, checked like the marketplace's
+ * SignatureChecker: an ECDSA signature recovering to the maker, or else the
+ * maker's EIP-1271 isValidSignature. The EIP-1271 check calls the chain
+ * through MARKETPLACE_RPC_URL; without it contract-wallet orders are refused.
+ */
+const isValidOrderSignature = async (
+  chainId: number,
+  maker: string,
+  orderHash: string,
+  signature: string,
+) => {
+  try {
+    if (
+      utils.recoverAddress(orderHash, signature) === utils.getAddress(maker)
+    ) {
+      return true;
+    }
+  } catch {
+    // Not an ECDSA signature; the maker may still be a contract wallet
+  }
+
+  const rpcUrl = process.env.MARKETPLACE_RPC_URL;
+  if (!rpcUrl) return false;
+  try {
+    const provider = new providers.StaticJsonRpcProvider(rpcUrl, chainId);
+    const wallet = new Contract(maker, ERC1271_ABI, provider);
+    return (
+      (await wallet.isValidSignature(orderHash, signature)) ===
+      ERC1271_MAGIC_VALUE
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Local, in-memory order book. Submitted orders are hashed and their maker's
+ * signature checked against the configured domain; counters and
+ * cancellations are enforced on-chain when an order is filled. Expired orders
+ * are dropped when read or when the book is full, and clients check
+ * orderCancelledOrFilled before showing the rest.
+ */
+const orderBook = new Map<string, SignedOrder>();
+
+const isExpired = ({ order }: SignedOrder) =>
+  Number(order.expiresAt) <= Math.floor(Date.now() / 1000);
+
+const matches = (value: string | undefined, expected: string) =>
+  !value || value.toLowerCase() === expected.toLowerCase();
+
+const dropExpiredOrders = () => {
+  for (const [orderHash, entry] of orderBook) {
+    if (isExpired(entry)) orderBook.delete(orderHash);
+  }
+};
+
+export const clearOrderBook = () => orderBook.clear();
+
+export const handleListOrders: RequestHandler = (req, res) => {
+  const { maker, nftContract, tokenId, side } = req.query as Record<
+    string,
+    string | undefined
+  >;
+
+  const orders: SignedOrder[] = [];
+  for (const [orderHash, entry] of orderBook) {
+    if (isExpired(entry)) {
+      orderBook.delete(orderHash);
+      continue;
+    }
+    if (
+      matches(maker, entry.order.maker) &&
+      matches(nftContract, entry.order.nftContract) &&
+      (!tokenId || tokenId === entry.order.tokenId) &&
+      (!side || Number(side) === entry.order.side)
+    ) {
+      orders.push(entry);
+    }
+  }
+
+  const response: OrderBookResponse = { orders };
+  res.status(200).json(response);
+};
+
+export const handleGetOrder: RequestHandler = (req, res) => {
+  const entry = orderBook.get(req.params.orderHash.toLowerCase());
+  if (!entry || isExpired(entry)) {
+    return res.status(404).json({ error: "Order not found" });
+  }
+  res.status(200).json(entry);
+};
+
+export const handleSubmitOrder: RequestHandler = async (req, res) => {
+  const parsed = signedOrderSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error.issues[0].message });
+  }
+
+  const domain = orderDomain();
+  if (!domain) {
+    return res.status(503).json({ error: "Order book is not configured" });
+  }
+
+  const { orderHash, signature, order } = parsed.data;
+  const entry: SignedOrder = {
+    orderHash: utils._TypedDataEncoder
+      .hash(domain, ORDER_TYPES, order)
+      .toLowerCase(),
+    signature,
+    order: {
+      side: order.side,
+      maker: order.maker,
+      nftContract: order.nftContract,
+      paymentToken: order.paymentToken,
+      tokenId: order.tokenId,
+      price: order.price,
+      startTime: order.startTime,
+      expiresAt: order.expiresAt,
+      salt: order.salt,
+      counter: order.counter,
+    },
+  };
+  if (isExpired(entry)) {
+    return res.status(400).json({ error: "Order expired" });
+  }
+  if (entry.orderHash !== orderHash.toLowerCase()) {
+    return res.status(400).json({ error: "Order hash does not match order" });
+  }
+
+  if (
+    !(await isValidOrderSignature(
+      domain.chainId,
+      order.maker,
+      entry.orderHash,
+      signature,
+    ))
+  ) {
+    return res.status(400).json({ error: "Invalid signature" });
+  }
+
+  if (orderBook.has(entry.orderHash)) {
+    return res.status(409).json({ error: "Order already exists" });
+  }
+  if (orderBook.size >= maxOrders()) {
+    dropExpiredOrders();
+    if (orderBook.size >= maxOrders()) {
+      return res.status(503).json({ error: "Order book is full" });
+    }
+  }
+
+  orderBook.set(entry.orderHash, entry);
+  res.status(201).json(entry);
+};
@@ -10,3 +10,33 @@
 export interface DemoResponse {
   message: string;
 }
+
+/**
+ * EIP-712 order signed off-chain for ERC721Marketplace.fulfillOrder.
+ * Numeric fields are decimal strings so uint256 values survive JSON.
+ */
+export interface MarketplaceOrder {
+  side: 0 | 1; // 0 = listing, 1 = offer
+  maker: string;
+  nftContract: string;
+  tokenId: string;
+  paymentToken: string;
+  price: string;
+  startTime: string;
+  expiresAt: string;
+  salt: string;
+  counter: string;
+}
+
+export interface SignedOrder {
+  orderHash: string;
+  order: MarketplaceOrder;
+  signature: string;
+}
+
+/**
+ * Response type for /api/orders
+ */
+export interface OrderBookResponse {
+  orders: SignedOrder[];
+}